@@ -1,6 +1,6 @@
 package net.kaduk
 
-import org.apache.pekko.actor.typed.ActorSystem
+import org.apache.pekko.actor.typed.{ActorSystem, DispatcherSelector}
 import org.apache.pekko.actor.typed.scaladsl.Behaviors
 import org.apache.pekko.http.scaladsl.Http
 import org.apache.pekko.http.scaladsl.model.{HttpRequest, HttpResponse}
@@ -11,7 +11,8 @@ import net.kaduk.infrastructure.grpc.AgentServiceImpl
 import net.kaduk.protobuf.agent_service.AgentServiceHandler
 import net.kaduk.config.AppConfig
 import net.kaduk.domain.{AgentCapability, AgentType}
-import net.kaduk.telemetry.{UiEventBus, TelemetryRoutes}
+import net.kaduk.telemetry.{AgentDirectory, EventStore, UiEventBus, TelemetryRoutes}
+import java.nio.file.Paths
 import scala.concurrent.{ExecutionContext, Future}
 import scala.util.{Success, Failure}
 
@@ -25,6 +26,10 @@ object MainApp:
       val config = AppConfig.load()
       val registry = AgentRegistry()
       val uiBus    = ctx.spawn(UiEventBus(), "ui-bus")
+      // Telemetry history on disk, so the dashboard can browse conversations from before a restart
+      val history = config.historyDir.map: dir =>
+        val retention = EventStore.Retention(config.historyMaxConversations, config.historyMaxAge)
+        ctx.spawn(EventStore(Paths.get(dir), Some(uiBus), retention), "event-store", DispatcherSelector.blocking())
       
       // Spawn LLM agents
       config.agents.foreach: (name, agentConfig) =>
@@ -35,7 +40,7 @@ object MainApp:
           val provider = agentConfig.provider match
             case "openai" => OpenAIProvider(providerConfig.apiKey, providerConfig.model)
             case "claude" => ClaudeProvider(providerConfig.apiKey, providerConfig.model)
-            case "ollama" => OllamaProvider(config.llmProviders("ollama").apiKey, providerConfig.model)
+            case "ollama" => OllamaProvider(model = providerConfig.model)
             case "vertex" => VertexProvider(providerConfig.apiKey, "us-central1", providerConfig.model)
             case _ => throw new IllegalArgumentException(s"Unknown provider: ${agentConfig.provider}")
           
@@ -57,6 +62,9 @@ object MainApp:
       
       // Spawn coordinator
       val coordinatorRef = ctx.spawn(CoordinatorAgent(registry, Some(uiBus)), "coordinator")
+
+      // Registry and health view served to the dashboard
+      val agentDirectory = ctx.spawn(AgentDirectory(registry), "agent-directory")
       
       // Start gRPC server
       val service: HttpRequest => Future[HttpResponse] =
@@ -70,7 +78,7 @@ object MainApp:
           ctx.system.terminate()
       
       // UI WebSocket + demo trigger server (ws://localhost:6061/ws, GET /demo)
-      Http().newServerAt("0.0.0.0", 6061).bind(TelemetryRoutes.routes(uiBus, coordinatorRef)).onComplete:
+      Http().newServerAt("0.0.0.0", 6061).bind(TelemetryRoutes.routes(uiBus, coordinatorRef, Some(agentDirectory), history)).onComplete:
         case Success(binding) =>
           ctx.system.log.info(s"UI server bound to ${binding.localAddress}")
         case Failure(ex) =>
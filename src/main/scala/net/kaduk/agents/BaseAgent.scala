@@ -20,13 +20,45 @@ object BaseAgent:
     replyTo: ActorRef[Any]
   ) extends Command
 
+  // Runs an operator-authored plan instead of decomposing the task (CoordinatorAgent)
+  case class ExecutePlan(
+    message: Message,
+    context: ConversationContext,
+    plan: CoordinatorAgent.TaskPlan,
+    replyTo: ActorRef[Any]
+  ) extends Command
+
   case object Stop extends Command
   case object GetStatus extends Command
+  // Health probe: agents answer with their AgentStatus name (Idle, Busy, ...) and current load
+  case class GetAgentStatus(replyTo: ActorRef[AgentStatusResponse]) extends Command
   case object NoOp extends Command
 
+  // Operator control, sent over the telemetry /ws channel and handled by CoordinatorAgent
+  case class CancelConversation(conversationId: String, replyTo: ActorRef[ControlReply]) extends Command
+  case class RetryStep(conversationId: String, stepId: String, replyTo: ActorRef[ControlReply]) extends Command
+  case class SkipStep(conversationId: String, stepId: String, replyTo: ActorRef[ControlReply]) extends Command
+  // A reviewer's decision on a step waiting for approval
+  case class ResolveApproval(
+    conversationId: String,
+    stepId: String,
+    decision: ApprovalDecision,
+    replyTo: ActorRef[ControlReply]
+  ) extends Command
+
+  enum ApprovalDecision:
+    case Approve(instruction: Option[String]) // run the step, with the reviewer's edited instruction if given
+    case Reject(reason: String)               // fail the step; its conversation is parked
+    case Answer(text: String)                 // the reviewer's text is the step's result
+
+  sealed trait ControlReply
+  case class ControlAccepted(message: String) extends ControlReply
+  case class ControlRejected(reason: String) extends ControlReply
+
   sealed trait Response
   case class ProcessedMessage(message: Message, updatedContext: ConversationContext) extends Response with Command
-  case class ProcessingFailed(error: String, messageId: String) extends Response with Command
+  // errorClass names the kind of failure (e.g. the exception's simple class name) for telemetry
+  case class ProcessingFailed(error: String, messageId: String, errorClass: String = "") extends Response with Command
   case class AgentStatusResponse(status: String, load: Int) extends Response with Command
   
   sealed trait StreamResponse
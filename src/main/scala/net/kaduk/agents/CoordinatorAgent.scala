@@ -13,7 +13,8 @@ import scala.concurrent.duration.*
 
 /** CoordinatorAgent
   *
-  *   - Decomposes an incoming task into an acyclic graph (DAG) of steps.
+  *   - Decomposes an incoming task into an acyclic graph (DAG) of steps, or
+  *     runs the plan an operator authored (ExecutePlan).
   *   - Dispatches ready steps to specialized agents once their dependencies are
   *     satisfied.
   *   - Collects all responses, aggregates them, and returns a single final
@@ -24,6 +25,8 @@ import scala.concurrent.duration.*
   *     heuristically determined using either:
   *     - response.content.metadata("satisfied") == "true", or
   *     - response.content.text contains "[done]" (case-insensitive).
+  *     Every pass publishes UiEventBus.LoopIteration with its aggregated answer
+  *     and why the loop stopped or goes on.
   *
   * Protocol note: This actor keeps its protocol strictly as BaseAgent.Command
   * to avoid extending the sealed trait from another file. Correlation of step
@@ -34,7 +37,31 @@ import scala.concurrent.duration.*
   *   - On ProcessedMessage, extracting the last user message id from the
   *     updatedContext and resolving stepId
   *   - On ProcessingFailed, using the provided messageId to resolve stepId via
-  *     msgIdToStep
+  *     msgIdToStep, and publishing UiEventBus.StepAttemptFailed with the step's
+  *     attempt number (TaskState.stepAttempts) and whether it is retried (decided
+  *     on the conversation's TaskState.attempts)
+  *
+  * Operator control (CancelConversation, RetryStep, SkipStep, ResolveApproval) is
+  * answered with ControlAccepted / ControlRejected. A step that fails for good
+  * parks its conversation instead of dropping it, so it can still be retried or
+  * skipped. Answers to dispatches replaced by a retry or skip are dropped via
+  * TaskState.discarded; answers that match no step of the running conversation
+  * (for instance from a cancelled run of the same id) are dropped as well.
+  *
+  * The caller's replyTo hears from the conversation each time it stops: a
+  * ProcessingFailed when a step fails for good and the conversation parks, and,
+  * if an operator then retries or skips the step, the final ProcessedMessage
+  * (or ProcessingFailed on cancel) once the revived run stops again. Ask-style
+  * callers simply keep the first answer.
+  *
+  * Approval gates: a step with requiresApproval (set in an authored plan, or for
+  * every step of the capabilities in ConversationContext.metadata("requireApproval"))
+  * is not dispatched when it becomes ready. The coordinator publishes
+  * UiEventBus.ApprovalRequested and holds the step until a reviewer approves it
+  * (optionally with an edited instruction), rejects it (the step fails) or answers
+  * it in place of an agent. A rejection parks the conversation like any other
+  * failure, with the two replies above if the step is then retried; retrying a
+  * rejected step holds it for the reviewer again.
   */
 object CoordinatorAgent:
 
@@ -43,12 +70,71 @@ object CoordinatorAgent:
     // Index by id for quick lookup
     lazy val byId: Map[String, TaskStep] = steps.map(s => s.id -> s).toMap
 
+    // Why an authored plan cannot run (empty when it can): missing fields, duplicate or
+    // unknown step ids, and dependency cycles
+    def problems: Seq[String] =
+      val blank = steps.zipWithIndex.collect {
+        case (s, i) if s.id.trim.isEmpty => s"Step ${i + 1} has no id"
+        case (s, _) if s.agentCapability.trim.isEmpty => s"Step ${s.id} has no agentCapability"
+        case (s, _) if s.instruction.trim.isEmpty => s"Step ${s.id} has no instruction"
+      }
+      val duplicates = steps.groupBy(_.id).collect { case (id, xs) if xs.size > 1 => s"Duplicate step id $id" }
+      val unknown = steps.flatMap(s =>
+        s.dependencies.filterNot(byId.contains).map(d => s"Step ${s.id} depends on unknown step $d")
+      )
+      val cycle =
+        if blank.nonEmpty || duplicates.nonEmpty || unknown.nonEmpty then Nil
+        else findCycle.map(c => s"Dependency cycle: ${c.mkString(" -> ")}").toList
+      if steps.isEmpty then Seq("The plan has no steps")
+      else blank ++ duplicates ++ unknown ++ cycle
+
+    // Steps whose capability none of the given agents offers. Names are compared trimmed and
+    // case-insensitively, the way AgentRegistry keys capabilities.
+    def unknownCapabilities(offered: Set[String]): Seq[String] =
+      val keys = offered.map(TaskPlan.capabilityKey)
+      steps.collect {
+        case s if s.agentCapability.trim.nonEmpty && !keys.contains(TaskPlan.capabilityKey(s.agentCapability)) =>
+          s"No registered agent offers ${s.agentCapability.trim} (${s.id})"
+      }
+
+    // The same plan with steps of a routed capability sent to another capability
+    // (matched case-insensitively, as the registry does)
+    def routed(routes: Map[String, String]): TaskPlan =
+      if routes.isEmpty then this
+      else
+        val byCapability = routes.map((from, to) => TaskPlan.capabilityKey(from) -> to.trim)
+        TaskPlan(steps.map(s => s.copy(agentCapability = byCapability.getOrElse(TaskPlan.capabilityKey(s.agentCapability), s.agentCapability))))
+
+    // The same plan with every step of the given capabilities waiting for approval
+    // (matched case-insensitively)
+    def gated(capabilities: Set[String]): TaskPlan =
+      if capabilities.isEmpty then this
+      else
+        val gatedCaps = capabilities.map(TaskPlan.capabilityKey)
+        TaskPlan(steps.map(s => if gatedCaps.contains(TaskPlan.capabilityKey(s.agentCapability)) then s.copy(requiresApproval = true) else s))
+
+    // Step ids along one dependency cycle (first id repeated at the end), if there is one
+    private def findCycle: Option[Seq[String]] =
+      var done = Set.empty[String]
+      def visit(id: String, path: List[String]): Option[Seq[String]] =
+        if path.contains(id) then Some((id :: path.takeWhile(_ != id) ::: List(id)).reverse)
+        else if done.contains(id) then None
+        else
+          val found = byId(id).dependencies.iterator.map(visit(_, id :: path)).collectFirst { case Some(c) => c }
+          done += id
+          found
+      steps.iterator.map(s => visit(s.id, Nil)).collectFirst { case Some(c) => c }
+
+  object TaskPlan:
+    def capabilityKey(name: String): String = name.trim.toLowerCase
+
   case class TaskStep(
       id: String, // Unique step ID inside the plan
       agentCapability: String, // Name to resolve the agent via AgentRegistry
       instruction: String, // Instruction for this step
       dependencies: Seq[String] =
-        Seq.empty // Other step IDs that must complete first
+        Seq.empty, // Other step IDs that must complete first
+      requiresApproval: Boolean = false // Held for a reviewer before it is dispatched
   )
 
   // Internal state for a single conversation execution
@@ -62,9 +148,38 @@ object CoordinatorAgent:
       inProgress: Set[String] = Set.empty,
       attempts: Int = 0,
       maxAttempts: Int = 1,
-      msgIdToStep: Map[String, String] = Map.empty // user message id -> stepId
+      iteration: Int = 1, // pass of the refinement loop running now, from 1
+      msgIdToStep: Map[String, String] = Map.empty, // user message id -> stepId
+      requestId: String = "", // id of the message that started the task
+      skipped: Set[String] = Set.empty, // steps skipped by an operator (also in completed)
+      discarded: Set[String] = Set.empty, // dispatched message ids whose answers are ignored
+      failure: Option[StepFailure] = None, // set while parked after a failed step
+      stepAttempts: Map[String, Int] = Map.empty, // stepId -> failed runs so far, numbering its StepAttemptFailed events
+      awaitingApproval: Set[String] = Set.empty, // gated steps held for a reviewer
+      approved: Set[String] = Set.empty // gated steps a reviewer approved or answered
   )
 
+  private case class StepFailure(stepId: String, error: String, at: Long)
+
+  // Parked (failed) conversations kept around for retry/skip; the oldest are dropped first
+  private val MaxParked = 20
+
+  // ConversationContext.metadata("route.<capability>") = "<capability>" runs that capability's steps on
+  // another agent, e.g. route.summarizer = summarizer-ollama when comparing providers
+  val RoutePrefix = "route."
+
+  def routesOf(context: ConversationContext): Map[String, String] =
+    context.metadata.collect {
+      case (key, to) if key.startsWith(RoutePrefix) && to.trim.nonEmpty => key.drop(RoutePrefix.length) -> to.trim
+    }
+
+  // ConversationContext.metadata("requireApproval") = "summarizer,classifier": capabilities whose steps
+  // wait for a reviewer
+  val ApprovalKey = "requireApproval"
+
+  def approvalCapabilitiesOf(context: ConversationContext): Set[String] =
+    context.metadata.get(ApprovalKey).toSeq.flatMap(_.split(',')).map(_.trim).filter(_.nonEmpty).toSet
+
   def apply(
       registry: AgentRegistry,
       uiBus: Option[ActorRef[UiEventBus.Command]] = None
@@ -78,33 +193,14 @@ object CoordinatorAgent:
       uiBus: Option[ActorRef[UiEventBus.Command]]
   )(using ctx: ActorContext[Command], ec: ExecutionContext): Behavior[Command] =
     Behaviors.receiveMessage:
-      case ProcessMessage(message, context, replyTo) =>
-        withLogging(ctx, context.id):
-          ctx.log.info(s"Coordinating task for conversation ${context.id}")
-
-          val plan = decomposeTask(message.content.text, registry, ctx)
-          uiBus.foreach(_ ! UiEventBus.Publish(UiEventBus.PlanComputed(context.id, plan.steps.map(s => UiEventBus.StepInfo(s.id, s.agentCapability, s.dependencies)))))
-          ctx.log.info(s"Planned steps: ${plan.steps.map(s => s"${s.id}:${s.agentCapability}[deps=${s.dependencies.mkString(",")}]").mkString(" -> ")}")
-          // Publish the initial user task to the conversation console
-          uiBus.foreach(_ => UiEventBus) // keep reference
-          uiBus.foreach(_ ! UiEventBus.Publish(UiEventBus.ChatMessage(context.id, "user", message.id, message.content.text, None)))
-          val maxLoops = context.metadata
-            .get("maxLoops")
-            .flatMap(s => Try(s.toInt).toOption)
-            .filter(_ >= 1)
-            .getOrElse(1)
-
-          val state0 = TaskState(
-            plan = plan,
-            replyTo = replyTo.asInstanceOf[ActorRef[Response]],
-            context = context,
-            attempts = 0,
-            maxAttempts = maxLoops
-          )
-
-          val state1 = dispatchReadySteps(context.id, state0, registry, uiBus)
-
-          coordinating(registry, activeTasks + (context.id -> state1), uiBus)
+      case pm: ProcessMessage =>
+        startTask(pm, registry, activeTasks, uiBus)
+
+      case ExecutePlan(message, context, plan, replyTo) =>
+        startTask(ProcessMessage(message, context, replyTo), registry, activeTasks, uiBus, Some(plan))
+
+      case cmd @ (_: CancelConversation | _: RetryStep | _: SkipStep | _: ResolveApproval) =>
+        control(cmd, registry, activeTasks, uiBus)
 
       case Stop =>
         Behaviors.stopped
@@ -113,19 +209,94 @@ object CoordinatorAgent:
         ctx.log.debug(s"Ignoring message in idle: $other")
         Behaviors.same
 
+  // Plan a new task (or take the authored plan) and dispatch its first ready steps. Several
+  // conversations may run at once; a conversation id that is still running is rejected, a
+  // parked one is replaced.
+  private def startTask(
+      pm: ProcessMessage,
+      registry: AgentRegistry,
+      activeTasks: Map[String, TaskState],
+      uiBus: Option[ActorRef[UiEventBus.Command]],
+      authoredPlan: Option[TaskPlan] = None
+  )(using ctx: ActorContext[Command], ec: ExecutionContext): Behavior[Command] =
+    val ProcessMessage(message, context, replyTo) = pm
+    def reject(reason: String): Behavior[Command] =
+      ctx.log.warn(reason)
+      uiBus.foreach(_ ! UiEventBus.Publish(UiEventBus.ErrorEvent(context.id, reason)))
+      replyTo ! ProcessingFailed(reason, message.id)
+      next(registry, activeTasks, uiBus)
+
+    withLogging(ctx, context.id):
+      val planProblems = authoredPlan.map(_.problems).getOrElse(Nil)
+      if activeTasks.get(context.id).exists(_.failure.isEmpty) then
+        reject(s"Conversation ${context.id} already has a running task")
+      else if planProblems.nonEmpty then
+        reject(s"Invalid plan: ${planProblems.mkString("; ")}")
+      else
+        ctx.log.info(s"Coordinating task for conversation ${context.id}")
+
+        val routes = routesOf(context)
+        val plan = authoredPlan
+          .getOrElse(decomposeTask(message.content.text, registry, ctx))
+          .gated(approvalCapabilitiesOf(context))
+          .routed(routes)
+        if routes.nonEmpty then ctx.log.info(s"Routing capabilities: ${routes.map((from, to) => s"$from->$to").mkString(", ")}")
+        uiBus.foreach(_ ! UiEventBus.Publish(UiEventBus.PlanComputed(context.id, plan.steps.map(s => UiEventBus.StepInfo(s.id, s.agentCapability, s.dependencies, s.instruction, s.requiresApproval)))))
+        ctx.log.info(s"Planned steps: ${plan.steps.map(s => s"${s.id}:${s.agentCapability}[deps=${s.dependencies.mkString(",")}]").mkString(" -> ")}")
+        // Publish the initial user task to the conversation console
+        uiBus.foreach(_ ! UiEventBus.Publish(UiEventBus.ChatMessage(context.id, "user", message.id, message.content.text, None)))
+        val maxLoops = context.metadata
+          .get("maxLoops")
+          .flatMap(s => Try(s.toInt).toOption)
+          .filter(_ >= 1)
+          .getOrElse(1)
+
+        val state0 = TaskState(
+          plan = plan,
+          replyTo = replyTo.asInstanceOf[ActorRef[Response]],
+          context = context,
+          attempts = 0,
+          maxAttempts = maxLoops,
+          requestId = message.id,
+          // Late answers for a replaced parked run must not be taken for this run's steps
+          discarded = activeTasks.get(context.id).map(_.msgIdToStep.keySet).getOrElse(Set.empty)
+        )
+
+        val state1 = dispatchReadySteps(context.id, state0, registry, uiBus)
+
+        coordinating(registry, activeTasks + (context.id -> state1), uiBus)
+
+  // Stay in coordinating while any conversation is still running
+  private def next(
+      registry: AgentRegistry,
+      activeTasks: Map[String, TaskState],
+      uiBus: Option[ActorRef[UiEventBus.Command]]
+  )(using ctx: ActorContext[Command], ec: ExecutionContext): Behavior[Command] =
+    if activeTasks.isEmpty then idle(registry, activeTasks, uiBus)
+    else coordinating(registry, activeTasks, uiBus)
+
   private def coordinating(
       registry: AgentRegistry,
       activeTasks: Map[String, TaskState],
       uiBus: Option[ActorRef[UiEventBus.Command]]
   )(using ctx: ActorContext[Command], ec: ExecutionContext): Behavior[Command] =
     Behaviors.receiveMessage:
+      case pm: ProcessMessage =>
+        startTask(pm, registry, activeTasks, uiBus)
+
+      case ExecutePlan(message, context, plan, replyTo) =>
+        startTask(ProcessMessage(message, context, replyTo), registry, activeTasks, uiBus, Some(plan))
+
+      case cmd @ (_: CancelConversation | _: RetryStep | _: SkipStep | _: ResolveApproval) =>
+        control(cmd, registry, activeTasks, uiBus)
+
       case pm: ProcessedMessage =>
         val convId = pm.updatedContext.id
         withLogging(ctx, convId):
           val stateOpt: Option[TaskState] = activeTasks.get(convId)
           stateOpt match
             case None =>
-              idle(registry, activeTasks, uiBus) // No state, ignore and go idle
+              next(registry, activeTasks, uiBus) // No state for this conversation, ignore
             case Some(st) =>
               // The last user message id added just before the agent's assistant response
               val lastUserIdOpt =
@@ -135,19 +306,19 @@ object CoordinatorAgent:
 
               val stepIdOpt = lastUserIdOpt.flatMap(st.msgIdToStep.get)
 
-              stepIdOpt match
-                case None =>
+              (lastUserIdOpt, stepIdOpt) match
+                case (Some(uid), _) if st.discarded.contains(uid) =>
+                  ctx.log.info(s"[$convId] Dropping answer to message $uid, replaced by an operator command")
+                  coordinating(registry, activeTasks + (convId -> st.copy(discarded = st.discarded - uid)), uiBus)
+
+                case (_, None) =>
+                  // Not dispatched by this run, e.g. a late answer from a cancelled run of the same conversation
                   ctx.log.warn(
-                    s"Could not correlate ProcessedMessage to a step for conversation $convId"
+                    s"Dropping ProcessedMessage for conversation $convId: message ${lastUserIdOpt.getOrElse("?")} is not one of its steps"
                   )
-                  // As a fallback, reply aggregated result
-                  val aggregated =
-                    aggregateResults(st.copy(context = pm.updatedContext))
-                  uiBus.foreach(_ ! UiEventBus.Publish(UiEventBus.AggregateCompleted(convId, aggregated.content.text.length)))
-                  st.replyTo ! ProcessedMessage(aggregated, pm.updatedContext)
-                  idle(registry, activeTasks - convId, uiBus)
-
-                case Some(stepId) =>
+                  Behaviors.same
+
+                case (_, Some(stepId)) =>
                   ctx.log.info(
                     s"Step '$stepId' completed for conversation $convId"
                   )
@@ -165,69 +336,13 @@ object CoordinatorAgent:
                   )
 
                   // Notify UI: assistant message and step completed
-                  uiBus.foreach(_ ! UiEventBus.Publish(UiEventBus.ChatMessage(convId, "assistant", pm.message.id, pm.message.content.text, pm.message.agentId)))
+                  uiBus.foreach(_ ! UiEventBus.Publish(UiEventBus.ChatMessage(convId, "assistant", pm.message.id, pm.message.content.text, Some(st.plan.byId(stepId).agentCapability))))
                   uiBus.foreach(_ ! UiEventBus.Publish(UiEventBus.StepCompleted(convId, stepId)))
 
-                  // If all steps done and nothing in progress, evaluate satisfaction
-                  val allSteps = updatedState.plan.steps.map(_.id).toSet
-                  val doneNow =
-                    updatedState.completed == allSteps && updatedState.inProgress.isEmpty
-
-                  if doneNow then
-                    if isSatisfactory(
-                        updatedState
-                      ) || updatedState.attempts >= (updatedState.maxAttempts - 1)
-                    then
-                      // Aggregate and reply
-                      val aggregated = aggregateResults(updatedState)
-                      ctx.log.info(s"[$convId] Aggregated final response length=${aggregated.content.text.length}")
-                      uiBus.foreach(_ ! UiEventBus.Publish(UiEventBus.AggregateCompleted(convId, aggregated.content.text.length)))
-                      // Publish final assistant message from coordinator to conversation console
-                      uiBus.foreach(_ ! UiEventBus.Publish(UiEventBus.ChatMessage(convId, "assistant", aggregated.id, aggregated.content.text, aggregated.agentId)))
-                      updatedState.replyTo ! ProcessedMessage(
-                        aggregated,
-                        updatedState.context
-                      )
-                      idle(registry, activeTasks - convId, uiBus)
-                    else
-                      // Not satisfactory, attempt refinement: re-run last step with refinement hint
-                      updatedState.plan.steps.lastOption match
-                        case Some(lastStep) =>
-                          val refinedState = updatedState.copy(
-                            attempts = updatedState.attempts + 1,
-                            completed = updatedState.completed - lastStep.id,
-                            results = updatedState.results - lastStep.id,
-                            // Remove any stale mappings for this step id
-                            msgIdToStep = updatedState.msgIdToStep.filterNot {
-                              case (_, sid) => sid == lastStep.id
-                            }
-                          )
-                          val afterDispatch = dispatchSpecificStep(
-                            convId,
-                            refinedState,
-                            lastStep,
-                            registry,
-                            refinement = true,
-                            uiBus
-                          )
-                          coordinating(
-                            registry,
-                            activeTasks + (convId -> afterDispatch),
-                            uiBus
-                          )
-                        case None =>
-                          // No steps? Return empty aggregation
-                          val aggregated = aggregateResults(updatedState)
-                          updatedState.replyTo ! ProcessedMessage(
-                            aggregated,
-                            updatedState.context
-                          )
-                          idle(registry, activeTasks - convId, uiBus)
-                  else
-                    // Schedule further ready steps if any
-                    val nextState =
-                      dispatchReadySteps(convId, updatedState, registry, uiBus)
-                    coordinating(registry, activeTasks + (convId -> nextState), uiBus)
+                  if updatedState.failure.isDefined then
+                    // Parked after another step failed: keep the result for a later retry or skip
+                    coordinating(registry, activeTasks + (convId -> updatedState), uiBus)
+                  else advance(convId, updatedState, registry, activeTasks, uiBus)
 
       case failed: ProcessingFailed =>
         // Correlate failure using messageId -> stepId map across conversations
@@ -236,33 +351,52 @@ object CoordinatorAgent:
             case (cid, st) if st.msgIdToStep.contains(failed.messageId) =>
               (cid, st)
           }
-
-        ownerOpt match
-          case None =>
+        val discardedBy = activeTasks.collectFirst {
+          case (cid, st) if st.discarded.contains(failed.messageId) => (cid, st)
+        }
+
+        (ownerOpt, discardedBy) match
+          case (_, Some((cid, st))) =>
+            ctx.log.info(s"[$cid] Dropping failure of message ${failed.messageId}, replaced by an operator command")
+            coordinating(registry, activeTasks + (cid -> st.copy(discarded = st.discarded - failed.messageId)), uiBus)
+
+          case (None, None) =>
+            // With several conversations in flight there is no safe owner to fail; answers
+            // for cancelled conversations end up here too.
             ctx.log.warn(
               s"Uncorrelated ProcessingFailed for messageId=${failed.messageId}: ${failed.error}"
             )
-            // If we cannot correlate, fail the first active task (fallback)
-            activeTasks.headOption match
-              case Some((cid, st)) =>
-                st.replyTo ! failed
-                idle(registry, activeTasks - cid, uiBus)
-              case None =>
-                idle(registry, activeTasks, uiBus)
-
-          case Some((convId, state)) =>
+            next(registry, activeTasks, uiBus)
+
+          case (Some((convId, current)), None) =>
             withLogging(ctx, convId):
-              val stepId = state.msgIdToStep(failed.messageId)
+              val stepId = current.msgIdToStep(failed.messageId)
+              // The step's own attempt number, for telemetry; retrying is decided on the conversation's attempts
+              val attempt = current.stepAttempts.getOrElse(stepId, 0) + 1
+              val state   = current.copy(stepAttempts = current.stepAttempts.updated(stepId, attempt))
               ctx.log.warn(
                 s"Step '$stepId' failed for conversation $convId: ${failed.error}"
               )
+              def attemptFailed(willRetry: Boolean): Unit =
+                uiBus.foreach(_ ! UiEventBus.Publish(UiEventBus.StepAttemptFailed(
+                  convId,
+                  stepId,
+                  state.plan.byId(stepId).agentCapability,
+                  attempt,
+                  state.maxAttempts,
+                  failed.error,
+                  failed.errorClass,
+                  willRetry
+                )))
 
               // Non-retryable errors (e.g., agent not found) should fail fast without retries
               if failed.error.toLowerCase.contains("not found") then
+                attemptFailed(willRetry = false)
                 uiBus.foreach(_ ! UiEventBus.Publish(UiEventBus.ChatMessage(convId, "assistant", java.util.UUID.randomUUID().toString, s"Error: ${failed.error}", Some("coordinator"))))
                 state.replyTo ! failed
-                idle(registry, activeTasks - convId, uiBus)
+                next(registry, park(activeTasks, convId, state, stepId, failed, uiBus), uiBus)
               else if state.attempts < (state.maxAttempts - 1) then
+                attemptFailed(willRetry = true)
                 val refinedState = state.copy(
                   attempts = state.attempts + 1,
                   inProgress = state.inProgress - stepId,
@@ -282,9 +416,10 @@ object CoordinatorAgent:
                 coordinating(registry, activeTasks + (convId -> afterDispatch), uiBus)
               else
                 // Exhausted attempts - fail the whole conversation
+                attemptFailed(willRetry = false)
                 uiBus.foreach(_ ! UiEventBus.Publish(UiEventBus.ChatMessage(convId, "assistant", java.util.UUID.randomUUID().toString, s"Error: ${failed.error}", Some("coordinator"))))
                 state.replyTo ! failed
-                idle(registry, activeTasks - convId, uiBus)
+                next(registry, park(activeTasks, convId, state, stepId, failed, uiBus), uiBus)
 
       case Stop =>
         Behaviors.stopped
@@ -293,6 +428,250 @@ object CoordinatorAgent:
         ctx.log.debug(s"Ignoring message in coordinating: $other")
         Behaviors.same
 
+  // After a step completed (or was skipped): finish, refine, or dispatch the next ready steps
+  private def advance(
+      convId: String,
+      updatedState: TaskState,
+      registry: AgentRegistry,
+      activeTasks: Map[String, TaskState],
+      uiBus: Option[ActorRef[UiEventBus.Command]]
+  )(using ctx: ActorContext[Command], ec: ExecutionContext): Behavior[Command] =
+    // If all steps done and nothing in progress, evaluate satisfaction
+    val allSteps = updatedState.plan.steps.map(_.id).toSet
+    val doneNow =
+      updatedState.completed == allSteps && updatedState.inProgress.isEmpty
+    // A skipped final step has no result to refine
+    val lastSkipped = updatedState.plan.steps.lastOption.exists(s => updatedState.skipped.contains(s.id))
+
+    if doneNow then
+      val outcome = loopOutcome(updatedState, lastSkipped)
+      uiBus.foreach(_ ! UiEventBus.Publish(UiEventBus.LoopIteration(
+        convId,
+        updatedState.iteration,
+        updatedState.maxAttempts,
+        outcome,
+        aggregateResults(updatedState).content.text
+      )))
+      if outcome != Refining then
+        // Aggregate and reply
+        val aggregated = aggregateResults(updatedState)
+        ctx.log.info(s"[$convId] Aggregated final response length=${aggregated.content.text.length}")
+        uiBus.foreach(_ ! UiEventBus.Publish(UiEventBus.AggregateCompleted(convId, aggregated.content.text.length)))
+        // Publish final assistant message from coordinator to conversation console
+        uiBus.foreach(_ ! UiEventBus.Publish(UiEventBus.ChatMessage(convId, "assistant", aggregated.id, aggregated.content.text, aggregated.agentId)))
+        updatedState.replyTo ! ProcessedMessage(
+          aggregated,
+          updatedState.context
+        )
+        next(registry, activeTasks - convId, uiBus)
+      else
+        // Not satisfactory, attempt refinement: re-run last step with refinement hint
+        updatedState.plan.steps.lastOption match
+          case Some(lastStep) =>
+            val refinedState = updatedState.copy(
+              attempts = updatedState.attempts + 1,
+              iteration = updatedState.iteration + 1,
+              completed = updatedState.completed - lastStep.id,
+              results = updatedState.results - lastStep.id,
+              // Remove any stale mappings for this step id
+              msgIdToStep = updatedState.msgIdToStep.filterNot {
+                case (_, sid) => sid == lastStep.id
+              }
+            )
+            val afterDispatch = dispatchSpecificStep(
+              convId,
+              refinedState,
+              lastStep,
+              registry,
+              refinement = true,
+              uiBus
+            )
+            coordinating(
+              registry,
+              activeTasks + (convId -> afterDispatch),
+              uiBus
+            )
+          case None =>
+            // No steps? Return empty aggregation
+            val aggregated = aggregateResults(updatedState)
+            updatedState.replyTo ! ProcessedMessage(
+              aggregated,
+              updatedState.context
+            )
+            next(registry, activeTasks - convId, uiBus)
+    else
+      // Schedule further ready steps if any
+      val nextState =
+        dispatchReadySteps(convId, updatedState, registry, uiBus)
+      coordinating(registry, activeTasks + (convId -> nextState), uiBus)
+
+  // Keep a conversation whose step failed for good, so an operator can retry or skip the step
+  private def park(
+      activeTasks: Map[String, TaskState],
+      convId: String,
+      state: TaskState,
+      stepId: String,
+      failed: ProcessingFailed,
+      uiBus: Option[ActorRef[UiEventBus.Command]]
+  ): Map[String, TaskState] =
+    uiBus.foreach(_ ! UiEventBus.Publish(UiEventBus.StepFailed(convId, stepId, failed.error)))
+    val parked = state.copy(
+      inProgress = state.inProgress - stepId,
+      msgIdToStep = state.msgIdToStep - failed.messageId,
+      failure = Some(StepFailure(stepId, failed.error, System.currentTimeMillis()))
+    )
+    val withParked = activeTasks + (convId -> parked)
+    val parkedIds = withParked.collect { case (cid, st) if st.failure.isDefined => cid -> st.failure.get.at }
+    if parkedIds.size <= MaxParked then withParked
+    else withParked -- parkedIds.toSeq.sortBy(_._2).take(parkedIds.size - MaxParked).map(_._1)
+
+  // Operator commands. Every command is answered with ControlAccepted or ControlRejected.
+  private def control(
+      cmd: Command,
+      registry: AgentRegistry,
+      activeTasks: Map[String, TaskState],
+      uiBus: Option[ActorRef[UiEventBus.Command]]
+  )(using ctx: ActorContext[Command], ec: ExecutionContext): Behavior[Command] =
+    def reject(replyTo: ActorRef[ControlReply], reason: String): Behavior[Command] =
+      ctx.log.info(s"Rejected operator command: $reason")
+      replyTo ! ControlRejected(reason)
+      Behaviors.same
+
+    // Message ids currently dispatched for a step; their answers will be dropped
+    def dispatchedFor(st: TaskState, stepId: String): Set[String] =
+      st.msgIdToStep.collect { case (mid, sid) if sid == stepId => mid }.toSet
+
+    cmd match
+      case CancelConversation(convId, replyTo) =>
+        activeTasks.get(convId) match
+          case None => reject(replyTo, s"Conversation $convId is not running")
+          case Some(st) =>
+            withLogging(ctx, convId):
+              val reason = "Cancelled by operator"
+              ctx.log.info(s"[$convId] $reason")
+              uiBus.foreach(_ ! UiEventBus.Publish(UiEventBus.ConversationCancelled(convId, reason)))
+              // A parked conversation already reported its failure to the caller
+              if st.failure.isEmpty then st.replyTo ! ProcessingFailed(reason, st.requestId)
+              replyTo ! ControlAccepted(s"Cancelled conversation $convId")
+              next(registry, activeTasks - convId, uiBus)
+
+      case RetryStep(convId, stepId, replyTo) =>
+        activeTasks.get(convId) match
+          case None => reject(replyTo, s"Conversation $convId is not running")
+          case Some(st) if !st.plan.byId.contains(stepId) =>
+            reject(replyTo, s"Conversation $convId has no step $stepId")
+          case Some(st) if st.failure.exists(_.stepId != stepId) =>
+            reject(replyTo, s"Only the failed step ${st.failure.get.stepId} can be retried")
+          case Some(st) if st.failure.isEmpty && !st.inProgress.contains(stepId) =>
+            reject(replyTo, s"Step $stepId is not running or failed")
+          case Some(st) =>
+            withLogging(ctx, convId):
+              ctx.log.info(s"[$convId] Operator retry of step $stepId")
+              val stale = dispatchedFor(st, stepId)
+              val reset = st.copy(
+                inProgress = st.inProgress - stepId,
+                msgIdToStep = st.msgIdToStep -- stale,
+                discarded = st.discarded ++ stale,
+                failure = None
+              )
+              val step = st.plan.byId(stepId)
+              // A gated step the reviewer has not approved (e.g. one they rejected) goes back to the reviewer
+              if step.requiresApproval && !st.approved.contains(stepId) then
+                ctx.log.info(s"[$convId] Holding stepId=$stepId for approval again")
+                uiBus.foreach(_ ! UiEventBus.Publish(UiEventBus.ApprovalRequested(convId, stepId, step.agentCapability, step.instruction)))
+                replyTo ! ControlAccepted(s"Step $stepId is waiting for approval again")
+                coordinating(registry, activeTasks + (convId -> reset.copy(awaitingApproval = reset.awaitingApproval + stepId)), uiBus)
+              else
+                val afterDispatch = dispatchSpecificStep(convId, reset, step, registry, refinement = false, uiBus)
+                replyTo ! ControlAccepted(s"Retrying step $stepId")
+                coordinating(registry, activeTasks + (convId -> afterDispatch), uiBus)
+
+      case SkipStep(convId, stepId, replyTo) =>
+        activeTasks.get(convId) match
+          case None => reject(replyTo, s"Conversation $convId is not running")
+          case Some(st) if !st.plan.byId.contains(stepId) =>
+            reject(replyTo, s"Conversation $convId has no step $stepId")
+          case Some(st) if st.completed.contains(stepId) =>
+            reject(replyTo, s"Step $stepId already completed")
+          case Some(st) =>
+            withLogging(ctx, convId):
+              ctx.log.info(s"[$convId] Operator skipped step $stepId")
+              val stale = dispatchedFor(st, stepId)
+              val skippedState = st.copy(
+                completed = st.completed + stepId,
+                skipped = st.skipped + stepId,
+                inProgress = st.inProgress - stepId,
+                awaitingApproval = st.awaitingApproval - stepId,
+                msgIdToStep = st.msgIdToStep -- stale,
+                discarded = st.discarded ++ stale,
+                failure = st.failure.filterNot(_.stepId == stepId)
+              )
+              uiBus.foreach(_ ! UiEventBus.Publish(UiEventBus.StepSkipped(convId, stepId)))
+              replyTo ! ControlAccepted(s"Skipped step $stepId")
+              if skippedState.failure.isDefined then
+                coordinating(registry, activeTasks + (convId -> skippedState), uiBus)
+              else advance(convId, skippedState, registry, activeTasks, uiBus)
+
+      case ResolveApproval(convId, stepId, decision, replyTo) =>
+        activeTasks.get(convId) match
+          case None => reject(replyTo, s"Conversation $convId is not running")
+          case Some(st) if !st.awaitingApproval.contains(stepId) =>
+            reject(replyTo, s"Step $stepId is not waiting for approval")
+          case Some(st) if st.failure.isDefined && decision.isInstanceOf[ApprovalDecision.Reject] =>
+            reject(replyTo, s"Conversation $convId is parked on failed step ${st.failure.get.stepId}; retry or skip it first")
+          case Some(st) =>
+            withLogging(ctx, convId):
+              val held = st.copy(awaitingApproval = st.awaitingApproval - stepId)
+              // Only an approval or an answer lets the step through; a rejected step is gated again on retry
+              val decided = held.copy(approved = st.approved + stepId)
+              def resolved(outcome: String, text: String = ""): Unit =
+                uiBus.foreach(_ ! UiEventBus.Publish(UiEventBus.ApprovalResolved(convId, stepId, outcome, text)))
+
+              decision match
+                case ApprovalDecision.Approve(instruction) =>
+                  val edited = instruction.map(_.trim).filter(_.nonEmpty)
+                  val step = edited.fold(st.plan.byId(stepId))(i => st.plan.byId(stepId).copy(instruction = i))
+                  ctx.log.info(s"[$convId] Reviewer approved step $stepId${if edited.isDefined then " with an edited instruction" else ""}")
+                  resolved(if edited.isDefined then "edited" else "approved", edited.getOrElse(""))
+                  val withStep = decided.copy(plan = TaskPlan(st.plan.steps.map(s => if s.id == stepId then step else s)))
+                  val afterDispatch = dispatchSpecificStep(convId, withStep, step, registry, refinement = false, uiBus)
+                  replyTo ! ControlAccepted(s"Approved step $stepId")
+                  coordinating(registry, activeTasks + (convId -> afterDispatch), uiBus)
+
+                case ApprovalDecision.Reject(reason) =>
+                  val error = if reason.trim.nonEmpty then s"Rejected by reviewer: ${reason.trim}" else "Rejected by reviewer"
+                  ctx.log.info(s"[$convId] $error (step $stepId)")
+                  resolved("rejected", reason.trim)
+                  uiBus.foreach(_ ! UiEventBus.Publish(UiEventBus.ChatMessage(convId, "assistant", java.util.UUID.randomUUID().toString, s"Error: $error", Some("coordinator"))))
+                  st.replyTo ! ProcessingFailed(error, st.requestId, "ApprovalRejected")
+                  replyTo ! ControlAccepted(s"Rejected step $stepId")
+                  next(registry, park(activeTasks, convId, held, stepId, ProcessingFailed(error, "", "ApprovalRejected"), uiBus), uiBus)
+
+                case ApprovalDecision.Answer(text) if text.trim.isEmpty =>
+                  reject(replyTo, "The answer must not be empty")
+
+                case ApprovalDecision.Answer(text) =>
+                  ctx.log.info(s"[$convId] Reviewer answered step $stepId")
+                  // A human answer ends refinement loops on this step
+                  val answer = Message(
+                    role = MessageRole.Assistant,
+                    content = MessageContent(text, metadata = Map("satisfied" -> "true")),
+                    conversationId = convId,
+                    agentId = Some("human")
+                  )
+                  resolved("answered")
+                  uiBus.foreach(_ ! UiEventBus.Publish(UiEventBus.ChatMessage(convId, "assistant", answer.id, text, answer.agentId)))
+                  uiBus.foreach(_ ! UiEventBus.Publish(UiEventBus.StepCompleted(convId, stepId)))
+                  val answered = decided.copy(results = st.results + (stepId -> answer), completed = st.completed + stepId)
+                  replyTo ! ControlAccepted(s"Answered step $stepId")
+                  if answered.failure.isDefined then
+                    coordinating(registry, activeTasks + (convId -> answered), uiBus)
+                  else advance(convId, answered, registry, activeTasks, uiBus)
+
+      case other =>
+        ctx.log.debug(s"Not an operator command: $other")
+        Behaviors.same
+
   // Planner: consult receptionist for available agents by capability name and inferred skills,
   // then construct a DAG plan. Steps of the approach:
   // 1) Ask receptionist about skills suitable for task (heuristic inference + capability availability check)
@@ -417,15 +796,25 @@ object CoordinatorAgent:
 
     TaskPlan(steps.toSeq)
 
-  // Decide if the final result is satisfactory
-  private def isSatisfactory(state: TaskState): Boolean =
+  // Decide if the final result is satisfactory: "satisfied" by its metadata, "done" by the [done] marker
+  private def satisfaction(state: TaskState): Option[String] =
     state.plan.steps.lastOption
       .flatMap(s => state.results.get(s.id))
-      .exists: m =>
+      .flatMap: m =>
         val mdOk =
           m.content.metadata.get("satisfied").exists(_.equalsIgnoreCase("true"))
         val textOk = m.content.text.toLowerCase.contains("[done]")
-        mdOk || textOk
+        if mdOk then Some("satisfied") else Option.when(textOk)("done")
+
+  // Outcome of a pass of the refinement loop (UiEventBus.LoopIteration): why the loop ends after it,
+  // or Refining when the last step runs again
+  private val Refining = "refining"
+
+  private def loopOutcome(state: TaskState, lastSkipped: Boolean): String =
+    satisfaction(state)
+      .orElse(Option.when(lastSkipped)("skipped"))
+      .orElse(Option.when(state.attempts >= (state.maxAttempts - 1))("maxAttempts"))
+      .getOrElse(Refining)
 
   // Build a final aggregated message across all steps (topological order)
   private def aggregateResults(state: TaskState): Message =
@@ -458,13 +847,18 @@ object CoordinatorAgent:
     val ready = state.plan.steps.filter { s =>
       !completedSet.contains(s.id) &&
       !inProg.contains(s.id) &&
+      !state.awaitingApproval.contains(s.id) &&
       s.dependencies.forall(dep => completedSet.contains(dep))
     }
 
     ctx.log.info(s"[$convId] Ready steps: ${ready.map(_.id).mkString(",")}")
 
     ready.foldLeft(state) { (acc, step) =>
-      dispatchSpecificStep(convId, acc, step, registry, refinement = false, uiBus)
+      if step.requiresApproval && !acc.approved.contains(step.id) then
+        ctx.log.info(s"[$convId] Holding stepId=${step.id} for approval")
+        uiBus.foreach(_ ! UiEventBus.Publish(UiEventBus.ApprovalRequested(convId, step.id, step.agentCapability, step.instruction)))
+        acc.copy(awaitingApproval = acc.awaitingApproval + step.id)
+      else dispatchSpecificStep(convId, acc, step, registry, refinement = false, uiBus)
     }
 
   // Dispatch a specific step with optional refinement instruction
@@ -478,9 +872,9 @@ object CoordinatorAgent:
   )(using ctx: ActorContext[Command], ec: ExecutionContext): TaskState =
     val depsContextText =
       if step.dependencies.nonEmpty then
+        // Skipped dependencies have no result; pair before dropping them
         step.dependencies
-          .flatMap(state.results.get)
-          .zip(step.dependencies)
+          .flatMap(depId => state.results.get(depId).map(_ -> depId))
           .map { case (msg, depId) =>
             val who = msg.agentId.getOrElse("agent")
             s"- [$depId][$who]: ${msg.content.text}"
@@ -526,17 +920,18 @@ object CoordinatorAgent:
         NoOp
       case Success(None) =>
         ctx.log.warn(s"[$convId] Agent '${step.agentCapability}' not found for stepId=${step.id}, msgId=${userMsg.id}")
-        uiBus.foreach(_ ! UiEventBus.Publish(UiEventBus.ErrorEvent(convId, s"Agent '${step.agentCapability}' not found for stepId=${step.id}")))
+        uiBus.foreach(_ ! UiEventBus.Publish(UiEventBus.ErrorEvent(convId, s"Agent '${step.agentCapability}' not found for stepId=${step.id}", stepId = Some(step.id), errorClass = Some("AgentNotFound"))))
         uiBus.foreach(_ ! UiEventBus.Publish(UiEventBus.ChatMessage(convId, "assistant", java.util.UUID.randomUUID().toString, s"Error: Agent '${step.agentCapability}' not found for stepId=${step.id}", Some("coordinator"))))
         ProcessingFailed(
           s"Agent '${step.agentCapability}' not found",
-          userMsg.id
+          userMsg.id,
+          "AgentNotFound"
         )
       case Failure(ex) =>
         ctx.log.error(s"[$convId] Failed to resolve capability '${step.agentCapability}' for stepId=${step.id}, msgId=${userMsg.id}", ex)
-        uiBus.foreach(_ ! UiEventBus.Publish(UiEventBus.ErrorEvent(convId, s"Failed to resolve '${step.agentCapability}' for stepId=${step.id}: ${ex.getMessage}")))
+        uiBus.foreach(_ ! UiEventBus.Publish(UiEventBus.ErrorEvent(convId, s"Failed to resolve '${step.agentCapability}' for stepId=${step.id}: ${ex.getMessage}", stepId = Some(step.id), errorClass = Some(ex.getClass.getSimpleName))))
         uiBus.foreach(_ ! UiEventBus.Publish(UiEventBus.ChatMessage(convId, "assistant", java.util.UUID.randomUUID().toString, s"Error: Failed to resolve '${step.agentCapability}' for stepId=${step.id}: ${ex.getMessage}", Some("coordinator"))))
-        ProcessingFailed(ex.getMessage, userMsg.id)
+        ProcessingFailed(ex.getMessage, userMsg.id, ex.getClass.getSimpleName)
 
     state.copy(
       inProgress = state.inProgress + step.id,
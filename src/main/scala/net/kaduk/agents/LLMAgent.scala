@@ -2,16 +2,17 @@ package net.kaduk.agents
 
 import org.apache.pekko.actor.typed.{ActorRef, Behavior}
 import org.apache.pekko.actor.typed.scaladsl.{ActorContext, Behaviors}
-import org.apache.pekko.stream.scaladsl.{Sink, Source}
 import org.apache.pekko.stream.Materializer
 import org.apache.pekko.actor.typed.{PostStop, Signal}
 import net.kaduk.domain.*
 import net.kaduk.infrastructure.llm.LLMProvider
 import net.kaduk.infrastructure.registry.AgentRegistry
+import net.kaduk.streaming.TokenStreamProcessor
 import net.kaduk.agents.BaseAgent.*
 import net.kaduk.telemetry.UiEventBus
 import scala.concurrent.{ExecutionContext, Future}
 import scala.util.{Success, Failure}
+import java.util.concurrent.atomic.AtomicInteger
 
 object LLMAgent:
   
@@ -46,13 +47,14 @@ object LLMAgent:
           uiBus.foreach(_ => UiEventBus) // keep import alive if optimized
           uiBus.foreach(_ ! UiEventBus.Publish(UiEventBus.AgentStart(context.id, capability.name, stepId, message.id, refinement.equalsIgnoreCase("true"))))
 
-          ctx.pipeToSelf(
-            provider.completion(
-              context.messages.toSeq :+ message,
-              capability.config.getOrElse("systemPrompt", "You are a helpful assistant")
-            )
-          ) {
-            case Success(response) =>
+          val completionFuture = streamWithTelemetry(
+            capability, provider, message, context, stepId,
+            capability.config.getOrElse("systemPrompt", "You are a helpful assistant"),
+            uiBus
+          )(_ => ())
+
+          ctx.pipeToSelf(completionFuture) {
+            case Success((response, usage)) =>
               val responseMsg = Message(
                 role = MessageRole.Assistant,
                 content = MessageContent(response),
@@ -60,16 +62,16 @@ object LLMAgent:
                 agentId = Some(ctx.self.path.name)
               )
               val updatedContext = context.addMessage(message).addMessage(responseMsg)
-              ctx.log.info(s"[${capability.name}] Completed stepId=$stepId responseMsgId=${responseMsg.id} len=${response.length}")
-              uiBus.foreach(_ ! UiEventBus.Publish(UiEventBus.AgentComplete(context.id, capability.name, stepId, responseMsg.id, response.length)))
-              uiBus.foreach(_ ! UiEventBus.Publish(UiEventBus.ChatMessage(context.id, "assistant", responseMsg.id, response, Some(ctx.self.path.name))))
+              ctx.log.info(s"[${capability.name}] Completed stepId=$stepId responseMsgId=${responseMsg.id} len=${response.length} tokens=${usage.promptTokens}+${usage.completionTokens}")
+              uiBus.foreach(_ ! UiEventBus.Publish(UiEventBus.AgentComplete(context.id, capability.name, stepId, responseMsg.id, response.length, provider.name, Some(usage))))
+              uiBus.foreach(_ ! UiEventBus.Publish(UiEventBus.ChatMessage(context.id, "assistant", responseMsg.id, response, Some(capability.name))))
               replyTo ! ProcessedMessage(responseMsg, updatedContext)
               NoOp // Return to idle via processing handler
             case Failure(ex) =>
               ctx.log.error(s"[${capability.name}] LLM completion failed for stepId=$stepId", ex)
-              uiBus.foreach(_ ! UiEventBus.Publish(UiEventBus.ErrorEvent(context.id, ex.getMessage)))
-              uiBus.foreach(_ ! UiEventBus.Publish(UiEventBus.ChatMessage(context.id, "assistant", java.util.UUID.randomUUID().toString, s"Error: ${ex.getMessage}", Some(ctx.self.path.name))))
-              replyTo ! ProcessingFailed(ex.getMessage, message.id)
+              uiBus.foreach(_ ! UiEventBus.Publish(UiEventBus.ErrorEvent(context.id, ex.getMessage, Some(capability.name), Some(stepId), Some(ex.getClass.getSimpleName))))
+              uiBus.foreach(_ ! UiEventBus.Publish(UiEventBus.ChatMessage(context.id, "assistant", java.util.UUID.randomUUID().toString, s"Error: ${ex.getMessage}", Some(capability.name))))
+              replyTo ! ProcessingFailed(ex.getMessage, message.id, ex.getClass.getSimpleName)
               NoOp
           }
 
@@ -84,17 +86,15 @@ object LLMAgent:
           ctx.log.info(s"[${capability.name}] Streaming start stepId=$stepId refinement=$refinement msgId=${message.id}")
           uiBus.foreach(_ ! UiEventBus.Publish(UiEventBus.AgentStart(context.id, capability.name, stepId, message.id, refinement.equalsIgnoreCase("true"))))
 
-          given Materializer = Materializer(ctx.system)
-
-          val stream = provider.streamCompletion(
-            context.messages.toSeq :+ message,
-            capability.config.getOrElse("systemPrompt", "")
-          )
-
-          val completionFuture = stream.runWith(Sink.fold("")(_ + _.content))
+          // Chunks go both to the caller and to the UI; the stream is materialized once
+          val completionFuture = streamWithTelemetry(
+            capability, provider, message, context, stepId,
+            capability.config.getOrElse("systemPrompt", ""),
+            uiBus
+          )(chunk => replyTo ! StreamChunk(chunk.content, chunk.messageId))
 
           ctx.pipeToSelf(completionFuture) {
-            case Success(fullResponse) =>
+            case Success((fullResponse, usage)) =>
               val responseMsg = Message(
                 role = MessageRole.Assistant,
                 content = MessageContent(fullResponse),
@@ -102,24 +102,19 @@ object LLMAgent:
                 agentId = Some(ctx.self.path.name)
               )
               val updatedContext = context.addMessage(message).addMessage(responseMsg)
-              ctx.log.info(s"[${capability.name}] Streaming complete stepId=$stepId responseMsgId=${responseMsg.id} len=${fullResponse.length}")
-              uiBus.foreach(_ ! UiEventBus.Publish(UiEventBus.AgentComplete(context.id, capability.name, stepId, responseMsg.id, fullResponse.length)))
-              uiBus.foreach(_ ! UiEventBus.Publish(UiEventBus.ChatMessage(context.id, "assistant", responseMsg.id, fullResponse, Some(ctx.self.path.name))))
+              ctx.log.info(s"[${capability.name}] Streaming complete stepId=$stepId responseMsgId=${responseMsg.id} len=${fullResponse.length} tokens=${usage.promptTokens}+${usage.completionTokens}")
+              uiBus.foreach(_ ! UiEventBus.Publish(UiEventBus.AgentComplete(context.id, capability.name, stepId, responseMsg.id, fullResponse.length, provider.name, Some(usage))))
+              uiBus.foreach(_ ! UiEventBus.Publish(UiEventBus.ChatMessage(context.id, "assistant", responseMsg.id, fullResponse, Some(capability.name))))
               replyTo ! StreamComplete(responseMsg)
               NoOp
             case Failure(ex) =>
               ctx.log.error(s"[${capability.name}] Streaming failed for stepId=$stepId", ex)
-              uiBus.foreach(_ ! UiEventBus.Publish(UiEventBus.ErrorEvent(context.id, ex.getMessage)))
-              uiBus.foreach(_ ! UiEventBus.Publish(UiEventBus.ChatMessage(context.id, "assistant", java.util.UUID.randomUUID().toString, s"Error: ${ex.getMessage}", Some(ctx.self.path.name))))
+              uiBus.foreach(_ ! UiEventBus.Publish(UiEventBus.ErrorEvent(context.id, ex.getMessage, Some(capability.name), Some(stepId), Some(ex.getClass.getSimpleName))))
+              uiBus.foreach(_ ! UiEventBus.Publish(UiEventBus.ChatMessage(context.id, "assistant", java.util.UUID.randomUUID().toString, s"Error: ${ex.getMessage}", Some(capability.name))))
               replyTo ! StreamError(ex.getMessage)
               NoOp
           }
 
-          // Stream tokens to replyTo
-          stream.runForeach { token =>
-            replyTo ! StreamChunk(token.content, token.messageId)
-          }
-
           processing(capability, provider, registry, conversations + (context.id -> context), replyTo, uiBus)
         }
 
@@ -127,6 +122,10 @@ object LLMAgent:
         ctx.log.debug("Status check")
         Behaviors.same
 
+      case GetAgentStatus(replyTo) =>
+        replyTo ! AgentStatusResponse(AgentStatus.Idle.toString, 0)
+        Behaviors.same
+
       case Stop =>
         ctx.log.info("Shutting down LLM agent")
         registry.deregister(ctx.self, capability)
@@ -146,6 +145,35 @@ object LLMAgent:
       case as: AgentStatusResponse =>
         ctx.log.debug(s"Ignoring nested AgentStatusResponse in idle")
         Behaviors.same
+
+      case cmd @ (_: CancelConversation | _: RetryStep | _: SkipStep | _: ResolveApproval | _: ExecutePlan) =>
+        ctx.log.debug(s"Ignoring operator command meant for the coordinator: $cmd")
+        Behaviors.same
+    }
+
+  // Runs the provider stream, publishing each coalesced chunk as an AgentDelta keyed by the
+  // request message id (the one announced in AgentStart), and completes with the full text and
+  // its token usage (as reported by the provider, else estimated from the prompt and the text).
+  private def streamWithTelemetry(
+    capability: AgentCapability,
+    provider: LLMProvider,
+    message: Message,
+    context: ConversationContext,
+    stepId: String,
+    systemPrompt: String,
+    uiBus: Option[ActorRef[UiEventBus.Command]]
+  )(onChunk: StreamToken => Unit)(using ctx: ActorContext[Command]): Future[(String, TokenUsage)] =
+    given Materializer = Materializer(ctx.system)
+    given ExecutionContext = ctx.executionContext
+    val index  = AtomicInteger(0)
+    val prompt = context.messages.toSeq :+ message
+    TokenStreamProcessor.run(provider.streamCompletion(prompt, systemPrompt)) { chunk =>
+      uiBus.foreach(_ ! UiEventBus.Publish(
+        UiEventBus.AgentDelta(context.id, capability.name, stepId, message.id, index.getAndIncrement(), chunk.content)
+      ))
+      onChunk(chunk)
+    }.map { result =>
+      result.text -> result.usage.getOrElse(TokenUsage.estimate(systemPrompt +: prompt.map(_.content.text), result.text))
     }
 
   private def processing(
@@ -165,6 +193,10 @@ object LLMAgent:
       case NoOp =>
         idle(capability, provider, registry, conversations, uiBus)
 
+      case GetAgentStatus(replyTo) =>
+        replyTo ! AgentStatusResponse(AgentStatus.Busy.toString, 1)
+        Behaviors.same
+
       case _ =>
         ctx.log.warn("Ignoring message while processing")
         Behaviors.same
@@ -1,6 +1,7 @@
 package net.kaduk.config
 
 import com.typesafe.config.{Config, ConfigFactory}
+import scala.concurrent.duration.*
 import scala.jdk.CollectionConverters.*
 
 case class LLMProviderConfig(
@@ -19,9 +20,14 @@ case class AgentConfig(
   capability: Option[String] = None
 )
 
+// historyDir: where EventStore keeps telemetry history; None disables it. historyMaxConversations
+// and historyMaxAge limit what it keeps; None keeps everything
 case class AppConfig(
   llmProviders: Map[String, LLMProviderConfig],
-  agents: Map[String, AgentConfig]
+  agents: Map[String, AgentConfig],
+  historyDir: Option[String] = None,
+  historyMaxConversations: Option[Int] = None,
+  historyMaxAge: Option[FiniteDuration] = None
 )
 
 object AppConfig:
@@ -58,4 +64,15 @@ object AppConfig:
         )
       .toMap
     
-    AppConfig(llmProviders, agents)
+    val historyDir =
+      if config.hasPath("telemetry.history-dir") then Some(config.getString("telemetry.history-dir")).filter(_.trim.nonEmpty)
+      else None
+    // 0 (or a missing setting) disables the limit
+    val historyMaxConversations =
+      if config.hasPath("telemetry.history-max-conversations") then Some(config.getInt("telemetry.history-max-conversations")).filter(_ > 0)
+      else None
+    val historyMaxAge =
+      if config.hasPath("telemetry.history-max-age") then Some(config.getDuration("telemetry.history-max-age").toMillis.millis).filter(_ > Duration.Zero)
+      else None
+
+    AppConfig(llmProviders, agents, historyDir, historyMaxConversations, historyMaxAge)
@@ -21,9 +21,21 @@ case class StreamToken(
   content: String,
   messageId: String,
   isComplete: Boolean = false,
-  error: Option[String] = None
+  error: Option[String] = None,
+  usage: Option[TokenUsage] = None // set on the token that carries the provider's usage report
 )
 
+// Tokens spent on one completion; estimated when the provider's API does not report them
+case class TokenUsage(promptTokens: Int, completionTokens: Int, estimated: Boolean = false)
+
+object TokenUsage:
+  // Rough rule of thumb for English text with BPE tokenizers
+  private val CharsPerToken = 4.0
+
+  def estimate(prompt: Seq[String], completion: String): TokenUsage =
+    def tokens(s: String) = math.ceil(s.length / CharsPerToken).toInt
+    TokenUsage(prompt.map(tokens).sum, tokens(completion), estimated = true)
+
 case class ConversationContext(
   id: String,
   messages: Vector[Message] = Vector.empty,
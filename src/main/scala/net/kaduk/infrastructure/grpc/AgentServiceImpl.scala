@@ -50,7 +50,7 @@ class AgentServiceImpl(
     coordinatorRef.ask[Any](replyTo => BaseAgent.ProcessMessage(msg, ctx, replyTo)).map {
       case BaseAgent.ProcessedMessage(message, _) =>
         Source.single(ChatResponse(message.id, message.content.text, isComplete = true))
-      case BaseAgent.ProcessingFailed(error, msgId) =>
+      case BaseAgent.ProcessingFailed(error, msgId, _) =>
         Source.single(ChatResponse(msgId, "", isComplete = true, error = error))
       case _ =>
         Source.single(ChatResponse("", "", isComplete = true, error = "Unknown response"))
@@ -0,0 +1,167 @@
+package net.kaduk.infrastructure.llm
+
+import org.apache.pekko.NotUsed
+import org.apache.pekko.actor.typed.ActorSystem
+import org.apache.pekko.http.scaladsl.Http
+import org.apache.pekko.http.scaladsl.model.*
+import org.apache.pekko.http.scaladsl.model.headers.RawHeader
+import org.apache.pekko.stream.scaladsl.{Flow, Framing, Source}
+import org.apache.pekko.util.ByteString
+import net.kaduk.domain.{Message, MessageRole, StreamToken, TokenUsage}
+import net.kaduk.telemetry.MiniJson
+import net.kaduk.telemetry.MiniJson.*
+import scala.concurrent.{ExecutionContext, Future}
+import scala.concurrent.duration.*
+
+/** Streaming chat completions over plain pekko-http.
+  *
+  * The cequence client only returns whole completions, so the providers post the streaming
+  * request themselves and turn every server-sent event (OpenAI, Anthropic) or NDJSON line
+  * (Ollama) into a StreamToken as soon as it arrives. The token counts the APIs report at the
+  * end of a stream travel on a final token's usage; without them LLMAgent estimates instead.
+  */
+object ChatStreams:
+
+  // Longest single line accepted from a provider stream
+  private val MaxLineBytes = 1024 * 1024
+
+  /** POSTs a JSON body and emits the response body line by line. A non-2xx answer fails the
+    * stream with the status and the start of the error body.
+    */
+  def postLines(uri: String, headers: Seq[(String, String)], body: String)(using
+      system: ActorSystem[?]
+  ): Source[String, NotUsed] =
+    given ExecutionContext = system.executionContext
+    val request = HttpRequest(
+      method = HttpMethods.POST,
+      uri = uri,
+      headers = headers.map((name, value) => RawHeader(name, value)).toList,
+      entity = HttpEntity(ContentTypes.`application/json`, body)
+    )
+    Source
+      .futureSource(
+        Http().singleRequest(request).flatMap: response =>
+          if response.status.isSuccess then Future.successful(response.entity.withoutSizeLimit.dataBytes)
+          else
+            response.entity.toStrict(5.seconds).map: strict =>
+              throw IllegalStateException(s"$uri answered ${response.status}: ${strict.data.utf8String.take(500)}")
+      )
+      .via(Framing.delimiter(ByteString("\n"), MaxLineBytes, allowTruncation = true))
+      .map(_.utf8String.stripSuffix("\r"))
+      .mapMaterializedValue(_ => NotUsed)
+
+  /** Payloads of the `data:` lines of a server-sent event stream, up to OpenAI's `[DONE]` marker. */
+  val sseData: Flow[String, String, NotUsed] =
+    Flow[String]
+      .collect { case line if line.startsWith("data:") => line.drop(5).trim }
+      .takeWhile(_ != "[DONE]")
+
+  /** Tokens of an OpenAI `chat/completions` SSE stream; usage comes in a last chunk without
+    * choices when the request sets `stream_options.include_usage`.
+    */
+  val openAITokens: Flow[String, StreamToken, NotUsed] =
+    Flow[String].mapConcat: data =>
+      parsed(data, "") { json =>
+        val id     = json.str("id").getOrElse("")
+        val choice = json.arr("choices").flatMap(_.headOption)
+        val text   = choice.flatMap(_.field("delta")).flatMap(_.str("content")).getOrElse("")
+        val done   = choice.exists(_.str("finish_reason").isDefined)
+        val usage  = json.field("usage").flatMap(usageOf(_, "prompt_tokens", "completion_tokens"))
+        errorOf(json) match
+          case Some(err) => List(StreamToken("", id, error = Some(err)))
+          case None if text.nonEmpty || done || usage.isDefined =>
+            List(StreamToken(text, id, isComplete = done, usage = usage))
+          case None => Nil
+      }
+
+  /** Tokens of an Anthropic `messages` SSE stream. The message id and the input token count
+    * arrive in `message_start`, the output token count in `message_delta`.
+    */
+  val anthropicTokens: Flow[String, StreamToken, NotUsed] =
+    Flow[String].statefulMapConcat { () =>
+      var messageId   = ""
+      var inputTokens = 0
+      data =>
+        parsed(data, messageId) { json =>
+          json.str("type") match
+            case Some("message_start") =>
+              val message = json.field("message")
+              messageId = message.flatMap(_.str("id")).getOrElse(messageId)
+              inputTokens = message.flatMap(_.field("usage")).flatMap(_.int("input_tokens")).getOrElse(inputTokens)
+              Nil
+            case Some("content_block_delta") =>
+              json.field("delta").flatMap(_.str("text")).map(StreamToken(_, messageId)).toList
+            case Some("message_delta") =>
+              json.field("usage").flatMap(_.int("output_tokens")).toList.map: output =>
+                StreamToken("", messageId, usage = Some(TokenUsage(inputTokens, output)))
+            case Some("message_stop") =>
+              List(StreamToken("", messageId, isComplete = true))
+            case Some("error") =>
+              List(StreamToken("", messageId, error = Some(errorOf(json).getOrElse("Anthropic stream error"))))
+            case _ => Nil
+        }
+    }
+
+  /** Tokens of an Ollama `/api/chat` NDJSON stream, which carries no message id of its own.
+    * The final `done` line holds the token counts.
+    */
+  def ollamaTokens(messageId: String): Flow[String, StreamToken, NotUsed] =
+    Flow[String]
+      .filter(_.trim.nonEmpty)
+      .mapConcat: line =>
+        parsed(line, messageId) { json =>
+          val text  = json.field("message").flatMap(_.str("content")).getOrElse("")
+          val done  = json.bool("done").contains(true)
+          val usage = if done then usageOf(json, "prompt_eval_count", "eval_count") else None
+          errorOf(json) match
+            case Some(err)                     => List(StreamToken("", messageId, error = Some(err)))
+            case None if text.nonEmpty || done => List(StreamToken(text, messageId, isComplete = done, usage = usage))
+            case None                          => Nil
+        }
+
+  /** Conversation as (role, text) pairs in the OpenAI/Ollama role vocabulary, led by the system
+    * prompt if there is one; agent output is passed on as a user turn naming the agent.
+    */
+  def chatTurns(messages: Seq[Message], systemPrompt: String): Seq[(String, String)] =
+    val turns = messages.map: msg =>
+      msg.role match
+        case MessageRole.User      => "user" -> msg.content.text
+        case MessageRole.Assistant => "assistant" -> msg.content.text
+        case MessageRole.System    => "system" -> msg.content.text
+        case MessageRole.Agent     => "user" -> s"[Agent ${msg.agentId.getOrElse("unknown")}]: ${msg.content.text}"
+    Seq("system" -> systemPrompt).filter(_._2.nonEmpty) ++ turns
+
+  def turnsJson(turns: Seq[(String, String)]): String =
+    turns.map((role, text) => s"""{"role":${quote(role)},"content":${quote(text)}}""").mkString("[", ",", "]")
+
+  /** JSON string literal, escaping every control character. */
+  def quote(s: String): String =
+    val sb = StringBuilder("\"")
+    s.foreach {
+      case '"'          => sb ++= "\\\""
+      case '\\'         => sb ++= "\\\\"
+      case '\n'         => sb ++= "\\n"
+      case '\r'         => sb ++= "\\r"
+      case '\t'         => sb ++= "\\t"
+      case c if c < ' ' => sb ++= f"\\u${c.toInt}%04x"
+      case c            => sb += c
+    }
+    (sb += '"').result()
+
+  private def usageOf(json: MiniJson.JValue, promptField: String, completionField: String): Option[TokenUsage] =
+    for
+      prompt     <- json.int(promptField)
+      completion <- json.int(completionField)
+    yield TokenUsage(prompt, completion)
+
+  private def errorOf(json: MiniJson.JValue): Option[String] =
+    json.field("error").flatMap {
+      case MiniJson.JValue.JStr(message) => Some(message)
+      case obj                           => obj.str("message")
+    }
+
+  // An unreadable event ends the completion with an error token rather than dropping text silently
+  private def parsed(data: String, messageId: String)(f: MiniJson.JValue => List[StreamToken]): List[StreamToken] =
+    MiniJson.parse(data) match
+      case Right(json) => f(json)
+      case Left(err)   => List(StreamToken("", messageId, error = Some(s"Unreadable stream event: $err")))
@@ -15,7 +15,9 @@ import io.cequence.openaiscala.anthropic.domain.settings.AnthropicCreateMessageS
 
 class ClaudeProvider(
     apiKey: String,
-    model: String = "claude-3-5-sonnet-20240620"
+    model: String = "claude-3-5-sonnet-20240620",
+    apiUrl: String = "https://api.anthropic.com/v1",
+    maxTokens: Int = 4096
 )(using system: ActorSystem[?], ec: ExecutionContext)
     extends LLMProvider:
 
@@ -31,22 +33,20 @@ class ClaudeProvider(
       messages: Seq[Message],
       systemPrompt: String
   ): Source[StreamToken, NotUsed] =
-    val claudeMessages = toClaudeMessages(messages, systemPrompt)
-
-    // Use non-streaming for now as streaming requires additional setup
-    Source.future(
-      service
-        .createChatCompletion(
-          messages = claudeMessages,
-          settings = CreateChatCompletionSettings(model = model)
-        )
-        .map: completion =>
-          StreamToken(
-            content = completion.choices.head.message.content,
-            messageId = completion.id,
-            isComplete = true
-          )
-    )
+    // Anthropic takes the system prompt apart from the turns, which may only be user or assistant
+    val (systemTurns, turns) = ChatStreams.chatTurns(messages, systemPrompt).partition(_._1 == "system")
+    val systemText = systemTurns.map(_._2).mkString("\n\n")
+    val body =
+      s"""{"model":${ChatStreams.quote(model)},"max_tokens":$maxTokens,"stream":true,""" +
+        s""""system":${ChatStreams.quote(systemText)},"messages":${ChatStreams.turnsJson(turns)}}"""
+    ChatStreams
+      .postLines(
+        s"${apiUrl.stripSuffix("/")}/messages",
+        Seq("x-api-key" -> apiKey, "anthropic-version" -> "2023-06-01"),
+        body
+      )
+      .via(ChatStreams.sseData)
+      .via(ChatStreams.anthropicTokens)
 
   override def completion(
       messages: Seq[Message],
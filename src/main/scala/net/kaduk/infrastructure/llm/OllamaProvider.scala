@@ -26,19 +26,12 @@ class OllamaProvider(
     messages: Seq[Message],
     systemPrompt: String
   ): Source[StreamToken, NotUsed] =
-    val ollamaMessages = toOllamaMessages(messages, systemPrompt)
-    
-    Source.future(
-      service.createChatCompletion(
-        messages = ollamaMessages,
-        settings = CreateChatCompletionSettings(model = ModelId.gpt_3_5_turbo) // Use generic model
-      ).map: completion =>
-        StreamToken(
-          content = completion.choices.head.message.content,
-          messageId = completion.id,
-          isComplete = true
-        )
-    )
+    // The native /api/chat endpoint streams one JSON object per line
+    val turns = ChatStreams.chatTurns(messages, systemPrompt)
+    val body = s"""{"model":${ChatStreams.quote(model)},"stream":true,"messages":${ChatStreams.turnsJson(turns)}}"""
+    ChatStreams
+      .postLines(s"${baseUrl.stripSuffix("/").stripSuffix("/v1")}/api/chat", Seq.empty, body)
+      .via(ChatStreams.ollamaTokens(java.util.UUID.randomUUID().toString))
 
   override def completion(messages: Seq[Message], systemPrompt: String): Future[String] =
     val ollamaMessages = toOllamaMessages(messages, systemPrompt)
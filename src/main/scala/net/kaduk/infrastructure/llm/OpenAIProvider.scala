@@ -11,7 +11,8 @@ import scala.concurrent.{Future, ExecutionContext}
 
 class OpenAIProvider(
   apiKey: String,
-  model: String = "gpt-4"
+  model: String = "gpt-4",
+  apiUrl: String = "https://api.openai.com/v1"
 )(using system: ActorSystem[?], ec: ExecutionContext) extends LLMProvider:
 
   // Create implicit materializer for the service (Akka classic needed by cequence client)
@@ -28,20 +29,14 @@ class OpenAIProvider(
     messages: Seq[Message],
     systemPrompt: String
   ): Source[StreamToken, NotUsed] =
-    val openAIMessages = toOpenAIMessages(messages, systemPrompt)
-    
-    // Use non-streaming for now as streaming requires additional setup
-    Source.future(
-      service.createChatCompletion(
-        messages = openAIMessages,
-        settings = CreateChatCompletionSettings(model = ModelId.gpt_4)
-      ).map: completion =>
-        StreamToken(
-          content = completion.choices.head.message.content,
-          messageId = completion.id,
-          isComplete = true
-        )
-    )
+    val turns = ChatStreams.chatTurns(messages, systemPrompt)
+    val body =
+      s"""{"model":${ChatStreams.quote(model)},"stream":true,"stream_options":{"include_usage":true},""" +
+        s""""messages":${ChatStreams.turnsJson(turns)}}"""
+    ChatStreams
+      .postLines(s"${apiUrl.stripSuffix("/")}/chat/completions", Seq("Authorization" -> s"Bearer $apiKey"), body)
+      .via(ChatStreams.sseData)
+      .via(ChatStreams.openAITokens)
 
   override def completion(messages: Seq[Message], systemPrompt: String): Future[String] =
     val openAIMessages = toOpenAIMessages(messages, systemPrompt)
@@ -45,6 +45,12 @@ class AgentRegistry(using system: ActorSystem[?], ec: ExecutionContext):
   // Track active per-key subscribers to avoid duplicate subscriptions
   private val capSubscribers   = TrieMap.empty[String, ActorRef[Receptionist.Listing]]
 
+  // Actors told about registrations, deregistrations and agents dropped from the cluster
+  private val listeners = TrieMap.empty[ActorRef[AgentRegistry.Change], Unit]
+
+  private def notifyListeners(change: AgentRegistry.Change): Unit =
+    listeners.keys.foreach(_ ! change)
+
   private def ensureSubscribedCap(
       key: ServiceKey[BaseAgent.Command],
       id: String
@@ -56,7 +62,11 @@ class AgentRegistry(using system: ActorSystem[?], ec: ExecutionContext):
         val subscriber: Behavior[Receptionist.Listing] = Behaviors.setup { _ =>
           Behaviors.receiveMessage { listing =>
             val instances = listing.serviceInstances(key)
-            capIndex.put(id, instances)
+            val previous  = capIndex.put(id, instances).getOrElse(Set.empty)
+            // Gone from the listing without deregister: the actor stopped or its node left the cluster
+            (previous -- instances).foreach { ref =>
+              agentCaps.remove(ref).foreach(cap => notifyListeners(AgentRegistry.Change.Departed(ref, cap)))
+            }
             Behaviors.same
           }
         }
@@ -71,6 +81,7 @@ class AgentRegistry(using system: ActorSystem[?], ec: ExecutionContext):
     ensureSubscribedCap(key, capId)
     agentCaps.put(agentRef, capability)
     system.receptionist ! Receptionist.Register(key, agentRef)
+    notifyListeners(AgentRegistry.Change.Registered(agentRef, capability))
     Future.successful(())
 
   // Extended registration with skills
@@ -90,11 +101,21 @@ class AgentRegistry(using system: ActorSystem[?], ec: ExecutionContext):
   def deregister(agentRef: ActorRef[BaseAgent.Command], capability: AgentCapability): Future[Unit] =
     val id  = capability.name.trim.toLowerCase
     val key = Keys.capabilityKey(id)
-    agentCaps.remove(agentRef)
+    agentCaps.remove(agentRef).foreach(cap => notifyListeners(AgentRegistry.Change.Deregistered(agentRef, cap)))
     system.receptionist ! Receptionist.Deregister(key, agentRef)
     Future.successful(())
 
+  // ---------------------- Registry view ----------------------
+  /** Every agent currently registered, with the capability it registered with. */
+  def registeredAgents: Map[ActorRef[BaseAgent.Command], AgentCapability] =
+    agentCaps.readOnlySnapshot().toMap
 
+  /** Sends every later registry change to `listener` until `unsubscribe`. */
+  def subscribe(listener: ActorRef[AgentRegistry.Change]): Unit =
+    listeners.put(listener, ())
+
+  def unsubscribe(listener: ActorRef[AgentRegistry.Change]): Unit =
+    listeners.remove(listener)
 
   // ---------------------- Capability lookups ----------------------
   def findAgent(capability: String): Future[Option[ActorRef[BaseAgent.Command]]] =
@@ -151,5 +172,11 @@ class AgentRegistry(using system: ActorSystem[?], ec: ExecutionContext):
       Future.successful(refs)
 
 object AgentRegistry:
+  enum Change:
+    case Registered(agent: ActorRef[BaseAgent.Command], capability: AgentCapability)
+    case Deregistered(agent: ActorRef[BaseAgent.Command], capability: AgentCapability)
+    // Dropped from the receptionist listing without deregistering (stopped, crashed or node left)
+    case Departed(agent: ActorRef[BaseAgent.Command], capability: AgentCapability)
+
   def apply()(using system: ActorSystem[?], ec: ExecutionContext): AgentRegistry =
     new AgentRegistry(using system, ec)
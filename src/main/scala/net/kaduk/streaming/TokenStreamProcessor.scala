@@ -1,6 +1,56 @@
 package net.kaduk.streaming
 
-/** Placeholder to keep incremental compiler dependencies accurate.
-  * Implement token stream processing here when needed.
+import org.apache.pekko.NotUsed
+import org.apache.pekko.stream.Materializer
+import org.apache.pekko.stream.scaladsl.{Sink, Source}
+import net.kaduk.domain.{StreamToken, TokenUsage}
+
+import scala.concurrent.{ExecutionContext, Future}
+import scala.concurrent.duration.*
+
+/** Runs an LLM token stream exactly once, reporting partial output while it accumulates the
+  * full response.
+  *
+  * Tokens are coalesced into chunks (at most `maxTokens` per chunk, flushed every `maxDelay`)
+  * so per-token providers do not flood telemetry with one frame per token.
   */
-object TokenStreamProcessor
+object TokenStreamProcessor:
+
+  final case class TokenStreamFailed(reason: String) extends RuntimeException(reason)
+
+  // Full response text and the last usage report seen on the stream, if the provider sent one
+  final case class Result(text: String, usage: Option[TokenUsage])
+
+  val DefaultMaxTokens: Int = 32
+  val DefaultMaxDelay: FiniteDuration = 100.millis
+
+  /** Calls `onChunk` for every coalesced chunk with text (its messageId is taken from the last
+    * token of the chunk) and completes with the concatenated text and the provider's usage
+    * report. A token carrying an error fails the returned future with TokenStreamFailed.
+    */
+  def run(
+    tokens: Source[StreamToken, NotUsed],
+    maxTokens: Int = DefaultMaxTokens,
+    maxDelay: FiniteDuration = DefaultMaxDelay
+  )(onChunk: StreamToken => Unit)(using mat: Materializer): Future[Result] =
+    given ExecutionContext = mat.executionContext
+    tokens
+      .map { token =>
+        token.error.foreach(err => throw TokenStreamFailed(err))
+        token
+      }
+      .filter(t => t.content.nonEmpty || t.usage.isDefined)
+      .groupedWithin(maxTokens, maxDelay)
+      .map(group =>
+        StreamToken(
+          group.map(_.content).mkString,
+          group.last.messageId,
+          group.last.isComplete,
+          usage = group.flatMap(_.usage).lastOption
+        )
+      )
+      .runWith(Sink.fold((StringBuilder(), Option.empty[TokenUsage])) { case ((acc, usage), chunk) =>
+        if chunk.content.nonEmpty then onChunk(chunk)
+        (acc ++= chunk.content, chunk.usage.orElse(usage))
+      })
+      .map((acc, usage) => Result(acc.result(), usage))
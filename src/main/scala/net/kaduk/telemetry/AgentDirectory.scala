@@ -0,0 +1,137 @@
+package net.kaduk.telemetry
+
+import org.apache.pekko.actor.typed.{ActorRef, Behavior, PostStop}
+import org.apache.pekko.actor.typed.scaladsl.Behaviors
+import org.apache.pekko.util.Timeout
+import net.kaduk.agents.BaseAgent
+import net.kaduk.domain.{AgentCapability, AgentStatus}
+import net.kaduk.infrastructure.registry.AgentRegistry
+
+import scala.concurrent.duration.*
+import scala.util.{Failure, Success}
+
+/** Registry and health view for the dashboard.
+  * Follows AgentRegistry changes, polls every registered agent with GetAgentStatus and pushes
+  * the AgentIndex to watchers when an agent registers, leaves, or changes status or load.
+  */
+object AgentDirectory {
+
+  sealed trait Command
+  // Sends the agent index now and after every change
+  final case class Watch(watcher: ActorRef[UiEventBus.AgentIndex]) extends Command
+  final case class Unwatch(watcher: ActorRef[UiEventBus.AgentIndex]) extends Command
+  final case class Get(replyTo: ActorRef[UiEventBus.AgentIndex]) extends Command
+
+  private final case class RegistryChanged(change: AgentRegistry.Change) extends Command
+  private case object Poll extends Command
+  private final case class StatusReceived(
+    agent: ActorRef[BaseAgent.Command],
+    reply: Option[BaseAgent.AgentStatusResponse]
+  ) extends Command
+
+  // Agents that left are listed (newest first) up to this many
+  private val MaxDeparted = 100
+
+  def apply(registry: AgentRegistry, pollInterval: FiniteDuration = 3.seconds): Behavior[Command] =
+    Behaviors.setup { ctx =>
+      Behaviors.withTimers { timers =>
+        given Timeout = Timeout(pollInterval)
+
+        var agents   = Map.empty[ActorRef[BaseAgent.Command], UiEventBus.AgentInfo]
+        var departed = Vector.empty[UiEventBus.AgentInfo]
+        var watchers = Set.empty[ActorRef[UiEventBus.AgentIndex]]
+
+        def indexMessage = UiEventBus.AgentIndex(agents.values.toSeq.sortBy(_.name) ++ departed)
+
+        def changed(): Unit =
+          if (watchers.nonEmpty) {
+            val msg = indexMessage
+            watchers.foreach(_ ! msg)
+          }
+
+        def registered(ref: ActorRef[BaseAgent.Command], cap: AgentCapability): Unit = {
+          val id = ref.path.toString
+          agents += ref -> UiEventBus.AgentInfo(
+            id = id,
+            name = ref.path.name,
+            capability = cap.name,
+            agentType = cap.agentType.toString,
+            skills = cap.skills.toSeq.sorted,
+            provider = cap.provider,
+            status = AgentStatus.Idle.toString,
+            load = 0,
+            registeredAt = System.currentTimeMillis(),
+            lastSeenAt = None,
+            leftAt = None
+          )
+          departed = departed.filterNot(_.id == id)
+        }
+
+        def left(ref: ActorRef[BaseAgent.Command], status: AgentStatus): Unit =
+          agents.get(ref).foreach { info =>
+            agents -= ref
+            departed = (info.copy(status = status.toString, load = 0, leftAt = Some(System.currentTimeMillis())) +: departed)
+              .take(MaxDeparted)
+            changed()
+          }
+
+        val listener = ctx.messageAdapter[AgentRegistry.Change](RegistryChanged(_))
+        registry.subscribe(listener)
+        // Agents registered before this actor started
+        registry.registeredAgents.foreach { case (ref, cap) => registered(ref, cap) }
+        timers.startTimerWithFixedDelay(Poll, pollInterval)
+
+        Behaviors.receiveMessage[Command] {
+          case Watch(w) =>
+            watchers += w
+            w ! indexMessage
+            Behaviors.same
+
+          case Unwatch(w) =>
+            watchers -= w
+            Behaviors.same
+
+          case Get(replyTo) =>
+            replyTo ! indexMessage
+            Behaviors.same
+
+          case RegistryChanged(AgentRegistry.Change.Registered(ref, cap)) =>
+            registered(ref, cap)
+            changed()
+            Behaviors.same
+
+          case RegistryChanged(AgentRegistry.Change.Deregistered(ref, _)) =>
+            left(ref, AgentStatus.Offline)
+            Behaviors.same
+
+          case RegistryChanged(AgentRegistry.Change.Departed(ref, _)) =>
+            left(ref, AgentStatus.Failed)
+            Behaviors.same
+
+          case Poll =>
+            agents.keys.foreach { ref =>
+              ctx.ask[BaseAgent.Command, BaseAgent.AgentStatusResponse](ref, BaseAgent.GetAgentStatus(_)) {
+                case Success(reply) => StatusReceived(ref, Some(reply))
+                case Failure(_)     => StatusReceived(ref, None)
+              }
+            }
+            Behaviors.same
+
+          case StatusReceived(ref, reply) =>
+            // An agent that stops answering stays listed as Offline until the registry drops it
+            agents.get(ref).foreach { info =>
+              val next = reply match {
+                case Some(r) => info.copy(status = r.status, load = r.load, lastSeenAt = Some(System.currentTimeMillis()))
+                case None    => info.copy(status = AgentStatus.Offline.toString, load = 0)
+              }
+              agents += ref -> next
+              if (next.status != info.status || next.load != info.load) changed()
+            }
+            Behaviors.same
+        }.receiveSignal { case (_, PostStop) =>
+          registry.unsubscribe(listener)
+          Behaviors.same
+        }
+      }
+    }
+}
@@ -0,0 +1,99 @@
+package net.kaduk.telemetry
+
+import org.apache.pekko.actor.typed.{ActorRef, ActorSystem}
+import org.apache.pekko.actor.typed.scaladsl.AskPattern.*
+import org.apache.pekko.util.Timeout
+import net.kaduk.agents.BaseAgent
+import net.kaduk.telemetry.MiniJson.*
+
+import scala.concurrent.{ExecutionContext, Future}
+import scala.concurrent.duration.*
+
+/** Client frames received on the /ws socket: subscription changes and operator commands.
+  *
+  * Subscription frame (changes what this socket receives, without reconnecting):
+  *   {"type":"subscribe","conversations":["..."],"agents":["..."],"types":["chat","plan"]}
+  * answered with {"type":"subscribed",...} echoing the filter now in effect.
+  *
+  * Client frame:
+  *   {"type":"command","commandId":"c1","action":"cancel"|"retry"|"skip","conversationId":"...","stepId":"..."}
+  * Steps waiting for approval take "approve" (optional "text": the edited instruction), "reject"
+  * (optional "text": the reason) or "answer" ("text": the reviewer's answer, used as the step's result).
+  *
+  * Every frame is answered on the same socket (not through UiEventBus) with either
+  *   {"type":"commandAck","commandId":"c1","action":"retry","message":"..."}
+  *   {"type":"commandRejected","commandId":"c1","action":"retry","reason":"..."}
+  * The effects themselves (stepSkipped, dispatch, cancelled, ...) reach every client as bus events.
+  * Replies carry the schema version "v" like every other frame (see EventSchema).
+  */
+object ControlChannel:
+
+  private given Timeout = 5.seconds
+
+  final case class Request(commandId: String, action: String, conversationId: String, stepId: Option[String], text: Option[String] = None)
+
+  private val StepActions = Set("retry", "skip", "approve", "reject", "answer")
+
+  def parse(text: String): Either[(String, String, String), Request] =
+    MiniJson.parse(text) match
+      case Left(err) => Left(("", "", s"Malformed command: $err"))
+      case Right(json) =>
+        val commandId = json.str("commandId").getOrElse("")
+        val action    = json.str("action").getOrElse("")
+        val convId    = json.str("conversationId").map(_.trim).filter(_.nonEmpty)
+        val stepId    = json.str("stepId").map(_.trim).filter(_.nonEmpty)
+        val text      = json.str("text").filter(_.trim.nonEmpty)
+        if !json.str("type").contains("command") then Left((commandId, action, "Only command frames are accepted"))
+        else
+          (action, convId, stepId) match
+            case (_, None, _)                                 => Left((commandId, action, "conversationId is required"))
+            case ("cancel", Some(cid), _)                     => Right(Request(commandId, action, cid, None))
+            case (a, Some(_), None) if StepActions(a)         => Left((commandId, action, s"stepId is required for $action"))
+            case ("answer", Some(_), Some(_)) if text.isEmpty => Left((commandId, action, "text is required for answer"))
+            case (a, Some(cid), Some(sid)) if StepActions(a)  => Right(Request(commandId, action, cid, Some(sid), text))
+            case _                                            => Left((commandId, action, s"Unknown action '$action'"))
+
+  /** Filter carried by a subscribe frame; None for any other frame. */
+  def subscription(text: String): Option[UiEventBus.Filter] =
+    MiniJson.parse(text).toOption.filter(_.str("type").contains("subscribe")).map(filterOf)
+
+  /** Filter from the conversations / agents / types lists of a JSON object. */
+  def filterOf(json: JValue): UiEventBus.Filter =
+    def set(name: String) = json.strs(name).getOrElse(Vector.empty).map(_.trim).filter(_.nonEmpty).toSet
+    UiEventBus.Filter(set("conversations"), set("agents"), set("types"))
+
+  def subscribedJson(filter: UiEventBus.Filter): String =
+    def arr(xs: Set[String]) = xs.toSeq.sorted.map(x => s""""${UiEventBus.esc(x)}"""").mkString("[", ",", "]")
+    EventSchema.versioned(s"""{"type":"subscribed","conversations":${arr(filter.conversations)},"agents":${arr(filter.agents)},"types":${arr(filter.types)}}""")
+
+  /** Handles one command frame and returns the JSON reply for that client. */
+  def handle(text: String, coordinator: ActorRef[BaseAgent.Command])(using system: ActorSystem[?]): Future[String] =
+    given ExecutionContext = system.executionContext
+    parse(text) match
+      case Left((commandId, action, reason)) =>
+        Future.successful(rejectedJson(commandId, action, reason))
+      case Right(req) =>
+        coordinator
+          .ask[BaseAgent.ControlReply] { replyTo =>
+            req.action match
+              case "cancel" => BaseAgent.CancelConversation(req.conversationId, replyTo)
+              case "retry"  => BaseAgent.RetryStep(req.conversationId, req.stepId.get, replyTo)
+              case "skip"   => BaseAgent.SkipStep(req.conversationId, req.stepId.get, replyTo)
+              case action =>
+                val decision = action match
+                  case "approve" => BaseAgent.ApprovalDecision.Approve(req.text)
+                  case "reject"  => BaseAgent.ApprovalDecision.Reject(req.text.getOrElse(""))
+                  case _         => BaseAgent.ApprovalDecision.Answer(req.text.getOrElse(""))
+                BaseAgent.ResolveApproval(req.conversationId, req.stepId.get, decision, replyTo)
+          }
+          .map {
+            case BaseAgent.ControlAccepted(message) => ackJson(req.commandId, req.action, message)
+            case BaseAgent.ControlRejected(reason)  => rejectedJson(req.commandId, req.action, reason)
+          }
+          .recover { case _ => rejectedJson(req.commandId, req.action, "Coordinator did not answer in time") }
+
+  private def ackJson(commandId: String, action: String, message: String): String =
+    EventSchema.versioned(s"""{"type":"commandAck","commandId":"${UiEventBus.esc(commandId)}","action":"${UiEventBus.esc(action)}","message":"${UiEventBus.esc(message)}"}""")
+
+  private def rejectedJson(commandId: String, action: String, reason: String): String =
+    EventSchema.versioned(s"""{"type":"commandRejected","commandId":"${UiEventBus.esc(commandId)}","action":"${UiEventBus.esc(action)}","reason":"${UiEventBus.esc(reason)}"}""")
@@ -0,0 +1,124 @@
+package net.kaduk.telemetry
+
+import net.kaduk.telemetry.MiniJson.JValue
+import net.kaduk.telemetry.MiniJson.JValue.*
+
+/** Versioned schema of the UiEventBus event frames, mirrored by the dashboard (ui/src/eventSchema.js).
+  *
+  * Every frame the backend sends on /ws carries "v", the schema version it was written with. Within
+  * a version, fields are only ever added as optional ones; renaming or removing a field, or adding a
+  * required one, takes a new version, and clients upgrade frames of the versions they know.
+  *
+  * Versions:
+  *   1 (frames without "v"): agentComplete and aggregate send the output size as "length"
+  *   2: "v" on every frame; the output size is "textLength"
+  */
+object EventSchema {
+
+  val Version = 2
+
+  // Fields of each event type as name -> JSON type (string | number | boolean | array | object);
+  // a trailing "?" marks an optional field. seq, ts, v and type are part of every event frame.
+  val Events: Map[String, Seq[(String, String)]] = Map(
+    "plan"              -> Seq("conversationId" -> "string", "steps" -> "array"),
+    "dispatch"          -> Seq("conversationId" -> "string", "stepId" -> "string", "capability" -> "string", "messageId" -> "string"),
+    "stepCompleted"     -> Seq("conversationId" -> "string", "stepId" -> "string"),
+    "aggregate"         -> Seq("conversationId" -> "string", "textLength" -> "number"),
+    "agentStart"        -> Seq("conversationId" -> "string", "agent" -> "string", "stepId" -> "string", "messageId" -> "string", "refinement" -> "boolean"),
+    "agentComplete"     -> Seq(
+      "conversationId" -> "string",
+      "agent" -> "string",
+      "stepId" -> "string",
+      "responseMessageId" -> "string",
+      "textLength" -> "number",
+      "provider" -> "string",
+      "promptTokens" -> "number?",
+      "completionTokens" -> "number?",
+      "tokensEstimated" -> "boolean?"
+    ),
+    "agentDelta"        -> Seq("conversationId" -> "string", "agent" -> "string", "stepId" -> "string", "messageId" -> "string", "index" -> "number", "delta" -> "string"),
+    "chat"              -> Seq("conversationId" -> "string", "role" -> "string", "messageId" -> "string", "agent" -> "string", "text" -> "string"),
+    "error"             -> Seq("conversationId" -> "string", "message" -> "string", "agent" -> "string?", "stepId" -> "string?", "errorClass" -> "string?"),
+    "attemptFailed"     -> Seq(
+      "conversationId" -> "string",
+      "stepId" -> "string",
+      "agent" -> "string",
+      "attempt" -> "number",
+      "maxAttempts" -> "number",
+      "error" -> "string",
+      "errorClass" -> "string",
+      "willRetry" -> "boolean"
+    ),
+    "stepFailed"        -> Seq("conversationId" -> "string", "stepId" -> "string", "error" -> "string"),
+    "stepSkipped"       -> Seq("conversationId" -> "string", "stepId" -> "string"),
+    "cancelled"         -> Seq("conversationId" -> "string", "reason" -> "string"),
+    "iteration"         -> Seq(
+      "conversationId" -> "string",
+      "iteration" -> "number",
+      "maxIterations" -> "number",
+      "outcome" -> "string",
+      "text" -> "string"
+    ),
+    "approvalRequested" -> Seq("conversationId" -> "string", "stepId" -> "string", "capability" -> "string", "instruction" -> "string"),
+    "approvalResolved"  -> Seq("conversationId" -> "string", "stepId" -> "string", "decision" -> "string", "text" -> "string")
+  )
+
+  private val FrameFields = Set("seq", "ts", "v", "type")
+
+  // The version as the first field of a JSON object
+  def versioned(json: String): String = s"""{"v":$Version,${json.drop(1)}"""
+
+  private def kindOf(v: JValue): String = v match {
+    case JNull    => "null"
+    case JBool(_) => "boolean"
+    case JNum(_)  => "number"
+    case JStr(_)  => "string"
+    case JArr(_)  => "array"
+    case JObj(_)  => "object"
+  }
+
+  /** What keeps an event frame from matching the current version: missing or mistyped fields and
+    * fields the schema does not declare. Stricter than clients, which ignore fields they do not know,
+    * so the backend only sends what it declares.
+    */
+  def problems(frame: JValue): Seq[String] = frame match {
+    case JObj(fields) =>
+      val versionProblem =
+        if (!fields.get("v").contains(JNum(BigDecimal(Version)))) Seq(s"v must be $Version, got ${fields.get("v").getOrElse(JNull)}")
+        else Nil
+      fields.get("type") match {
+        case Some(JStr(tpe)) =>
+          Events.get(tpe) match {
+            case None => versionProblem :+ s"unknown event type $tpe"
+            case Some(declared) =>
+              val fieldProblems = declared.flatMap { case (name, kind) =>
+                val optional = kind.endsWith("?")
+                val expected = kind.stripSuffix("?")
+                fields.get(name) match {
+                  case None if optional                 => None
+                  case None                             => Some(s"$tpe.$name is missing")
+                  case Some(v) if kindOf(v) != expected => Some(s"$tpe.$name must be a $expected, got ${kindOf(v)}")
+                  case Some(_)                          => None
+                }
+              }
+              val known      = declared.map(_._1).toSet ++ FrameFields
+              val undeclared = fields.keys.toSeq.filterNot(known.contains).sorted.map(name => s"$tpe.$name is not declared")
+              versionProblem ++ fieldProblems ++ undeclared
+          }
+        case _ => versionProblem :+ "type must be a string"
+      }
+    case other => Seq(s"an event frame must be an object, got ${kindOf(other)}")
+  }
+
+  // GET /schema: {"v":2,"events":{"plan":{"conversationId":"string",...},...}}
+  def toJson: String = {
+    val events = Events.toSeq
+      .sortBy(_._1)
+      .map { case (tpe, fields) =>
+        val fs = fields.map { case (name, kind) => s""""${UiEventBus.esc(name)}":"${UiEventBus.esc(kind)}"""" }.mkString(",")
+        s""""${UiEventBus.esc(tpe)}":{$fs}"""
+      }
+      .mkString(",")
+    s"""{"v":$Version,"events":{$events}}"""
+  }
+}
@@ -0,0 +1,247 @@
+package net.kaduk.telemetry
+
+import org.apache.pekko.actor.typed.{ActorRef, Behavior}
+import org.apache.pekko.actor.typed.scaladsl.Behaviors
+import net.kaduk.telemetry.MiniJson.*
+
+import java.io.{BufferedInputStream, ByteArrayOutputStream}
+import java.net.{URLDecoder, URLEncoder}
+import java.nio.channels.{Channels, FileChannel}
+import java.nio.charset.StandardCharsets.UTF_8
+import java.nio.file.{Files, Path, StandardOpenOption}
+import scala.concurrent.duration.FiniteDuration
+import scala.jdk.CollectionConverters.*
+import scala.util.{Failure, Success, Try, Using}
+
+/** Persistent telemetry history, so past conversations outlive the bus's in-memory replay window
+  * and backend restarts.
+  *
+  * Subscribes to UiEventBus and appends every event frame (live-only deltas excepted) to one
+  * NDJSON file per conversation under `dir`, exactly as sockets receive it. Conversation summaries
+  * are kept in memory and rebuilt from the files on start. A conversation still running when the
+  * backend stopped can never finish, so it is listed as `interrupted` after the restart. File IO is
+  * blocking: spawn the store on a blocking dispatcher.
+  *
+  * Retention is applied on start and whenever a new conversation is stored: conversations beyond
+  * the limits are evicted from memory and their files deleted.
+  */
+object EventStore {
+
+  // events: number of stored frames
+  final case class StoredConversation(id: String, startedAt: Long, lastEventAt: Long, status: String, events: Int)
+
+  // Conversations active in [from, to] (epoch millis) with the given status, newest first
+  final case class ConversationQuery(
+    status: Option[String] = None,
+    from: Option[Long] = None,
+    to: Option[Long] = None,
+    offset: Int = 0,
+    limit: Int = DefaultPageSize
+  )
+  final case class ConversationPage(total: Int, offset: Int, limit: Int, conversations: Seq[StoredConversation])
+  // frames: stored event frames (JSON) in publish order, from `offset`; nextOffset is None on the last page
+  final case class EventPage(
+    conversationId: String,
+    total: Int,
+    offset: Int,
+    limit: Int,
+    frames: Seq[String],
+    nextOffset: Option[Int]
+  )
+
+  // Conversations inactive for longer than maxAge, and the least recently active ones beyond
+  // maxConversations, are deleted; None keeps them all
+  final case class Retention(maxConversations: Option[Int] = None, maxAge: Option[FiniteDuration] = None)
+
+  sealed trait Command
+  final case class Append(env: UiEventBus.Envelope) extends Command
+  final case class ListConversations(query: ConversationQuery, replyTo: ActorRef[ConversationPage]) extends Command
+  // Replies None for conversations that were never stored
+  final case class GetEvents(conversationId: String, offset: Int, limit: Int, replyTo: ActorRef[Option[EventPage]]) extends Command
+
+  val DefaultPageSize = 50
+  val MaxPageSize     = 1000
+
+  // Status of a stored conversation whose run ended with the backend that ran it
+  val Interrupted = "interrupted"
+
+  private val Suffix = ".ndjson"
+
+  private def fileName(conversationId: String): String = URLEncoder.encode(conversationId, UTF_8) + Suffix
+
+  // Summary of a stored file; unreadable lines still count as events so pages keep their offsets
+  private def scan(file: Path): Option[StoredConversation] =
+    Using(Files.lines(file, UTF_8)) { lines =>
+      lines.iterator.asScala.filter(_.nonEmpty).foldLeft(Option.empty[StoredConversation]) { (acc, line) =>
+        val frame = MiniJson.parse(line).toOption
+        val ts    = frame.flatMap(_.field("ts")).collect { case JValue.JNum(n) => n.toLong }
+        val tpe   = frame.flatMap(_.str("type")).getOrElse("")
+        acc match {
+          case None =>
+            val id = frame.flatMap(_.str("conversationId"))
+              .getOrElse(URLDecoder.decode(file.getFileName.toString.stripSuffix(Suffix), UTF_8))
+            val at = ts.getOrElse(Files.getLastModifiedTime(file).toMillis)
+            Some(StoredConversation(id, at, at, UiEventBus.statusAfter(tpe, None), 1))
+          case Some(c) =>
+            Some(c.copy(
+              lastEventAt = ts.getOrElse(c.lastEventAt),
+              status = UiEventBus.statusAfter(tpe, Some(c.status)),
+              events = c.events + 1
+            ))
+        }
+      }
+    }.toOption.flatten
+
+  // Non-empty lines of a file from byte `position`: skips `skip` of them, then reads up to `count`.
+  // Returns the lines read and the byte position after the last one
+  private def readLines(file: Path, position: Long, skip: Int, count: Int): Try[(Vector[String], Long)] =
+    Using(FileChannel.open(file, StandardOpenOption.READ)) { channel =>
+      channel.position(position)
+      val in     = new BufferedInputStream(Channels.newInputStream(channel))
+      val line   = new ByteArrayOutputStream()
+      val lines  = Vector.newBuilder[String]
+      var pos    = position
+      var toSkip = skip
+      var read   = 0
+      var done   = count <= 0
+      while (!done) {
+        val b = in.read()
+        if (b == -1 || b == '\n') {
+          if (line.size > 0) {
+            if (toSkip > 0) toSkip -= 1
+            else {
+              lines += line.toString(UTF_8)
+              read += 1
+            }
+            line.reset()
+          }
+          if (b != -1) pos += 1
+          done = b == -1 || read == count
+        } else {
+          line.write(b)
+          pos += 1
+        }
+      }
+      (lines.result(), pos)
+    }
+
+  // Ids of the conversations the retention no longer keeps at `now` (epoch millis)
+  private def expired(conversations: Iterable[StoredConversation], retention: Retention, now: Long): Seq[String] = {
+    val (tooOld, kept) = conversations.partition(c => retention.maxAge.exists(age => c.lastEventAt < now - age.toMillis))
+    val surplus = retention.maxConversations.fold(Seq.empty[StoredConversation]) { max =>
+      kept.toSeq.sortBy(c => (c.lastEventAt, c.id)).dropRight(max.max(0))
+    }
+    (tooOld ++ surplus).map(_.id).toSeq
+  }
+
+  def apply(dir: Path, bus: Option[ActorRef[UiEventBus.Command]], retention: Retention = Retention()): Behavior[Command] =
+    Behaviors.setup { ctx =>
+      Files.createDirectories(dir)
+
+      def outdated(file: Path): Boolean =
+        retention.maxAge.exists { age =>
+          Try(Files.getLastModifiedTime(file).toMillis).toOption.exists(_ < System.currentTimeMillis() - age.toMillis)
+        }
+
+      var conversations: Map[String, StoredConversation] =
+        Using(Files.list(dir)) { files =>
+          files.iterator.asScala
+            .filter(_.getFileName.toString.endsWith(Suffix))
+            // Files not modified within maxAge hold no newer events: deleted without reading them
+            .filterNot(file => outdated(file) && Try(Files.delete(file)).isSuccess)
+            .flatMap(scan)
+            .map(c => c.id -> (if (c.status == "running") c.copy(status = Interrupted) else c))
+            .toMap
+        }.getOrElse(Map.empty)
+
+      // conversation -> (line, byte position of that line) where its last served page ended, so
+      // paging through a conversation reads on from there instead of from the start of the file
+      var cursors = Map.empty[String, (Int, Long)]
+
+      def applyRetention(): Unit = {
+        val ids = expired(conversations.values, retention, System.currentTimeMillis())
+        ids.foreach { id =>
+          Try(Files.deleteIfExists(dir.resolve(fileName(id)))).failed.foreach { ex =>
+            ctx.log.warn(s"Could not delete stored conversation $id: ${ex.getMessage}")
+          }
+        }
+        conversations --= ids
+        cursors --= ids
+        if (ids.nonEmpty) ctx.log.info(s"Telemetry history retention removed ${ids.size} conversations")
+      }
+
+      applyRetention()
+      ctx.log.info(s"Telemetry history in $dir: ${conversations.size} conversations")
+
+      bus.foreach(_ ! UiEventBus.Subscribe(ctx.messageAdapter[UiEventBus.Envelope](Append(_))))
+
+      def pageSize(limit: Int) = limit.max(1).min(MaxPageSize)
+
+      Behaviors.receiveMessage {
+        case Append(UiEventBus.Envelope(_, _: UiEventBus.AgentDelta, _)) =>
+          Behaviors.same
+
+        case Append(env) =>
+          val cid  = env.event.conversationId
+          val line = UiEventBus.toJson(env) + "\n"
+          Try(Files.writeString(dir.resolve(fileName(cid)), line, UTF_8, StandardOpenOption.CREATE, StandardOpenOption.APPEND)) match {
+            case Success(_) =>
+              val status = UiEventBus.statusAfter(UiEventBus.eventType(env.event), conversations.get(cid).map(_.status))
+              conversations.get(cid) match {
+                case Some(c) =>
+                  conversations += cid -> c.copy(lastEventAt = env.ts, status = status, events = c.events + 1)
+                case None =>
+                  conversations += cid -> StoredConversation(cid, env.ts, env.ts, status, 1)
+                  applyRetention()
+              }
+            case Failure(ex) =>
+              ctx.log.warn(s"Could not store event ${env.seq} of $cid: ${ex.getMessage}")
+          }
+          Behaviors.same
+
+        case ListConversations(q, replyTo) =>
+          val matching = conversations.values.toSeq
+            .filter(c => q.status.forall(_ == c.status))
+            .filter(c => q.from.forall(c.lastEventAt >= _) && q.to.forall(c.startedAt <= _))
+            .sortBy(c => (-c.startedAt, c.id))
+          val offset = q.offset.max(0)
+          val limit  = pageSize(q.limit)
+          replyTo ! ConversationPage(matching.size, offset, limit, matching.slice(offset, offset + limit))
+          Behaviors.same
+
+        case GetEvents(cid, offset, limit, replyTo) =>
+          conversations.get(cid) match {
+            case None => replyTo ! None
+            case Some(c) =>
+              val from = offset.max(0)
+              val size = pageSize(limit)
+              val (startLine, position) = cursors.get(cid).filter(_._1 <= from).getOrElse((0, 0L))
+              val (lines, end) = readLines(dir.resolve(fileName(cid)), position, from - startLine, size)
+                .getOrElse((Vector.empty, position))
+              if (lines.nonEmpty) cursors = cursors.updated(cid, (from + lines.size, end))
+              // A line cut short by a crash is skipped rather than breaking the page's JSON
+              val frames = lines.filter(line => MiniJson.parse(line).isRight)
+              val next   = from + lines.size
+              replyTo ! Some(EventPage(cid, c.events, from, size, frames, Option.when(lines.nonEmpty && next < c.events)(next)))
+          }
+          Behaviors.same
+      }
+    }
+
+  def toJson(page: ConversationPage): String = {
+    val items = page.conversations
+      .map(c =>
+        s"""{"id":"${UiEventBus.esc(c.id)}","startedAt":${c.startedAt},"lastEventAt":${c.lastEventAt},""" +
+          s""""status":"${UiEventBus.esc(c.status)}","events":${c.events}}"""
+      )
+      .mkString(",")
+    s"""{"total":${page.total},"offset":${page.offset},"limit":${page.limit},"conversations":[$items]}"""
+  }
+
+  // Frames are stored JSON and embedded as they are
+  def toJson(page: EventPage): String = {
+    val nextOffset = page.nextOffset.map(_.toString).getOrElse("null")
+    s"""{"conversationId":"${UiEventBus.esc(page.conversationId)}","total":${page.total},"offset":${page.offset},""" +
+      s""""limit":${page.limit},"nextOffset":$nextOffset,"events":[${page.frames.mkString(",")}]}"""
+  }
+}
@@ -0,0 +1,158 @@
+package net.kaduk.telemetry
+
+import scala.util.Try
+
+/** Minimal JSON reader for requests coming from the UI.
+  *
+  * Counterpart of the hand-written serialization in UiEventBus.toJson, so the
+  * telemetry package keeps working without an external JSON library.
+  */
+object MiniJson:
+
+  enum JValue:
+    case JNull
+    case JBool(value: Boolean)
+    case JNum(value: BigDecimal)
+    case JStr(value: String)
+    case JArr(items: Vector[JValue])
+    case JObj(fields: Map[String, JValue])
+
+  import JValue.*
+
+  // -------- Field accessors (absent or wrongly typed fields yield None) --------
+  extension (v: JValue)
+    def field(name: String): Option[JValue] = v match
+      case JObj(fields) => fields.get(name)
+      case _            => None
+
+    def str(name: String): Option[String] = field(name).collect { case JStr(s) => s }
+
+    def int(name: String): Option[Int] = field(name).flatMap {
+      case JNum(n) => Try(n.toIntExact).toOption
+      case JStr(s) => s.trim.toIntOption
+      case _       => None
+    }
+
+    def bool(name: String): Option[Boolean] = field(name).collect { case JBool(b) => b }
+
+    def arr(name: String): Option[Vector[JValue]] = field(name).collect { case JArr(items) => items }
+
+    def strs(name: String): Option[Vector[String]] = arr(name).map(_.collect { case JStr(s) => s })
+
+  def parse(input: String): Either[String, JValue] =
+    val p = Parser(input)
+    Try {
+      val v = p.value()
+      p.skipWs()
+      if !p.atEnd then p.fail("trailing characters")
+      v
+    }.toEither.left.map(_.getMessage)
+
+  private final class Parser(s: String):
+    private var i = 0
+
+    def atEnd: Boolean = i >= s.length
+
+    def fail(msg: String): Nothing =
+      throw IllegalArgumentException(s"Invalid JSON at $i: $msg")
+
+    def skipWs(): Unit =
+      while !atEnd && s.charAt(i).isWhitespace do i += 1
+
+    private def expect(c: Char): Unit =
+      skipWs()
+      if atEnd || s.charAt(i) != c then fail(s"expected '$c'")
+      i += 1
+
+    private def literal(word: String, v: JValue): JValue =
+      if s.startsWith(word, i) then
+        i += word.length
+        v
+      else fail(s"expected $word")
+
+    def value(): JValue =
+      skipWs()
+      if atEnd then fail("unexpected end of input")
+      s.charAt(i) match
+        case '{'                              => obj()
+        case '['                              => array()
+        case '"'                              => JStr(string())
+        case 't'                              => literal("true", JBool(true))
+        case 'f'                              => literal("false", JBool(false))
+        case 'n'                              => literal("null", JNull)
+        case c if c == '-' || c.isDigit       => number()
+        case c                                => fail(s"unexpected '$c'")
+
+    private def obj(): JValue =
+      expect('{')
+      val fields = Map.newBuilder[String, JValue]
+      skipWs()
+      if !atEnd && s.charAt(i) == '}' then i += 1
+      else
+        var more = true
+        while more do
+          skipWs()
+          val key = string()
+          expect(':')
+          fields += key -> value()
+          skipWs()
+          if !atEnd && s.charAt(i) == ',' then i += 1
+          else
+            expect('}')
+            more = false
+      JObj(fields.result())
+
+    private def array(): JValue =
+      expect('[')
+      val items = Vector.newBuilder[JValue]
+      skipWs()
+      if !atEnd && s.charAt(i) == ']' then i += 1
+      else
+        var more = true
+        while more do
+          items += value()
+          skipWs()
+          if !atEnd && s.charAt(i) == ',' then i += 1
+          else
+            expect(']')
+            more = false
+      JArr(items.result())
+
+    private def string(): String =
+      if atEnd || s.charAt(i) != '"' then fail("expected string")
+      i += 1
+      val sb = StringBuilder()
+      while
+        if atEnd then fail("unterminated string")
+        s.charAt(i) != '"'
+      do
+        s.charAt(i) match
+          case '\\' =>
+            if i + 1 >= s.length then fail("unterminated escape")
+            s.charAt(i + 1) match
+              case '"'  => sb += '"'
+              case '\\' => sb += '\\'
+              case '/'  => sb += '/'
+              case 'b'  => sb += '\b'
+              case 'f'  => sb += '\f'
+              case 'n'  => sb += '\n'
+              case 'r'  => sb += '\r'
+              case 't'  => sb += '\t'
+              case 'u' =>
+                if i + 6 > s.length then fail("bad unicode escape")
+                sb += Integer.parseInt(s.substring(i + 2, i + 6), 16).toChar
+                i += 4
+              case c => fail(s"bad escape '\\$c'")
+            i += 2
+          case c =>
+            sb += c
+            i += 1
+      i += 1
+      sb.result()
+
+    private def number(): JValue =
+      val start = i
+      while !atEnd && "+-0123456789.eE".indexOf(s.charAt(i)) >= 0 do i += 1
+      Try(BigDecimal(s.substring(start, i))).toOption match
+        case Some(n) => JNum(n)
+        case None    => fail("bad number")
@@ -3,69 +3,123 @@ package net.kaduk.telemetry
 import org.apache.pekko
 import org.apache.pekko.actor.typed.ActorRef
 import org.apache.pekko.actor.typed.scaladsl.Behaviors
+import org.apache.pekko.actor.typed.scaladsl.AskPattern.*
 import org.apache.pekko.actor.typed.ActorSystem
-import org.apache.pekko.http.scaladsl.model.ws.{Message, TextMessage}
+import org.apache.pekko.http.scaladsl.model.{ContentTypes, HttpEntity, HttpResponse, StatusCode, StatusCodes}
+import org.apache.pekko.http.scaladsl.model.headers.RawHeader
+import org.apache.pekko.http.scaladsl.model.ws.{BinaryMessage, Message, TextMessage}
 import org.apache.pekko.http.scaladsl.server.{Directives, Route}
 import org.apache.pekko.http.scaladsl.server.Directives._
-import net.kaduk.agents.BaseAgent
+import net.kaduk.agents.{BaseAgent, CoordinatorAgent}
 import net.kaduk.domain.{Message => DomMessage, MessageRole, MessageContent, ConversationContext}
+import net.kaduk.telemetry.MiniJson.*
 import org.apache.pekko.stream.scaladsl.{Flow, Sink, Source, Merge}
 import org.apache.pekko.stream.OverflowStrategy
 import org.apache.pekko.NotUsed
+import org.apache.pekko.util.Timeout
 
-import scala.concurrent.{ExecutionContext}
+import scala.concurrent.{ExecutionContext, Future}
 import scala.concurrent.duration.*
+import scala.util.{Failure, Success}
 import java.util.UUID
 
 object TelemetryRoutes extends Directives {
 
-  // Creates a WebSocket flow that streams UiEventBus events as JSON to the client.
-  private def telemetryFlow(uiBus: ActorRef[UiEventBus.Command])(using system: ActorSystem[?], ec: ExecutionContext): Flow[Message, Message, NotUsed] = {
+  // Creates a WebSocket flow that streams UiEventBus events as JSON to the client and
+  // forwards the client's operator commands (ControlChannel) to the coordinator.
+  private def telemetryFlow(
+    uiBus: ActorRef[UiEventBus.Command],
+    coordinator: ActorRef[BaseAgent.Command],
+    agents: Option[ActorRef[AgentDirectory.Command]],
+    initialFilter: UiEventBus.Filter
+  )(using system: ActorSystem[?], ec: ExecutionContext): Flow[Message, Message, NotUsed] = {
     // Outgoing source towards the client
     val (queue, src) = Source
       .queue[String](bufferSize = 512, OverflowStrategy.dropHead)
       .preMaterialize()
 
-    // Per-connection subscriber actor that forwards UiEventBus.UiEvent to the queue
+    // Per-connection subscriber actor that forwards deliveries (events, conversation and agent index) to the queue
     val subscriberName = s"ui-ws-subscriber-${UUID.randomUUID().toString.take(8)}"
     val subscriber = system.systemActorOf(
-      Behaviors.receiveMessage[UiEventBus.UiEvent] { ev =>
-        // Best-effort enqueue; drop if full
-        queue.offer(UiEventBus.toJson(ev))
-        Behaviors.same
+      Behaviors.receiveMessage[UiEventBus.Delivery] {
+        case env: UiEventBus.Envelope =>
+          // Best-effort enqueue; drop if full
+          queue.offer(UiEventBus.toJson(env))
+          Behaviors.same
+        case index: UiEventBus.ConversationIndex =>
+          queue.offer(UiEventBus.toJson(index))
+          Behaviors.same
+        case index: UiEventBus.AgentIndex =>
+          queue.offer(UiEventBus.toJson(index))
+          Behaviors.same
       },
       subscriberName
     )
 
-    // Subscribe to the bus
-    uiBus ! UiEventBus.Subscribe(subscriber)
+    // Subscribe to the bus (history replay is limited to the initial filter)
+    uiBus ! UiEventBus.Subscribe(subscriber, initialFilter)
+    uiBus ! UiEventBus.WatchConversations(subscriber)
+    agents.foreach(_ ! AgentDirectory.Watch(subscriber))
 
-    // Outgoing stream with heartbeat pings so connections stay alive even if there are no events
+    // Outgoing stream: hello frame first, then events with heartbeat pings so connections stay
+    // alive even if there are no events (clients treat missing pings as a dead link)
     val outgoing: Source[Message, NotUsed] =
-      Source.combine(
-        src.map(TextMessage(_)),
-        Source.tick(10.seconds, 10.seconds, TextMessage("""{"type":"ping"}"""))
-      )(Merge(_))
+      Source.single(TextMessage(UiEventBus.helloJson)).concat(
+        Source.combine(
+          src.map(TextMessage(_)),
+          Source.tick(10.seconds, 10.seconds, TextMessage(EventSchema.versioned("""{"type":"ping"}""")))
+        )(Merge(_))
+      )
 
-    // Accept and ignore any client messages; coerce materialized value to NotUsed
+    // Client frames are subscription changes or operator commands; each reply goes back on this socket only
     val incoming: Sink[Message, NotUsed] =
-      Sink.ignore.contramap[Message](_ => ()).mapMaterializedValue(_ => NotUsed)
+      Flow[Message]
+        .mapAsync(1) {
+          case tm: TextMessage =>
+            tm.toStrict(3.seconds).map(t => Some(t.text))
+          case bm: BinaryMessage =>
+            bm.dataStream.runWith(Sink.ignore)
+            Future.successful(None)
+        }
+        .collect { case Some(text) => text }
+        .mapAsync(1) { text =>
+          ControlChannel.subscription(text) match {
+            case Some(filter) =>
+              uiBus ! UiEventBus.UpdateFilter(subscriber, filter)
+              Future.successful(ControlChannel.subscribedJson(filter))
+            case None =>
+              ControlChannel.handle(text, coordinator)
+          }
+        }
+        .to(Sink.foreach(reply => queue.offer(reply)))
 
     Flow.fromSinkAndSourceCoupled(incoming, outgoing)
       .watchTermination() { (_, done) =>
         // On client disconnect, cleanup subscription and stop actor
         done.onComplete { _ =>
           uiBus ! UiEventBus.Unsubscribe(subscriber)
+          uiBus ! UiEventBus.UnwatchConversations(subscriber)
+          agents.foreach(_ ! AgentDirectory.Unwatch(subscriber))
           // subscriber will be garbage-collected; no explicit stop on ActorSystem
         }(ec)
         NotUsed
       }
   }
 
-  // Public route: /ws endpoint that upgrades to WebSocket and streams telemetry
-  def websocketRoute(uiBus: ActorRef[UiEventBus.Command])(using system: ActorSystem[?], ec: ExecutionContext): Route = {
+  // Public route: /ws endpoint that upgrades to WebSocket, streams telemetry and accepts commands.
+  // Optional comma-separated conversations / agents / types parameters set the initial filter.
+  def websocketRoute(
+    uiBus: ActorRef[UiEventBus.Command],
+    coordinator: ActorRef[BaseAgent.Command],
+    agentDirectory: Option[ActorRef[AgentDirectory.Command]] = None
+  )(using system: ActorSystem[?], ec: ExecutionContext): Route = {
     path("ws") {
-      handleWebSocketMessages(telemetryFlow(uiBus))
+      parameters("conversations".?, "agents".?, "types".?) { (convs, agents, types) =>
+        def set(p: Option[String]) = p.toSeq.flatMap(_.split(',')).map(_.trim).filter(_.nonEmpty).toSet
+        handleWebSocketMessages(
+          telemetryFlow(uiBus, coordinator, agentDirectory, UiEventBus.Filter(set(convs), set(agents), set(types)))
+        )
+      }
     } ~
     // Simple health endpoint
     path("health") {
@@ -75,30 +129,248 @@ object TelemetryRoutes extends Directives {
     }
   }
 
-  // Combined UI routes including a simple demo trigger:
+  // The dashboard is served from another origin (vite dev server), so allow cross-origin calls
+  private val corsHeaders = List(
+    RawHeader("Access-Control-Allow-Origin", "*"),
+    RawHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS"),
+    RawHeader("Access-Control-Allow-Headers", "Content-Type")
+  )
+
+  private def withCors(inner: Route): Route =
+    respondWithHeaders(corsHeaders) {
+      options {
+        complete(StatusCodes.NoContent)
+      } ~ inner
+    }
+
+  private def jsonResponse(status: StatusCode, body: String): Route =
+    complete(HttpResponse(status, entity = HttpEntity(ContentTypes.`application/json`, body)))
+
+  private def jsonError(status: StatusCode, message: String): Route =
+    jsonResponse(status, s"""{"error":"${UiEventBus.esc(message)}"}""")
+
+  // Hands a task to the Coordinator, with the plan to run if the operator authored one. The
+  // final response is discarded: progress is followed through UiEventBus telemetry, keyed by
+  // the conversation id.
+  private def submitTask(
+    coordinator: ActorRef[BaseAgent.Command],
+    task: String,
+    convId: String,
+    maxLoops: Int,
+    plan: Option[CoordinatorAgent.TaskPlan] = None,
+    routes: Map[String, String] = Map.empty,
+    requireApproval: Seq[String] = Nil
+  )(using system: ActorSystem[?]): Unit = {
+    // Temporary sink for the final response
+    val sink = system.systemActorOf(
+      Behaviors.receiveMessage[BaseAgent.Response] { _ =>
+        Behaviors.stopped
+      },
+      s"ui-task-sink-${UUID.randomUUID().toString.take(6)}"
+    )
+
+    val routeMeta = routes.map { case (from, to) => s"${CoordinatorAgent.RoutePrefix}$from" -> to }
+    val approvalMeta: Map[String, String] =
+      if (requireApproval.isEmpty) Map.empty
+      else Map(CoordinatorAgent.ApprovalKey -> requireApproval.mkString(","))
+    val ctx = ConversationContext(id = convId, metadata = Map("maxLoops" -> maxLoops.toString) ++ routeMeta ++ approvalMeta)
+    val msg = DomMessage(role = MessageRole.User, content = MessageContent(task), conversationId = convId)
+
+    plan match {
+      case Some(p) => coordinator ! BaseAgent.ExecutePlan(msg, ctx, p, sink.asInstanceOf[ActorRef[Any]])
+      case None    => coordinator ! BaseAgent.ProcessMessage(msg, ctx, sink.asInstanceOf[ActorRef[Any]])
+    }
+  }
+
+  // {"steps":[{"id","agentCapability","instruction","dependencies"?:[...],"requiresApproval"?:bool}]} from the plan editor,
+  // checked with TaskPlan.problems
+  private[telemetry] def parsePlan(json: MiniJson.JValue): Either[String, CoordinatorAgent.TaskPlan] =
+    json.arr("steps") match {
+      case None => Left("plan.steps must be an array")
+      case Some(items) =>
+        val steps = items.map { s =>
+          CoordinatorAgent.TaskStep(
+            id = s.str("id").map(_.trim).getOrElse(""),
+            agentCapability = s.str("agentCapability").map(_.trim).getOrElse(""),
+            instruction = s.str("instruction").getOrElse(""),
+            dependencies = s.strs("dependencies").getOrElse(Vector.empty).map(_.trim),
+            requiresApproval = s.bool("requiresApproval").getOrElse(false)
+          )
+        }
+        val plan = CoordinatorAgent.TaskPlan(steps)
+        if (plan.problems.isEmpty) Right(plan) else Left(plan.problems.mkString("; "))
+    }
+
+  // {"summarizer":"summarizer-claude", ...}: capability -> capability that runs its steps instead
+  private[telemetry] def parseRoutes(json: MiniJson.JValue): Either[String, Map[String, String]] =
+    json match {
+      case MiniJson.JValue.JObj(fields) =>
+        val routes = fields.collect { case (from, MiniJson.JValue.JStr(to)) => from.trim -> to.trim }
+        if (routes.size != fields.size || routes.exists { case (from, to) => from.isEmpty || to.isEmpty })
+          Left("routes must map capability names to capability names")
+        else Right(routes)
+      case _ => Left("routes must be an object")
+    }
+
+  // Combined UI routes:
+  // - POST /tasks {"task":..., "conversationId"?:..., "maxLoops"?:n, "plan"?:{"steps":[...]}, "routes"?:{cap: cap},
+  //   "requireApproval"?:[cap, ...]} starts a task (running the given plan instead of decomposing the task, with
+  //   routed capabilities' steps sent to another agent and the listed capabilities' steps held for a reviewer)
+  //   and returns its conversationId; with an AgentDirectory, a plan whose routed steps name a capability no
+  //   registered agent offers is rejected with 400
+  // - GET /schema describes the event types and fields of the current schema version (EventSchema)
+  // - GET /agents lists registered and departed agents with their status (needs an AgentDirectory)
+  // - GET /history/conversations?status=&from=&to=&offset=&limit= pages through stored conversations, newest
+  //   first, and GET /history/conversations/<id>/events?offset=&limit= through one conversation's event frames
+  //   (needs an EventStore; from / to are epoch millis)
   // - GET /demo?task=...&convId=...  will send a task to Coordinator to generate telemetry
   def routes(
     uiBus: ActorRef[UiEventBus.Command],
-    coordinator: ActorRef[BaseAgent.Command]
+    coordinator: ActorRef[BaseAgent.Command],
+    agentDirectory: Option[ActorRef[AgentDirectory.Command]] = None,
+    history: Option[ActorRef[EventStore.Command]] = None
   )(using system: ActorSystem[?], ec: ExecutionContext): Route = {
-    websocketRoute(uiBus) ~
+    def askHistory[R](ask: ActorRef[R] => EventStore.Command)(reply: R => Route): Route =
+      history match {
+        case None =>
+          jsonError(StatusCodes.NotFound, "History is not enabled")
+        case Some(store) =>
+          given Timeout = 5.seconds
+          onComplete(store.ask[R](ask)) {
+            case Success(r)  => reply(r)
+            case Failure(ex) => jsonError(StatusCodes.ServiceUnavailable, s"History store did not answer: ${ex.getMessage}")
+          }
+      }
+
+    websocketRoute(uiBus, coordinator, agentDirectory) ~
+    withCors {
+      path("schema") {
+        get {
+          jsonResponse(StatusCodes.OK, EventSchema.toJson)
+        }
+      } ~
+      path("agents") {
+        get {
+          agentDirectory match {
+            case None =>
+              jsonError(StatusCodes.NotFound, "Agent directory is not enabled")
+            case Some(directory) =>
+              given Timeout = 5.seconds
+              onComplete(directory.ask[UiEventBus.AgentIndex](AgentDirectory.Get(_))) {
+                case Success(index) => jsonResponse(StatusCodes.OK, UiEventBus.toJson(index))
+                case Failure(ex)    => jsonError(StatusCodes.ServiceUnavailable, s"Agent directory did not answer: ${ex.getMessage}")
+              }
+          }
+        }
+      } ~
+      pathPrefix("history" / "conversations") {
+        pathEnd {
+          get {
+            parameters("status".?, "from".as[Long].?, "to".as[Long].?, "offset".as[Int].?, "limit".as[Int].?) {
+              (status, from, to, offset, limit) =>
+                val query = EventStore.ConversationQuery(
+                  status.map(_.trim).filter(_.nonEmpty),
+                  from,
+                  to,
+                  offset.getOrElse(0),
+                  limit.getOrElse(EventStore.DefaultPageSize)
+                )
+                askHistory[EventStore.ConversationPage](EventStore.ListConversations(query, _)) { page =>
+                  jsonResponse(StatusCodes.OK, EventStore.toJson(page))
+                }
+            }
+          }
+        } ~
+        path(Segment / "events") { convId =>
+          get {
+            parameters("offset".as[Int].?, "limit".as[Int].?) { (offset, limit) =>
+              askHistory[Option[EventStore.EventPage]](
+                EventStore.GetEvents(convId, offset.getOrElse(0), limit.getOrElse(EventStore.MaxPageSize), _)
+              ) {
+                case Some(page) => jsonResponse(StatusCodes.OK, EventStore.toJson(page))
+                case None       => jsonError(StatusCodes.NotFound, s"No stored events for $convId")
+              }
+            }
+          }
+        }
+      } ~
+      path("tasks") {
+        post {
+          entity(as[String]) { body =>
+            MiniJson.parse(body) match {
+              case Left(err) =>
+                jsonError(StatusCodes.BadRequest, s"Malformed JSON body: $err")
+              case Right(json) =>
+                val plan: Either[String, Option[CoordinatorAgent.TaskPlan]] = json.field("plan") match {
+                  case None | Some(MiniJson.JValue.JNull) => Right(None)
+                  case Some(p)                           => parsePlan(p).map(Some(_))
+                }
+                // An authored plan does not need a task text; it is named after its steps then
+                val task = json.str("task").map(_.trim).filter(_.nonEmpty)
+                  .orElse(plan.toOption.flatten.map(p => s"Run custom plan: ${p.steps.map(_.id).mkString(", ")}"))
+                  .getOrElse("")
+                val convId = json.str("conversationId").map(_.trim).filter(_.nonEmpty)
+                  .getOrElse(s"ui-task-${UUID.randomUUID().toString.take(8)}")
+                val maxLoops: Either[String, Int] = json.field("maxLoops") match {
+                  case None | Some(MiniJson.JValue.JNull) => Right(1)
+                  case Some(_) => json.int("maxLoops").filter(_ >= 1).toRight("maxLoops must be a positive integer")
+                }
+                val routes: Either[String, Map[String, String]] = json.field("routes") match {
+                  case None | Some(MiniJson.JValue.JNull) => Right(Map.empty)
+                  case Some(r)                           => parseRoutes(r)
+                }
+                val requireApproval: Either[String, Seq[String]] = json.field("requireApproval") match {
+                  case None | Some(MiniJson.JValue.JNull) => Right(Nil)
+                  case Some(MiniJson.JValue.JArr(items)) if items.forall(_.isInstanceOf[MiniJson.JValue.JStr]) =>
+                    Right(json.strs("requireApproval").getOrElse(Vector.empty).map(_.trim).filter(_.nonEmpty).distinct)
+                  case Some(_) => Left("requireApproval must be an array of capability names")
+                }
+
+                (task, maxLoops, plan, routes, requireApproval) match {
+                  case (_, _, Left(err), _, _) =>
+                    jsonError(StatusCodes.BadRequest, s"Invalid plan: $err")
+                  case ("", _, _, _, _) =>
+                    jsonError(StatusCodes.BadRequest, "task must not be empty")
+                  case (_, Left(err), _, _, _) =>
+                    jsonError(StatusCodes.BadRequest, err)
+                  case (_, _, _, Left(err), _) =>
+                    jsonError(StatusCodes.BadRequest, err)
+                  case (_, _, _, _, Left(err)) =>
+                    jsonError(StatusCodes.BadRequest, err)
+                  case (_, Right(loops), Right(authored), Right(routed), Right(gated)) =>
+                    def accept: Route = {
+                      submitTask(coordinator, task, convId, loops, authored, routed, gated)
+                      jsonResponse(
+                        StatusCodes.Accepted,
+                        s"""{"conversationId":"${UiEventBus.esc(convId)}","maxLoops":$loops}"""
+                      )
+                    }
+                    // An authored plan, once routed, may only name capabilities of agents registered right now
+                    (authored, agentDirectory) match {
+                      case (Some(p), Some(directory)) =>
+                        given Timeout = 5.seconds
+                        onComplete(directory.ask[UiEventBus.AgentIndex](AgentDirectory.Get(_))) {
+                          case Success(index) =>
+                            val offered = index.agents.filter(_.leftAt.isEmpty).map(_.capability).toSet
+                            val unknown = p.routed(routed).unknownCapabilities(offered)
+                            if (unknown.isEmpty) accept
+                            else jsonError(StatusCodes.BadRequest, s"Invalid plan: ${unknown.mkString("; ")}")
+                          case Failure(ex) =>
+                            jsonError(StatusCodes.ServiceUnavailable, s"Agent directory did not answer: ${ex.getMessage}")
+                        }
+                      case _ => accept
+                    }
+                }
+            }
+          }
+        }
+      }
+    } ~
     path("demo") {
       get {
         parameters("task".withDefault("Plan and summarize: current AI news."), "convId".?) { (task, convOpt) =>
           val convId = convOpt.getOrElse(s"ui-demo-${java.util.UUID.randomUUID().toString.take(8)}")
-
-          // Temporary sink for the final response
-          val sink = system.systemActorOf(
-            Behaviors.receiveMessage[BaseAgent.Response] { _ =>
-              Behaviors.same
-            },
-            s"ui-demo-sink-${java.util.UUID.randomUUID().toString.take(6)}"
-          )
-
-          val ctx  = ConversationContext(id = convId, metadata = Map("maxLoops" -> "1"))
-          val msg  = DomMessage(role = MessageRole.User, content = MessageContent(task), conversationId = convId)
-
-          coordinator ! BaseAgent.ProcessMessage(msg, ctx, sink.asInstanceOf[ActorRef[Any]])
+          submitTask(coordinator, task, convId, maxLoops = 1)
           complete(s"Demo started for conversationId=$convId")
         }
       }
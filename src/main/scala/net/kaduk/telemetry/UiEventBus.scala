@@ -2,61 +2,236 @@ package net.kaduk.telemetry
 
 import org.apache.pekko.actor.typed.{ActorRef, Behavior}
 import org.apache.pekko.actor.typed.scaladsl.Behaviors
+import net.kaduk.domain.TokenUsage
+
+import java.util.UUID
 
 object UiEventBus {
 
   // -------- UI event model --------
   sealed trait UiEvent { def conversationId: String }
 
-  final case class StepInfo(id: String, capability: String, dependencies: Seq[String])
+  final case class StepInfo(
+    id: String,
+    capability: String,
+    dependencies: Seq[String],
+    instruction: String = "",
+    requiresApproval: Boolean = false
+  )
 
   final case class PlanComputed(conversationId: String, steps: Seq[StepInfo]) extends UiEvent
   final case class StepDispatched(conversationId: String, stepId: String, capability: String, messageId: String) extends UiEvent
   final case class StepCompleted(conversationId: String, stepId: String) extends UiEvent
   final case class AggregateCompleted(conversationId: String, textLength: Int) extends UiEvent
   final case class AgentStart(conversationId: String, agent: String, stepId: String, messageId: String, refinement: Boolean) extends UiEvent
-  final case class AgentComplete(conversationId: String, agent: String, stepId: String, responseMessageId: String, textLength: Int) extends UiEvent
+  // usage: tokens the provider reported (or LLMAgent estimated) for this completion
+  final case class AgentComplete(
+    conversationId: String,
+    agent: String,
+    stepId: String,
+    responseMessageId: String,
+    textLength: Int,
+    provider: String = "",
+    usage: Option[TokenUsage] = None
+  ) extends UiEvent
+  // Partial LLM output for the step started by AgentStart(messageId = requestMessageId); index counts chunks from 0
+  final case class AgentDelta(conversationId: String, agent: String, stepId: String, requestMessageId: String, index: Int, delta: String) extends UiEvent
+  // agent is the capability that wrote the message, as in AgentStart; None for the user's own messages
   final case class ChatMessage(conversationId: String, role: String, messageId: String, text: String, agent: Option[String]) extends UiEvent
-  final case class ErrorEvent(conversationId: String, message: String) extends UiEvent
+  // agent and stepId are set when the error ends an agent's run of a step; errorClass names the kind of failure
+  final case class ErrorEvent(
+    conversationId: String,
+    message: String,
+    agent: Option[String] = None,
+    stepId: Option[String] = None,
+    errorClass: Option[String] = None
+  ) extends UiEvent
+  // A failed run of a step as the coordinator handled it. attempt counts the step's failed runs
+  // from 1. willRetry is true when the coordinator dispatches the step again by itself, false when
+  // the step is abandoned (the conversation is parked for an operator); the coordinator decides it
+  // on the conversation's attempt budget, maxAttempts, which refinement passes and other steps share.
+  final case class StepAttemptFailed(
+    conversationId: String,
+    stepId: String,
+    agent: String,
+    attempt: Int,
+    maxAttempts: Int,
+    error: String,
+    errorClass: String,
+    willRetry: Boolean
+  ) extends UiEvent
+  // Step outcomes driven by failures and operator commands (see BaseAgent control messages)
+  final case class StepFailed(conversationId: String, stepId: String, error: String) extends UiEvent
+  final case class StepSkipped(conversationId: String, stepId: String) extends UiEvent
+  final case class ConversationCancelled(conversationId: String, reason: String) extends UiEvent
+  // A pass of the coordinator's refinement loop ended (iteration from 1 up to maxIterations, the
+  // conversation's maxLoops) with `text` as its aggregated answer. outcome is why the loop stopped:
+  // satisfied (result metadata) | done ([done] marker) | maxAttempts | skipped (final step skipped),
+  // or refining when the final step runs again.
+  final case class LoopIteration(conversationId: String, iteration: Int, maxIterations: Int, outcome: String, text: String) extends UiEvent
+  // A gated step held for a reviewer instead of being dispatched
+  final case class ApprovalRequested(conversationId: String, stepId: String, capability: String, instruction: String) extends UiEvent
+  // The reviewer's decision: approved | edited (text = the new instruction) | rejected (text = the reason) | answered
+  final case class ApprovalResolved(conversationId: String, stepId: String, decision: String, text: String = "") extends UiEvent
+
+  // What the bus sends to subscribers
+  sealed trait Delivery
+
+  // Event as delivered to subscribers: seq is assigned on Publish and grows monotonically
+  // for the lifetime of this process, so clients can drop frames replayed after a reconnect.
+  // ts is the publish time (epoch millis), so replayed events keep their real timing.
+  final case class Envelope(seq: Long, event: UiEvent, ts: Long) extends Delivery
+
+  // Known conversations, so clients can list them without receiving their events.
+  // status: running | finished | failed | cancelled
+  final case class ConversationSummary(id: String, startedAt: Long, lastEventAt: Long, status: String)
+  final case class ConversationIndex(conversations: Seq[ConversationSummary]) extends Delivery
+
+  // Registered agents as tracked by AgentDirectory. status is an AgentStatus name
+  // (Idle | Busy | Offline | Failed); leftAt is set once the agent is no longer registered.
+  final case class AgentInfo(
+    id: String,
+    name: String,
+    capability: String, // the name telemetry events use as "agent"
+    agentType: String,
+    skills: Seq[String],
+    provider: String,
+    status: String,
+    load: Int,
+    registeredAt: Long,
+    lastSeenAt: Option[Long],
+    leftAt: Option[Long]
+  )
+  final case class AgentIndex(agents: Seq[AgentInfo]) extends Delivery
+
+  /** Subscription filter; an empty set does not restrict that dimension.
+    * Agents match the capability an event is about; coordinator-only events
+    * (plan progress, aggregates, errors, user messages) count as agent "coordinator".
+    */
+  final case class Filter(
+    conversations: Set[String] = Set.empty,
+    agents: Set[String] = Set.empty,
+    types: Set[String] = Set.empty
+  ) {
+    def matches(ev: UiEvent): Boolean =
+      (conversations.isEmpty || conversations.contains(ev.conversationId)) &&
+      (types.isEmpty || types.contains(eventType(ev))) &&
+      (agents.isEmpty || agentsOf(ev).exists(agents.contains))
+  }
+
+  object Filter {
+    val All: Filter = Filter()
+  }
+
+  private val MaxIndexedConversations = 1000
+
+  // Conversation status after an event of the given type (see ConversationSummary)
+  def statusAfter(eventType: String, previous: Option[String]): String = eventType match {
+    case "aggregate"  => "finished"
+    case "cancelled"  => "cancelled"
+    case "stepFailed" => "failed"
+    // A parked conversation runs again once an operator retries or skips its failed step (a retried
+    // gated step asks for approval first)
+    case "plan" | "dispatch" | "stepSkipped" | "approvalRequested" => "running"
+    case _            => previous.getOrElse("running")
+  }
+
+  // Identifies this backend run; seq restarts at 1 whenever the epoch changes.
+  val epoch: String = UUID.randomUUID().toString
 
   // -------- Event bus protocol --------
   sealed trait Command
   final case class Publish(ev: UiEvent) extends Command
-  final case class Subscribe(subscriber: ActorRef[UiEvent]) extends Command
-  final case class Unsubscribe(subscriber: ActorRef[UiEvent]) extends Command
+  final case class Subscribe(subscriber: ActorRef[Envelope], filter: Filter = Filter.All) extends Command
+  // Replaces the filter of an existing subscriber and replays the matching history
+  final case class UpdateFilter(subscriber: ActorRef[Envelope], filter: Filter) extends Command
+  final case class Unsubscribe(subscriber: ActorRef[Envelope]) extends Command
+  // Sends the conversation index now and whenever a conversation starts or changes status
+  final case class WatchConversations(watcher: ActorRef[ConversationIndex]) extends Command
+  final case class UnwatchConversations(watcher: ActorRef[ConversationIndex]) extends Command
 
   def apply(): Behavior[Command] =
     Behaviors.setup { _ =>
-      var subscribers = Set.empty[ActorRef[UiEvent]]
-      var history     = Vector.empty[UiEvent]
+      var subscribers = Map.empty[ActorRef[Envelope], Filter]
+      var watchers    = Set.empty[ActorRef[ConversationIndex]]
+      var history     = Vector.empty[Envelope]
+      var index       = Map.empty[String, ConversationSummary]
+      var seq         = 0L
+
+      def indexMessage = ConversationIndex(index.values.toSeq.sortBy(_.startedAt))
+
+      // Returns true when watchers should hear about the change
+      def updateIndex(ev: UiEvent): Boolean = {
+        val now  = System.currentTimeMillis()
+        val prev = index.get(ev.conversationId)
+        val status = statusAfter(eventType(ev), prev.map(_.status))
+        val entry = prev match {
+          case Some(p) => p.copy(lastEventAt = now, status = status)
+          case None    => ConversationSummary(ev.conversationId, now, now, status)
+        }
+        index += ev.conversationId -> entry
+        if (index.size > MaxIndexedConversations)
+          index -= index.values.minBy(_.lastEventAt).id
+        prev.forall(_.status != status)
+      }
 
       Behaviors.receiveMessage {
-        case Subscribe(s) =>
-          subscribers += s
-          // Replay recent history to new subscriber
-          history.foreach(ev => s ! ev)
+        case Subscribe(s, filter) =>
+          subscribers += s -> filter
+          // Replay recent history (only what the filter asks for) to new subscriber
+          history.filter(env => filter.matches(env.event)).foreach(ev => s ! ev)
+          Behaviors.same
+
+        case UpdateFilter(s, filter) =>
+          if (subscribers.contains(s)) {
+            subscribers += s -> filter
+            // Events the subscriber already has are dropped client-side by seq
+            history.filter(env => filter.matches(env.event)).foreach(ev => s ! ev)
+          }
           Behaviors.same
 
         case Unsubscribe(s) =>
           subscribers -= s
+          watchers = watchers.filterNot(_ == s)
+          Behaviors.same
+
+        case WatchConversations(w) =>
+          watchers += w
+          w ! indexMessage
+          Behaviors.same
+
+        case UnwatchConversations(w) =>
+          watchers -= w
           Behaviors.same
 
         case Publish(ev) =>
-          // Append to history (cap at 500 for memory safety) and broadcast
-          history = (history :+ ev).takeRight(500)
-          subscribers.foreach(_ ! ev)
+          // Stamp, append to history (cap at 500 for memory safety) and broadcast.
+          // Deltas are live-only: a long stream would otherwise push plans out of the replay
+          // history, and the final ChatMessage carries the full text anyway.
+          seq += 1
+          val env = Envelope(seq, ev, System.currentTimeMillis())
+          ev match {
+            case _: AgentDelta => ()
+            case _             => history = (history :+ env).takeRight(500)
+          }
+          subscribers.foreach { case (s, filter) => if (filter.matches(ev)) s ! env }
+          if (updateIndex(ev) && watchers.nonEmpty) {
+            val msg = indexMessage
+            watchers.foreach(_ ! msg)
+          }
           Behaviors.same
       }
     }
 
-  // -------- Minimal JSON serialization (no external deps) --------
-  private def esc(s: String): String =
+  // -------- Minimal JSON serialization (no external deps), fields as declared in EventSchema --------
+  private[telemetry] def esc(s: String): String =
     s.flatMap {
       case '"'  => "\\\""
       case '\\' => "\\\\"
       case '\n' => "\\n"
       case '\r' => "\\r"
       case '\t' => "\\t"
+      case c if c < ' ' => f"\\u${c.toInt}%04x"
       case c    => c.toString
     }
 
@@ -65,7 +240,8 @@ object UiEventBus {
       val stepsJson = steps
         .map { si =>
           val deps = si.dependencies.map(d => s""""${esc(d)}"""").mkString(",")
-          s"""{"id":"${esc(si.id)}","capability":"${esc(si.capability)}","dependencies":[$deps]}"""
+          s"""{"id":"${esc(si.id)}","capability":"${esc(si.capability)}","dependencies":[$deps],"instruction":"${esc(si.instruction)}",""" +
+            s""""requiresApproval":${si.requiresApproval}}"""
         }
         .mkString(",")
       s"""{"type":"plan","conversationId":"${esc(cid)}","steps":[$stepsJson]}"""
@@ -77,18 +253,112 @@ object UiEventBus {
       s"""{"type":"stepCompleted","conversationId":"${esc(cid)}","stepId":"${esc(stepId)}"}"""
 
     case AggregateCompleted(cid, len) =>
-      s"""{"type":"aggregate","conversationId":"${esc(cid)}","length":$len}"""
+      s"""{"type":"aggregate","conversationId":"${esc(cid)}","textLength":$len}"""
 
     case AgentStart(cid, agent, stepId, msgId, ref) =>
       s"""{"type":"agentStart","conversationId":"${esc(cid)}","agent":"${esc(agent)}","stepId":"${esc(stepId)}","messageId":"${esc(msgId)}","refinement":$ref}"""
 
-    case AgentComplete(cid, agent, stepId, respId, len) =>
-      s"""{"type":"agentComplete","conversationId":"${esc(cid)}","agent":"${esc(agent)}","stepId":"${esc(stepId)}","responseMessageId":"${esc(respId)}","length":$len}"""
+    case AgentComplete(cid, agent, stepId, respId, len, provider, usage) =>
+      val usageJson = usage
+        .map(u => s""","promptTokens":${u.promptTokens},"completionTokens":${u.completionTokens},"tokensEstimated":${u.estimated}""")
+        .getOrElse("")
+      s"""{"type":"agentComplete","conversationId":"${esc(cid)}","agent":"${esc(agent)}","stepId":"${esc(stepId)}","responseMessageId":"${esc(respId)}","textLength":$len,"provider":"${esc(provider)}"$usageJson}"""
+
+    case AgentDelta(cid, agent, stepId, reqId, index, delta) =>
+      s"""{"type":"agentDelta","conversationId":"${esc(cid)}","agent":"${esc(agent)}","stepId":"${esc(stepId)}","messageId":"${esc(reqId)}","index":$index,"delta":"${esc(delta)}"}"""
 
     case ChatMessage(cid, role, msgId, text, agentOpt) =>
       s"""{"type":"chat","conversationId":"${esc(cid)}","role":"${esc(role)}","messageId":"${esc(msgId)}","agent":"${esc(agentOpt.getOrElse(""))}","text":"${esc(text)}"}"""
 
-    case ErrorEvent(cid, msg) =>
-      s"""{"type":"error","conversationId":"${esc(cid)}","message":"${esc(msg)}"}"""
+    case ErrorEvent(cid, msg, agentOpt, stepOpt, classOpt) =>
+      val agentJson = agentOpt.map(a => s""","agent":"${esc(a)}"""").getOrElse("")
+      val stepJson  = stepOpt.map(st => s""","stepId":"${esc(st)}"""").getOrElse("")
+      val classJson = classOpt.map(c => s""","errorClass":"${esc(c)}"""").getOrElse("")
+      s"""{"type":"error","conversationId":"${esc(cid)}","message":"${esc(msg)}"$agentJson$stepJson$classJson}"""
+
+    case StepAttemptFailed(cid, stepId, agent, attempt, maxAttempts, error, errorClass, willRetry) =>
+      s"""{"type":"attemptFailed","conversationId":"${esc(cid)}","stepId":"${esc(stepId)}","agent":"${esc(agent)}",""" +
+        s""""attempt":$attempt,"maxAttempts":$maxAttempts,"error":"${esc(error)}","errorClass":"${esc(errorClass)}","willRetry":$willRetry}"""
+
+    case StepFailed(cid, stepId, error) =>
+      s"""{"type":"stepFailed","conversationId":"${esc(cid)}","stepId":"${esc(stepId)}","error":"${esc(error)}"}"""
+
+    case StepSkipped(cid, stepId) =>
+      s"""{"type":"stepSkipped","conversationId":"${esc(cid)}","stepId":"${esc(stepId)}"}"""
+
+    case ConversationCancelled(cid, reason) =>
+      s"""{"type":"cancelled","conversationId":"${esc(cid)}","reason":"${esc(reason)}"}"""
+
+    case LoopIteration(cid, iteration, maxIterations, outcome, text) =>
+      s"""{"type":"iteration","conversationId":"${esc(cid)}","iteration":$iteration,"maxIterations":$maxIterations,""" +
+        s""""outcome":"${esc(outcome)}","text":"${esc(text)}"}"""
+
+    case ApprovalRequested(cid, stepId, cap, instruction) =>
+      s"""{"type":"approvalRequested","conversationId":"${esc(cid)}","stepId":"${esc(stepId)}","capability":"${esc(cap)}","instruction":"${esc(instruction)}"}"""
+
+    case ApprovalResolved(cid, stepId, decision, text) =>
+      s"""{"type":"approvalResolved","conversationId":"${esc(cid)}","stepId":"${esc(stepId)}","decision":"${esc(decision)}","text":"${esc(text)}"}"""
   }
+
+  // The "type" field of an event's JSON frame
+  def eventType(ev: UiEvent): String = ev match {
+    case _: PlanComputed          => "plan"
+    case _: StepDispatched        => "dispatch"
+    case _: StepCompleted         => "stepCompleted"
+    case _: AggregateCompleted    => "aggregate"
+    case _: AgentStart            => "agentStart"
+    case _: AgentComplete         => "agentComplete"
+    case _: AgentDelta            => "agentDelta"
+    case _: ChatMessage           => "chat"
+    case _: ErrorEvent            => "error"
+    case _: StepAttemptFailed     => "attemptFailed"
+    case _: StepFailed            => "stepFailed"
+    case _: StepSkipped           => "stepSkipped"
+    case _: ConversationCancelled => "cancelled"
+    case _: LoopIteration         => "iteration"
+    case _: ApprovalRequested     => "approvalRequested"
+    case _: ApprovalResolved      => "approvalResolved"
+  }
+
+  private def agentsOf(ev: UiEvent): Seq[String] = ev match {
+    case PlanComputed(_, steps)            => steps.map(_.capability) :+ "coordinator"
+    case StepDispatched(_, _, cap, _)      => Seq(cap, "coordinator")
+    case AgentStart(_, agent, _, _, _)     => Seq(agent)
+    case AgentComplete(_, agent, _, _, _, _, _) => Seq(agent)
+    case AgentDelta(_, agent, _, _, _, _)  => Seq(agent)
+    case ChatMessage(_, _, _, _, agentOpt) => Seq(agentOpt.getOrElse("coordinator"))
+    case ErrorEvent(_, _, Some(agent), _, _) => Seq(agent)
+    case StepAttemptFailed(_, _, agent, _, _, _, _, _) => Seq(agent, "coordinator")
+    case ApprovalRequested(_, _, cap, _)   => Seq(cap, "coordinator")
+    case _                                 => Seq("coordinator")
+  }
+
+  def toJson(index: ConversationIndex): String = {
+    val items = index.conversations
+      .map(c => s"""{"id":"${esc(c.id)}","startedAt":${c.startedAt},"lastEventAt":${c.lastEventAt},"status":"${esc(c.status)}"}""")
+      .mkString(",")
+    EventSchema.versioned(s"""{"type":"conversations","conversations":[$items]}""")
+  }
+
+  def toJson(index: AgentIndex): String = {
+    def opt(v: Option[Long]) = v.map(_.toString).getOrElse("null")
+    val items = index.agents
+      .map { a =>
+        val skills = a.skills.map(sk => s""""${esc(sk)}"""").mkString(",")
+        s"""{"id":"${esc(a.id)}","name":"${esc(a.name)}","capability":"${esc(a.capability)}","agentType":"${esc(a.agentType)}","skills":[$skills],""" +
+          s""""provider":"${esc(a.provider)}","status":"${esc(a.status)}","load":${a.load},"registeredAt":${a.registeredAt},""" +
+          s""""lastSeenAt":${opt(a.lastSeenAt)},"leftAt":${opt(a.leftAt)}}"""
+      }
+      .mkString(",")
+    EventSchema.versioned(s"""{"type":"agents","agents":[$items]}""")
+  }
+
+  // Same as toJson(ev) with the schema version, bus sequence number and publish time spliced in as the first fields
+  def toJson(env: Envelope): String =
+    EventSchema.versioned(s"""{"seq":${env.seq},"ts":${env.ts},${toJson(env.event).drop(1)}""")
+
+  // First frame on every socket so clients can tell a backend restart from a network blip;
+  // its "v" tells them which schema version the events that follow are written with
+  def helloJson: String =
+    EventSchema.versioned(s"""{"type":"hello","epoch":"${esc(epoch)}"}""")
 }
@@ -1,13 +1,21 @@
 package net.kaduk.agents
 
-import org.apache.pekko.actor.testkit.typed.scaladsl.ScalaTestWithActorTestKit
+import org.apache.pekko.actor.testkit.typed.scaladsl.{FishingOutcomes, ScalaTestWithActorTestKit}
 import org.scalatest.wordspec.AnyWordSpecLike
 import net.kaduk.domain.*
 import net.kaduk.infrastructure.llm.LLMProvider
 import net.kaduk.infrastructure.registry.AgentRegistry
+import net.kaduk.telemetry.UiEventBus
+import net.kaduk.infrastructure.llm.ChatStreams
+import org.apache.pekko.http.scaladsl.Http
+import org.apache.pekko.http.scaladsl.model.{ContentType, HttpEntity, MediaTypes}
+import org.apache.pekko.http.scaladsl.server.Directives.{complete, post}
 import org.apache.pekko.stream.scaladsl.Source
+import org.apache.pekko.util.ByteString
 import org.apache.pekko.NotUsed
 import scala.concurrent.Future
+import scala.concurrent.duration.*
+import java.util.concurrent.atomic.AtomicInteger
 
 class LLMAgentSpec extends ScalaTestWithActorTestKit with AnyWordSpecLike:
 
@@ -24,6 +32,34 @@ class LLMAgentSpec extends ScalaTestWithActorTestKit with AnyWordSpecLike:
     
     override def close(): Future[Unit] = Future.successful(())
 
+  // Emits the reply token by token and counts how often the stream is materialized
+  class TokenByTokenProvider(tokens: Seq[String]) extends LLMProvider:
+    val runs = AtomicInteger(0)
+    override def name: String = "tokens"
+
+    override def streamCompletion(messages: Seq[Message], systemPrompt: String): Source[StreamToken, NotUsed] =
+      Source.fromIterator { () =>
+        runs.incrementAndGet()
+        tokens.iterator.map(t => StreamToken(t, "stream-id"))
+      }
+
+    override def completion(messages: Seq[Message], systemPrompt: String): Future[String] =
+      Future.successful(tokens.mkString)
+
+    override def close(): Future[Unit] = Future.successful(())
+
+  // Streams a chat completion from an OpenAI-style server-sent event endpoint
+  class SseProvider(url: String) extends LLMProvider:
+    override def name: String = "sse"
+
+    override def streamCompletion(messages: Seq[Message], systemPrompt: String): Source[StreamToken, NotUsed] =
+      ChatStreams.postLines(url, Seq.empty, "{}").via(ChatStreams.sseData).via(ChatStreams.openAITokens)
+
+    override def completion(messages: Seq[Message], systemPrompt: String): Future[String] =
+      Future.failed(UnsupportedOperationException("streaming only"))
+
+    override def close(): Future[Unit] = Future.successful(())
+
   "LLMAgent" should {
     "process messages and return responses" in {
       val capability = AgentCapability(
@@ -109,6 +145,168 @@ class LLMAgentSpec extends ScalaTestWithActorTestKit with AnyWordSpecLike:
       probe.expectMessageType[BaseAgent.ProcessedMessage]
     }
 
+    "publish partial output as agentDelta events before agentComplete" in {
+      val capability = AgentCapability(
+        name = "test-agent",
+        agentType = AgentType.LLM,
+        skills = Set("text-generation"),
+        provider = "tokens"
+      )
+
+      val provider = TokenByTokenProvider(Seq("Hel", "lo", ", ", "world"))
+      val registry = AgentRegistry()(using system, summon[scala.concurrent.ExecutionContext])
+      val uiBus = createTestProbe[UiEventBus.Command]()
+      val agent = spawn(LLMAgent(capability, provider, registry, Some(uiBus.ref)))
+      val probe = createTestProbe[BaseAgent.Response]()
+
+      val ctx = ConversationContext("conv-delta")
+      val msg = Message(role = MessageRole.User, content = MessageContent("Greet"), conversationId = ctx.id)
+      agent ! BaseAgent.ProcessMessage(msg, ctx, probe.ref.unsafeUpcast[Any])
+
+      // Everything published up to and including AgentComplete
+      val published = uiBus.fishForMessage(remainingOrDefault) {
+        case UiEventBus.Publish(_: UiEventBus.AgentComplete) => FishingOutcomes.complete
+        case _                                                => FishingOutcomes.continue
+      }.collect { case UiEventBus.Publish(ev) => ev }
+      published.head shouldBe a[UiEventBus.AgentStart]
+      val deltas = published.tail.takeWhile(_.isInstanceOf[UiEventBus.AgentDelta]).map(_.asInstanceOf[UiEventBus.AgentDelta])
+      // Tokens may be coalesced, but never reordered or lost
+      deltas.map(_.delta).mkString shouldBe "Hello, world"
+      deltas.map(_.index) shouldBe deltas.indices
+      deltas.foreach(_.requestMessageId shouldBe msg.id)
+      published.size shouldBe deltas.size + 2
+      published.last shouldBe a[UiEventBus.AgentComplete]
+      // The provider reports no usage, so the agent estimates it
+      val complete = published.last.asInstanceOf[UiEventBus.AgentComplete]
+      complete.provider shouldBe "tokens"
+      complete.usage.map(_.estimated) shouldBe Some(true)
+
+      probe.expectMessageType[BaseAgent.ProcessedMessage].message.content.text shouldBe "Hello, world"
+    }
+
+    "put the token usage reported by the provider on agentComplete" in {
+      val capability = AgentCapability(
+        name = "test-agent",
+        agentType = AgentType.LLM,
+        skills = Set("text-generation"),
+        provider = "mock"
+      )
+
+      val provider = new MockLLMProvider:
+        override def streamCompletion(messages: Seq[Message], systemPrompt: String): Source[StreamToken, NotUsed] =
+          Source(List(
+            StreamToken("Counted", "usage-id"),
+            StreamToken("", "usage-id", isComplete = true, usage = Some(TokenUsage(120, 7)))
+          ))
+      val registry = AgentRegistry()(using system, summon[scala.concurrent.ExecutionContext])
+      val uiBus = createTestProbe[UiEventBus.Command]()
+      val agent = spawn(LLMAgent(capability, provider, registry, Some(uiBus.ref)))
+      val probe = createTestProbe[BaseAgent.Response]()
+
+      val ctx = ConversationContext("conv-usage")
+      val msg = Message(role = MessageRole.User, content = MessageContent("Count"), conversationId = ctx.id)
+      agent ! BaseAgent.ProcessMessage(msg, ctx, probe.ref.unsafeUpcast[Any])
+
+      val complete = uiBus.fishForMessage(remainingOrDefault) {
+        case UiEventBus.Publish(_: UiEventBus.AgentComplete) => FishingOutcomes.complete
+        case _                                                => FishingOutcomes.continue
+      }.collect { case UiEventBus.Publish(ev: UiEventBus.AgentComplete) => ev }.head
+      complete.usage shouldBe Some(TokenUsage(120, 7))
+      complete.provider shouldBe "mock"
+      probe.expectMessageType[BaseAgent.ProcessedMessage].message.content.text shouldBe "Counted"
+    }
+
+    "publish an answer streamed over HTTP as several agentDelta events" in {
+      // One event every 150 ms, slower than the chunk flush interval, so chunks cannot be coalesced into one
+      val events = Seq("Hel", "lo", ", ", "world").map(t => s"""{"id":"c-1","choices":[{"delta":{"content":"$t"}}]}""") :+ "[DONE]"
+      val route = post {
+        complete(HttpEntity(
+          ContentType(MediaTypes.`text/event-stream`),
+          Source(events).throttle(1, 150.millis).map(e => ByteString(s"data: $e\n\n"))
+        ))
+      }
+      val binding = Http().newServerAt("127.0.0.1", 0).bind(route).futureValue
+      val url = s"http://127.0.0.1:${binding.localAddress.getPort}/v1/chat/completions"
+
+      val capability = AgentCapability(
+        name = "test-agent",
+        agentType = AgentType.LLM,
+        skills = Set("text-generation"),
+        provider = "sse"
+      )
+      val registry = AgentRegistry()(using system, summon[scala.concurrent.ExecutionContext])
+      val uiBus = createTestProbe[UiEventBus.Command]()
+      val agent = spawn(LLMAgent(capability, SseProvider(url), registry, Some(uiBus.ref)))
+      val probe = createTestProbe[BaseAgent.Response]()
+
+      val ctx = ConversationContext("conv-sse")
+      val msg = Message(role = MessageRole.User, content = MessageContent("Greet"), conversationId = ctx.id)
+      agent ! BaseAgent.ProcessMessage(msg, ctx, probe.ref.unsafeUpcast[Any])
+
+      val deltas = uiBus.fishForMessage(5.seconds) {
+        case UiEventBus.Publish(_: UiEventBus.AgentComplete) => FishingOutcomes.complete
+        case _                                                => FishingOutcomes.continue
+      }.collect { case UiEventBus.Publish(d: UiEventBus.AgentDelta) => d }
+      deltas.size should be > 1
+      deltas.map(_.delta).mkString shouldBe "Hello, world"
+
+      probe.expectMessageType[BaseAgent.ProcessedMessage].message.content.text shouldBe "Hello, world"
+      binding.unbind().futureValue
+    }
+
+    "publish its chat messages under its capability, so a bus filter on that agent keeps them" in {
+      val capability = AgentCapability(
+        name = "summarizer",
+        agentType = AgentType.LLM,
+        skills = Set("summarization"),
+        provider = "mock"
+      )
+
+      val registry = AgentRegistry()(using system, summon[scala.concurrent.ExecutionContext])
+      val bus = spawn(UiEventBus())
+      val subscriber = createTestProbe[UiEventBus.Envelope]()
+      bus ! UiEventBus.Subscribe(subscriber.ref, UiEventBus.Filter(agents = Set("summarizer"), types = Set("chat")))
+
+      // The actor name differs from the capability the UI knows the agent by
+      val agent = spawn(LLMAgent(capability, MockLLMProvider(), registry, Some(bus)), "llm-worker-7")
+      val probe = createTestProbe[BaseAgent.Response]()
+      val ctx = ConversationContext("conv-chat-filter")
+      val msg = Message(role = MessageRole.User, content = MessageContent("Summarize"), conversationId = ctx.id)
+      agent ! BaseAgent.ProcessMessage(msg, ctx, probe.ref.unsafeUpcast[Any])
+      probe.expectMessageType[BaseAgent.ProcessedMessage]
+
+      subscriber.expectMessageType[UiEventBus.Envelope].event match
+        case chat: UiEventBus.ChatMessage =>
+          chat.agent shouldBe Some("summarizer")
+          chat.text shouldBe "Mock response"
+        case other => fail(s"Expected a chat message, got $other")
+      subscriber.expectNoMessage(200.millis)
+    }
+
+    "run the provider stream once per StreamMessage" in {
+      val capability = AgentCapability(
+        name = "test-agent",
+        agentType = AgentType.LLM,
+        skills = Set("text-generation"),
+        provider = "tokens"
+      )
+
+      val provider = TokenByTokenProvider(Seq("a", "b"))
+      val registry = AgentRegistry()(using system, summon[scala.concurrent.ExecutionContext])
+      val agent = spawn(LLMAgent(capability, provider, registry))
+      val sProbe = createTestProbe[BaseAgent.StreamResponse]()
+
+      val ctx = ConversationContext("conv-once")
+      val msg = Message(role = MessageRole.User, content = MessageContent("Stream"), conversationId = ctx.id)
+      agent ! BaseAgent.StreamMessage(msg, ctx, sProbe.ref.unsafeUpcast[Any])
+
+      sProbe.fishForMessage(remainingOrDefault) {
+        case _: BaseAgent.StreamComplete => FishingOutcomes.complete
+        case _                           => FishingOutcomes.continue
+      }
+      provider.runs.get shouldBe 1
+    }
+
     "stop transitions the agent to terminated state (cleanup path)" in {
       val capability = AgentCapability(
         name = "test-agent",
@@ -0,0 +1,123 @@
+package net.kaduk.infrastructure.llm
+
+import org.apache.pekko.actor.testkit.typed.scaladsl.ScalaTestWithActorTestKit
+import org.apache.pekko.stream.scaladsl.{Flow, Sink, Source}
+import org.apache.pekko.NotUsed
+import org.scalatest.wordspec.AnyWordSpecLike
+import net.kaduk.domain.*
+
+class ChatStreamsSpec extends ScalaTestWithActorTestKit with AnyWordSpecLike:
+
+  private def tokens(lines: Seq[String], flow: Flow[String, StreamToken, NotUsed]): Seq[StreamToken] =
+    Source(lines).via(flow).runWith(Sink.seq).futureValue
+
+  "ChatStreams" should {
+    "read OpenAI deltas from server-sent events up to [DONE]" in {
+      val lines = Seq(
+        """data: {"id":"c-1","choices":[{"index":0,"delta":{"role":"assistant"}}]}""",
+        "",
+        """data: {"id":"c-1","choices":[{"index":0,"delta":{"content":"Hel"}}]}""",
+        "",
+        """data: {"id":"c-1","choices":[{"index":0,"delta":{"content":"lo"}}]}""",
+        """data: {"id":"c-1","choices":[{"index":0,"delta":{},"finish_reason":"stop"}]}""",
+        "data: [DONE]",
+        """data: {"id":"c-2","choices":[{"index":0,"delta":{"content":"ignored"}}]}"""
+      )
+
+      val read = tokens(lines, ChatStreams.sseData.via(ChatStreams.openAITokens))
+      read.map(_.content) shouldBe Seq("Hel", "lo", "")
+      read.map(_.messageId).distinct shouldBe Seq("c-1")
+      read.map(_.isComplete) shouldBe Seq(false, false, true)
+    }
+
+    "read Anthropic text deltas under the id announced by message_start" in {
+      val lines = Seq(
+        "event: message_start",
+        """data: {"type":"message_start","message":{"id":"msg_1","usage":{"input_tokens":9}}}""",
+        "event: ping",
+        """data: {"type":"ping"}""",
+        """data: {"type":"content_block_delta","index":0,"delta":{"type":"text_delta","text":"Hi"}}""",
+        """data: {"type":"content_block_delta","index":0,"delta":{"type":"text_delta","text":" there"}}""",
+        """data: {"type":"message_stop"}"""
+      )
+
+      val read = tokens(lines, ChatStreams.sseData.via(ChatStreams.anthropicTokens))
+      read.map(_.content) shouldBe Seq("Hi", " there", "")
+      read.map(_.messageId).distinct shouldBe Seq("msg_1")
+      read.last.isComplete shouldBe true
+    }
+
+    "turn a provider error event into an error token" in {
+      val anthropic = tokens(
+        Seq("""data: {"type":"error","error":{"type":"overloaded_error","message":"Overloaded"}}"""),
+        ChatStreams.sseData.via(ChatStreams.anthropicTokens)
+      )
+      anthropic.map(_.error) shouldBe Seq(Some("Overloaded"))
+
+      val ollama = tokens(Seq("""{"error":"model 'nope' not found"}"""), ChatStreams.ollamaTokens("req-1"))
+      ollama.map(_.error) shouldBe Seq(Some("model 'nope' not found"))
+
+      val unreadable = tokens(Seq("data: {not json"), ChatStreams.sseData.via(ChatStreams.openAITokens))
+      unreadable.head.error.get should startWith("Unreadable stream event")
+    }
+
+    "read Ollama NDJSON lines until done" in {
+      val lines = Seq(
+        """{"model":"llama3","message":{"role":"assistant","content":"Bon"},"done":false}""",
+        "",
+        """{"model":"llama3","message":{"role":"assistant","content":"jour"},"done":false}""",
+        """{"model":"llama3","message":{"role":"assistant","content":""},"done":true,"eval_count":2}"""
+      )
+
+      val read = tokens(lines, ChatStreams.ollamaTokens("req-1"))
+      read.map(_.content) shouldBe Seq("Bon", "jour", "")
+      read.map(_.messageId).distinct shouldBe Seq("req-1")
+      read.last.isComplete shouldBe true
+    }
+
+    "carry the token counts each API reports at the end of a stream" in {
+      val openAI = tokens(
+        Seq(
+          """data: {"id":"c-1","choices":[{"index":0,"delta":{"content":"Hi"},"finish_reason":"stop"}]}""",
+          """data: {"id":"c-1","choices":[],"usage":{"prompt_tokens":12,"completion_tokens":2,"total_tokens":14}}""",
+          "data: [DONE]"
+        ),
+        ChatStreams.sseData.via(ChatStreams.openAITokens)
+      )
+      openAI.flatMap(_.usage) shouldBe Seq(TokenUsage(12, 2))
+
+      val anthropic = tokens(
+        Seq(
+          """data: {"type":"message_start","message":{"id":"msg_1","usage":{"input_tokens":9,"output_tokens":1}}}""",
+          """data: {"type":"content_block_delta","index":0,"delta":{"type":"text_delta","text":"Hi"}}""",
+          """data: {"type":"message_delta","delta":{"stop_reason":"end_turn"},"usage":{"output_tokens":3}}""",
+          """data: {"type":"message_stop"}"""
+        ),
+        ChatStreams.sseData.via(ChatStreams.anthropicTokens)
+      )
+      anthropic.flatMap(_.usage) shouldBe Seq(TokenUsage(9, 3))
+
+      val ollama = tokens(
+        Seq(
+          """{"message":{"role":"assistant","content":"Hi"},"done":false}""",
+          """{"message":{"role":"assistant","content":""},"done":true,"prompt_eval_count":26,"eval_count":4}"""
+        ),
+        ChatStreams.ollamaTokens("req-1")
+      )
+      ollama.flatMap(_.usage) shouldBe Seq(TokenUsage(26, 4))
+    }
+
+    "encode the conversation as chat turns led by the system prompt" in {
+      val messages = Seq(
+        Message(role = MessageRole.User, content = MessageContent("Say \"hi\"\n"), conversationId = "c"),
+        Message(role = MessageRole.Agent, content = MessageContent("done"), conversationId = "c", agentId = Some("planner"))
+      )
+
+      val turns = ChatStreams.chatTurns(messages, "Be brief")
+      turns shouldBe Seq("system" -> "Be brief", "user" -> "Say \"hi\"\n", "user" -> "[Agent planner]: done")
+      ChatStreams.chatTurns(messages, "").map(_._1) shouldBe Seq("user", "user")
+      ChatStreams.turnsJson(turns.take(2)) shouldBe
+        """[{"role":"system","content":"Be brief"},{"role":"user","content":"Say \"hi\"\n"}]"""
+      ChatStreams.quote("a\u0001b") shouldBe "\"a\\u0001b\""
+    }
+  }
@@ -1,6 +1,6 @@
 package net.kaduk.integration
 
-import org.apache.pekko.actor.testkit.typed.scaladsl.{ScalaTestWithActorTestKit, TestProbe}
+import org.apache.pekko.actor.testkit.typed.scaladsl.{FishingOutcomes, ScalaTestWithActorTestKit, TestProbe}
 import org.apache.pekko.actor.typed.{ActorRef, Behavior}
 import org.apache.pekko.actor.typed.scaladsl.Behaviors
 import org.scalatest.wordspec.AnyWordSpecLike
@@ -12,6 +12,7 @@ import scala.concurrent.duration.*
 import net.kaduk.agents.{BaseAgent, CoordinatorAgent}
 import net.kaduk.infrastructure.registry.AgentRegistry
 import net.kaduk.domain.*
+import net.kaduk.telemetry.UiEventBus
 
 /**
   * Integration-ish tests that verify CoordinatorAgent:
@@ -105,6 +106,63 @@ class MultiAgentFlowSpec extends ScalaTestWithActorTestKit with AnyWordSpecLike:
       assert(text.contains("[done]"))
     }
 
+    "run an authored plan instead of decomposing the task, and reject a cyclic one" in {
+      val classifier = spawn(mockWorker("classifier", "labels"))
+      val summarizer = spawn(mockWorker("summarizer", "wrap-up [done]", satisfied = true))
+      val registry = new StubRegistry(Map("classifier" -> classifier, "summarizer" -> summarizer))(using system, system.executionContext)
+
+      val coordinator = spawn(CoordinatorAgent(registry))
+      val probe = createTestProbe[BaseAgent.Response]()
+
+      val plan = CoordinatorAgent.TaskPlan(Seq(
+        CoordinatorAgent.TaskStep("label", "classifier", "Label the tickets"),
+        CoordinatorAgent.TaskStep("wrap", "summarizer", "Summarize the labels", Seq("label"))
+      ))
+      val ctx = ConversationContext(id = "conv-plan")
+      val msg = Message(role = MessageRole.User, content = MessageContent("Triage"), conversationId = ctx.id)
+      coordinator ! BaseAgent.ExecutePlan(msg, ctx, plan, probe.ref.unsafeUpcast[Any])
+
+      val text = probe.expectMessageType[BaseAgent.ProcessedMessage](5.seconds).message.content.text
+      assert(text.contains("[classifier] labels"))
+      assert(text.contains("[summarizer] wrap-up"))
+
+      val cyclic = CoordinatorAgent.TaskPlan(Seq(
+        CoordinatorAgent.TaskStep("a", "classifier", "A", Seq("b")),
+        CoordinatorAgent.TaskStep("b", "summarizer", "B", Seq("a"))
+      ))
+      assert(cyclic.problems == Seq("Dependency cycle: a -> b -> a"))
+      val ctx2 = ConversationContext(id = "conv-cyclic")
+      coordinator ! BaseAgent.ExecutePlan(msg.copy(conversationId = ctx2.id), ctx2, cyclic, probe.ref.unsafeUpcast[Any])
+      assert(probe.expectMessageType[BaseAgent.ProcessingFailed](5.seconds).error.startsWith("Invalid plan"))
+    }
+
+    "send a routed capability's steps to the agent named in the route metadata" in {
+      val classifier  = spawn(mockWorker("classifier", "labels"))
+      val summarizerA = spawn(mockWorker("summarizer-a", "wrap-up A [done]", satisfied = true))
+      val summarizerB = spawn(mockWorker("summarizer-b", "wrap-up B [done]", satisfied = true))
+      val registry = new StubRegistry(Map(
+        "classifier"   -> classifier,
+        "summarizer-a" -> summarizerA,
+        "summarizer-b" -> summarizerB
+      ))(using system, system.executionContext)
+
+      val coordinator = spawn(CoordinatorAgent(registry))
+      val probe = createTestProbe[BaseAgent.Response]()
+
+      val plan = CoordinatorAgent.TaskPlan(Seq(
+        CoordinatorAgent.TaskStep("label", "classifier", "Label the tickets"),
+        CoordinatorAgent.TaskStep("wrap", "summarizer-a", "Summarize the labels", Seq("label"))
+      ))
+      val ctx = ConversationContext(id = "conv-routed", metadata = Map(s"${CoordinatorAgent.RoutePrefix}Summarizer-A" -> "summarizer-b"))
+      val msg = Message(role = MessageRole.User, content = MessageContent("Triage"), conversationId = ctx.id)
+      coordinator ! BaseAgent.ExecutePlan(msg, ctx, plan, probe.ref.unsafeUpcast[Any])
+
+      val text = probe.expectMessageType[BaseAgent.ProcessedMessage](5.seconds).message.content.text
+      assert(text.contains("[classifier] labels"))
+      assert(text.contains("[summarizer-b] wrap-up B"))
+      assert(!text.contains("[summarizer-a]"))
+    }
+
     "respect DAG dependencies: do not dispatch downstream until upstream step completes" in {
       // We coordinate via probes to observe order; the planner replies only when we allow it
       val planProbe    = TestProbe[BaseAgent.Command]()
@@ -167,6 +225,330 @@ class MultiAgentFlowSpec extends ScalaTestWithActorTestKit with AnyWordSpecLike:
       sinkProbe.expectMessageType[BaseAgent.ProcessedMessage]
     }
 
+    "accept a new conversation while another one is still running" in {
+      // The planner never answers conv-a, so conv-a stays in progress
+      val planner = spawn(Behaviors.receiveMessage[BaseAgent.Command] {
+        case BaseAgent.ProcessMessage(m, ctx, replyTo) if ctx.id == "conv-b" =>
+          val assistant = Message(role = MessageRole.Assistant, content = MessageContent("P1"), conversationId = ctx.id)
+          val updated   = ctx.addMessage(m).addMessage(assistant)
+          replyTo.asInstanceOf[ActorRef[BaseAgent.Response]] ! BaseAgent.ProcessedMessage(assistant, updated)
+          Behaviors.same
+        case _ => Behaviors.same
+      })
+      val summarizer = spawn(mockWorker("summarizer", "final [done]", satisfied = true))
+
+      val registry = new StubRegistry(Map(
+        "planner"    -> planner,
+        "summarizer" -> summarizer
+      ))(using system, system.executionContext)
+
+      val coordinator = spawn(CoordinatorAgent(registry))
+      val probeA = createTestProbe[BaseAgent.Response]()
+      val probeB = createTestProbe[BaseAgent.Response]()
+
+      val task = "plan, then summarize"
+      val ctxA = ConversationContext(id = "conv-a")
+      val ctxB = ConversationContext(id = "conv-b")
+      coordinator ! BaseAgent.ProcessMessage(Message(role = MessageRole.User, content = MessageContent(task), conversationId = ctxA.id), ctxA, probeA.ref.unsafeUpcast[Any])
+      coordinator ! BaseAgent.ProcessMessage(Message(role = MessageRole.User, content = MessageContent(task), conversationId = ctxB.id), ctxB, probeB.ref.unsafeUpcast[Any])
+
+      probeB.expectMessageType[BaseAgent.ProcessedMessage]
+
+      // A second task for the still-running conversation is rejected
+      coordinator ! BaseAgent.ProcessMessage(Message(role = MessageRole.User, content = MessageContent(task), conversationId = ctxA.id), ctxA, probeA.ref.unsafeUpcast[Any])
+      val rejected = probeA.expectMessageType[BaseAgent.ProcessingFailed]
+      assert(rejected.error.contains("already has a running task"))
+    }
+
+    "park a failed conversation so an operator can skip the failed step" in {
+      val planner = spawn(Behaviors.receiveMessage[BaseAgent.Command] {
+        case BaseAgent.ProcessMessage(m, _, replyTo) =>
+          replyTo.asInstanceOf[ActorRef[BaseAgent.Response]] ! BaseAgent.ProcessingFailed("boom", m.id)
+          Behaviors.same
+        case _ => Behaviors.same
+      })
+      val summarizer = spawn(mockWorker("summarizer", "final [done]", satisfied = true))
+
+      val registry = new StubRegistry(Map(
+        "planner"    -> planner,
+        "summarizer" -> summarizer
+      ))(using system, system.executionContext)
+
+      val coordinator = spawn(CoordinatorAgent(registry))
+      val probe   = createTestProbe[BaseAgent.Response]()
+      val control = createTestProbe[BaseAgent.ControlReply]()
+
+      val ctx = ConversationContext(id = "conv-skip")
+      val msg = Message(role = MessageRole.User, content = MessageContent("plan, then summarize"), conversationId = ctx.id)
+      coordinator ! BaseAgent.ProcessMessage(msg, ctx, probe.ref.unsafeUpcast[Any])
+      probe.expectMessageType[BaseAgent.ProcessingFailed].error shouldBe "boom"
+
+      // Only the failed step may be retried, and unknown conversations are rejected
+      coordinator ! BaseAgent.RetryStep("conv-skip", "summarization-step", control.ref)
+      control.expectMessageType[BaseAgent.ControlRejected]
+      coordinator ! BaseAgent.CancelConversation("conv-unknown", control.ref)
+      control.expectMessageType[BaseAgent.ControlRejected]
+
+      coordinator ! BaseAgent.SkipStep("conv-skip", "planning-step", control.ref)
+      control.expectMessageType[BaseAgent.ControlAccepted]
+
+      val finalMsg = probe.expectMessageType[BaseAgent.ProcessedMessage]
+      finalMsg.message.content.text should include("[summarization-step]")
+      finalMsg.message.content.text should not include("[planning-step]")
+    }
+
+    "publish every failed attempt with its attempt number, error class and whether it is retried" in {
+      val planner = spawn(Behaviors.receiveMessage[BaseAgent.Command] {
+        case BaseAgent.ProcessMessage(m, _, replyTo) =>
+          replyTo.asInstanceOf[ActorRef[BaseAgent.Response]] ! BaseAgent.ProcessingFailed("slow", m.id, "TimeoutException")
+          Behaviors.same
+        case _ => Behaviors.same
+      })
+      val summarizer = spawn(mockWorker("summarizer", "final [done]", satisfied = true))
+
+      val registry = new StubRegistry(Map(
+        "planner"    -> planner,
+        "summarizer" -> summarizer
+      ))(using system, system.executionContext)
+
+      val bus         = createTestProbe[UiEventBus.Command]()
+      val coordinator = spawn(CoordinatorAgent(registry, Some(bus.ref)))
+      val probe       = createTestProbe[BaseAgent.Response]()
+
+      def nextAttemptFailure(): UiEventBus.StepAttemptFailed =
+        bus.fishForMessagePF(5.seconds) {
+          case UiEventBus.Publish(_: UiEventBus.StepAttemptFailed) => FishingOutcomes.complete
+          case _                                                   => FishingOutcomes.continueAndIgnore
+        }.last match
+          case UiEventBus.Publish(ev: UiEventBus.StepAttemptFailed) => ev
+          case other                                                => fail(s"Unexpected $other")
+
+      val ctx = ConversationContext(id = "conv-attempts", metadata = Map("maxLoops" -> "2"))
+      val msg = Message(role = MessageRole.User, content = MessageContent("plan, then summarize"), conversationId = ctx.id)
+      coordinator ! BaseAgent.ProcessMessage(msg, ctx, probe.ref.unsafeUpcast[Any])
+
+      nextAttemptFailure() shouldBe UiEventBus.StepAttemptFailed("conv-attempts", "planning-step", "planner", 1, 2, "slow", "TimeoutException", willRetry = true)
+      nextAttemptFailure() shouldBe UiEventBus.StepAttemptFailed("conv-attempts", "planning-step", "planner", 2, 2, "slow", "TimeoutException", willRetry = false)
+      probe.expectMessageType[BaseAgent.ProcessingFailed].error shouldBe "slow"
+    }
+
+    "hold gated steps for a reviewer who approves with an edited instruction or answers in place of the agent" in {
+      // Echoes the instruction it was given, so the edited one shows up in the result
+      val classifier = spawn(Behaviors.receiveMessage[BaseAgent.Command] {
+        case BaseAgent.ProcessMessage(m, ctx, replyTo) =>
+          val reply = Message(role = MessageRole.Assistant, content = MessageContent(s"echo: ${m.content.text}"), conversationId = ctx.id)
+          replyTo.asInstanceOf[ActorRef[BaseAgent.Response]] ! BaseAgent.ProcessedMessage(reply, ctx.addMessage(m).addMessage(reply))
+          Behaviors.same
+        case _ => Behaviors.same
+      })
+      val summarizer = spawn(mockWorker("summarizer", "never asked"))
+      val registry = new StubRegistry(Map("classifier" -> classifier, "summarizer" -> summarizer))(using system, system.executionContext)
+
+      val bus         = createTestProbe[UiEventBus.Command]()
+      val coordinator = spawn(CoordinatorAgent(registry, Some(bus.ref)))
+      val probe       = createTestProbe[BaseAgent.Response]()
+      val control     = createTestProbe[BaseAgent.ControlReply]()
+
+      def nextApprovalRequest(): UiEventBus.ApprovalRequested =
+        bus.fishForMessagePF(5.seconds) {
+          case UiEventBus.Publish(_: UiEventBus.ApprovalRequested) => FishingOutcomes.complete
+          case _                                                   => FishingOutcomes.continueAndIgnore
+        }.last match
+          case UiEventBus.Publish(ev: UiEventBus.ApprovalRequested) => ev
+          case other                                                => fail(s"Unexpected $other")
+
+      // "label" is gated in the plan, "wrap" through its capability in the metadata
+      val plan = CoordinatorAgent.TaskPlan(Seq(
+        CoordinatorAgent.TaskStep("label", "classifier", "Label the tickets", requiresApproval = true),
+        CoordinatorAgent.TaskStep("wrap", "summarizer", "Summarize the labels", Seq("label"))
+      ))
+      val ctx = ConversationContext(id = "conv-approval", metadata = Map(CoordinatorAgent.ApprovalKey -> "Summarizer"))
+      val msg = Message(role = MessageRole.User, content = MessageContent("Triage"), conversationId = ctx.id)
+      coordinator ! BaseAgent.ExecutePlan(msg, ctx, plan, probe.ref.unsafeUpcast[Any])
+
+      nextApprovalRequest() shouldBe UiEventBus.ApprovalRequested("conv-approval", "label", "classifier", "Label the tickets")
+      coordinator ! BaseAgent.ResolveApproval("conv-approval", "wrap", BaseAgent.ApprovalDecision.Approve(None), control.ref)
+      control.expectMessageType[BaseAgent.ControlRejected]
+
+      coordinator ! BaseAgent.ResolveApproval("conv-approval", "label", BaseAgent.ApprovalDecision.Approve(Some("Label only the urgent tickets")), control.ref)
+      control.expectMessageType[BaseAgent.ControlAccepted]
+
+      nextApprovalRequest().stepId shouldBe "wrap"
+      coordinator ! BaseAgent.ResolveApproval("conv-approval", "wrap", BaseAgent.ApprovalDecision.Answer("Two urgent tickets"), control.ref)
+      control.expectMessageType[BaseAgent.ControlAccepted]
+
+      val text = probe.expectMessageType[BaseAgent.ProcessedMessage](5.seconds).message.content.text
+      text should include("[label] echo: Label only the urgent tickets")
+      text should include("[wrap] Two urgent tickets")
+      text should not include("never asked")
+    }
+
+    "hold a rejected step for the reviewer again when an operator retries it" in {
+      val classifier = createTestProbe[BaseAgent.Command]()
+      val registry   = new StubRegistry(Map("classifier" -> classifier.ref))(using system, system.executionContext)
+
+      val bus         = createTestProbe[UiEventBus.Command]()
+      val coordinator = spawn(CoordinatorAgent(registry, Some(bus.ref)))
+      val probe       = createTestProbe[BaseAgent.Response]()
+      val control     = createTestProbe[BaseAgent.ControlReply]()
+
+      def nextApprovalRequest(): UiEventBus.ApprovalRequested =
+        bus.fishForMessagePF(5.seconds) {
+          case UiEventBus.Publish(_: UiEventBus.ApprovalRequested) => FishingOutcomes.complete
+          case _                                                   => FishingOutcomes.continueAndIgnore
+        }.last match
+          case UiEventBus.Publish(ev: UiEventBus.ApprovalRequested) => ev
+          case other                                                => fail(s"Unexpected $other")
+
+      val plan = CoordinatorAgent.TaskPlan(Seq(
+        CoordinatorAgent.TaskStep("label", "classifier", "Label the tickets", requiresApproval = true)
+      ))
+      val ctx = ConversationContext(id = "conv-reject")
+      val msg = Message(role = MessageRole.User, content = MessageContent("Triage"), conversationId = ctx.id)
+      coordinator ! BaseAgent.ExecutePlan(msg, ctx, plan, probe.ref.unsafeUpcast[Any])
+
+      nextApprovalRequest().stepId shouldBe "label"
+      coordinator ! BaseAgent.ResolveApproval("conv-reject", "label", BaseAgent.ApprovalDecision.Reject("not now"), control.ref)
+      control.expectMessageType[BaseAgent.ControlAccepted]
+      probe.expectMessageType[BaseAgent.ProcessingFailed].error shouldBe "Rejected by reviewer: not now"
+
+      // The retry does not run the rejected step; it asks the reviewer again
+      coordinator ! BaseAgent.RetryStep("conv-reject", "label", control.ref)
+      control.expectMessageType[BaseAgent.ControlAccepted]
+      nextApprovalRequest().stepId shouldBe "label"
+      classifier.expectNoMessage(200.millis)
+
+      coordinator ! BaseAgent.ResolveApproval("conv-reject", "label", BaseAgent.ApprovalDecision.Approve(None), control.ref)
+      control.expectMessageType[BaseAgent.ControlAccepted]
+      val dispatched = classifier.expectMessageType[BaseAgent.ProcessMessage]
+      dispatched.message.content.text shouldBe "Label the tickets"
+
+      // The caller heard ProcessingFailed when the rejection parked the run; it hears the revived run's end too
+      val answer = Message(role = MessageRole.Assistant, content = MessageContent("labelled"), conversationId = ctx.id)
+      dispatched.replyTo ! BaseAgent.ProcessedMessage(answer, dispatched.context.addMessage(dispatched.message).addMessage(answer))
+      probe.expectMessageType[BaseAgent.ProcessedMessage].message.content.text should include("labelled")
+    }
+
+    "number attempts per step while the conversation's steps share one retry budget" in {
+      // Fails its first run only
+      val plannerFailed = new java.util.concurrent.atomic.AtomicBoolean(false)
+      val planner = spawn(Behaviors.receiveMessage[BaseAgent.Command] {
+        case BaseAgent.ProcessMessage(m, ctx, replyTo) =>
+          val reply =
+            if !plannerFailed.getAndSet(true) then BaseAgent.ProcessingFailed("slow", m.id, "TimeoutException")
+            else
+              val plan = Message(role = MessageRole.Assistant, content = MessageContent("[planner] plan"), conversationId = ctx.id)
+              BaseAgent.ProcessedMessage(plan, ctx.addMessage(m).addMessage(plan))
+          replyTo.asInstanceOf[ActorRef[BaseAgent.Response]] ! reply
+          Behaviors.same
+        case _ => Behaviors.same
+      })
+      val summarizer = spawn(Behaviors.receiveMessage[BaseAgent.Command] {
+        case BaseAgent.ProcessMessage(m, _, replyTo) =>
+          replyTo.asInstanceOf[ActorRef[BaseAgent.Response]] ! BaseAgent.ProcessingFailed("broken", m.id, "IOException")
+          Behaviors.same
+        case _ => Behaviors.same
+      })
+      val registry = new StubRegistry(Map("planner" -> planner, "summarizer" -> summarizer))(using system, system.executionContext)
+
+      val bus         = createTestProbe[UiEventBus.Command]()
+      val coordinator = spawn(CoordinatorAgent(registry, Some(bus.ref)))
+      val probe       = createTestProbe[BaseAgent.Response]()
+
+      def nextAttemptFailure(): UiEventBus.StepAttemptFailed =
+        bus.fishForMessagePF(5.seconds) {
+          case UiEventBus.Publish(_: UiEventBus.StepAttemptFailed) => FishingOutcomes.complete
+          case _                                                   => FishingOutcomes.continueAndIgnore
+        }.last match
+          case UiEventBus.Publish(ev: UiEventBus.StepAttemptFailed) => ev
+          case other                                                => fail(s"Unexpected $other")
+
+      val ctx = ConversationContext(id = "conv-step-attempts", metadata = Map("maxLoops" -> "2"))
+      val msg = Message(role = MessageRole.User, content = MessageContent("plan, then summarize"), conversationId = ctx.id)
+      coordinator ! BaseAgent.ProcessMessage(msg, ctx, probe.ref.unsafeUpcast[Any])
+
+      nextAttemptFailure() shouldBe UiEventBus.StepAttemptFailed("conv-step-attempts", "planning-step", "planner", 1, 2, "slow", "TimeoutException", willRetry = true)
+      // The planner's retry used up the budget: the summarizer's first failure is not retried
+      nextAttemptFailure() shouldBe UiEventBus.StepAttemptFailed("conv-step-attempts", "summarization-step", "summarizer", 1, 2, "broken", "IOException", willRetry = false)
+    }
+
+    "answer the caller again when a parked step is retried and then succeeds" in {
+      // The planner fails its first request and answers every later one
+      val calls = java.util.concurrent.atomic.AtomicInteger(0)
+      val planner = spawn(Behaviors.receiveMessage[BaseAgent.Command] {
+        case BaseAgent.ProcessMessage(m, ctx, replyTo) =>
+          val response =
+            if calls.getAndIncrement() == 0 then BaseAgent.ProcessingFailed("flaky", m.id)
+            else
+              val assistant = Message(role = MessageRole.Assistant, content = MessageContent("P1"), conversationId = ctx.id)
+              BaseAgent.ProcessedMessage(assistant, ctx.addMessage(m).addMessage(assistant))
+          replyTo.asInstanceOf[ActorRef[BaseAgent.Response]] ! response
+          Behaviors.same
+        case _ => Behaviors.same
+      })
+      val summarizer = spawn(mockWorker("summarizer", "final [done]", satisfied = true))
+
+      val registry = new StubRegistry(Map(
+        "planner"    -> planner,
+        "summarizer" -> summarizer
+      ))(using system, system.executionContext)
+
+      val coordinator = spawn(CoordinatorAgent(registry))
+      val probe   = createTestProbe[BaseAgent.Response]()
+      val control = createTestProbe[BaseAgent.ControlReply]()
+
+      val ctx = ConversationContext(id = "conv-revive")
+      val msg = Message(role = MessageRole.User, content = MessageContent("plan, then summarize"), conversationId = ctx.id)
+      coordinator ! BaseAgent.ProcessMessage(msg, ctx, probe.ref.unsafeUpcast[Any])
+
+      // First answer when the conversation parks, the second when the revived run completes
+      probe.expectMessageType[BaseAgent.ProcessingFailed].error shouldBe "flaky"
+      coordinator ! BaseAgent.RetryStep("conv-revive", "planning-step", control.ref)
+      control.expectMessageType[BaseAgent.ControlAccepted]
+      probe.expectMessageType[BaseAgent.ProcessedMessage].message.content.text should include("[planning-step]")
+      probe.expectNoMessage(300.millis)
+    }
+
+    "drop a late answer from a cancelled run once the conversation has restarted" in {
+      // The planner only records its requests; the test answers them by hand
+      val planner    = createTestProbe[BaseAgent.Command]()
+      val summarizer = spawn(mockWorker("summarizer", "final [done]", satisfied = true))
+
+      val registry = new StubRegistry(Map(
+        "planner"    -> planner.ref,
+        "summarizer" -> summarizer
+      ))(using system, system.executionContext)
+
+      val coordinator = spawn(CoordinatorAgent(registry))
+      val probe   = createTestProbe[BaseAgent.Response]()
+      val control = createTestProbe[BaseAgent.ControlReply]()
+
+      def answer(request: BaseAgent.ProcessMessage, text: String): Unit =
+        val assistant = Message(role = MessageRole.Assistant, content = MessageContent(text), conversationId = request.context.id)
+        request.replyTo.asInstanceOf[ActorRef[BaseAgent.Response]] !
+          BaseAgent.ProcessedMessage(assistant, request.context.addMessage(request.message).addMessage(assistant))
+
+      val ctx = ConversationContext(id = "conv-late")
+      def start() =
+        val msg = Message(role = MessageRole.User, content = MessageContent("plan, then summarize"), conversationId = ctx.id)
+        coordinator ! BaseAgent.ProcessMessage(msg, ctx, probe.ref.unsafeUpcast[Any])
+        planner.expectMessageType[BaseAgent.ProcessMessage]
+
+      val cancelledRequest = start()
+      coordinator ! BaseAgent.CancelConversation("conv-late", control.ref)
+      control.expectMessageType[BaseAgent.ControlAccepted]
+      probe.expectMessageType[BaseAgent.ProcessingFailed].error shouldBe "Cancelled by operator"
+
+      val freshRequest = start()
+      answer(cancelledRequest, "stale plan")
+      probe.expectNoMessage(300.millis)
+
+      answer(freshRequest, "fresh plan")
+      val finalText = probe.expectMessageType[BaseAgent.ProcessedMessage].message.content.text
+      finalText should include("fresh plan")
+      finalText should not include("stale plan")
+    }
+
     "loop up to k times until satisfied using metadata or [done] marker" in {
       // First summarizer reply lacks satisfaction, second includes it
       var invocationCount = 0
@@ -194,7 +576,8 @@ class MultiAgentFlowSpec extends ScalaTestWithActorTestKit with AnyWordSpecLike:
         "summarizer"   -> summarizer
       ))(using system, system.executionContext)
 
-      val coordinator = spawn(CoordinatorAgent(registry))
+      val bus         = createTestProbe[UiEventBus.Command]()
+      val coordinator = spawn(CoordinatorAgent(registry, Some(bus.ref)))
       val sinkProbe = createTestProbe[BaseAgent.Response]()
 
       val ctx  = ConversationContext(id = "conv-3", metadata = Map("maxLoops" -> "2"))
@@ -206,5 +589,21 @@ class MultiAgentFlowSpec extends ScalaTestWithActorTestKit with AnyWordSpecLike:
       val text = finalResp.message.content.text
       assert(text.toLowerCase.contains("second try"), "expected second loop to produce the final, satisfied answer")
       assert(invocationCount == 2, s"expected 2 summarizer invocations, got $invocationCount")
+
+      // Each pass is published with its own answer and why the loop went on or stopped
+      def nextPass(): UiEventBus.LoopIteration =
+        bus.fishForMessagePF(5.seconds) {
+          case UiEventBus.Publish(_: UiEventBus.LoopIteration) => FishingOutcomes.complete
+          case _                                               => FishingOutcomes.continueAndIgnore
+        }.last match
+          case UiEventBus.Publish(it: UiEventBus.LoopIteration) => it
+          case other                                             => fail(s"Unexpected $other")
+
+      val first = nextPass()
+      (first.iteration, first.maxIterations, first.outcome) shouldBe ((1, 2, "refining"))
+      first.text should include("[summarization-step] first try")
+      val second = nextPass()
+      (second.iteration, second.maxIterations, second.outcome) shouldBe ((2, 2, "satisfied"))
+      second.text should include("[summarization-step] second try [done]")
     }
   }
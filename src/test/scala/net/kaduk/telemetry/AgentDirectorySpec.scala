@@ -0,0 +1,52 @@
+package net.kaduk.telemetry
+
+import org.apache.pekko.actor.testkit.typed.scaladsl.{FishingOutcomes, ScalaTestWithActorTestKit}
+import org.scalatest.wordspec.AnyWordSpecLike
+import net.kaduk.agents.BaseAgent
+import net.kaduk.domain.{AgentCapability, AgentType}
+import net.kaduk.infrastructure.registry.AgentRegistry
+
+import scala.concurrent.duration.*
+
+class AgentDirectorySpec extends ScalaTestWithActorTestKit with AnyWordSpecLike:
+
+  given scala.concurrent.ExecutionContext = system.executionContext
+
+  private val capability = AgentCapability(
+    name = "summarizer",
+    agentType = AgentType.LLM,
+    skills = Set("summarize", "text-generation"),
+    provider = "mock"
+  )
+
+  "AgentDirectory" should {
+    "list registered agents with their polled status and keep the ones that left" in {
+      val registry  = AgentRegistry()(using system, summon[scala.concurrent.ExecutionContext])
+      val agent     = createTestProbe[BaseAgent.Command]()
+      val directory = spawn(AgentDirectory(registry, pollInterval = 500.millis))
+      val watcher   = createTestProbe[UiEventBus.AgentIndex]()
+
+      directory ! AgentDirectory.Watch(watcher.ref)
+      assert(watcher.expectMessageType[UiEventBus.AgentIndex].agents.isEmpty)
+
+      registry.register(agent.ref, capability)
+      val registered = watcher.expectMessageType[UiEventBus.AgentIndex].agents.head
+      registered.skills shouldBe Seq("summarize", "text-generation")
+      registered.provider shouldBe "mock"
+      registered.leftAt shouldBe None
+
+      // The agent answers the health probe as busy
+      agent.expectMessageType[BaseAgent.GetAgentStatus].replyTo ! BaseAgent.AgentStatusResponse("Busy", 1)
+      val busy = watcher.fishForMessage(3.seconds) { index =>
+        if (index.agents.exists(_.status == "Busy")) FishingOutcomes.complete else FishingOutcomes.continue
+      }.last.agents.head
+      busy.load shouldBe 1
+      busy.lastSeenAt shouldBe defined
+
+      registry.deregister(agent.ref, capability)
+      val gone = watcher.fishForMessage(3.seconds) { index =>
+        if (index.agents.exists(_.leftAt.isDefined)) FishingOutcomes.complete else FishingOutcomes.continue
+      }.last.agents.head
+      gone.status shouldBe "Offline"
+    }
+  }
@@ -0,0 +1,89 @@
+package net.kaduk.telemetry
+
+import org.apache.pekko.actor.testkit.typed.scaladsl.ScalaTestWithActorTestKit
+import org.scalatest.wordspec.AnyWordSpecLike
+
+import java.nio.file.Files
+import scala.concurrent.duration.*
+
+class EventStoreSpec extends ScalaTestWithActorTestKit with AnyWordSpecLike:
+
+  private def env(seq: Long, ev: UiEventBus.UiEvent) = UiEventBus.Envelope(seq, ev, 1700000000000L + seq * 1000)
+
+  "EventStore" should {
+    "list stored conversations by status and time, newest first, and page through their events" in {
+      val dir   = Files.createTempDirectory("event-store")
+      val store = spawn(EventStore(dir, None))
+      store ! EventStore.Append(env(1, UiEventBus.StepCompleted("conv-1", "a")))
+      store ! EventStore.Append(env(2, UiEventBus.AgentDelta("conv-1", "summarizer", "a", "m1", 0, "live only")))
+      store ! EventStore.Append(env(3, UiEventBus.AggregateCompleted("conv-1", 12)))
+      store ! EventStore.Append(env(4, UiEventBus.StepCompleted("conv-2", "b")))
+
+      val pages = createTestProbe[EventStore.ConversationPage]()
+      store ! EventStore.ListConversations(EventStore.ConversationQuery(), pages.ref)
+      val all = pages.expectMessageType[EventStore.ConversationPage]
+      assert(all.conversations.map(c => (c.id, c.status, c.events)) == Seq(("conv-2", "running", 1), ("conv-1", "finished", 2)))
+
+      store ! EventStore.ListConversations(EventStore.ConversationQuery(status = Some("finished")), pages.ref)
+      assert(pages.expectMessageType[EventStore.ConversationPage].conversations.map(_.id) == Seq("conv-1"))
+      store ! EventStore.ListConversations(EventStore.ConversationQuery(from = Some(1700000003500L)), pages.ref)
+      assert(pages.expectMessageType[EventStore.ConversationPage].conversations.map(_.id) == Seq("conv-2"))
+
+      val events = createTestProbe[Option[EventStore.EventPage]]()
+      store ! EventStore.GetEvents("conv-1", 0, 1, events.ref)
+      val first = events.expectMessageType[Option[EventStore.EventPage]].get
+      assert(first.frames == Seq(UiEventBus.toJson(env(1, UiEventBus.StepCompleted("conv-1", "a")))))
+      assert(first.nextOffset == Some(1))
+      store ! EventStore.GetEvents("conv-1", 1, 1, events.ref)
+      val second = events.expectMessageType[Option[EventStore.EventPage]].get
+      assert(second.frames == Seq(UiEventBus.toJson(env(3, UiEventBus.AggregateCompleted("conv-1", 12)))))
+      assert(second.nextOffset.isEmpty)
+      // Pages before the last one served are read from the start again
+      store ! EventStore.GetEvents("conv-1", 0, 1, events.ref)
+      assert(events.expectMessageType[Option[EventStore.EventPage]].get.frames == first.frames)
+      store ! EventStore.GetEvents("conv-9", 0, 10, events.ref)
+      assert(events.expectMessageType[Option[EventStore.EventPage]].isEmpty)
+    }
+
+    "rebuild its conversation list from the files after a restart, with unfinished runs interrupted" in {
+      val dir   = Files.createTempDirectory("event-store")
+      val store = spawn(EventStore(dir, None))
+      store ! EventStore.Append(env(1, UiEventBus.StepCompleted("team/conv 1", "a")))
+      store ! EventStore.Append(env(2, UiEventBus.ConversationCancelled("team/conv 1", "operator")))
+      store ! EventStore.Append(env(3, UiEventBus.StepCompleted("conv-2", "a")))
+      val pages = createTestProbe[EventStore.ConversationPage]()
+      store ! EventStore.ListConversations(EventStore.ConversationQuery(), pages.ref)
+      assert(pages.expectMessageType[EventStore.ConversationPage].conversations.map(_.status) == Seq("running", "cancelled"))
+      testKit.stop(store)
+
+      val restarted = spawn(EventStore(dir, None))
+      restarted ! EventStore.ListConversations(EventStore.ConversationQuery(), pages.ref)
+      val page = pages.expectMessageType[EventStore.ConversationPage]
+      assert(page.conversations == Seq(
+        EventStore.StoredConversation("conv-2", 1700000003000L, 1700000003000L, EventStore.Interrupted, 1),
+        EventStore.StoredConversation("team/conv 1", 1700000001000L, 1700000002000L, "cancelled", 2)
+      ))
+      restarted ! EventStore.ListConversations(EventStore.ConversationQuery(status = Some("running")), pages.ref)
+      assert(pages.expectMessageType[EventStore.ConversationPage].total == 0)
+    }
+
+    "delete the least recently active conversations beyond the limit and those older than the maximum age" in {
+      val dir   = Files.createTempDirectory("event-store")
+      val store = spawn(EventStore(dir, None, EventStore.Retention(maxConversations = Some(2))))
+      store ! EventStore.Append(env(1, UiEventBus.StepCompleted("conv-1", "a")))
+      store ! EventStore.Append(env(2, UiEventBus.StepCompleted("conv-2", "a")))
+      store ! EventStore.Append(env(3, UiEventBus.StepCompleted("conv-1", "b")))
+      store ! EventStore.Append(env(4, UiEventBus.StepCompleted("conv-3", "a")))
+      val pages = createTestProbe[EventStore.ConversationPage]()
+      store ! EventStore.ListConversations(EventStore.ConversationQuery(), pages.ref)
+      assert(pages.expectMessageType[EventStore.ConversationPage].conversations.map(_.id) == Seq("conv-3", "conv-1"))
+      assert(!Files.exists(dir.resolve("conv-2.ndjson")))
+      testKit.stop(store)
+
+      // The stored events are from 2023
+      val restarted = spawn(EventStore(dir, None, EventStore.Retention(maxAge = Some(1.day))))
+      restarted ! EventStore.ListConversations(EventStore.ConversationQuery(), pages.ref)
+      assert(pages.expectMessageType[EventStore.ConversationPage].total == 0)
+      assert(dir.toFile.list().isEmpty)
+    }
+  }
@@ -0,0 +1,250 @@
+package net.kaduk.telemetry
+
+import org.apache.pekko.actor.testkit.typed.scaladsl.ActorTestKit
+import org.apache.pekko.actor.typed.scaladsl.Behaviors
+import org.apache.pekko.http.scaladsl.model.{ContentTypes, HttpEntity, StatusCodes}
+import org.apache.pekko.http.scaladsl.server.Route
+import org.apache.pekko.http.scaladsl.testkit.ScalatestRouteTest
+import org.scalatest.matchers.should.Matchers
+import org.scalatest.wordspec.AnyWordSpec
+
+import net.kaduk.agents.{BaseAgent, CoordinatorAgent}
+import net.kaduk.telemetry.MiniJson.*
+
+class TelemetryRoutesSpec extends AnyWordSpec with Matchers with ScalatestRouteTest:
+
+  private val testKit = ActorTestKit()
+
+  override def afterAll(): Unit =
+    testKit.shutdownTestKit()
+    super.afterAll()
+
+  private def jsonPost(path: String, body: String) =
+    Post(path, HttpEntity(ContentTypes.`application/json`, body))
+
+  private def fixture() =
+    val uiBus       = testKit.createTestProbe[UiEventBus.Command]()
+    val coordinator = testKit.createTestProbe[BaseAgent.Command]()
+    val route: Route = TelemetryRoutes.routes(uiBus.ref, coordinator.ref)(using testKit.system, executor)
+    (route, coordinator)
+
+  "POST /tasks" should {
+    "start the task on the coordinator and return the conversation id right away" in {
+      val (route, coordinator) = fixture()
+
+      jsonPost("/tasks", """{"task":"Summarize the news","conversationId":"conv-42","maxLoops":3}""") ~> route ~> check {
+        status shouldBe StatusCodes.Accepted
+        responseAs[String] shouldBe """{"conversationId":"conv-42","maxLoops":3}"""
+      }
+
+      val pm = coordinator.expectMessageType[BaseAgent.ProcessMessage]
+      pm.message.content.text shouldBe "Summarize the news"
+      pm.context.id shouldBe "conv-42"
+      pm.context.metadata.get("maxLoops") shouldBe Some("3")
+    }
+
+    "generate a conversation id when none is given" in {
+      val (route, coordinator) = fixture()
+
+      jsonPost("/tasks", """{"task":"Plan something"}""") ~> route ~> check {
+        status shouldBe StatusCodes.Accepted
+        responseAs[String] should include("\"conversationId\":\"ui-task-")
+      }
+      coordinator.expectMessageType[BaseAgent.ProcessMessage].context.metadata.get("maxLoops") shouldBe Some("1")
+    }
+
+    "reject an empty task or an invalid maxLoops" in {
+      val (route, coordinator) = fixture()
+
+      jsonPost("/tasks", """{"task":"   "}""") ~> route ~> check {
+        status shouldBe StatusCodes.BadRequest
+      }
+      jsonPost("/tasks", """{"task":"x","maxLoops":0}""") ~> route ~> check {
+        status shouldBe StatusCodes.BadRequest
+      }
+      jsonPost("/tasks", """not json""") ~> route ~> check {
+        status shouldBe StatusCodes.BadRequest
+      }
+      coordinator.expectNoMessage()
+    }
+  }
+
+  "POST /tasks with a plan" should {
+    "hand the authored plan to the coordinator" in {
+      val (route, coordinator) = fixture()
+      val body =
+        """{"conversationId":"conv-plan","plan":{"steps":[
+          |{"id":"search","agentCapability":"web-crawler","instruction":"Find sources"},
+          |{"id":"sum","agentCapability":"summarizer","instruction":"Summarize","dependencies":["search"]}]}}""".stripMargin
+
+      jsonPost("/tasks", body) ~> route ~> check {
+        status shouldBe StatusCodes.Accepted
+      }
+
+      val ep = coordinator.expectMessageType[BaseAgent.ExecutePlan]
+      ep.context.id shouldBe "conv-plan"
+      ep.plan.steps.map(_.id) shouldBe Seq("search", "sum")
+      ep.plan.byId("sum").dependencies shouldBe Seq("search")
+      ep.message.content.text shouldBe "Run custom plan: search, sum"
+    }
+
+    "reject plans with cycles or unknown dependencies" in {
+      val (route, coordinator) = fixture()
+
+      jsonPost("/tasks", """{"plan":{"steps":[
+        |{"id":"a","agentCapability":"x","instruction":"A","dependencies":["b"]},
+        |{"id":"b","agentCapability":"y","instruction":"B","dependencies":["a"]}]}}""".stripMargin) ~> route ~> check {
+        status shouldBe StatusCodes.BadRequest
+        responseAs[String] should include("Dependency cycle")
+      }
+      jsonPost("/tasks", """{"plan":{"steps":[{"id":"a","agentCapability":"x","instruction":"A","dependencies":["zzz"]}]}}""") ~> route ~> check {
+        status shouldBe StatusCodes.BadRequest
+        responseAs[String] should include("unknown step zzz")
+      }
+      jsonPost("/tasks", """{"plan":{"steps":[]}}""") ~> route ~> check {
+        status shouldBe StatusCodes.BadRequest
+      }
+      coordinator.expectNoMessage()
+    }
+  }
+
+  "POST /tasks with a plan and an agent directory" should {
+    "accept registered capabilities in any case and reject unknown ones" in {
+      def agent(capability: String, leftAt: Option[Long] = None) =
+        UiEventBus.AgentInfo(capability, capability, capability, "LLM", Nil, "mock", "Idle", 0, 0L, None, leftAt)
+      val directory = testKit.spawn(Behaviors.receiveMessage[AgentDirectory.Command] {
+        case AgentDirectory.Get(replyTo) =>
+          replyTo ! UiEventBus.AgentIndex(Seq(agent("summarizer"), agent("translator", leftAt = Some(1L))))
+          Behaviors.same
+        case _ => Behaviors.same
+      })
+      val uiBus       = testKit.createTestProbe[UiEventBus.Command]()
+      val coordinator = testKit.createTestProbe[BaseAgent.Command]()
+      val route = TelemetryRoutes.routes(uiBus.ref, coordinator.ref, Some(directory))(using testKit.system, executor)
+
+      jsonPost("/tasks", """{"plan":{"steps":[{"id":"sum","agentCapability":" Summarizer ","instruction":"Summarize"}]}}""") ~> route ~> check {
+        status shouldBe StatusCodes.Accepted
+      }
+      coordinator.expectMessageType[BaseAgent.ExecutePlan]
+
+      // The translator has left the registry
+      jsonPost("/tasks", """{"plan":{"steps":[{"id":"tr","agentCapability":"translator","instruction":"Translate"}]}}""") ~> route ~> check {
+        status shouldBe StatusCodes.BadRequest
+        responseAs[String] should include("No registered agent offers translator (tr)")
+      }
+      coordinator.expectNoMessage()
+
+      // Routed steps are checked against the capability that will run them
+      jsonPost("/tasks", """{"plan":{"steps":[{"id":"tr","agentCapability":"translator","instruction":"Translate"}]},"routes":{"Translator":"summarizer"}}""") ~> route ~> check {
+        status shouldBe StatusCodes.Accepted
+      }
+      CoordinatorAgent.routesOf(coordinator.expectMessageType[BaseAgent.ExecutePlan].context) shouldBe Map("Translator" -> "summarizer")
+    }
+  }
+
+  "POST /tasks with routes" should {
+    "put capability routes into the conversation metadata, and reject malformed ones" in {
+      val (route, coordinator) = fixture()
+
+      jsonPost("/tasks", """{"task":"Summarize","conversationId":"cmp-1-claude","routes":{"summarizer":"summarizer-claude"}}""") ~> route ~> check {
+        status shouldBe StatusCodes.Accepted
+      }
+      val pm = coordinator.expectMessageType[BaseAgent.ProcessMessage]
+      CoordinatorAgent.routesOf(pm.context) shouldBe Map("summarizer" -> "summarizer-claude")
+
+      jsonPost("/tasks", """{"task":"Summarize","routes":{"summarizer":3}}""") ~> route ~> check {
+        status shouldBe StatusCodes.BadRequest
+        responseAs[String] should include("routes")
+      }
+      coordinator.expectNoMessage()
+    }
+  }
+
+  "POST /tasks with requireApproval" should {
+    "list the gated capabilities in the conversation metadata" in {
+      val (route, coordinator) = fixture()
+
+      jsonPost("/tasks", """{"task":"Summarize","requireApproval":["summarizer","classifier"]}""") ~> route ~> check {
+        status shouldBe StatusCodes.Accepted
+      }
+      val pm = coordinator.expectMessageType[BaseAgent.ProcessMessage]
+      CoordinatorAgent.approvalCapabilitiesOf(pm.context) shouldBe Set("summarizer", "classifier")
+
+      jsonPost("/tasks", """{"task":"Summarize","requireApproval":"summarizer"}""") ~> route ~> check {
+        status shouldBe StatusCodes.BadRequest
+      }
+    }
+  }
+
+  "GET /schema" should {
+    "describe the fields of every event type of the current version" in {
+      val (route, _) = fixture()
+
+      Get("/schema") ~> route ~> check {
+        status shouldBe StatusCodes.OK
+        val json = MiniJson.parse(responseAs[String]).toOption.get
+        json.int("v") shouldBe Some(EventSchema.Version)
+        json.field("events").flatMap(_.field("agentComplete")).flatMap(_.str("textLength")) shouldBe Some("number")
+        json.field("events").flatMap(_.field("error")).flatMap(_.str("agent")) shouldBe Some("string?")
+      }
+    }
+  }
+
+  "GET /history" should {
+    "page through stored conversations and their events, and answer 404 without a store" in {
+      val (plain, _) = fixture()
+      Get("/history/conversations") ~> plain ~> check {
+        status shouldBe StatusCodes.NotFound
+      }
+
+      val store = testKit.spawn(EventStore(java.nio.file.Files.createTempDirectory("history"), None))
+      store ! EventStore.Append(UiEventBus.Envelope(1L, UiEventBus.StepCompleted("conv-1", "a"), 1000L))
+      store ! EventStore.Append(UiEventBus.Envelope(2L, UiEventBus.AggregateCompleted("conv-1", 5), 2000L))
+      val uiBus = testKit.createTestProbe[UiEventBus.Command]()
+      val route = TelemetryRoutes.routes(
+        uiBus.ref,
+        testKit.createTestProbe[BaseAgent.Command]().ref,
+        history = Some(store)
+      )(using testKit.system, executor)
+
+      Get("/history/conversations?status=finished") ~> route ~> check {
+        status shouldBe StatusCodes.OK
+        responseAs[String] shouldBe
+          """{"total":1,"offset":0,"limit":50,"conversations":[{"id":"conv-1","startedAt":1000,"lastEventAt":2000,"status":"finished","events":2}]}"""
+      }
+      Get("/history/conversations/conv-1/events?limit=1") ~> route ~> check {
+        val page = MiniJson.parse(responseAs[String]).toOption.get
+        page.int("nextOffset") shouldBe Some(1)
+        page.arr("events").map(_.map(_.str("type"))) shouldBe Some(Vector(Some("stepCompleted")))
+      }
+      Get("/history/conversations/conv-2/events") ~> route ~> check {
+        status shouldBe StatusCodes.NotFound
+      }
+    }
+  }
+
+  "ControlChannel.parse" should {
+    "accept cancel, retry and skip commands" in {
+      ControlChannel.parse("""{"type":"command","commandId":"c1","action":"cancel","conversationId":"conv-1"}""") shouldBe
+        Right(ControlChannel.Request("c1", "cancel", "conv-1", None))
+      ControlChannel.parse("""{"type":"command","commandId":"c2","action":"skip","conversationId":"conv-1","stepId":"search-step"}""") shouldBe
+        Right(ControlChannel.Request("c2", "skip", "conv-1", Some("search-step")))
+    }
+
+    "accept approval decisions with their text, and require the text of an answer" in {
+      ControlChannel.parse("""{"type":"command","commandId":"c6","action":"approve","conversationId":"conv-1","stepId":"s1","text":"Summarize briefly"}""") shouldBe
+        Right(ControlChannel.Request("c6", "approve", "conv-1", Some("s1"), Some("Summarize briefly")))
+      ControlChannel.parse("""{"type":"command","commandId":"c7","action":"reject","conversationId":"conv-1","stepId":"s1"}""") shouldBe
+        Right(ControlChannel.Request("c7", "reject", "conv-1", Some("s1")))
+      ControlChannel.parse("""{"type":"command","commandId":"c8","action":"answer","conversationId":"conv-1","stepId":"s1","text":" "}""") shouldBe
+        Left(("c8", "answer", "text is required for answer"))
+    }
+
+    "reject incomplete or unknown commands, keeping the command id for the reply" in {
+      ControlChannel.parse("""{"type":"command","commandId":"c3","action":"retry","conversationId":"conv-1"}""") shouldBe
+        Left(("c3", "retry", "stepId is required for retry"))
+      ControlChannel.parse("""{"type":"command","commandId":"c4","action":"pause","conversationId":"conv-1"}""").isLeft shouldBe true
+      ControlChannel.parse("""{"type":"command","commandId":"c5","action":"cancel"}""").isLeft shouldBe true
+      ControlChannel.parse("""not json""").isLeft shouldBe true
+    }
+  }
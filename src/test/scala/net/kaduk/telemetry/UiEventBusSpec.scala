@@ -0,0 +1,152 @@
+package net.kaduk.telemetry
+
+import org.apache.pekko.actor.testkit.typed.scaladsl.ScalaTestWithActorTestKit
+import org.scalatest.wordspec.AnyWordSpecLike
+
+class UiEventBusSpec extends ScalaTestWithActorTestKit with AnyWordSpecLike:
+
+  "UiEventBus" should {
+    "stamp published events with increasing sequence numbers" in {
+      val bus   = spawn(UiEventBus())
+      val probe = createTestProbe[UiEventBus.Envelope]()
+
+      bus ! UiEventBus.Subscribe(probe.ref)
+      bus ! UiEventBus.Publish(UiEventBus.StepCompleted("conv-1", "a"))
+      bus ! UiEventBus.Publish(UiEventBus.StepCompleted("conv-1", "b"))
+
+      assert(probe.expectMessageType[UiEventBus.Envelope].seq == 1L)
+      assert(probe.expectMessageType[UiEventBus.Envelope].seq == 2L)
+    }
+
+    "replay history with the original sequence numbers to late subscribers" in {
+      val bus = spawn(UiEventBus())
+      bus ! UiEventBus.Publish(UiEventBus.StepCompleted("conv-1", "a"))
+      bus ! UiEventBus.Publish(UiEventBus.StepCompleted("conv-1", "b"))
+
+      val probe = createTestProbe[UiEventBus.Envelope]()
+      bus ! UiEventBus.Subscribe(probe.ref)
+
+      val replayed = probe.receiveMessages(2)
+      assert(replayed.map(_.seq) == Seq(1L, 2L))
+    }
+
+    "deliver and replay only the events a subscriber's filter asks for" in {
+      val bus = spawn(UiEventBus())
+      bus ! UiEventBus.Publish(UiEventBus.StepCompleted("conv-1", "a"))
+      bus ! UiEventBus.Publish(UiEventBus.StepCompleted("conv-2", "b"))
+
+      val probe = createTestProbe[UiEventBus.Envelope]()
+      bus ! UiEventBus.Subscribe(probe.ref, UiEventBus.Filter(conversations = Set("conv-2")))
+      assert(probe.expectMessageType[UiEventBus.Envelope].seq == 2L)
+
+      bus ! UiEventBus.Publish(UiEventBus.StepCompleted("conv-1", "c"))
+      bus ! UiEventBus.Publish(UiEventBus.ChatMessage("conv-2", "assistant", "m1", "hi", Some("summarizer")))
+      assert(probe.expectMessageType[UiEventBus.Envelope].seq == 4L)
+
+      // Widening the filter replays the matching history; the client drops what it already has
+      bus ! UiEventBus.UpdateFilter(probe.ref, UiEventBus.Filter(types = Set("stepCompleted")))
+      assert(probe.receiveMessages(3).map(_.seq) == Seq(1L, 2L, 3L))
+      probe.expectNoMessage()
+    }
+
+    "match agents by the agent or capability an event is about" in {
+      val filter = UiEventBus.Filter(agents = Set("summarizer"))
+      assert(filter.matches(UiEventBus.AgentStart("c", "summarizer", "s", "m", refinement = false)))
+      assert(filter.matches(UiEventBus.StepDispatched("c", "s", "summarizer", "m")))
+      assert(!filter.matches(UiEventBus.StepDispatched("c", "s", "planner", "m")))
+      assert(!filter.matches(UiEventBus.AggregateCompleted("c", 10)))
+      assert(filter.matches(UiEventBus.ChatMessage("c", "assistant", "m", "text", Some("summarizer"))))
+      assert(!filter.matches(UiEventBus.ChatMessage("c", "user", "m", "text", None)))
+    }
+
+    "send the conversation index on watch and when a conversation starts or changes status" in {
+      val bus     = spawn(UiEventBus())
+      val watcher = createTestProbe[UiEventBus.ConversationIndex]()
+      bus ! UiEventBus.Publish(UiEventBus.StepCompleted("conv-1", "a"))
+
+      bus ! UiEventBus.WatchConversations(watcher.ref)
+      assert(watcher.expectMessageType[UiEventBus.ConversationIndex].conversations.map(_.id) == Seq("conv-1"))
+
+      bus ! UiEventBus.Publish(UiEventBus.StepCompleted("conv-1", "b"))
+      watcher.expectNoMessage()
+
+      bus ! UiEventBus.Publish(UiEventBus.AggregateCompleted("conv-1", 3))
+      val index = watcher.expectMessageType[UiEventBus.ConversationIndex]
+      assert(index.conversations.map(c => c.id -> c.status) == Seq("conv-1" -> "finished"))
+    }
+
+    "report a failed conversation as running again once its step is retried or skipped" in {
+      val bus     = spawn(UiEventBus())
+      val watcher = createTestProbe[UiEventBus.ConversationIndex]()
+      bus ! UiEventBus.WatchConversations(watcher.ref)
+      watcher.expectMessageType[UiEventBus.ConversationIndex]
+      def statusAfter(ev: UiEventBus.UiEvent): String = {
+        bus ! UiEventBus.Publish(ev)
+        watcher.expectMessageType[UiEventBus.ConversationIndex].conversations.head.status
+      }
+
+      assert(statusAfter(UiEventBus.StepFailed("conv-1", "a", "boom")) == "failed")
+      assert(statusAfter(UiEventBus.StepDispatched("conv-1", "a", "summarizer", "m2")) == "running")
+      assert(statusAfter(UiEventBus.StepFailed("conv-1", "a", "boom")) == "failed")
+      assert(statusAfter(UiEventBus.StepSkipped("conv-1", "a")) == "running")
+    }
+
+    "include the schema version, seq and the publish time as the first fields of the JSON frame" in {
+      val json = UiEventBus.toJson(UiEventBus.Envelope(7L, UiEventBus.StepCompleted("conv-1", "a"), 1700000000000L))
+      assert(json == """{"v":2,"seq":7,"ts":1700000000000,"type":"stepCompleted","conversationId":"conv-1","stepId":"a"}""")
+    }
+
+    "send every event type with exactly the fields EventSchema declares" in {
+      val events = Seq(
+        UiEventBus.PlanComputed("c", Seq(UiEventBus.StepInfo("s1", "summarizer", Seq("s0"), "Summarize"))),
+        UiEventBus.StepDispatched("c", "s1", "summarizer", "m1"),
+        UiEventBus.StepCompleted("c", "s1"),
+        UiEventBus.AggregateCompleted("c", 42),
+        UiEventBus.AgentStart("c", "summarizer", "s1", "m1", refinement = false),
+        UiEventBus.AgentComplete("c", "summarizer", "s1", "r1", 12, "anthropic", Some(net.kaduk.domain.TokenUsage(10, 5))),
+        UiEventBus.AgentComplete("c", "summarizer", "s1", "r1", 12),
+        UiEventBus.AgentDelta("c", "summarizer", "s1", "m1", 0, "Hel"),
+        UiEventBus.ChatMessage("c", "assistant", "m2", "Hello", Some("summarizer")),
+        UiEventBus.ErrorEvent("c", "timeout", Some("summarizer"), Some("s1"), Some("TimeoutException")),
+        UiEventBus.ErrorEvent("c", "no plan"),
+        UiEventBus.StepAttemptFailed("c", "s1", "summarizer", 1, 3, "boom", "IOException", willRetry = true),
+        UiEventBus.StepFailed("c", "s1", "boom"),
+        UiEventBus.StepSkipped("c", "s1"),
+        UiEventBus.ConversationCancelled("c", "operator"),
+        UiEventBus.LoopIteration("c", 1, 2, "refining", "[s1] first try"),
+        UiEventBus.ApprovalRequested("c", "s1", "summarizer", "Summarize"),
+        UiEventBus.ApprovalResolved("c", "s1", "approved")
+      )
+      assert(events.map(UiEventBus.eventType).toSet == EventSchema.Events.keySet)
+      events.foreach { ev =>
+        val frame = MiniJson.parse(UiEventBus.toJson(UiEventBus.Envelope(1L, ev, 1700000000000L)))
+        assert(frame.map(EventSchema.problems) == Right(Nil), s"for ${UiEventBus.eventType(ev)}")
+      }
+      assert(EventSchema.problems(MiniJson.parse("""{"v":2,"type":"aggregate","conversationId":"c","length":3}""").toOption.get) ==
+        Seq("aggregate.textLength is missing", "aggregate.length is not declared"))
+    }
+
+    "attribute agent errors to the agent and step in JSON and filters" in {
+      val err = UiEventBus.ErrorEvent("conv-1", "timeout", Some("summarizer"), Some("s1"))
+      assert(UiEventBus.toJson(err) == """{"type":"error","conversationId":"conv-1","message":"timeout","agent":"summarizer","stepId":"s1"}""")
+      assert(UiEventBus.Filter(agents = Set("summarizer")).matches(err))
+      assert(UiEventBus.Filter(agents = Set("coordinator")).matches(UiEventBus.ErrorEvent("conv-1", "no plan")))
+    }
+
+    "render failed attempts with their retry decision" in {
+      val ev = UiEventBus.StepAttemptFailed("conv-1", "s1", "summarizer", 2, 3, "rate limited", "IOException", willRetry = true)
+      assert(UiEventBus.toJson(ev) ==
+        """{"type":"attemptFailed","conversationId":"conv-1","stepId":"s1","agent":"summarizer","attempt":2,"maxAttempts":3,"error":"rate limited","errorClass":"IOException","willRetry":true}""")
+      assert(UiEventBus.Filter(agents = Set("summarizer")).matches(ev))
+      assert(UiEventBus.Filter(types = Set("attemptFailed")).matches(ev))
+    }
+
+    "render approval requests for the gated capability and the reviewer's decision" in {
+      val requested = UiEventBus.ApprovalRequested("conv-1", "s1", "summarizer", "Summarize")
+      assert(UiEventBus.toJson(requested) ==
+        """{"type":"approvalRequested","conversationId":"conv-1","stepId":"s1","capability":"summarizer","instruction":"Summarize"}""")
+      assert(UiEventBus.Filter(agents = Set("summarizer")).matches(requested))
+      assert(UiEventBus.toJson(UiEventBus.ApprovalResolved("conv-1", "s1", "edited", "Summarize briefly")) ==
+        """{"type":"approvalResolved","conversationId":"conv-1","stepId":"s1","decision":"edited","text":"Summarize briefly"}""")
+    }
+  }
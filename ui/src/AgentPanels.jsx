@@ -22,7 +22,7 @@ export default function AgentPanels({ agents }) {
         <div className="agentPanel__header">
           <span className="badge agent">{name}</span>
           <span className="agentPanel__meta">
-            events: {evs.length}
+            events: {data.total ?? evs.length}
             {data.lastStepId ? <>, last step: <code className="mono">{data.lastStepId}</code></> : null}
           </span>
         </div>
@@ -0,0 +1,59 @@
+function formatTime(ts) {
+  return ts ? new Date(ts).toLocaleTimeString() : "-";
+}
+
+function RegistryEntry({ a }) {
+  return (
+    <div className={`registryEntry ${a.leftAt ? "registryEntry--left" : ""}`}>
+      <div className="registryEntry__header">
+        <span className={`registryStatus registryStatus--${(a.status || "").toLowerCase()}`} title={a.status} />
+        <span className="mono">{a.name}</span>
+        <span className="registryEntry__status">{a.status}</span>
+        {a.load > 0 ? <span className="registryEntry__load">load {a.load}</span> : null}
+      </div>
+      <div className="registryEntry__meta muted">
+        {a.agentType} · {a.provider}
+      </div>
+      {a.skills && a.skills.length ? (
+        <div className="registryEntry__skills">
+          {a.skills.map((s) => (
+            <span key={s} className="skill">
+              {s}
+            </span>
+          ))}
+        </div>
+      ) : null}
+      <div className="registryEntry__meta muted" title={a.id}>
+        {a.leftAt
+          ? `left ${formatTime(a.leftAt)}`
+          : `registered ${formatTime(a.registeredAt)} · seen ${formatTime(a.lastSeenAt)}`}
+      </div>
+    </div>
+  );
+}
+
+/* Agents registered in the backend's AgentRegistry (live feed only), then the ones that left */
+export default function AgentRegistryPanel({ agents }) {
+  if (!agents) return <div className="muted registryNote">Registry is available on the live feed only.</div>;
+
+  const active = agents.filter((a) => !a.leftAt);
+  const left = agents.filter((a) => a.leftAt);
+
+  return (
+    <div className="registry">
+      {active.length ? (
+        active.map((a) => <RegistryEntry key={a.id} a={a} />)
+      ) : (
+        <div className="muted registryNote">No agents registered.</div>
+      )}
+      {left.length ? (
+        <details className="registry__left">
+          <summary>Left the cluster ({left.length})</summary>
+          {left.map((a) => (
+            <RegistryEntry key={a.id} a={a} />
+          ))}
+        </details>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,186 @@
+import { useState } from "react";
+import { ALERT_KINDS, enableDesktopNotifications, newRule } from "./alerts.js";
+
+const formatTime = (at) => new Date(at).toLocaleTimeString();
+
+// Inputs for a rule's parameters; agents lists the agents the model knows for the agent filters
+function RuleParams({ rule, agents, onChange }) {
+  const number = (key, label, unit) => (
+    <label>
+      {label}{" "}
+      <input
+        type="number"
+        min="1"
+        value={rule[key]}
+        onChange={(e) => onChange({ ...rule, [key]: Math.max(1, Number(e.target.value) || 1) })}
+      />
+      {unit ? ` ${unit}` : ""}
+    </label>
+  );
+  const agentSelect = (
+    <label>
+      agent{" "}
+      <select value={rule.agent} onChange={(e) => onChange({ ...rule, agent: e.target.value })}>
+        <option value="">any</option>
+        {[...new Set([...agents, rule.agent].filter(Boolean))].map((a) => (
+          <option key={a} value={a}>
+            {a}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+  switch (rule.kind) {
+    case "stuckStep":
+      return number("seconds", "after", "s");
+    case "error":
+      return agentSelect;
+    case "failureRate":
+      return (
+        <>
+          {agentSelect}
+          {number("threshold", "above", "%")}
+          {number("minRuns", "of at least", "runs")}
+          {number("minutes", "in", "min")}
+        </>
+      );
+    default:
+      return null;
+  }
+}
+
+/*
+ * Notification centre in the dashboard header: alerts raised by the user's rules (alerts.js), newest
+ * first, and the rules themselves with desktop notification and sound toggles. Clicking an alert opens
+ * its conversation (and step).
+ */
+export default function AlertCenter({ alerts, onAlerts, settings, onSettings, agents, onOpen }) {
+  const [open, setOpen] = useState(false);
+  const [tab, setTab] = useState("alerts");
+  const [desktopNote, setDesktopNote] = useState(null);
+  const unread = alerts.items.filter((a) => !a.read).length;
+
+  const setRules = (rules) => onSettings({ ...settings, rules });
+  const updateRule = (rule) => setRules(settings.rules.map((r) => (r.id === rule.id ? rule : r)));
+
+  const toggleDesktop = async (e) => {
+    const wanted = e.target.checked;
+    setDesktopNote(null);
+    if (wanted && !(await enableDesktopNotifications())) {
+      setDesktopNote("The browser does not allow notifications for this page.");
+      return;
+    }
+    onSettings({ ...settings, desktop: wanted });
+  };
+
+  const openAlert = (a) => {
+    onAlerts({ type: "read", key: a.key });
+    if (a.conversationId) {
+      onOpen(a.conversationId, a.stepId);
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div className="alerts">
+      <button
+        className={`alerts__toggle ${open ? "alerts__toggle--on" : ""}`}
+        onClick={() => setOpen((v) => !v)}
+        title="Alerts raised by your rules"
+      >
+        Alerts{unread ? <span className="alerts__badge">{unread}</span> : null}
+      </button>
+      {open ? (
+        <div className="alerts__panel">
+          <div className="alerts__tabs">
+            <button className={tab === "alerts" ? "alerts__tab--active" : ""} onClick={() => setTab("alerts")}>
+              Alerts
+            </button>
+            <button className={tab === "rules" ? "alerts__tab--active" : ""} onClick={() => setTab("rules")}>
+              Rules ({settings.rules.length})
+            </button>
+          </div>
+
+          {tab === "alerts" ? (
+            <>
+              <div className="alerts__actions">
+                <button disabled={!unread} onClick={() => onAlerts({ type: "readAll" })}>
+                  Mark all read
+                </button>
+                <button disabled={!alerts.items.length} onClick={() => onAlerts({ type: "clear" })}>
+                  Clear
+                </button>
+              </div>
+              {alerts.items.length ? (
+                <ul className="alerts__list">
+                  {alerts.items.map((a) => (
+                    <li
+                      key={`${a.key}:${a.at}`}
+                      className={`alerts__item ${a.read ? "" : "alerts__item--unread"}`}
+                      onClick={() => openAlert(a)}
+                      title={a.conversationId ? "Open the conversation" : "Mark as read"}
+                    >
+                      <span className="muted">
+                        {formatTime(a.at)} · {ALERT_KINDS[a.kind].label}
+                      </span>
+                      <span>{a.message}</span>
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <div className="muted">
+                  {settings.rules.length ? "No alerts yet." : "No rules yet; add them under Rules."}
+                </div>
+              )}
+            </>
+          ) : (
+            <>
+              <ul className="alerts__rules">
+                {settings.rules.map((rule) => (
+                  <li key={rule.id} className="alerts__rule">
+                    <label>
+                      <input
+                        type="checkbox"
+                        checked={rule.enabled}
+                        onChange={(e) => updateRule({ ...rule, enabled: e.target.checked })}
+                      />{" "}
+                      {ALERT_KINDS[rule.kind].label}
+                    </label>
+                    <RuleParams rule={rule} agents={agents} onChange={updateRule} />
+                    <button onClick={() => setRules(settings.rules.filter((r) => r.id !== rule.id))} title="Remove the rule">
+                      ×
+                    </button>
+                  </li>
+                ))}
+              </ul>
+              <div className="alerts__actions">
+                <select value="" onChange={(e) => e.target.value && setRules([...settings.rules, newRule(e.target.value)])}>
+                  <option value="">Add rule…</option>
+                  {Object.entries(ALERT_KINDS).map(([kind, { label }]) => (
+                    <option key={kind} value={kind}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="alerts__delivery">
+                <label>
+                  <input type="checkbox" checked={settings.desktop} onChange={toggleDesktop} /> Desktop notifications
+                </label>
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={settings.sound}
+                    onChange={(e) => onSettings({ ...settings, sound: e.target.checked })}
+                  />{" "}
+                  Sound
+                </label>
+                {desktopNote ? <div className="err">{desktopNote}</div> : null}
+              </div>
+            </>
+          )}
+        </div>
+      ) : null}
+    </div>
+  );
+}
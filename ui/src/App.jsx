@@ -1,188 +1,220 @@
-import { useEffect, useMemo, useRef, useState } from "react";
+import { useCallback, useEffect, useMemo, useReducer, useRef, useState } from "react";
 import AgentPanels from "./AgentPanels.jsx";
+import AgentRegistryPanel from "./AgentRegistryPanel.jsx";
+import AlertCenter from "./AlertCenter.jsx";
+import ApprovalQueue from "./ApprovalQueue.jsx";
+import ChatBubble from "./ChatBubble.jsx";
+import ComparePanel from "./ComparePanel.jsx";
+import ConversationNavigator from "./ConversationNavigator.jsx";
+import DiagnosticsPanel from "./DiagnosticsPanel.jsx";
+import { Marked } from "./Markdown.jsx";
+import FailuresPanel from "./FailuresPanel.jsx";
 import Graph from "./Graph.jsx";
-import "./app.css";
-
-function useTelemetry() {
-  const [connected, setConnected] = useState(false);
-  const [events, setEvents] = useState([]);
-  const wsRef = useRef(null);
+import HistoryBrowser from "./HistoryBrowser.jsx";
+import IterationsPanel from "./IterationsPanel.jsx";
+import MetricsPanel from "./MetricsPanel.jsx";
+import UsagePanel from "./UsagePanel.jsx";
+import ReplayScrubber from "./ReplayScrubber.jsx";
+import SearchBox from "./SearchBox.jsx";
+import SessionControls from "./SessionControls.jsx";
+import StepActions from "./StepActions.jsx";
+import StepInspector from "./StepInspector.jsx";
+import SubscriptionBar from "./SubscriptionBar.jsx";
+import TaskComposer from "./TaskComposer.jsx";
+import Timeline from "./Timeline.jsx";
+import {
+  loadConversationPrefs,
+  reopenConversation,
+  saveConversationPrefs,
+  summarizeConversation,
+} from "./conversations.js";
+import {
+  alertsReducer,
+  emptyAlerts,
+  evaluateAlerts,
+  loadAlertSettings,
+  playChime,
+  saveAlertSettings,
+  showDesktopNotifications,
+} from "./alerts.js";
+import { addComparison, loadComparisons, saveComparisons } from "./comparisons.js";
+import { checkRecords, diagnosticsReducer, emptyDiagnostics } from "./diagnostics.js";
+import { conversationAt, createModel, modelReducer } from "./eventModel.js";
+import { checkEvent } from "./eventSchema.js";
+import { fetchStoredConversation } from "./history.js";
+import { chatKey } from "./search.js";
+import { loadSubscription, saveSubscription, toFilter, toggleFollow } from "./subscription.js";
+import { createTelemetryConnection, telemetryUrl } from "./telemetry.js";
+import "./App.css";
+
+// Streams telemetry events into onEvent(ev, receivedAt) and hello frames into onHello while enabled;
+// both must be stable. Filter changes are applied to the open socket without reconnecting.
+function useTelemetry(onEvent, onHello, enabled, filter) {
+  const [status, setStatus] = useState({ state: "connecting", attempt: 0, retryAt: null });
+  const [index, setIndex] = useState([]);
+  const [registry, setRegistry] = useState(null); // null until the backend sends the agent list
+  const connRef = useRef(null);
+  const filterRef = useRef(filter);
 
   useEffect(() => {
-    const url =
-      import.meta.env.VITE_TELEMETRY_WS || "ws://localhost:6061/ws";
-    const ws = new WebSocket(url);
-    wsRef.current = ws;
-
-    ws.onopen = () => setConnected(true);
-    ws.onclose = () => setConnected(false);
-    ws.onerror = () => setConnected(false);
-    ws.onmessage = (msg) => {
-      try {
-        const ev = JSON.parse(msg.data);
-        setEvents((prev) => [...prev, ev]);
-      } catch (e) {
-        // Ignore malformed payload
-      }
-    };
-
+    if (!enabled) return;
+    const conn = createTelemetryConnection({
+      url: telemetryUrl(),
+      filter: filterRef.current,
+      onStatus: setStatus,
+      onIndex: setIndex,
+      onAgents: setRegistry,
+      onEvent,
+      onHello,
+    });
+    connRef.current = conn;
     return () => {
-      try {
-        ws.close();
-      } catch (_) {}
+      conn.close();
+      connRef.current = null;
     };
+  }, [onEvent, onHello, enabled]);
+
+  useEffect(() => {
+    filterRef.current = filter;
+    connRef.current && connRef.current.setFilter(filter);
+  }, [filter]);
+
+  const reconnectNow = useCallback(() => {
+    connRef.current && connRef.current.reconnectNow();
   }, []);
 
-  return { connected, events };
+  const command = useCallback(
+    (payload) => (connRef.current ? connRef.current.command(payload) : Promise.reject(new Error("Not connected"))),
+    []
+  );
+
+  return { status, index, registry, reconnectNow, command };
 }
 
-function buildModel(events) {
-  // Aggregate by conversation
-  const conversations = new Map(); // id -> { steps: Map, agents: Map, edges: [] }
-  // Global agent activity summary
-  const agents = new Map(); // agentName -> { events: [{type,timestamp,details}], lastStepId, lastMsgId }
-
-  for (const ev of events) {
-    const cid = ev.conversationId || "n/a";
-    if (!conversations.has(cid)) {
-      conversations.set(cid, {
-        steps: new Map(), // stepId -> { capability, status: 'ready'|'dispatched'|'completed', messageId? }
-        edges: [], // { from, to, label }
-        chat: [], // [{ role, text, messageId, agent }]
-        // Nodes are derived from steps + agents + coordinator
-      });
-    }
-    const conv = conversations.get(cid);
-
-    const ts = Date.now();
-    const addAgentEvent = (agent, payload) => {
-      const a = agents.get(agent) || { events: [], lastStepId: null, lastMsgId: null };
-      a.events.push({ at: ts, ...payload });
-      if (payload.stepId) a.lastStepId = payload.stepId;
-      if (payload.messageId) a.lastMsgId = payload.messageId;
-      agents.set(agent, a);
-    };
+// Results of operator commands; each notice disappears after a few seconds
+const NOTICE_MS = 6000;
 
-    switch (ev.type) {
-      case "plan": {
-        // ev.steps: [{id, capability, dependencies:[]}]
-        for (const s of ev.steps || []) {
-          conv.steps.set(s.id, {
-            capability: s.capability,
-            status: "ready",
-          });
-          // Record dependencies as edges between steps
-          for (const dep of s.dependencies || []) {
-            conv.edges.push({
-              from: dep,
-              to: s.id,
-              label: "dep",
-            });
-          }
-        }
-        break;
-      }
-      case "dispatch": {
-        const { stepId, capability, messageId } = ev;
-        const s = conv.steps.get(stepId) || { capability, status: "ready" };
-        s.capability = capability || s.capability;
-        s.status = "dispatched";
-        s.messageId = messageId;
-        conv.steps.set(stepId, s);
-        // Edge: coordinator -> capability (agent)
-        conv.edges.push({
-          from: "coordinator",
-          to: capability,
-          label: stepId,
-        });
-        break;
-      }
-      case "stepCompleted": {
-        const { stepId } = ev;
-        const s = conv.steps.get(stepId);
-        if (s) {
-          s.status = "completed";
-          conv.steps.set(stepId, s);
-        }
-        break;
-      }
-      case "aggregate": {
-        // final aggregate done (no-op for graph, could add special marker)
-        break;
-      }
-      case "agentStart": {
-        const { agent, stepId, messageId, refinement } = ev;
-        addAgentEvent(agent, {
-          type: "start",
-          stepId,
-          messageId,
-          refinement,
-        });
-        // agent node emits work (agent -> step)
-        conv.edges.push({
-          from: agent,
-          to: stepId,
-          label: "start",
-        });
-        break;
-      }
-      case "agentComplete": {
-        const { agent, stepId, responseMessageId, textLength } = ev;
-        addAgentEvent(agent, {
-          type: "complete",
-          stepId,
-          responseMessageId,
-          textLength,
-        });
-        // step -> coordinator (result)
-        conv.edges.push({
-          from: stepId,
-          to: "coordinator",
-          label: "done",
-        });
-        break;
-      }
-      case "chat": {
-        const { role, messageId, text, agent } = ev;
-        conv.chat.push({ role, messageId, text, agent: agent || null });
-        break;
-      }
-      case "error": {
-        const { message } = ev;
-        addAgentEvent("coordinator", { type: "error", message });
-        break;
-      }
-      default:
-        break;
-    }
-  }
+function useCommandNotices(command) {
+  const [notices, setNotices] = useState([]);
+  const counter = useRef(0);
+
+  const push = useCallback((ok, text) => {
+    counter.current += 1;
+    const id = counter.current;
+    setNotices((list) => [...list.slice(-3), { id, ok, text }]);
+    setTimeout(() => setNotices((list) => list.filter((n) => n.id !== id)), NOTICE_MS);
+  }, []);
 
-  // Collect unique agent names from steps/edges and agent activity
-  const allAgentNames = new Set(
-    Array.from(agents.keys())
+  // text: the edited instruction, rejection reason or answer of an approval decision
+  const runCommand = useCallback(
+    (action, conversationId, stepId, text) => {
+      const what = stepId ? `${action} ${stepId}` : `${action} ${conversationId}`;
+      command({ action, conversationId, stepId, text }).then(
+        (message) => push(true, message || what),
+        (err) => push(false, `${what}: ${err.message}`)
+      );
+    },
+    [command, push]
   );
-  for (const [, conv] of conversations) {
-    for (const [, s] of conv.steps) {
-      if (s.capability) allAgentNames.add(s.capability);
-    }
-    for (const e of conv.edges) {
-      if (e.from !== "coordinator" && !conv.steps.has(e.from)) {
-        allAgentNames.add(e.from);
-      }
-      if (e.to !== "coordinator" && !conv.steps.has(e.to)) {
-        allAgentNames.add(e.to);
-      }
+
+  return { notices, runCommand };
+}
+
+// How often alert rules are checked against the model; also how late a step that runs too long is noticed
+const ALERT_CHECK_MS = 2000;
+
+// Alert rules (alerts.js) checked against the model while enabled (the live socket). A rule's new matches
+// become alerts, shown on the desktop and with a chime as the settings ask; events published before the
+// dashboard went live raise nothing.
+function useAlerts(model, enabled) {
+  const [settings, setSettings] = useState(loadAlertSettings);
+  useEffect(() => saveAlertSettings(settings), [settings]);
+  const [alerts, dispatchAlerts] = useReducer(alertsReducer, undefined, emptyAlerts);
+  const modelRef = useRef(model);
+  const settingsRef = useRef(settings);
+
+  useEffect(() => {
+    modelRef.current = model;
+    settingsRef.current = settings;
+  });
+
+  useEffect(() => {
+    if (!enabled) return;
+    const since = Date.now();
+    let active = new Set(); // keys matched by the previous check
+    const timer = setInterval(() => {
+      const { rules, desktop, sound } = settingsRef.current;
+      const matches = evaluateAlerts(modelRef.current, rules, { now: Date.now(), since });
+      const fresh = matches.filter((m) => !active.has(m.key));
+      active = new Set(matches.map((m) => m.key));
+      if (!fresh.length) return;
+      dispatchAlerts({ type: "raise", matches: fresh, at: Date.now() });
+      if (desktop) showDesktopNotifications(fresh);
+      if (sound) playChime();
+    }, ALERT_CHECK_MS);
+    return () => clearInterval(timer);
+  }, [enabled]);
+
+  return { alerts, dispatchAlerts, settings, setSettings };
+}
+
+function CommandNotices({ notices }) {
+  if (!notices.length) return null;
+  return (
+    <div className="notices">
+      {notices.map((n) => (
+        <div key={n.id} className={`notice notice--${n.ok ? "ok" : "err"}`}>
+          {n.ok ? "✓" : "✕"} {n.text}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Header badge for the telemetry socket with a countdown while waiting to reconnect
+function ConnectionBadge({ status, onReconnect }) {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    if (status.state !== "waiting") return;
+    const t = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(t);
+  }, [status.state]);
+
+  let label;
+  let tone;
+  switch (status.state) {
+    case "open":
+      label = "Connected";
+      tone = "ok";
+      break;
+    case "connecting":
+      label = status.attempt > 0 ? `Connecting (attempt ${status.attempt + 1})` : "Connecting";
+      tone = "wait";
+      break;
+    case "waiting": {
+      const secs = Math.max(0, Math.ceil((status.retryAt - now) / 1000));
+      label = `Disconnected, retry in ${secs}s`;
+      tone = "down";
+      break;
     }
+    default:
+      label = "Disconnected";
+      tone = "down";
   }
 
-  return {
-    agents: new Map(
-      Array.from(allAgentNames).map((name) => {
-        return [name, agents.get(name) || { events: [], lastStepId: null, lastMsgId: null }];
-      })
-    ),
-    conversations,
-  };
+  return (
+    <div className="connBar">
+      <div className={`conn conn--${tone}`} title={status.reason || ""}>
+        WS {label}
+      </div>
+      {status.state !== "open" ? (
+        <button className="conn__retry" onClick={onReconnect}>
+          Reconnect now
+        </button>
+      ) : null}
+    </div>
+  );
 }
 
 // Draggable floating steps panel
@@ -340,18 +372,7 @@ function ConversationPanel({ conv }) {
 
   if (!conv) return null;
 
-  const items = (conv.chat || []).map((m, idx) => (
-    <div key={m.messageId || idx} className={`msgRow msgRow--${m.role}`}>
-      <div className={`bubble bubble--${m.role}`}>
-        <div className="meta">
-          <span className="role">{m.role}</span>
-          {m.agent ? <span className="agent mono">@{m.agent}</span> : null}
-          {m.messageId ? <span className="msgid mono">{m.messageId}</span> : null}
-        </div>
-        <div className="text">{m.text}</div>
-      </div>
-    </div>
-  ));
+  const items = (conv.chat || []).map((m, idx) => <ChatBubble key={chatKey(m, idx)} chatKey={chatKey(m, idx)} m={m} />);
 
   return (
     <div
@@ -370,8 +391,9 @@ function ConversationPanel({ conv }) {
   );
 }
 
-/* Docked tabs attached to main canvas: Conversation and Steps with scroll */
-function DockPanels({ conv }) {
+/* Docked tabs attached to main canvas: Conversation, Steps and refinement loop Iterations with scroll.
+   `highlight` is a search jump into this conversation ({ chatKey?, stepId?, query, n }). */
+function DockPanels({ conversationId, conv, onCommand, controlsDisabled, selectedStepId, onSelectStep, highlight }) {
   const [tab, setTab] = useState(() => {
     try {
       return localStorage.getItem("dockTab") || "conversation";
@@ -386,20 +408,32 @@ function DockPanels({ conv }) {
     } catch {}
   }, [tab]);
 
+  const bodyRef = useRef(null);
+
+  // Show the tab holding a search hit, then scroll it into view once rendered
+  useEffect(() => {
+    if (!highlight) return;
+    setTab(highlight.chatKey ? "conversation" : "steps");
+    const frame = requestAnimationFrame(() => {
+      const body = bodyRef.current;
+      if (!body) return;
+      const selector = highlight.chatKey
+        ? `[data-chat-key="${CSS.escape(highlight.chatKey)}"]`
+        : `[data-step-id="${CSS.escape(highlight.stepId || "")}"]`;
+      const el = body.querySelector(selector);
+      if (el) el.scrollIntoView({ block: "center", behavior: "smooth" });
+    });
+    return () => cancelAnimationFrame(frame);
+  }, [highlight]);
+
   if (!conv) return null;
 
-  const chatItems = (conv.chat || []).map((m, idx) => (
-    <div key={m.messageId || idx} className={`msgRow msgRow--${m.role}`}>
-      <div className={`bubble bubble--${m.role}`}>
-        <div className="meta">
-          <span className="role">{m.role}</span>
-          {m.agent ? <span className="agent mono">@{m.agent}</span> : null}
-          {m.messageId ? <span className="msgid mono">{m.messageId}</span> : null}
-        </div>
-        <div className="text">{m.text}</div>
-      </div>
-    </div>
-  ));
+  const mark = highlight ? highlight.query : null;
+  const chatItems = (conv.chat || []).map((m, idx) => {
+    const key = chatKey(m, idx);
+    const focused = !!highlight && highlight.chatKey === key;
+    return <ChatBubble key={key} chatKey={key} m={m} mark={mark} focused={focused} />;
+  });
 
   return (
     <div className="dock">
@@ -416,12 +450,23 @@ function DockPanels({ conv }) {
         >
           Steps
         </button>
+        <button
+          className={`dock__tab ${tab === "iterations" ? "dock__tab--active" : ""}`}
+          onClick={() => setTab("iterations")}
+          title="Passes of the coordinator's refinement loop"
+        >
+          Iterations{conv.iterations && conv.iterations.length ? ` (${conv.iterations.length})` : ""}
+        </button>
       </div>
-      <div className="dock__body">
+      <div className="dock__body" ref={bodyRef}>
         {tab === "conversation" ? (
           <div className="dock__pane">
             {chatItems.length ? chatItems : <div className="muted">No messages yet.</div>}
           </div>
+        ) : tab === "iterations" ? (
+          <div className="dock__pane">
+            <IterationsPanel iterations={conv.iterations} />
+          </div>
         ) : (
           <div className="dock__pane">
             <table>
@@ -431,15 +476,37 @@ function DockPanels({ conv }) {
                   <th>Capability</th>
                   <th>Status</th>
                   <th>Message Id</th>
+                  <th>Actions</th>
                 </tr>
               </thead>
               <tbody>
                 {Array.from(conv.steps.entries()).map(([id, s]) => (
-                  <tr key={id}>
-                    <td>{id}</td>
-                    <td>{s.capability}</td>
-                    <td className={`status status--${s.status}`}>{s.status}</td>
+                  <tr
+                    key={id}
+                    data-step-id={id}
+                    className={`stepRow ${id === selectedStepId ? "stepRow--selected" : ""}`}
+                    onClick={() => onSelectStep(id)}
+                    title="Inspect this step"
+                  >
+                    <td>
+                      <Marked text={id} mark={mark} />
+                    </td>
+                    <td>
+                      <Marked text={s.capability} mark={mark} />
+                    </td>
+                    <td className={`status status--${s.status}`} title={s.error || ""}>
+                      {s.status}
+                    </td>
                     <td className="mono">{s.messageId || "-"}</td>
+                    <td onClick={(e) => e.stopPropagation()}>
+                      <StepActions
+                        conversationId={conversationId}
+                        stepId={id}
+                        step={s}
+                        onCommand={onCommand}
+                        disabled={controlsDisabled}
+                      />
+                    </td>
                   </tr>
                 ))}
               </tbody>
@@ -452,8 +519,41 @@ function DockPanels({ conv }) {
 }
 
 export default function App() {
-  const { connected, events } = useTelemetry();
-  const model = useMemo(() => buildModel(events), [events]);
+  const [model, dispatch] = useReducer(modelReducer, undefined, createModel);
+  // Every frame is checked against the event schema (eventSchema.js); the model only gets events in
+  // the current shape, and the diagnostics panel counts the rest
+  const [diagnostics, dispatchDiagnostics] = useReducer(diagnosticsReducer, undefined, emptyDiagnostics);
+  const onEvent = useCallback((frame, at) => {
+    const result = checkEvent(frame);
+    dispatchDiagnostics({ type: "check", result, frame, at });
+    if (result.ev) dispatch({ type: "event", ev: result.ev, at });
+  }, []);
+  const onHello = useCallback((hello) => dispatchDiagnostics({ type: "hello", hello }), []);
+
+  // Event source: the live socket, or an NDJSON file loaded for offline analysis
+  const [source, setSource] = useState({ kind: "live" });
+  // What the socket subscribes to; see subscription.js
+  const [subscription, setSubscription] = useState(loadSubscription);
+  useEffect(() => saveSubscription(subscription), [subscription]);
+  const filter = useMemo(() => toFilter(subscription), [subscription]);
+
+  const { status, index, registry, reconnectNow, command } = useTelemetry(
+    onEvent,
+    onHello,
+    source.kind === "live",
+    filter
+  );
+  const { notices, runCommand } = useCommandNotices(command);
+  const { alerts, dispatchAlerts, settings: alertSettings, setSettings: setAlertSettings } = useAlerts(
+    model,
+    source.kind === "live"
+  );
+  // Capabilities of the agents registered now, offered by the plan editor (null until the registry feed arrives)
+  const capabilities = useMemo(
+    () => (registry ? Array.from(new Set(registry.filter((a) => !a.leftAt).map((a) => a.capability))).sort() : null),
+    [registry]
+  );
+  const liveAgents = useMemo(() => (registry ? registry.filter((a) => !a.leftAt) : null), [registry]);
 
   // Compute tabs for conversations
   const convIds = useMemo(() => Array.from(model.conversations.keys()), [model]);
@@ -465,45 +565,370 @@ export default function App() {
     }
   }, [convIds, activeConv]);
 
-  const conv = activeConv ? model.conversations.get(activeConv) : null;
+  // The navigator lists every conversation the backend knows (index), loaded or not, then local-only ones
+  const indexById = useMemo(() => new Map(index.map((c) => [c.id, c])), [index]);
+  const knownIds = useMemo(() => {
+    if (source.kind !== "live") return convIds;
+    const ids = index.map((c) => c.id);
+    for (const cid of convIds) if (!indexById.has(cid)) ids.push(cid);
+    return ids;
+  }, [source.kind, index, indexById, convIds]);
+
+  // A submitted conversation is listed right away, before its first event arrives
+  const pendingConv = activeConv && !knownIds.includes(activeConv) ? activeConv : null;
+  const listedIds = useMemo(() => (pendingConv ? [...knownIds, pendingConv] : knownIds), [knownIds, pendingConv]);
+
+  // Names, pins, closed and archived conversations; see conversations.js
+  const [convPrefs, setConvPrefs] = useState(loadConversationPrefs);
+  useEffect(() => saveConversationPrefs(convPrefs), [convPrefs]);
+  const summaries = useMemo(
+    () => listedIds.map((cid) => summarizeConversation(cid, model.conversations.get(cid), indexById.get(cid), convPrefs)),
+    [listedIds, model, indexById, convPrefs]
+  );
+
+  const followed = subscription.mode === "followed" ? new Set(subscription.followed) : null;
+  const onToggleFollow = (cid) => setSubscription((sub) => toggleFollow(sub, cid));
+
+  // Opening a conversation while showing followed ones only starts following it (pulls its events).
+  // A closed conversation opened from search or the composer is listed again.
+  const openConversation = useCallback((cid) => {
+    setActiveConv(cid);
+    setConvPrefs((p) => (cid && cid in p.closed ? reopenConversation(p, cid) : p));
+    setSubscription((sub) =>
+      sub.mode === "followed" && cid && !sub.followed.includes(cid) ? toggleFollow(sub, cid) : sub
+    );
+  }, []);
+
+  const liveConv = activeConv ? model.conversations.get(activeConv) : null;
+
+  // Time travel: replay position is tracked per conversation, null = follow live state
+  const [replay, setReplay] = useState({ convId: null, position: null });
+  const replayPos = replay.convId === activeConv ? replay.position : null;
+  const onReplaySeek = useCallback(
+    (position) => setReplay({ convId: activeConv, position }),
+    [activeConv]
+  );
+  const conv = useMemo(
+    () => (liveConv && replayPos != null ? conversationAt(activeConv, liveConv, replayPos) : liveConv),
+    [activeConv, liveConv, replayPos]
+  );
+
+  // Commands act on the live backend state only
+  const controlsDisabled = source.kind !== "live" || replayPos != null || status.state !== "open";
+
+  // Step shown in the inspector, picked in the graph or the Steps table
+  const [selected, setSelected] = useState({ convId: null, stepId: null });
+  const selectedStepId = selected.convId === activeConv ? selected.stepId : null;
+  const onSelectStep = useCallback((stepId) => setSelected({ convId: activeConv, stepId }), [activeConv]);
+
+  // Main view: the active conversation's dependency graph or Gantt timeline, or metrics, token usage,
+  // failures or provider comparisons over all conversations
+  const [view, setView] = useState(() => {
+    try {
+      return localStorage.getItem("mainView") || "graph";
+    } catch {
+      return "graph";
+    }
+  });
+
+  useEffect(() => {
+    try {
+      localStorage.setItem("mainView", view);
+    } catch {
+      // storage unavailable; the choice lasts for this page only
+    }
+  }, [view]);
+
+  // From the failures view or the approval queue: the step in its conversation's graph, with the inspector open
+  const openStep = useCallback(
+    (cid, stepId) => {
+      openConversation(cid);
+      setSelected({ convId: cid, stepId });
+      setView("graph");
+    },
+    [openConversation]
+  );
+
+  // Provider comparisons started from the composer, newest first; see comparisons.js
+  const [comparisons, setComparisons] = useState(loadComparisons);
+  useEffect(() => saveComparisons(comparisons), [comparisons]);
+  const onCompared = useCallback(
+    (comparison) => {
+      setComparisons((list) => addComparison(list, comparison));
+      openConversation(comparison.variants[0].conversationId);
+      setView("compare");
+    },
+    [openConversation]
+  );
+  const onOpenCompared = useCallback(
+    (cid) => {
+      openConversation(cid);
+      setView("graph");
+    },
+    [openConversation]
+  );
+
+  // Conversations stored by the backend (HistoryBrowser). A stored conversation is shown without following
+  // it, so the bus does not replay events the model already has from the store.
+  const [showHistory, setShowHistory] = useState(false);
+  const loadedIds = useMemo(() => new Set(convIds), [convIds]);
+  const showStored = useCallback((cid) => {
+    setActiveConv(cid);
+    setConvPrefs((p) => (cid in p.closed ? reopenConversation(p, cid) : p));
+    setView("graph");
+  }, []);
+  const loadStored = useCallback(
+    async (cid, onProgress) => {
+      const records = await fetchStoredConversation(cid, onProgress);
+      dispatchDiagnostics({ type: "records", records });
+      dispatch({ type: "merge", records: checkRecords(records).records });
+      showStored(cid);
+    },
+    [showStored]
+  );
+
+  // Last search jump; `n` makes picking the same hit again scroll to it again
+  const [jump, setJump] = useState(null);
+  const highlight = jump && jump.convId === activeConv ? jump : null;
+  const onSearchJump = useCallback(
+    (hit, query) => {
+      openConversation(hit.conversationId);
+      // The hit's step (for agent replies, the step they answer) is selected in the graph
+      if (hit.stepId) setSelected({ convId: hit.conversationId, stepId: hit.stepId });
+      if (hit.kind === "step") setView((v) => (v === "timeline" ? v : "graph"));
+      setJump((prev) => ({
+        convId: hit.conversationId,
+        chatKey: hit.kind === "chat" ? hit.chatKey : null,
+        stepId: hit.stepId || null,
+        query,
+        n: (prev ? prev.n : 0) + 1,
+      }));
+    },
+    [openConversation]
+  );
+
+  const viewSwitch = (
+    <span className="viewSwitch">
+      <button className={view === "graph" ? "viewSwitch--active" : ""} onClick={() => setView("graph")}>
+        Graph
+      </button>
+      <button className={view === "timeline" ? "viewSwitch--active" : ""} onClick={() => setView("timeline")}>
+        Timeline
+      </button>
+      <button className={view === "metrics" ? "viewSwitch--active" : ""} onClick={() => setView("metrics")}>
+        Metrics
+      </button>
+      <button className={view === "usage" ? "viewSwitch--active" : ""} onClick={() => setView("usage")}>
+        Usage
+      </button>
+      <button className={view === "failures" ? "viewSwitch--active" : ""} onClick={() => setView("failures")}>
+        Failures
+      </button>
+      <button className={view === "compare" ? "viewSwitch--active" : ""} onClick={() => setView("compare")}>
+        Compare
+      </button>
+    </span>
+  );
+
+  // View switch and conversation controls, shown in the header of the graph and the timeline
+  const viewHeader = conv ? (
+    <span className="graphHeader__actions">
+      {viewSwitch}
+      {conv.cancelled ? <span className="pill pill--error">cancelled</span> : null}
+      {!conv.finished && !conv.cancelled ? (
+        <button
+          className="danger"
+          disabled={controlsDisabled}
+          title="Stop coordinating this conversation"
+          onClick={() => runCommand("cancel", activeConv)}
+        >
+          Cancel conversation
+        </button>
+      ) : null}
+    </span>
+  ) : null;
+
+  const loadFile = useCallback(({ records, name, skipped }) => {
+    setSource({ kind: "file", name, skipped, count: records.length });
+    // Recordings of older backends are upgraded like live frames
+    const checked = checkRecords(records);
+    dispatchDiagnostics({ type: "load", diagnostics: checked.diagnostics });
+    dispatch({ type: "load", records: checked.records });
+    setActiveConv(null);
+  }, []);
+
+  const goLive = useCallback(() => {
+    dispatch({ type: "reset" });
+    dispatchDiagnostics({ type: "reset" });
+    setActiveConv(null);
+    setSource({ kind: "live" });
+  }, []);
 
   return (
     <div className="app">
       <header className="app__header">
         <h1>Multi-Agent Orchestrator</h1>
-        <div className={`conn conn--${connected ? "ok" : "down"}`}>
-          WS {connected ? "Connected" : "Disconnected"}
+        <div className="app__headerRight">
+          <button
+            className={`app__historyToggle ${showHistory ? "app__historyToggle--on" : ""}`}
+            onClick={() => setShowHistory((v) => !v)}
+            title="Browse conversations stored by the backend"
+          >
+            History
+          </button>
+          <AlertCenter
+            alerts={alerts}
+            onAlerts={dispatchAlerts}
+            settings={alertSettings}
+            onSettings={setAlertSettings}
+            agents={Array.from(model.agents.keys())}
+            onOpen={(cid, stepId) => (stepId ? openStep(cid, stepId) : openConversation(cid))}
+          />
+          <SessionControls source={source} model={model} onLoad={loadFile} onGoLive={goLive} />
+          {source.kind === "live" ? (
+            <ConnectionBadge status={status} onReconnect={reconnectNow} />
+          ) : (
+            <div className="conn conn--wait" title="The backend socket is closed while a file is loaded">
+              WS Paused
+            </div>
+          )}
         </div>
       </header>
 
+      <CommandNotices notices={notices} />
+
       <div className="app__content">
         <aside className="sidebar">
-          <h2>Agents</h2>
+          <h2>Registry</h2>
+          <AgentRegistryPanel agents={source.kind === "live" ? registry : null} />
+          <h2>Diagnostics</h2>
+          <DiagnosticsPanel diagnostics={diagnostics} onClear={() => dispatchDiagnostics({ type: "clear" })} />
+          <h2>Activity</h2>
           <AgentPanels agents={model.agents} />
         </aside>
 
         <main className="main">
-          <div className="tabs">
-            {convIds.map((cid) => (
-              <button
-                key={cid}
-                className={`tab ${activeConv === cid ? "tab--active" : ""}`}
-                onClick={() => setActiveConv(cid)}
-                title={cid}
-              >
-                {cid}
-              </button>
-            ))}
-          </div>
+          <TaskComposer
+            conversationIds={knownIds}
+            capabilities={capabilities}
+            agents={liveAgents}
+            disabled={source.kind !== "live"}
+            onSubmitted={openConversation}
+            onCompared={onCompared}
+          />
+
+          <SubscriptionBar
+            subscription={subscription}
+            knownAgents={Array.from(model.agents.keys())}
+            onChange={setSubscription}
+            disabled={source.kind !== "live"}
+          />
+
+          <SearchBox model={model} onJump={onSearchJump} />
+
+          <ApprovalQueue
+            model={model}
+            onOpenStep={openStep}
+            onCommand={runCommand}
+            disabled={source.kind !== "live" || status.state !== "open"}
+          />
+
+          {showHistory ? (
+            <HistoryBrowser
+              loaded={loadedIds}
+              onLoad={loadStored}
+              onOpen={showStored}
+              onClose={() => setShowHistory(false)}
+            />
+          ) : null}
+
+          <ConversationNavigator
+            summaries={summaries}
+            activeId={activeConv}
+            pendingId={pendingConv}
+            following={followed}
+            onOpen={openConversation}
+            onToggleFollow={onToggleFollow}
+            onPrefs={setConvPrefs}
+          />
 
           {!conv ? (
-            <div className="empty">No conversations yet. Trigger a task to see activity.</div>
+            <div className="empty">
+              {pendingConv
+                ? `Task submitted, waiting for the first events of ${pendingConv}…`
+                : activeConv
+                  ? `No events of ${activeConv} received yet. They may fall outside the current filter or the backend's recent history.`
+                  : "No conversations yet. Trigger a task to see activity."}
+            </div>
           ) : (
             <>
               <div className="graphSection">
-                <Graph conversationId={activeConv} conv={conv} />
+                <div className="graphRow">
+                  {view === "metrics" ? (
+                    <MetricsPanel
+                      model={model}
+                      registry={source.kind === "live" ? registry : null}
+                      live={source.kind === "live"}
+                      headerExtra={<span className="graphHeader__actions">{viewSwitch}</span>}
+                    />
+                  ) : view === "usage" ? (
+                    <UsagePanel model={model} headerExtra={<span className="graphHeader__actions">{viewSwitch}</span>} />
+                  ) : view === "failures" ? (
+                    <FailuresPanel
+                      model={model}
+                      onOpenStep={openStep}
+                      headerExtra={<span className="graphHeader__actions">{viewSwitch}</span>}
+                    />
+                  ) : view === "compare" ? (
+                    <ComparePanel
+                      key={comparisons.length ? comparisons[0].id : "none"}
+                      model={model}
+                      comparisons={comparisons}
+                      onComparisons={setComparisons}
+                      onOpen={onOpenCompared}
+                      headerExtra={<span className="graphHeader__actions">{viewSwitch}</span>}
+                    />
+                  ) : view === "timeline" ? (
+                    <Timeline
+                      conversationId={activeConv}
+                      conv={conv}
+                      live={source.kind === "live" && replayPos == null}
+                      selectedStepId={selectedStepId}
+                      onSelectStep={onSelectStep}
+                      headerExtra={viewHeader}
+                    />
+                  ) : (
+                    <Graph
+                      conversationId={activeConv}
+                      conv={conv}
+                      onSelectStep={onSelectStep}
+                      selectedStepId={selectedStepId}
+                      focusRequest={highlight && highlight.stepId ? highlight : null}
+                      headerExtra={viewHeader}
+                    />
+                  )}
+                  {selectedStepId ? (
+                    <StepInspector
+                      conversationId={activeConv}
+                      conv={conv}
+                      stepId={selectedStepId}
+                      onClose={() => onSelectStep(null)}
+                      onCommand={runCommand}
+                      controlsDisabled={controlsDisabled}
+                    />
+                  ) : null}
+                </div>
+                <ReplayScrubber log={liveConv.log} position={replayPos} onChange={onReplaySeek} />
               </div>
-              <DockPanels conv={conv} />
+              <DockPanels
+                conversationId={activeConv}
+                conv={conv}
+                onCommand={runCommand}
+                controlsDisabled={controlsDisabled}
+                selectedStepId={selectedStepId}
+                onSelectStep={onSelectStep}
+                highlight={highlight}
+              />
             </>
           )}
         </main>
@@ -0,0 +1,110 @@
+import { useEffect, useState } from "react";
+import { pendingApprovals } from "./approvals.js";
+
+const formatTime = (at) => (at ? new Date(at).toLocaleTimeString() : "-");
+
+/*
+ * Reviewer controls for a step waiting for approval: run it (with the instruction as edited here),
+ * reject it with a reason (the step fails and its conversation is parked), or answer it in place of
+ * the agent. Decisions go over the /ws control channel.
+ */
+export function ApprovalForm({ conversationId, stepId, step, onCommand, disabled }) {
+  const [instruction, setInstruction] = useState(step.instruction || "");
+  const [mode, setMode] = useState("review"); // review | reject | answer
+  const [text, setText] = useState("");
+  useEffect(() => setInstruction(step.instruction || ""), [step.instruction]);
+
+  const edited = instruction.trim() !== (step.instruction || "").trim() && instruction.trim().length > 0;
+  const send = (action, payload) => onCommand(action, conversationId, stepId, payload);
+
+  return (
+    <div className="approval">
+      <label>
+        Instruction{edited ? <span className="muted"> (edited)</span> : null}
+        <textarea rows={3} value={instruction} disabled={disabled} onChange={(e) => setInstruction(e.target.value)} />
+      </label>
+      {mode !== "review" ? (
+        <label>
+          {mode === "reject" ? "Reason" : "Your answer (used as the step's result)"}
+          <textarea
+            rows={mode === "answer" ? 4 : 2}
+            value={text}
+            autoFocus
+            disabled={disabled}
+            onChange={(e) => setText(e.target.value)}
+          />
+        </label>
+      ) : null}
+      <div className="approval__actions">
+        {mode === "review" ? (
+          <>
+            <button className="approval__approve" disabled={disabled} onClick={() => send("approve", edited ? instruction.trim() : undefined)}>
+              {edited ? "Approve edited" : "Approve"}
+            </button>
+            <button disabled={disabled} onClick={() => setMode("answer")} title="Answer in place of the agent">
+              Answer…
+            </button>
+            <button className="danger" disabled={disabled} onClick={() => setMode("reject")}>
+              Reject…
+            </button>
+          </>
+        ) : (
+          <>
+            <button
+              className={mode === "reject" ? "danger" : "approval__approve"}
+              disabled={disabled || (mode === "answer" && !text.trim())}
+              onClick={() => send(mode, text.trim() || undefined)}
+            >
+              {mode === "reject" ? "Reject step" : "Send answer"}
+            </button>
+            <button onClick={() => setMode("review")}>Back</button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/* Steps waiting for a reviewer in any conversation; each one opens inline or in its conversation */
+export default function ApprovalQueue({ model, onOpenStep, onCommand, disabled }) {
+  const [open, setOpen] = useState(null);
+  const pending = pendingApprovals(model);
+  if (!pending.length) return null;
+
+  const keyOf = (p) => `${p.conversationId}/${p.stepId}`;
+
+  return (
+    <div className="approvals">
+      <div className="approvals__title">
+        ⏸ {pending.length} step{pending.length === 1 ? "" : "s"} waiting for approval
+      </div>
+      {pending.map((p) => {
+        const key = keyOf(p);
+        const step = model.conversations.get(p.conversationId).steps.get(p.stepId);
+        return (
+          <div key={key} className="approvals__item">
+            <div className="approvals__row">
+              <button className="linkButton mono" onClick={() => onOpenStep(p.conversationId, p.stepId)} title="Open this step">
+                {p.conversationId} / {p.stepId}
+              </button>
+              <span className="mono muted">{p.capability}</span>
+              <span className="mono muted">since {formatTime(p.requestedAt)}</span>
+              <button className="approvals__toggle" onClick={() => setOpen(open === key ? null : key)}>
+                {open === key ? "Hide" : "Review"}
+              </button>
+            </div>
+            {open === key ? (
+              <ApprovalForm
+                conversationId={p.conversationId}
+                stepId={p.stepId}
+                step={step}
+                onCommand={onCommand}
+                disabled={disabled}
+              />
+            ) : null}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
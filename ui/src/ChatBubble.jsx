@@ -0,0 +1,48 @@
+import { useState } from "react";
+import Markdown, { Marked } from "./Markdown.jsx";
+
+// Messages longer than this are collapsed until expanded
+const COLLAPSE_CHARS = 2500;
+const COLLAPSE_LINES = 40;
+
+/*
+ * One chat message, shared by the floating and the docked conversation views. Text is rendered
+ * as Markdown (with a toggle to the raw text); streamed replies show their partial text until
+ * agentComplete. A search jump marks the bubble (`focused`) and the query's words (`mark`).
+ */
+export default function ChatBubble({ m, chatKey, mark, focused }) {
+  const [raw, setRaw] = useState(false);
+  const [expanded, setExpanded] = useState(false);
+
+  const text = m.text || "";
+  const lines = text.split("\n").length;
+  const long = text.length > COLLAPSE_CHARS || lines > COLLAPSE_LINES;
+  // A search hit in a long message is shown in full
+  const collapsed = long && !expanded && !focused;
+
+  return (
+    <div className={`msgRow msgRow--${m.role}`} data-chat-key={chatKey}>
+      <div className={`bubble bubble--${m.role} ${m.streaming ? "bubble--streaming" : ""} ${focused ? "bubble--focused" : ""}`}>
+        <div className="meta">
+          <span className="role">{m.role}</span>
+          {m.agent ? <span className="agent mono">@{m.agent}</span> : null}
+          {m.messageId ? <span className="msgid mono">{m.messageId}</span> : null}
+          {m.streaming ? <span className="pill pill--streaming">in progress</span> : null}
+          {m.interrupted ? <span className="pill pill--interrupted">interrupted</span> : null}
+          <button className="bubble__toggle" onClick={() => setRaw(!raw)} title="Switch between formatted and raw text">
+            {raw ? "formatted" : "raw"}
+          </button>
+        </div>
+        <div className={`text ${raw ? "text--raw" : ""} ${collapsed ? "text--collapsed" : ""}`}>
+          {raw ? <Marked text={text} mark={mark} /> : <Markdown text={text} mark={mark} />}
+          {m.streaming ? <span className="caret" /> : null}
+        </div>
+        {long && !focused ? (
+          <button className="bubble__toggle bubble__more" onClick={() => setExpanded(!expanded)}>
+            {expanded ? "Show less" : `Show all (${lines} lines)`}
+          </button>
+        ) : null}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,172 @@
+import { useEffect, useMemo, useState } from "react";
+import Graph from "./Graph.jsx";
+import Markdown from "./Markdown.jsx";
+import { annotate, exportComparison, removeComparison, variantMetrics, voteWinner } from "./comparisons.js";
+import { downloadText } from "./sessionFile.js";
+
+function formatMs(ms) {
+  if (ms == null) return "-";
+  if (ms < 1000) return `${ms} ms`;
+  const s = ms / 1000;
+  return s < 60 ? `${s.toFixed(1)} s` : `${Math.floor(s / 60)}m ${Math.round(s % 60)}s`;
+}
+
+// Routes of a variant in one line; none means the coordinator's own choice of agents
+const routesText = (routes) =>
+  Object.keys(routes).length
+    ? Object.entries(routes)
+        .map(([from, to]) => `${from} → ${to}`)
+        .join(", ")
+    : "default agents";
+
+function VariantColumn({ comparison, variant, conv, now, onComparisons, onOpen }) {
+  const m = variantMetrics(variant.conversationId, conv, now);
+  const won = comparison.winner === variant.label;
+
+  return (
+    <div className={`compare__column ${won ? "compare__column--winner" : ""}`}>
+      <div className="compare__head">
+        <span className="mono compare__label">{variant.label}</span>
+        <button
+          className={won ? "compare__vote compare__vote--on" : "compare__vote"}
+          onClick={() => onComparisons((list) => voteWinner(list, comparison.id, variant.label))}
+          title={won ? "Withdraw the vote" : "Vote for this result"}
+        >
+          {won ? "★ better" : "☆ vote"}
+        </button>
+      </div>
+      <div className="compare__routes muted mono" title={variant.conversationId}>
+        {routesText(variant.routes)} · max loops {variant.maxLoops}
+      </div>
+      {!m ? (
+        <div className="muted">Waiting for the first events…</div>
+      ) : (
+        <>
+          <dl className="compare__stats">
+            <dt>status</dt>
+            <dd className={`navCard__status navCard__status--${m.status}`}>{m.status}</dd>
+            <dt>duration</dt>
+            <dd>{formatMs(m.durationMs)}</dd>
+            <dt>mean step</dt>
+            <dd>{formatMs(m.meanStepMs)}</dd>
+            <dt>steps</dt>
+            <dd>
+              {m.done}/{m.steps}
+            </dd>
+            <dt>answer</dt>
+            <dd>{m.answerLength != null ? `${m.answerLength} chars` : "-"}</dd>
+            <dt>tokens</dt>
+            <dd>{m.tokens || "-"}</dd>
+            <dt>providers</dt>
+            <dd className="mono">{m.providers.join(", ") || "-"}</dd>
+          </dl>
+          <div className="compare__graph">
+            <Graph
+              conversationId={variant.conversationId}
+              conv={conv}
+              onSelectStep={null}
+              headerExtra={
+                <span className="graphHeader__actions">
+                  <button onClick={() => onOpen(variant.conversationId)} title="Open this conversation">
+                    Open
+                  </button>
+                </span>
+              }
+            />
+          </div>
+          <div className="compare__answer">
+            {m.answer != null ? <Markdown text={m.answer} /> : <span className="muted">No final answer yet.</span>}
+          </div>
+        </>
+      )}
+      <textarea
+        className="compare__notes"
+        rows={2}
+        placeholder="Notes on this result"
+        value={comparison.notes[variant.label] || ""}
+        onChange={(e) => onComparisons((list) => annotate(list, comparison.id, variant.label, e.target.value))}
+      />
+    </div>
+  );
+}
+
+/*
+ * One comparison's variants side by side: graph, final answer, latency, answer length and tokens
+ * of each conversation, with a vote for the better result and notes. Exported as JSON.
+ */
+export default function ComparePanel({ model, comparisons, onComparisons, onOpen, headerExtra }) {
+  const [chosen, setChosen] = useState(null);
+  const comparison = comparisons.find((c) => c.id === chosen) || comparisons[0] || null;
+
+  // Durations of running variants grow live
+  const [now, setNow] = useState(() => Date.now());
+  const running = useMemo(
+    () =>
+      !!comparison &&
+      comparison.variants.some((v) => {
+        const conv = model.conversations.get(v.conversationId);
+        return !conv || !(conv.finished || conv.cancelled);
+      }),
+    [comparison, model]
+  );
+  useEffect(() => {
+    if (!running) return;
+    const t = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(t);
+  }, [running]);
+
+  const exportJson = () =>
+    downloadText(
+      `${comparison.id}.json`,
+      JSON.stringify(exportComparison(comparison, model), null, 2),
+      "application/json"
+    );
+
+  return (
+    <div className="graphContainer">
+      <div className="graphHeader">
+        <span className="mono">Compare:</span> <span className="mono">{comparison ? comparison.id : "none"}</span>
+        {headerExtra}
+        {comparison ? (
+          <span className="graphHeader__actions">
+            <select value={comparison.id} onChange={(e) => setChosen(e.target.value)} title="Comparison">
+              {comparisons.map((c) => (
+                <option key={c.id} value={c.id}>
+                  {new Date(c.createdAt).toLocaleString()} · {c.task.slice(0, 60)}
+                </option>
+              ))}
+            </select>
+            <button onClick={exportJson} title="Download the comparison with each variant's results">
+              Export JSON
+            </button>
+            <button className="danger" onClick={() => onComparisons((list) => removeComparison(list, comparison.id))}>
+              Forget
+            </button>
+          </span>
+        ) : null}
+      </div>
+      <div className="graphCanvasScroll compare">
+        {!comparison ? (
+          <div className="muted">No comparisons yet. Use Compare under the task box to start one.</div>
+        ) : (
+          <>
+            <div className="compare__task">{comparison.task}</div>
+            <div className="compare__columns">
+              {comparison.variants.map((v) => (
+                <VariantColumn
+                  key={v.label}
+                  comparison={comparison}
+                  variant={v}
+                  conv={model.conversations.get(v.conversationId)}
+                  now={now}
+                  onComparisons={onComparisons}
+                  onOpen={onOpen}
+                />
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
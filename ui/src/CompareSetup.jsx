@@ -0,0 +1,103 @@
+import { draftProblems, emptyVariant } from "./comparisons.js";
+
+/*
+ * Variants of a provider comparison: each runs the composer's task in its own conversation, with
+ * some capabilities routed to other agents (e.g. summarizer -> a summarizer on another provider)
+ * and its own loop budget. A variant without routes runs on the agents the coordinator picks.
+ */
+export default function CompareSetup({ task, drafts, onChange, capabilities, agents, disabled, sending, onRun }) {
+  const problems = draftProblems(task, drafts);
+  const setDraft = (i, fn) => onChange(drafts.map((d, k) => (k === i ? fn(d) : d)));
+  const setRoute = (i, j, patch) =>
+    setDraft(i, (d) => ({ ...d, routes: d.routes.map((r, k) => (k === j ? { ...r, ...patch } : r)) }));
+
+  return (
+    <div className="compareSetup">
+      <datalist id="compare-capabilities">
+        {(capabilities || []).map((c) => (
+          <option key={c} value={c} />
+        ))}
+      </datalist>
+      <datalist id="compare-agents">
+        {(agents || []).map((a) => (
+          <option key={a.id} value={a.capability} label={`${a.name} · ${a.provider}`} />
+        ))}
+      </datalist>
+      <div className="compareSetup__variants">
+        {drafts.map((d, i) => (
+          <div key={i} className="compareSetup__variant">
+            <div className="compareSetup__head">
+              <input
+                className="mono"
+                value={d.label}
+                placeholder="label"
+                title="Variant label (part of its conversation id)"
+                onChange={(e) => setDraft(i, (v) => ({ ...v, label: e.target.value }))}
+              />
+              <label>
+                Max loops{" "}
+                <input
+                  type="number"
+                  min={1}
+                  max={10}
+                  value={d.maxLoops}
+                  onChange={(e) => setDraft(i, (v) => ({ ...v, maxLoops: Math.max(1, Number(e.target.value) || 1) }))}
+                />
+              </label>
+              {drafts.length > 2 ? (
+                <button className="danger" onClick={() => onChange(drafts.filter((_, k) => k !== i))} title="Remove variant">
+                  ×
+                </button>
+              ) : null}
+            </div>
+            {d.routes.map((r, j) => (
+              <div key={j} className="compareSetup__route">
+                <input
+                  className="mono"
+                  list="compare-capabilities"
+                  placeholder="capability"
+                  value={r.from}
+                  onChange={(e) => setRoute(i, j, { from: e.target.value.trim() })}
+                />
+                <span className="muted">→</span>
+                <input
+                  className="mono"
+                  list="compare-agents"
+                  placeholder="runs on"
+                  value={r.to}
+                  onChange={(e) => setRoute(i, j, { to: e.target.value.trim() })}
+                />
+                <button
+                  onClick={() => setDraft(i, (v) => ({ ...v, routes: v.routes.filter((_, k) => k !== j) }))}
+                  title="Remove route"
+                >
+                  ×
+                </button>
+              </div>
+            ))}
+            <button
+              className="compareSetup__add"
+              onClick={() => setDraft(i, (v) => ({ ...v, routes: [...v.routes, { from: "", to: "" }] }))}
+            >
+              + route
+            </button>
+          </div>
+        ))}
+      </div>
+      {problems.length ? (
+        <ul className="planEditor__problems">
+          {problems.map((p) => (
+            <li key={p}>{p}</li>
+          ))}
+        </ul>
+      ) : null}
+      <div className="compareSetup__run">
+        <button onClick={() => onChange([...drafts, emptyVariant(drafts.length + 1)])}>Add variant</button>
+        <span className="muted">One conversation per variant, all with the task above.</span>
+        <button disabled={disabled || sending || problems.length > 0} onClick={() => onRun(drafts)}>
+          {sending ? "Starting…" : `Run ${drafts.length} variants`}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,204 @@
+import { useEffect, useState } from "react";
+import {
+  SORTS,
+  STATUS_FILTERS,
+  arrangeConversations,
+  closeConversation,
+  durationOf,
+  renameConversation,
+  reopenConversation,
+  toggleArchived,
+  togglePinned,
+} from "./conversations.js";
+
+// Cards shown before "more"; the strip scrolls sideways
+const MAX_CARDS = 30;
+
+function formatDuration(ms) {
+  if (ms == null) return "";
+  const s = Math.round(ms / 1000);
+  if (s < 60) return `${s}s`;
+  if (s < 3600) return `${Math.floor(s / 60)}m ${s % 60}s`;
+  return `${Math.floor(s / 3600)}h ${Math.floor((s % 3600) / 60)}m`;
+}
+
+const formatTime = (at) => (at ? new Date(at).toLocaleTimeString() : "");
+
+function NameEditor({ value, onCommit, onCancel }) {
+  const [draft, setDraft] = useState(value);
+  return (
+    <input
+      className="navCard__rename"
+      autoFocus
+      value={draft}
+      placeholder="Name (empty = id)"
+      onClick={(e) => e.stopPropagation()}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={() => onCommit(draft)}
+      onKeyDown={(e) => {
+        if (e.key === "Enter") onCommit(draft);
+        if (e.key === "Escape") onCancel();
+      }}
+    />
+  );
+}
+
+function Card({ s, active, pending, now, following, onOpen, onPrefs, onToggleFollow }) {
+  const [renaming, setRenaming] = useState(false);
+  const act = (fn) => (e) => {
+    e.stopPropagation();
+    fn();
+  };
+  const duration = durationOf(s, now);
+
+  return (
+    <div
+      className={`navCard ${active ? "navCard--active" : ""} ${pending ? "navCard--pending" : ""} ${s.loaded ? "" : "navCard--unloaded"}`}
+      onClick={() => onOpen(s.id)}
+      title={`${s.id}${s.loaded ? "" : " · events not loaded"}`}
+    >
+      <div className="navCard__top">
+        <span className={`navCard__dot navCard__dot--${s.status}`} />
+        {renaming ? (
+          <NameEditor
+            value={s.name || ""}
+            onCommit={(name) => {
+              onPrefs((p) => renameConversation(p, s.id, name));
+              setRenaming(false);
+            }}
+            onCancel={() => setRenaming(false)}
+          />
+        ) : (
+          <span className="navCard__name" onDoubleClick={act(() => setRenaming(true))} title="Double-click to rename">
+            {s.name || s.id}
+          </span>
+        )}
+        <span className="navCard__actions">
+          <button
+            className={s.pinned ? "navCard__on" : ""}
+            onClick={act(() => onPrefs((p) => togglePinned(p, s.id)))}
+            title={s.pinned ? "Unpin" : "Pin to the front"}
+          >
+            {s.pinned ? "▲" : "△"}
+          </button>
+          {following ? (
+            <button
+              className={following.has(s.id) ? "navCard__on" : ""}
+              onClick={act(() => onToggleFollow(s.id))}
+              title={following.has(s.id) ? "Stop following" : "Follow (receive its events)"}
+            >
+              {following.has(s.id) ? "★" : "☆"}
+            </button>
+          ) : null}
+          <button onClick={act(() => setRenaming(true))} title="Rename">
+            ✎
+          </button>
+          <button
+            onClick={act(() => onPrefs((p) => toggleArchived(p, s.id)))}
+            title={s.archived ? "Restore from the archive" : "Archive (hide unless filtering archived)"}
+          >
+            {s.archived ? "⤒" : "⤓"}
+          </button>
+          <button
+            onClick={act(() => onPrefs((p) => closeConversation(p, s.id, s.lastEventAt)))}
+            title="Close (comes back on new activity)"
+          >
+            ×
+          </button>
+        </span>
+      </div>
+      {s.name ? <div className="navCard__id mono">{s.id}</div> : null}
+      <div className="navCard__meta">
+        <span className={`navCard__status navCard__status--${s.status}`}>{s.status}</span>
+        {s.steps ? <span>{`${s.done}/${s.steps} steps`}</span> : null}
+        {s.agents ? <span>{`${s.agents} agent${s.agents === 1 ? "" : "s"}`}</span> : null}
+        {duration != null ? <span title={`Started ${formatTime(s.startedAt)}`}>{formatDuration(duration)}</span> : null}
+      </div>
+    </div>
+  );
+}
+
+/*
+ * Conversation list above the main view. Each card shows the derived status, step progress, agent
+ * count and duration; it can be renamed, pinned, closed or archived (see conversations.js).
+ */
+export default function ConversationNavigator({ summaries, activeId, pendingId, following, onOpen, onToggleFollow, onPrefs }) {
+  const [filter, setFilter] = useState("all");
+  const [text, setText] = useState("");
+  const [sort, setSort] = useState("recent");
+  const [showAll, setShowAll] = useState(false);
+  const [now, setNow] = useState(() => Date.now());
+
+  // Durations of running conversations grow live
+  const anyRunning = summaries.some((s) => !s.ended && s.startedAt != null);
+  useEffect(() => {
+    if (!anyRunning) return;
+    const t = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(t);
+  }, [anyRunning]);
+
+  const arranged = arrangeConversations(summaries, { filter, text, sort, now });
+  const shown = showAll ? arranged : arranged.slice(0, MAX_CARDS);
+  const closed = summaries.filter((s) => s.closed);
+
+  return (
+    <div className="nav">
+      <div className="nav__toolbar">
+        <input
+          type="search"
+          className="nav__filter"
+          placeholder="Filter by name or id"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+        />
+        <select value={filter} onChange={(e) => setFilter(e.target.value)} title="Show">
+          {STATUS_FILTERS.map((f) => (
+            <option key={f} value={f}>
+              {f}
+            </option>
+          ))}
+        </select>
+        <select value={sort} onChange={(e) => setSort(e.target.value)} title="Sort by">
+          {SORTS.map((s) => (
+            <option key={s} value={s}>
+              {s}
+            </option>
+          ))}
+        </select>
+        <span className="muted nav__count">
+          {arranged.length} of {summaries.length}
+        </span>
+        {closed.length ? (
+          <button
+            className="nav__reopen"
+            onClick={() => onPrefs((p) => closed.reduce((acc, s) => reopenConversation(acc, s.id), p))}
+            title={closed.map((s) => s.name || s.id).join(", ")}
+          >
+            Reopen closed ({closed.length})
+          </button>
+        ) : null}
+      </div>
+      <div className="nav__cards">
+        {shown.map((s) => (
+          <Card
+            key={s.id}
+            s={s}
+            now={now}
+            active={s.id === activeId}
+            pending={s.id === pendingId}
+            following={following}
+            onOpen={onOpen}
+            onPrefs={onPrefs}
+            onToggleFollow={onToggleFollow}
+          />
+        ))}
+        {arranged.length > shown.length ? (
+          <button className="nav__more" onClick={() => setShowAll(true)}>
+            +{arranged.length - shown.length} more
+          </button>
+        ) : null}
+        {!arranged.length ? <span className="muted nav__empty">No conversations match.</span> : null}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,98 @@
+import { SCHEMA_VERSION } from "./eventSchema.js";
+
+const formatTime = (at) => (at ? new Date(at).toLocaleTimeString() : "-");
+
+const OUTCOME_LABELS = [
+  ["current", "current"],
+  ["upgraded", "upgraded from older versions"],
+  ["newer", "from newer versions"],
+  ["unknown", "of unknown types"],
+  ["rejected", "rejected"],
+];
+
+/*
+ * Schema diagnostics: the event schema version of the dashboard and of the backend, frames per
+ * version, and the unknown event types and rejected frames the model did not apply.
+ */
+export default function DiagnosticsPanel({ diagnostics, onClear }) {
+  const { backendVersion, versions, outcomes, unknown, rejected, rejectedTotal } = diagnostics;
+  const versionList = Object.keys(versions).sort((a, b) => a - b);
+  const unknownTypes = Object.entries(unknown).sort((a, b) => b[1].count - a[1].count);
+  const received = Object.values(outcomes).reduce((sum, n) => sum + n, 0);
+
+  return (
+    <div className="diagnostics">
+      <div className="diagnostics__versions">
+        <span>
+          dashboard <span className="mono">v{SCHEMA_VERSION}</span>
+        </span>
+        <span>
+          backend <span className="mono">{backendVersion != null ? `v${backendVersion}` : "-"}</span>
+        </span>
+        {received ? (
+          <button className="diagnostics__clear" onClick={onClear} title="Start counting again">
+            Clear
+          </button>
+        ) : null}
+      </div>
+      {backendVersion != null && backendVersion > SCHEMA_VERSION ? (
+        <div className="diagnostics__warn">The backend is newer; fields this dashboard does not know are ignored.</div>
+      ) : null}
+      {backendVersion != null && backendVersion < SCHEMA_VERSION ? (
+        <div className="diagnostics__warn">The backend is older; its events are upgraded as they arrive.</div>
+      ) : null}
+
+      {!received ? (
+        <div className="muted registryNote">No events checked yet.</div>
+      ) : (
+        <>
+          <div className="diagnostics__counts muted">
+            {versionList.map((v) => (
+              <span key={v} className="skill">
+                v{v}: {versions[v]}
+              </span>
+            ))}
+          </div>
+          <ul className="diagnostics__outcomes">
+            {OUTCOME_LABELS.filter(([key]) => outcomes[key]).map(([key, label]) => (
+              <li key={key} className={`diagnostics__outcome--${key}`}>
+                {outcomes[key]} {label}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      {unknownTypes.length ? (
+        <details className="diagnostics__list">
+          <summary>Unknown event types ({unknownTypes.length})</summary>
+          {unknownTypes.map(([type, u]) => (
+            <div key={type} className="diagnostics__entry">
+              <span className="mono">{type}</span> ×{u.count} <span className="muted">last {formatTime(u.lastAt)}</span>
+              <pre className="diagnostics__frame">{JSON.stringify(u.sample)}</pre>
+            </div>
+          ))}
+        </details>
+      ) : null}
+
+      {rejected.length ? (
+        <details className="diagnostics__list" open>
+          <summary>
+            Rejected frames ({rejectedTotal}
+            {rejectedTotal > rejected.length ? `, newest ${rejected.length}` : ""})
+          </summary>
+          {rejected.map((r, i) => (
+            <div key={i} className="diagnostics__entry">
+              <span className="mono">{r.type || "?"}</span>{" "}
+              <span className="muted">
+                v{r.version ?? "?"} · {formatTime(r.at)}
+              </span>
+              <div className="err">{r.problems.join("; ")}</div>
+              <pre className="diagnostics__frame">{JSON.stringify(r.frame)}</pre>
+            </div>
+          ))}
+        </details>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,155 @@
+import { Fragment, useMemo, useState } from "react";
+import { OUTCOMES, collectFailures, errorClassOf, failureFacets, filterFailures } from "./failures.js";
+
+const formatTime = (at) => (at ? new Date(at).toLocaleTimeString() : "-");
+
+function FacetSelect({ label, value, options, onChange }) {
+  return (
+    <label>
+      {label}{" "}
+      <select value={value} onChange={(e) => onChange(e.target.value)}>
+        <option value="">any</option>
+        {options.map(([v, n]) => (
+          <option key={v} value={v}>
+            {v} ({n})
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+// Retry history of one step: every failed attempt and what the coordinator did next
+function Attempts({ entry }) {
+  return (
+    <ol className="failures__attempts">
+      {entry.attempts.map((a, i) => (
+        <li key={i}>
+          <span className="mono">
+            #{a.attempt}
+            {a.maxAttempts ? `/${a.maxAttempts}` : ""}
+          </span>{" "}
+          <span className="mono muted">{formatTime(a.at)}</span> <span className="mono">@{a.agent}</span>{" "}
+          <span className="failures__class mono">{errorClassOf(a)}</span> {a.error || "(no message)"}
+          {a.willRetry === true ? <span className="muted"> → retried</span> : null}
+          {a.willRetry === false ? <span className="muted"> → not retried</span> : null}
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+/*
+ * Failed step runs and coordinator errors over every conversation received so far, newest first.
+ * Each row expands to the step's retry history; picking a step opens it in its conversation.
+ */
+export default function FailuresPanel({ model, onOpenStep, headerExtra }) {
+  const [filter, setFilter] = useState({ outcome: "", agent: "", errorClass: "", text: "" });
+  const [expanded, setExpanded] = useState(() => new Set());
+
+  const entries = useMemo(() => collectFailures(model), [model]);
+  const facets = useMemo(() => failureFacets(entries), [entries]);
+  const shown = useMemo(() => filterFailures(entries, filter), [entries, filter]);
+  const set = (key) => (value) => setFilter((f) => ({ ...f, [key]: value }));
+
+  const keyOf = (e) => `${e.conversationId}/${e.capability ? e.stepId : `error@${e.firstAt}`}`;
+  const toggle = (key) =>
+    setExpanded((prev) => {
+      const next = new Set(prev);
+      if (next.has(key)) next.delete(key);
+      else next.add(key);
+      return next;
+    });
+
+  const outcomeOptions = OUTCOMES.map((o) => facets.outcome.find(([v]) => v === o)).filter(Boolean);
+
+  return (
+    <div className="graphContainer">
+      <div className="graphHeader">
+        <span className="mono">Failures:</span> <span className="mono">all conversations</span>
+        {headerExtra}
+        <span className="graphHeader__actions">
+          <FacetSelect label="outcome" value={filter.outcome} options={outcomeOptions} onChange={set("outcome")} />
+          <FacetSelect label="agent" value={filter.agent} options={facets.agent} onChange={set("agent")} />
+          <FacetSelect label="error" value={filter.errorClass} options={facets.errorClass} onChange={set("errorClass")} />
+          <input
+            className="failures__text"
+            type="search"
+            placeholder="conversation, step, message"
+            value={filter.text}
+            onChange={(e) => set("text")(e.target.value)}
+          />
+        </span>
+      </div>
+      <div className="graphCanvasScroll failures">
+        {!entries.length ? (
+          <div className="muted">No failures so far.</div>
+        ) : !shown.length ? (
+          <div className="muted">No failures match the filter.</div>
+        ) : (
+          <table>
+            <thead>
+              <tr>
+                <th>Last failure</th>
+                <th>Conversation</th>
+                <th>Step</th>
+                <th>Agent</th>
+                <th>Error</th>
+                <th>Attempts</th>
+                <th>Outcome</th>
+              </tr>
+            </thead>
+            <tbody>
+              {shown.map((e) => {
+                const key = keyOf(e);
+                const last = e.attempts[e.attempts.length - 1];
+                const open = expanded.has(key);
+                return (
+                  <Fragment key={key}>
+                    <tr className="failures__row" onClick={() => toggle(key)} title="Show the retry history">
+                      <td className="mono">{formatTime(e.lastAt)}</td>
+                      <td className="mono">{e.conversationId}</td>
+                      <td className="mono">
+                        {e.stepId && e.capability ? (
+                          <button
+                            className="linkButton"
+                            onClick={(ev) => {
+                              ev.stopPropagation();
+                              onOpenStep(e.conversationId, e.stepId);
+                            }}
+                            title="Open this step"
+                          >
+                            {e.stepId}
+                          </button>
+                        ) : (
+                          e.stepId || "-"
+                        )}
+                      </td>
+                      <td className="mono">{e.agent}</td>
+                      <td className="failures__error">
+                        <span className="failures__class mono">{errorClassOf(last)}</span> {last.error || "(no message)"}
+                      </td>
+                      <td className="mono">
+                        {open ? "▾" : "▸"} {e.attempts.length}
+                      </td>
+                      <td>
+                        <span className={`failures__outcome failures__outcome--${e.outcome}`}>{e.outcome}</span>
+                      </td>
+                    </tr>
+                    {open ? (
+                      <tr className="failures__history">
+                        <td colSpan={7}>
+                          <Attempts entry={e} />
+                        </td>
+                      </tr>
+                    ) : null}
+                  </Fragment>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
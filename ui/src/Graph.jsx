@@ -1,155 +1,312 @@
-import { useEffect, useMemo, useRef } from "react";
+import { useEffect, useMemo, useRef, useState } from "react";
 import { Network } from "vis-network";
+import { DataSet } from "vis-data";
 import "vis-network/styles/vis-network.css";
+import { GRAPH_CLUSTERS, GRAPH_LAYOUTS, buildGraph, searchGraph } from "./graphLayout.js";
 
-function toArrays(conv) {
-  if (!conv) return { nodes: [], edges: [] };
-
-  // Step nodes
-  const stepEntries = Array.from(conv.steps.entries ? conv.steps.entries() : []);
-  const stepIds = new Set(stepEntries.map(([id]) => id));
-
-  const statusColor = (status) => {
-    switch (status) {
-      case "completed":
-        return "#2ecc71"; // green
-      case "dispatched":
-        return "#f39c12"; // orange
-      case "ready":
-      default:
-        return "#95a5a6"; // gray
+const ANIMATION = { duration: 300, easingFunction: "easeInOutQuad" };
+const MINIMAP = { width: 180, height: 120, padding: 6 };
+
+function usePersisted(key, initial, allowed) {
+  const [value, setValue] = useState(() => {
+    try {
+      const stored = localStorage.getItem(key);
+      return allowed.includes(stored) ? stored : initial;
+    } catch {
+      return initial;
     }
-  };
+  });
+  useEffect(() => {
+    try {
+      localStorage.setItem(key, value);
+    } catch {
+      // storage unavailable; the choice lasts for this page only
+    }
+  }, [key, value]);
+  return [value, setValue];
+}
 
-  const stepNodes = stepEntries.map(([id, s]) => ({
-    id,
-    label: `${id}\n(${s.capability || "step"})`,
-    group: "step",
-    color: {
-      background: statusColor(s.status),
-      border: "#2c3e50",
+function networkOptions(layout) {
+  return {
+    autoResize: true,
+    height: "100%",
+    width: "100%",
+    // The hierarchical layout places nodes itself (graphLayout.js); force runs physics until stable, then
+    // freezes so new events do not shake the drawn nodes
+    physics:
+      layout === "force"
+        ? {
+            enabled: true,
+            solver: "forceAtlas2Based",
+            stabilization: { iterations: 150, fit: false },
+            forceAtlas2Based: { gravitationalConstant: -40 },
+          }
+        : { enabled: false },
+    layout: {
+      improvedLayout: true,
+    },
+    nodes: {
+      borderWidth: 2,
+    },
+    interaction: {
+      hover: true,
+      tooltipDelay: 100,
+      dragView: true,
+      zoomView: true,
+      keyboard: { enabled: true, bindToWindow: false },
+      hideEdgesOnDrag: false,
+      hideEdgesOnZoom: false,
     },
-    shape: "box",
-    font: { multi: true, face: "monospace", size: 12 },
-  }));
-
-  // Agent nodes (from edges that aren't steps and not coordinator)
-  const agentNames = new Set();
-  for (const e of conv.edges || []) {
-    if (e.from && e.from !== "coordinator" && !stepIds.has(e.from)) agentNames.add(e.from);
-    if (e.to && e.to !== "coordinator" && !stepIds.has(e.to)) agentNames.add(e.to);
+    groups: {
+      step: { shape: "box" },
+      cluster: { shape: "box" },
+      attempt: { shape: "box" },
+      agent: { shape: "ellipse" },
+      coordinator: { shape: "star" },
+    },
+  };
+}
+
+// Brings the DataSet to `items` by id, dropping the rest; fields an item leaves out keep their value
+function syncDataSet(dataSet, items) {
+  const ids = new Set(items.map((item) => item.id));
+  const gone = dataSet.getIds().filter((id) => !ids.has(id));
+  if (gone.length) dataSet.remove(gone);
+  dataSet.update(items);
+}
+
+// Whole graph scaled into the minimap, with the visible part outlined; returns the scaling for clicks
+function drawMinimap(canvas, network, nodes, container) {
+  const ctx = canvas.getContext("2d");
+  const positions = network.getPositions();
+  const ids = Object.keys(positions);
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  if (!ids.length) return null;
+
+  const xs = ids.map((id) => positions[id].x);
+  const ys = ids.map((id) => positions[id].y);
+  const box = { minX: Math.min(...xs), maxX: Math.max(...xs), minY: Math.min(...ys), maxY: Math.max(...ys) };
+  const { padding } = MINIMAP;
+  const scale = Math.min(
+    (canvas.width - 2 * padding) / Math.max(box.maxX - box.minX, 1),
+    (canvas.height - 2 * padding) / Math.max(box.maxY - box.minY, 1)
+  );
+  const toMap = (x, y) => [padding + (x - box.minX) * scale, padding + (y - box.minY) * scale];
+
+  for (const id of ids) {
+    const node = nodes.get(id);
+    const [x, y] = toMap(positions[id].x, positions[id].y);
+    ctx.fillStyle = (node && node.color && node.color.background) || "#94a3b8";
+    ctx.fillRect(x - 2, y - 2, 4, 4);
   }
 
-  const agentNodes = Array.from(agentNames).map((name) => ({
-    id: name,
-    label: name,
-    group: "agent",
-    color: { background: "#3498db", border: "#1f618d" },
-    shape: "ellipse",
-    font: { face: "monospace", size: 12 },
-  }));
-
-  // Coordinator node
-  const coordNode = {
-    id: "coordinator",
-    label: "coordinator",
-    group: "coordinator",
-    color: { background: "#9b59b6", border: "#6c3483" },
-    shape: "star",
-    font: { face: "monospace", size: 12 },
-  };
+  const view = network.getViewPosition();
+  const zoom = network.getScale();
+  const width = container.clientWidth / zoom;
+  const height = container.clientHeight / zoom;
+  const [left, top] = toMap(view.x - width / 2, view.y - height / 2);
+  ctx.strokeStyle = "#60a5fa";
+  ctx.lineWidth = 1;
+  ctx.strokeRect(left, top, width * scale, height * scale);
+  return { box, scale };
+}
 
-  // Edges
-  const edges =
-    (conv.edges || []).map((e) => ({
-      from: e.from,
-      to: e.to,
-      arrows: { to: { enabled: true, scaleFactor: 0.7 } },
-      label: e.label || "",
-      font: { align: "horizontal", face: "monospace", size: 10 },
-      color: { color: "#7f8c8d" },
-      smooth: { type: "continuous" },
-    })) || [];
-
-  const nodes = [coordNode, ...agentNodes, ...stepNodes];
-  return { nodes, edges };
+// Centres the view on a node and selects it; false if it is not drawn
+function focusNode(network, id) {
+  if (!network || !id) return false;
+  try {
+    network.focus(id, { scale: Math.max(network.getScale(), 1), animation: ANIMATION });
+    network.selectNodes([id]);
+    return true;
+  } catch {
+    return false;
+  }
 }
 
-export default function Graph({ conversationId, conv }) {
+/*
+ * Dependency graph of a conversation. Laid out left to right by plan dependencies (or by physics), with
+ * each later pass of the refinement loop as a layer of its own, steps optionally collapsed per capability
+ * or agent (double-click a group to expand it, an expanded step to collapse it again), duplicate edges
+ * merged into one with a count, zoom, search and a minimap.
+ * Data changes update the drawn nodes in place, so the view stays put while events arrive.
+ */
+export default function Graph({ conversationId, conv, onSelectStep, selectedStepId, focusRequest, headerExtra }) {
   const containerRef = useRef(null);
+  const minimapRef = useRef(null);
   const networkRef = useRef(null);
+  const nodesRef = useRef(null);
+  const edgesRef = useRef(null);
+  const minimapScaleRef = useRef(null);
   const fitDoneRef = useRef(false);
+  const settledRef = useRef(false); // force layout stabilized for this conversation
+  const graphRef = useRef(null);
+  const onSelectStepRef = useRef(onSelectStep);
+
+  const [layout, setLayout] = usePersisted("graphLayout", "hierarchical", GRAPH_LAYOUTS);
+  const [cluster, setCluster] = usePersisted("graphCluster", "none", GRAPH_CLUSTERS);
+  const [expanded, setExpanded] = useState(() => new Set());
+  const [query, setQuery] = useState("");
+  const [hit, setHit] = useState(0);
 
-  const data = useMemo(() => toArrays(conv), [conv]);
+  const graph = useMemo(() => buildGraph(conv, { layout, cluster, expanded }), [conv, layout, cluster, expanded]);
+  const hits = useMemo(() => searchGraph(graph, query), [graph, query]);
 
   useEffect(() => {
-    if (!containerRef.current) return;
+    onSelectStepRef.current = onSelectStep;
+    graphRef.current = graph;
+  });
+
+  useEffect(() => {
+    if (!containerRef.current || networkRef.current) return;
+    nodesRef.current = new DataSet();
+    edgesRef.current = new DataSet();
+    const network = new Network(containerRef.current, { nodes: nodesRef.current, edges: edgesRef.current }, {});
+    networkRef.current = network;
+
+    // Clicking a step node, or one of its later loop passes, selects it; clicking anything else clears the selection
+    network.on("click", (params) => {
+      const cb = onSelectStepRef.current;
+      if (!cb) return;
+      const id = params.nodes && params.nodes[0];
+      const { nodeOfStep, attempts } = graphRef.current;
+      cb((id && (attempts.get(id) || (nodeOfStep.get(id) === id ? id : null))) || null);
+    });
+    // Double-clicking a group expands it; double-clicking one of its steps collapses it again
+    network.on("doubleClick", (params) => {
+      const id = params.nodes && params.nodes[0];
+      if (!id) return;
+      const { members } = graphRef.current;
+      const group = members.has(id) ? id : Array.from(members.keys()).find((g) => members.get(g).includes(id));
+      if (!group) return;
+      setExpanded((prev) => {
+        const next = new Set(prev);
+        if (next.has(group)) next.delete(group);
+        else next.add(group);
+        return next;
+      });
+    });
+    // Freeze the force layout once it settled; later nodes are placed next to their neighbours
+    network.on("stabilizationIterationsDone", () => {
+      network.setOptions({ physics: { enabled: false } });
+      network.fit({ animation: ANIMATION });
+    });
+
+    let pending = false;
+    network.on("afterDrawing", () => {
+      if (pending || !minimapRef.current) return;
+      pending = true;
+      requestAnimationFrame(() => {
+        pending = false;
+        if (!minimapRef.current || !networkRef.current) return;
+        minimapScaleRef.current = drawMinimap(minimapRef.current, network, nodesRef.current, containerRef.current);
+      });
+    });
 
-    const options = {
-      autoResize: true,
-      height: "100%",
-      width: "100%",
-      physics: {
-        enabled: true,
-        solver: "forceAtlas2Based",
-        stabilization: { iterations: 150 },
-        forceAtlas2Based: { gravitationalConstant: -40 },
-      },
-      layout: {
-        improvedLayout: true,
-      },
-      nodes: {
-        borderWidth: 2,
-      },
-      interaction: {
-        hover: true,
-        tooltipDelay: 100,
-        dragView: true,
-        zoomView: false,
-        keyboard: { enabled: true, bindToWindow: true },
-        hideEdgesOnDrag: false,
-        hideEdgesOnZoom: false,
-      },
-      groups: {
-        step: { shape: "box" },
-        agent: { shape: "ellipse" },
-        coordinator: { shape: "star" },
-      },
+    return () => {
+      network.destroy();
+      networkRef.current = null;
     };
+  }, []);
+
+  useEffect(() => {
+    const network = networkRef.current;
+    if (!network) return;
+    network.setOptions(networkOptions(layout));
+    fitDoneRef.current = false;
+    settledRef.current = false;
+  }, [layout]);
+
+  useEffect(() => {
+    const network = networkRef.current;
+    if (!network) return;
+    const nodes = nodesRef.current;
+    let items = graph.nodes;
+    if (layout === "force") {
+      // New nodes start next to a drawn neighbour rather than at the origin
+      const positions = network.getPositions();
+      items = graph.nodes.map((node) => {
+        if (nodes.get(node.id)) return node;
+        const edge = graph.edges.find((e) => (e.from === node.id && positions[e.to]) || (e.to === node.id && positions[e.from]));
+        if (!edge) return node;
+        const near = positions[edge.from === node.id ? edge.to : edge.from];
+        return { ...node, x: near.x + 60, y: near.y + 40 * ((nodes.length % 5) - 2) };
+      });
+    }
+    syncDataSet(nodes, items);
+    syncDataSet(edgesRef.current, graph.edges);
 
-    if (!networkRef.current) {
-      networkRef.current = new Network(containerRef.current, data, options);
-    } else {
-      networkRef.current.setData(data);
-      networkRef.current.setOptions(options);
+    // The force layout runs its physics once per conversation, on the first nodes it gets
+    if (layout === "force" && !settledRef.current && graph.nodes.length) {
+      settledRef.current = true;
+      fitDoneRef.current = true; // fitted when stabilized
+      network.setOptions({ physics: networkOptions(layout).physics });
+      network.stabilize();
     }
 
-    // Fit view to content only initially per conversation
-    if (!fitDoneRef.current) {
+    // Fit view to content only initially per conversation and layout
+    if (!fitDoneRef.current && graph.nodes.length) {
+      fitDoneRef.current = true;
       requestAnimationFrame(() => {
         try {
-          networkRef.current && networkRef.current.fit({ animation: { duration: 300, easingFunction: "easeInOutQuad" } });
-          fitDoneRef.current = true;
-        } catch {}
+          networkRef.current && networkRef.current.fit({ animation: ANIMATION });
+        } catch {
+          // network gone before the frame
+        }
       });
-      try {
-        networkRef.current && networkRef.current.once("stabilizationIterationsDone", () => {
-          try {
-            if (!fitDoneRef.current) {
-              networkRef.current.fit({ animation: { duration: 300, easingFunction: "easeInOutQuad" } });
-              fitDoneRef.current = true;
-            }
-          } catch {}
-        });
-      } catch {}
     }
-
-    return () => {};
-  }, [data]);
+  }, [graph, layout]);
 
   useEffect(() => {
     fitDoneRef.current = false;
-  }, [conversationId]);
+    settledRef.current = false;
+    setExpanded(new Set());
+  }, [conversationId, cluster]);
+
+  // Keep the network's selection in step with the selected step, or the group it is collapsed into
+  useEffect(() => {
+    const network = networkRef.current;
+    if (!network) return;
+    const node = selectedStepId && graph.nodeOfStep.get(selectedStepId);
+    try {
+      if (node) network.selectNodes([node]);
+      else network.unselectAll();
+    } catch {
+      // node not drawn yet; the next data update selects it
+    }
+  }, [selectedStepId, graph]);
+
+  // A search jump centres the graph on its step
+  useEffect(() => {
+    if (!focusRequest) return;
+    if (focusNode(networkRef.current, graphRef.current.nodeOfStep.get(focusRequest.stepId))) {
+      fitDoneRef.current = true; // keep the initial fit from undoing the jump
+    }
+  }, [focusRequest]);
+
+  // Enter in the search box jumps to the next match
+  const onSearchKey = (e) => {
+    if (e.key !== "Enter" || !hits.length) return;
+    const id = hits[hit % hits.length];
+    setHit((h) => (h + 1) % hits.length);
+    if (focusNode(networkRef.current, id)) fitDoneRef.current = true;
+    if (onSelectStep && graph.nodeOfStep.get(id) === id) onSelectStep(id);
+  };
+
+  const zoomBy = (factor) => {
+    const network = networkRef.current;
+    if (network) network.moveTo({ scale: network.getScale() * factor, animation: ANIMATION });
+  };
+
+  // Clicking the minimap centres the graph on that point
+  const onMinimapClick = (e) => {
+    const network = networkRef.current;
+    const mapping = minimapScaleRef.current;
+    if (!network || !mapping) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    const x = mapping.box.minX + (e.clientX - rect.left - MINIMAP.padding) / mapping.scale;
+    const y = mapping.box.minY + (e.clientY - rect.top - MINIMAP.padding) / mapping.scale;
+    network.moveTo({ position: { x, y }, animation: ANIMATION });
+  };
 
   useEffect(() => {
     if (!containerRef.current) return;
@@ -186,9 +343,69 @@ export default function Graph({ conversationId, conv }) {
       <div className="graphHeader">
         <span className="mono">Conversation:</span>{" "}
         <span className="mono">{conversationId}</span>
+        {headerExtra}
+      </div>
+      <div className="graphTools">
+        <label>
+          layout{" "}
+          <select value={layout} onChange={(e) => setLayout(e.target.value)}>
+            {GRAPH_LAYOUTS.map((l) => (
+              <option key={l} value={l}>
+                {l}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label title="Collapse steps into one node per capability or agent; double-click a group to expand it">
+          group by{" "}
+          <select value={cluster} onChange={(e) => setCluster(e.target.value)}>
+            {GRAPH_CLUSTERS.map((c) => (
+              <option key={c} value={c}>
+                {c}
+              </option>
+            ))}
+          </select>
+        </label>
+        {expanded.size ? (
+          <button onClick={() => setExpanded(new Set())} title="Collapse the expanded groups again">
+            Collapse all
+          </button>
+        ) : null}
+        <span className="graphTools__zoom">
+          <button onClick={() => zoomBy(1 / 1.25)} title="Zoom out">
+            −
+          </button>
+          <button onClick={() => zoomBy(1.25)} title="Zoom in">
+            +
+          </button>
+          <button onClick={() => networkRef.current && networkRef.current.fit({ animation: ANIMATION })} title="Show the whole graph">
+            Fit
+          </button>
+        </span>
+        <input
+          className="graphTools__search"
+          type="search"
+          placeholder="Find step, agent…"
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setHit(0);
+          }}
+          onKeyDown={onSearchKey}
+          title="Enter jumps to the next match"
+        />
+        {query.trim() ? <span className="muted">{hits.length ? `${hits.length} found` : "no match"}</span> : null}
       </div>
-      <div className="graphCanvasScroll">
+      <div className="graphCanvasScroll graphViewport">
         <div ref={containerRef} className="graphCanvas" />
+        <canvas
+          ref={minimapRef}
+          className="graphMinimap"
+          width={MINIMAP.width}
+          height={MINIMAP.height}
+          onClick={onMinimapClick}
+          title="Click to move the view"
+        />
       </div>
     </div>
   );
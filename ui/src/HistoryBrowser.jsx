@@ -0,0 +1,151 @@
+import { useEffect, useState } from "react";
+import { fetchHistory } from "./api.js";
+import { INDEX_STATUS } from "./conversations.js";
+import { HISTORY_PAGE_SIZE, HISTORY_STATUSES, historyQuery } from "./history.js";
+
+const formatDateTime = (at) => (at ? new Date(at).toLocaleString() : "-");
+
+function formatMs(ms) {
+  if (ms == null || ms < 0) return "-";
+  if (ms < 1000) return `${ms} ms`;
+  const s = ms / 1000;
+  return s < 60 ? `${s.toFixed(1)} s` : `${Math.floor(s / 60)}m ${Math.round(s % 60)}s`;
+}
+
+/*
+ * Conversations stored by the backend, newest first, filtered by status and day and paged. Loading
+ * one fetches its stored events and shows it in the graph, steps and chat like a live conversation;
+ * conversations already on the dashboard just open.
+ */
+export default function HistoryBrowser({ loaded, onLoad, onOpen, onClose }) {
+  const [filter, setFilter] = useState({ status: "", from: "", to: "" });
+  const [page, setPage] = useState(0);
+  const [result, setResult] = useState(null); // { total, conversations }
+  const [error, setError] = useState(null);
+  const [refresh, setRefresh] = useState(0);
+  // conversationId -> { progress: "loaded/total" } while its events are fetched, { error } if that failed
+  const [loading, setLoading] = useState({});
+
+  useEffect(() => {
+    let cancelled = false;
+    setError(null);
+    fetchHistory(historyQuery(filter, page))
+      .then((r) => !cancelled && setResult(r))
+      .catch((e) => !cancelled && setError(e.message || String(e)));
+    return () => {
+      cancelled = true;
+    };
+  }, [filter, page, refresh]);
+
+  const set = (key) => (e) => {
+    setFilter((f) => ({ ...f, [key]: e.target.value }));
+    setPage(0);
+  };
+
+  const load = async (cid) => {
+    setLoading((l) => ({ ...l, [cid]: { progress: "…" } }));
+    try {
+      await onLoad(cid, (n, total) => setLoading((l) => ({ ...l, [cid]: { progress: `${n}/${total}` } })));
+      setLoading((l) => {
+        const next = { ...l };
+        delete next[cid];
+        return next;
+      });
+    } catch (e) {
+      setLoading((l) => ({ ...l, [cid]: { error: e.message || String(e) } }));
+    }
+  };
+
+  const pages = result ? Math.max(1, Math.ceil(result.total / HISTORY_PAGE_SIZE)) : 1;
+
+  return (
+    <div className="history">
+      <div className="history__toolbar">
+        <span className="history__title">History</span>
+        <label>
+          status{" "}
+          <select value={filter.status} onChange={set("status")}>
+            <option value="">any</option>
+            {HISTORY_STATUSES.map((s) => (
+              <option key={s} value={s}>
+                {s}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          from <input type="date" value={filter.from} onChange={set("from")} />
+        </label>
+        <label>
+          to <input type="date" value={filter.to} onChange={set("to")} />
+        </label>
+        <button onClick={() => setRefresh((n) => n + 1)} title="Fetch the list again">
+          Refresh
+        </button>
+        <button className="history__close" onClick={onClose} title="Hide the history">
+          ×
+        </button>
+      </div>
+      {error ? <div className="err">Could not list the history: {error}</div> : null}
+      {result && !result.conversations.length ? <div className="muted">No stored conversations match.</div> : null}
+      {result && result.conversations.length ? (
+        <table className="history__table">
+          <thead>
+            <tr>
+              <th>Conversation</th>
+              <th>Started</th>
+              <th>Duration</th>
+              <th>Status</th>
+              <th>Events</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {result.conversations.map((c) => (
+              <tr key={c.id}>
+                <td className="mono">{c.id}</td>
+                <td>{formatDateTime(c.startedAt)}</td>
+                <td>{formatMs(c.lastEventAt - c.startedAt)}</td>
+                <td>
+                  <span className={`navCard__status navCard__status--${INDEX_STATUS[c.status] || c.status}`}>{c.status}</span>
+                </td>
+                <td className="mono">{c.events}</td>
+                <td className="history__action">
+                  {loading[c.id] && loading[c.id].progress ? (
+                    <span className="muted">{loading[c.id].progress}</span>
+                  ) : loaded.has(c.id) ? (
+                    <button onClick={() => onOpen(c.id)}>Open</button>
+                  ) : (
+                    <>
+                      {loading[c.id] ? (
+                        <span className="history__error" title={loading[c.id].error}>
+                          failed
+                        </span>
+                      ) : null}
+                      <button onClick={() => load(c.id)} title="Fetch its stored events">
+                        {loading[c.id] ? "Retry" : "Load"}
+                      </button>
+                    </>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : null}
+      {result && result.total > HISTORY_PAGE_SIZE ? (
+        <div className="history__pager">
+          <button disabled={page === 0} onClick={() => setPage((p) => p - 1)}>
+            ‹ Newer
+          </button>
+          <span className="muted">
+            page {page + 1} of {pages} · {result.total} conversations
+          </span>
+          <button disabled={page + 1 >= pages} onClick={() => setPage((p) => p + 1)}>
+            Older ›
+          </button>
+        </div>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,89 @@
+import { useMemo, useState } from "react";
+import Markdown from "./Markdown.jsx";
+import { diffStats, lineDiff, loopEnd, outcomeLabel } from "./iterations.js";
+
+const DIFF_MARKS = { same: " ", removed: "−", added: "+" };
+
+/*
+ * Passes of the coordinator's refinement loop for one conversation: each pass's aggregated answer and
+ * how it ended, and a line diff of the answers of two passes (by default the last one against the
+ * pass before it).
+ */
+export default function IterationsPanel({ iterations }) {
+  const passes = iterations || [];
+  // Iteration numbers compared; null follows the latest two passes
+  const [pair, setPair] = useState(null);
+  const last = passes.length ? passes[passes.length - 1].iteration : 0;
+  const [from, to] = pair || [last - 1, last];
+  const before = passes.find((p) => p.iteration === from);
+  const after = passes.find((p) => p.iteration === to);
+
+  const diff = useMemo(() => (before && after ? lineDiff(before.text, after.text) : null), [before, after]);
+
+  if (!passes.length) {
+    return <div className="muted">No refinement loop pass ended yet.</div>;
+  }
+
+  const end = loopEnd(passes);
+  const choose = (index) => (e) => {
+    const next = [from, to];
+    next[index] = Number(e.target.value);
+    setPair(next);
+  };
+  const options = passes.map((p) => (
+    <option key={p.iteration} value={p.iteration}>
+      pass {p.iteration}
+    </option>
+  ));
+  const stats = diff ? diffStats(diff) : null;
+
+  return (
+    <div className="iterations">
+      <div className={`iterations__end ${end ? "" : "muted"}`}>
+        {end || `Pass ${last} of ${passes[passes.length - 1].maxIterations} was not satisfactory; refining.`}
+      </div>
+      <ol className="iterations__list">
+        {passes.map((p) => (
+          <li key={p.iteration}>
+            <details open={p.iteration === last}>
+              <summary>
+                <span className="mono">pass {p.iteration}</span>{" "}
+                <span className={`iterations__outcome iterations__outcome--${p.outcome}`}>{p.outcome}</span>{" "}
+                <span className="muted">
+                  {outcomeLabel(p.outcome)} · {new Date(p.at).toLocaleTimeString()} · {p.text.length} chars
+                </span>
+              </summary>
+              <Markdown text={p.text} />
+            </details>
+          </li>
+        ))}
+      </ol>
+      {passes.length > 1 ? (
+        <div className="iterations__diff">
+          <div className="iterations__diffBar">
+            Changes from <select value={from} onChange={choose(0)}>{options}</select> to{" "}
+            <select value={to} onChange={choose(1)}>{options}</select>
+            {stats ? (
+              <span className="muted">
+                {" "}
+                +{stats.added} −{stats.removed} lines
+              </span>
+            ) : null}
+            {pair ? <button onClick={() => setPair(null)}>Latest</button> : null}
+          </div>
+          {diff ? (
+            <pre className="iterations__diffText">
+              {diff.map((line, idx) => (
+                <div key={idx} className={`diffLine diffLine--${line.op}`}>
+                  {DIFF_MARKS[line.op]} {line.text}
+                </div>
+              ))}
+            </pre>
+          ) : (
+            <div className="muted">Pick two passes that are still retained.</div>
+          )}
+        </div>
+      ) : null}
+    </div>
+  );
+}
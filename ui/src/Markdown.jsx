@@ -0,0 +1,179 @@
+import { useMemo, useState } from "react";
+import { highlight } from "./highlight.js";
+import { parseMarkdown } from "./markdown.js";
+import { markMatches } from "./search.js";
+
+function CopyButton({ text }) {
+  const [copied, setCopied] = useState(false);
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch {
+      // clipboard blocked (e.g. plain http); the text can still be selected by hand
+    }
+  };
+  return (
+    <button className="md__copy" onClick={copy} title="Copy to clipboard">
+      {copied ? "Copied" : "Copy"}
+    </button>
+  );
+}
+
+function CodeBlock({ lang, text }) {
+  const tokens = useMemo(() => highlight(text, lang), [text, lang]);
+  return (
+    <div className="md__code">
+      <div className="md__codeHeader">
+        <span className="mono">{lang || "text"}</span>
+        <CopyButton text={text} />
+      </div>
+      <pre>
+        <code>
+          {tokens.map((t, i) =>
+            t.type === "plain" ? (
+              t.text
+            ) : (
+              <span key={i} className={`tok--${t.type}`}>
+                {t.text}
+              </span>
+            )
+          )}
+        </code>
+      </pre>
+    </div>
+  );
+}
+
+// Text with the search query's matches wrapped in <mark>
+export function Marked({ text, mark }) {
+  if (!mark) return text;
+  return markMatches(text, mark).map((part, i) => (part.match ? <mark key={i}>{part.text}</mark> : part.text));
+}
+
+function Inline({ nodes, mark }) {
+  return nodes.map((n, i) => {
+    switch (n.type) {
+      case "text":
+        return <Marked key={i} text={n.text} mark={mark} />;
+      case "br":
+        return <br key={i} />;
+      case "code":
+        return (
+          <code key={i} className="md__inlineCode">
+            <Marked text={n.text} mark={mark} />
+          </code>
+        );
+      case "strong":
+        return (
+          <strong key={i}>
+            <Inline nodes={n.children} mark={mark} />
+          </strong>
+        );
+      case "em":
+        return (
+          <em key={i}>
+            <Inline nodes={n.children} mark={mark} />
+          </em>
+        );
+      case "del":
+        return (
+          <del key={i}>
+            <Inline nodes={n.children} mark={mark} />
+          </del>
+        );
+      case "link":
+        return (
+          <a key={i} href={n.href} target="_blank" rel="noopener noreferrer nofollow">
+            <Inline nodes={n.children} mark={mark} />
+          </a>
+        );
+      default:
+        return null;
+    }
+  });
+}
+
+function Blocks({ blocks, mark }) {
+  return blocks.map((b, i) => {
+    switch (b.type) {
+      case "heading": {
+        const Tag = `h${Math.min(6, b.level + 2)}`; // h1 in a message is a bubble-sized title
+        return (
+          <Tag key={i} className="md__heading">
+            <Inline nodes={b.children} mark={mark} />
+          </Tag>
+        );
+      }
+      case "paragraph":
+        return (
+          <p key={i}>
+            <Inline nodes={b.children} mark={mark} />
+          </p>
+        );
+      case "code":
+        return <CodeBlock key={i} lang={b.lang} text={b.text} />;
+      case "quote":
+        return (
+          <blockquote key={i}>
+            <Blocks blocks={b.blocks} mark={mark} />
+          </blockquote>
+        );
+      case "rule":
+        return <hr key={i} />;
+      case "list": {
+        const Tag = b.ordered ? "ol" : "ul";
+        return (
+          <Tag key={i} start={b.ordered && b.start !== 1 ? b.start : undefined}>
+            {b.items.map((item, j) => (
+              <li key={j}>
+                <Blocks blocks={item} mark={mark} />
+              </li>
+            ))}
+          </Tag>
+        );
+      }
+      case "table":
+        return (
+          <div key={i} className="md__table">
+            <table>
+              <thead>
+                <tr>
+                  {b.head.map((cell, j) => (
+                    <th key={j} style={{ textAlign: b.align[j] || undefined }}>
+                      <Inline nodes={cell} mark={mark} />
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {b.rows.map((row, r) => (
+                  <tr key={r}>
+                    {row.map((cell, j) => (
+                      <td key={j} style={{ textAlign: b.align[j] || undefined }}>
+                        <Inline nodes={cell} mark={mark} />
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        );
+      default:
+        return null;
+    }
+  });
+}
+
+/* Markdown text (see markdown.js) as React elements; message text never becomes HTML.
+   `mark` highlights the words of a search query outside code blocks. */
+export default function Markdown({ text, mark }) {
+  const blocks = useMemo(() => parseMarkdown(text), [text]);
+  return (
+    <div className="md">
+      <Blocks blocks={blocks} mark={mark} />
+    </div>
+  );
+}
@@ -0,0 +1,113 @@
+import { useEffect, useMemo, useState } from "react";
+import Sparkline from "./Sparkline.jsx";
+import { METRIC_GROUPS, METRIC_WINDOWS, collectRuns, computeMetrics } from "./metrics.js";
+
+function ms(v) {
+  if (v == null) return "-";
+  return v < 1000 ? `${Math.round(v)} ms` : `${(v / 1000).toFixed(v < 10000 ? 2 : 1)} s`;
+}
+
+/* Latency, throughput, failures and output size per agent, capability or provider, over all conversations */
+export default function MetricsPanel({ model, registry, live, headerExtra }) {
+  const [windowId, setWindowId] = useState("15m");
+  const [groupBy, setGroupBy] = useState("agent");
+  const [now, setNow] = useState(() => Date.now());
+
+  // The window slides while live; a loaded file is measured up to its last run
+  useEffect(() => {
+    if (!live) return;
+    const t = setInterval(() => setNow(Date.now()), 5000);
+    return () => clearInterval(t);
+  }, [live]);
+
+  const providerOf = useMemo(() => {
+    const byCapability = new Map((registry || []).map((a) => [a.capability, a.provider]));
+    return (agent) => byCapability.get(agent);
+  }, [registry]);
+
+  const runs = useMemo(() => collectRuns(model, providerOf), [model, providerOf]);
+  const end = live ? now : runs.reduce((max, r) => Math.max(max, r.finishedAt ?? r.startedAt), 0);
+  const windowMs = METRIC_WINDOWS.find((w) => w.id === windowId).ms;
+  const rows = useMemo(() => computeMetrics(runs, { groupBy, windowMs, now: end }), [runs, groupBy, windowMs, end]);
+
+  return (
+    <div className="graphContainer">
+      <div className="graphHeader">
+        <span className="mono">Metrics:</span> <span className="mono">all conversations</span>
+        {headerExtra}
+        <span className="graphHeader__actions">
+          <label>
+            by{" "}
+            <select value={groupBy} onChange={(e) => setGroupBy(e.target.value)}>
+              {METRIC_GROUPS.map((g) => (
+                <option key={g} value={g}>
+                  {g}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            window{" "}
+            <select value={windowId} onChange={(e) => setWindowId(e.target.value)}>
+              {METRIC_WINDOWS.map((w) => (
+                <option key={w.id} value={w.id}>
+                  {w.label}
+                </option>
+              ))}
+            </select>
+          </label>
+        </span>
+      </div>
+      <div className="graphCanvasScroll metrics">
+        {!rows.length ? (
+          <div className="muted">No agent runs in this window.</div>
+        ) : (
+          <table>
+            <thead>
+              <tr>
+                <th>{groupBy}</th>
+                <th title="Completed / failed / running">Runs</th>
+                <th title="Failed share of finished runs">Errors</th>
+                <th title="Completed runs per minute">Per min</th>
+                <th title="agentStart to agentComplete">p50</th>
+                <th>p95</th>
+                <th>p99</th>
+                <th>Latency</th>
+                <th>Throughput</th>
+                <th title="Response length in characters">Output p50 / max</th>
+                <th>Sizes</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((r) => (
+                <tr key={r.key}>
+                  <td className="mono">{r.key}</td>
+                  <td className="mono">
+                    {r.completed} / {r.failed} / {r.running}
+                  </td>
+                  <td className={`mono ${r.failed ? "metrics__bad" : ""}`}>{(r.errorRate * 100).toFixed(0)}%</td>
+                  <td className="mono">{r.perMinute.toFixed(2)}</td>
+                  <td className="mono">{ms(r.latency.p50)}</td>
+                  <td className="mono">{ms(r.latency.p95)}</td>
+                  <td className="mono">{ms(r.latency.p99)}</td>
+                  <td>
+                    <Sparkline values={r.latencySeries} title="Average latency over the window" />
+                  </td>
+                  <td>
+                    <Sparkline values={r.throughputSeries} bars color="#10b981" title="Completed runs over the window" />
+                  </td>
+                  <td className="mono">
+                    {r.size.p50 ?? "-"} / {r.size.max ?? "-"}
+                  </td>
+                  <td>
+                    <Sparkline values={r.sizeHistogram} bars color="#a78bfa" width={60} title="Response length distribution" />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
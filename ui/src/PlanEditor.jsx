@@ -0,0 +1,364 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { Network } from "vis-network";
+import "vis-network/styles/vis-network.css";
+import { downloadText } from "./sessionFile.js";
+import {
+  addDependency,
+  addStep,
+  emptyPlan,
+  loadTemplates,
+  nextStepId,
+  parsePlan,
+  planProblems,
+  removeDependency,
+  removeStep,
+  saveTemplates,
+  toTaskPlan,
+  updateStep,
+  withPositions,
+} from "./planDraft.js";
+
+const edgeId = (dep, stepId) => `${dep}>${stepId}`;
+
+function toArrays(plan, selectedId, problemIds) {
+  const nodes = plan.steps.map((s) => ({
+    id: s.id,
+    x: s.x,
+    y: s.y,
+    label: `${s.id}\n(${s.agentCapability || "?"})${s.requiresApproval ? "\n⏸ approval" : ""}`,
+    shape: "box",
+    font: { multi: true, face: "monospace", size: 12, color: "#e5e7eb" },
+    color: {
+      background: s.id === selectedId ? "#1e3a5f" : "#111827",
+      border: problemIds.has(s.id) ? "#ef4444" : s.id === selectedId ? "#60a5fa" : "#4b5563",
+    },
+    borderWidth: s.id === selectedId ? 3 : 2,
+  }));
+  // Edges point from a dependency to the step that waits for it
+  const edges = plan.steps.flatMap((s) =>
+    s.dependencies.map((d) => ({
+      id: edgeId(d, s.id),
+      from: d,
+      to: s.id,
+      arrows: { to: { enabled: true, scaleFactor: 0.7 } },
+      color: { color: "#9ca3af" },
+    }))
+  );
+  return { nodes, edges };
+}
+
+/* Step id field: renames on blur or Enter, unless the id is empty or taken */
+function StepIdInput({ id, taken, onRename }) {
+  const [value, setValue] = useState(id);
+  useEffect(() => setValue(id), [id]);
+  const commit = () => {
+    const next = value.trim();
+    if (next && next !== id && !taken.includes(next)) onRename(next);
+    else setValue(id);
+  };
+  return (
+    <input
+      className="mono"
+      value={value}
+      onChange={(e) => setValue(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === "Enter") commit();
+      }}
+    />
+  );
+}
+
+/*
+ * Drag-and-drop editor for a TaskPlan DAG. Double-click the canvas (or "Add step") to add a
+ * step, "Connect" and drag from a step to the one that depends on it to add a dependency.
+ * Capabilities are picked from the registry feed; drafts are checked before they can run.
+ */
+export default function PlanEditor({ plan, onChange, capabilities, disabled, sending, onRun }) {
+  const containerRef = useRef(null);
+  const networkRef = useRef(null);
+  const fileRef = useRef(null);
+  const [selectedId, setSelectedId] = useState(null);
+  const [connecting, setConnecting] = useState(false);
+  const [templates, setTemplates] = useState(loadTemplates);
+  const [templateName, setTemplateName] = useState("");
+  const [loadError, setLoadError] = useState(null);
+
+  // The network's handlers read the latest plan through a ref
+  const planRef = useRef(plan);
+  const onChangeRef = useRef(onChange);
+  useEffect(() => {
+    planRef.current = plan;
+    onChangeRef.current = onChange;
+  });
+
+  useEffect(() => saveTemplates(templates), [templates]);
+
+  const problems = useMemo(() => planProblems(plan, capabilities), [plan, capabilities]);
+  const problemIds = useMemo(() => new Set(problems.map((p) => p.stepId).filter(Boolean)), [problems]);
+  const data = useMemo(() => toArrays(plan, selectedId, problemIds), [plan, selectedId, problemIds]);
+  const selected = plan.steps.find((s) => s.id === selectedId) || null;
+
+  const addAt = (x, y) => {
+    const current = planRef.current;
+    const id = nextStepId(current);
+    onChangeRef.current(addStep(current, { id, x: Math.round(x), y: Math.round(y) }));
+    setSelectedId(id);
+  };
+
+  // The network is created once; its handlers go through refs
+  useEffect(() => {
+    if (!containerRef.current) return;
+    const network = new Network(
+      containerRef.current,
+      { nodes: [], edges: [] },
+      {
+        autoResize: true,
+        height: "100%",
+        width: "100%",
+        physics: { enabled: false },
+        interaction: { hover: true, dragView: true, zoomView: true, multiselect: false },
+        manipulation: {
+          enabled: false,
+          addEdge: (edge, callback) => {
+            callback(null); // edges come from the plan, not from vis
+            const current = planRef.current;
+            if (edge.from !== edge.to) onChangeRef.current(addDependency(current, edge.to, edge.from));
+            setConnecting(false);
+          },
+        },
+      }
+    );
+    network.on("click", (params) => {
+      if (params.nodes.length) setSelectedId(params.nodes[0]);
+      else if (!params.edges.length) setSelectedId(null);
+    });
+    network.on("doubleClick", (params) => {
+      if (!params.nodes.length && !params.edges.length) addAt(params.pointer.canvas.x, params.pointer.canvas.y);
+    });
+    network.on("dragEnd", (params) => {
+      if (!params.nodes.length) return;
+      const positions = network.getPositions(params.nodes);
+      let next = planRef.current;
+      for (const [id, { x, y }] of Object.entries(positions)) next = updateStep(next, id, { x: Math.round(x), y: Math.round(y) });
+      onChangeRef.current(next);
+    });
+    networkRef.current = network;
+    return () => {
+      network.destroy();
+      networkRef.current = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (networkRef.current) networkRef.current.setData(data);
+  }, [data]);
+
+  const toggleConnect = () => {
+    const network = networkRef.current;
+    if (!network) return;
+    if (connecting) network.disableEditMode();
+    else network.addEdgeMode();
+    setConnecting(!connecting);
+  };
+
+  const deleteSelected = () => {
+    if (!selected) return;
+    onChange(removeStep(plan, selected.id));
+    setSelectedId(null);
+  };
+
+  const loadPlan = (next) => {
+    onChange(withPositions(next));
+    setSelectedId(null);
+    setLoadError(null);
+    requestAnimationFrame(() => networkRef.current && networkRef.current.fit());
+  };
+
+  const openFile = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = ""; // allow re-opening the same file
+    if (!file) return;
+    try {
+      loadPlan(parsePlan(await file.text()));
+    } catch (err) {
+      setLoadError(`${file.name}: ${err.message || err}`);
+    }
+  };
+
+  const templateNames = Object.keys(templates).sort();
+
+  return (
+    <div className="planEditor">
+      <div className="planEditor__toolbar">
+        <button onClick={() => addAt(plan.steps.length * 40, plan.steps.length * 30)}>Add step</button>
+        <button
+          className={connecting ? "planEditor__active" : ""}
+          disabled={plan.steps.length < 2}
+          onClick={toggleConnect}
+          title="Drag from a step to the step that depends on it"
+        >
+          {connecting ? "Connecting…" : "Connect"}
+        </button>
+        <button disabled={!plan.steps.length} onClick={() => loadPlan(emptyPlan())}>
+          Clear
+        </button>
+        <span className="planEditor__sep" />
+        <select
+          value=""
+          disabled={!templateNames.length}
+          onChange={(e) => {
+            if (!e.target.value) return;
+            loadPlan(templates[e.target.value]);
+            setTemplateName(e.target.value);
+          }}
+          title="Load a saved template"
+        >
+          <option value="">{templateNames.length ? "Templates…" : "No templates"}</option>
+          {templateNames.map((name) => (
+            <option key={name} value={name}>
+              {name}
+            </option>
+          ))}
+        </select>
+        <input placeholder="template name" value={templateName} onChange={(e) => setTemplateName(e.target.value)} />
+        <button
+          disabled={!templateName.trim() || !plan.steps.length}
+          onClick={() => setTemplates({ ...templates, [templateName.trim()]: plan })}
+          title="Save the draft as a template in this browser"
+        >
+          Save
+        </button>
+        <button
+          disabled={!templates[templateName.trim()]}
+          onClick={() => {
+            const { [templateName.trim()]: _removed, ...rest } = templates;
+            setTemplates(rest);
+          }}
+        >
+          Delete
+        </button>
+        <button
+          disabled={!plan.steps.length}
+          onClick={() =>
+            downloadText(`${templateName.trim() || "plan"}.json`, JSON.stringify(plan, null, 2) + "\n", "application/json")
+          }
+          title="Download the draft as a JSON template"
+        >
+          Export
+        </button>
+        <button onClick={() => fileRef.current && fileRef.current.click()} title="Load a JSON template">
+          Import…
+        </button>
+        <input ref={fileRef} type="file" accept=".json,application/json" hidden onChange={openFile} />
+      </div>
+
+      <div className="planEditor__body">
+        <div ref={containerRef} className="planEditor__canvas" />
+        <div className="planEditor__form">
+          {selected ? (
+            <>
+              <label>
+                Step id
+                <StepIdInput
+                  id={selected.id}
+                  taken={plan.steps.map((s) => s.id)}
+                  onRename={(id) => {
+                    onChange(updateStep(plan, selected.id, { id }));
+                    setSelectedId(id);
+                  }}
+                />
+              </label>
+              <label>
+                Capability
+                <input
+                  className="mono"
+                  list="plan-capabilities"
+                  value={selected.agentCapability}
+                  onChange={(e) => onChange(updateStep(plan, selected.id, { agentCapability: e.target.value }))}
+                />
+                <datalist id="plan-capabilities">
+                  {(capabilities || []).map((c) => (
+                    <option key={c} value={c} />
+                  ))}
+                </datalist>
+              </label>
+              <label>
+                Instruction
+                <textarea
+                  rows={4}
+                  value={selected.instruction}
+                  onChange={(e) => onChange(updateStep(plan, selected.id, { instruction: e.target.value }))}
+                />
+              </label>
+              <label className="planEditor__check">
+                <input
+                  type="checkbox"
+                  checked={!!selected.requiresApproval}
+                  onChange={(e) => onChange(updateStep(plan, selected.id, { requiresApproval: e.target.checked }))}
+                />
+                Requires approval before it runs
+              </label>
+              <div className="planEditor__deps">
+                Waits for
+                {selected.dependencies.map((d) => (
+                  <span key={d} className="skill">
+                    {d}{" "}
+                    <button title="Remove dependency" onClick={() => onChange(removeDependency(plan, selected.id, d))}>
+                      ×
+                    </button>
+                  </span>
+                ))}
+                <select
+                  value=""
+                  onChange={(e) => e.target.value && onChange(addDependency(plan, selected.id, e.target.value))}
+                >
+                  <option value="">add…</option>
+                  {plan.steps
+                    .filter((s) => s.id !== selected.id && !selected.dependencies.includes(s.id))
+                    .map((s) => (
+                      <option key={s.id} value={s.id}>
+                        {s.id}
+                      </option>
+                    ))}
+                </select>
+              </div>
+              <button className="danger" onClick={deleteSelected}>
+                Delete step
+              </button>
+            </>
+          ) : (
+            <div className="muted">Double-click the canvas to add a step; click a step to edit it.</div>
+          )}
+        </div>
+      </div>
+
+      {loadError ? <div className="composer__error">{loadError}</div> : null}
+      {problems.length ? (
+        <ul className="planEditor__problems">
+          {problems.map((p, i) => (
+            <li key={i}>
+              {p.stepId ? (
+                <button className="linkButton" onClick={() => setSelectedId(p.stepId)}>
+                  {p.message}
+                </button>
+              ) : (
+                p.message
+              )}
+            </li>
+          ))}
+        </ul>
+      ) : null}
+      <div className="planEditor__run">
+        {capabilities ? null : <span className="muted">Capabilities are checked against the registry on the live feed only.</span>}
+        <button
+          disabled={disabled || sending || problems.length > 0}
+          onClick={() => onRun(toTaskPlan(plan))}
+          title="Run this plan instead of letting the coordinator decompose the task"
+        >
+          {sending ? "Sending…" : "Run plan"}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,131 @@
+import { useEffect, useState } from "react";
+
+const SPEEDS = [0.5, 1, 2, 4, 8];
+// Recorded gaps are replayed scaled by speed, but clamped so bursts stay visible
+// and long idle periods do not stall playback.
+const MIN_GAP_MS = 60;
+const MAX_GAP_MS = 2000;
+
+function formatTime(ts) {
+  try {
+    return new Date(ts).toLocaleTimeString();
+  } catch {
+    return String(ts || "");
+  }
+}
+
+// Timeline scrubber over a conversation's recorded events.
+// position = number of events applied, or null to follow the live state.
+export default function ReplayScrubber({ log, position, onChange }) {
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(() => {
+    try {
+      return Number(localStorage.getItem("replaySpeed")) || 1;
+    } catch {
+      return 1;
+    }
+  });
+
+  const total = log.length;
+  const live = position == null;
+  const pos = live ? total : Math.min(position, total);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem("replaySpeed", String(speed));
+    } catch {
+      // storage unavailable
+    }
+  }, [speed]);
+
+  // Apply the next event after its recorded delay; stop at the end of the log
+  useEffect(() => {
+    if (!playing || live) return;
+    if (pos >= total) {
+      setPlaying(false);
+      return;
+    }
+    const prevAt = pos > 0 ? log[pos - 1].at : log[0].at;
+    const gap = Math.min(MAX_GAP_MS, Math.max(MIN_GAP_MS, (log[pos].at - prevAt) / speed));
+    const t = setTimeout(() => onChange(pos + 1), gap);
+    return () => clearTimeout(t);
+  }, [playing, live, pos, total, log, speed, onChange]);
+
+  if (total === 0) return null;
+
+  const seek = (p) => onChange(Math.max(0, Math.min(total, p)));
+
+  const togglePlay = () => {
+    if (playing) {
+      setPlaying(false);
+      return;
+    }
+    // Playing from live (or from the end) rewinds to the first event
+    if (live || pos >= total) onChange(0);
+    setPlaying(true);
+  };
+
+  const goLive = () => {
+    setPlaying(false);
+    onChange(null);
+  };
+
+  const current = pos > 0 ? log[pos - 1] : null;
+
+  return (
+    <div className={`replay ${live ? "" : "replay--active"}`}>
+      <div className="replay__controls">
+        <button title="Rewind to start" onClick={() => { setPlaying(false); seek(0); }}>
+          ⏮
+        </button>
+        <button title="Step back" disabled={pos === 0} onClick={() => { setPlaying(false); seek(pos - 1); }}>
+          ◀
+        </button>
+        <button title={playing ? "Pause" : "Play"} onClick={togglePlay}>
+          {playing ? "⏸" : "▶"}
+        </button>
+        <button title="Step forward" disabled={live || pos >= total} onClick={() => { setPlaying(false); seek(pos + 1); }}>
+          ▶|
+        </button>
+        <select value={speed} onChange={(e) => setSpeed(Number(e.target.value))} title="Playback speed">
+          {SPEEDS.map((s) => (
+            <option key={s} value={s}>
+              {s}x
+            </option>
+          ))}
+        </select>
+      </div>
+      <input
+        className="replay__range"
+        type="range"
+        min={0}
+        max={total}
+        value={pos}
+        onChange={(e) => {
+          setPlaying(false);
+          seek(Number(e.target.value));
+        }}
+      />
+      <div className="replay__status">
+        <span className="mono">
+          {pos}/{total}
+        </span>
+        {current ? (
+          <>
+            <span className="pill">{current.ev.type}</span>
+            <span className="time">{formatTime(current.at)}</span>
+          </>
+        ) : (
+          <span className="muted">start</span>
+        )}
+        {live ? (
+          <span className="replay__badge replay__badge--live">LIVE</span>
+        ) : (
+          <button className="replay__badge" onClick={goLive} title="Return to the live state">
+            REPLAY · back to live
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
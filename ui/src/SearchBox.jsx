@@ -0,0 +1,101 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { buildSearchIndex, searchIndex } from "./search.js";
+
+const KIND_LABEL = { chat: "message", step: "step", error: "error" };
+
+function Hit({ hit, onPick }) {
+  const where = hit.kind === "chat" ? (hit.agent ? `@${hit.agent}` : "user") : hit.stepId || "conversation";
+  return (
+    <button className="search__hit" onClick={() => onPick(hit)}>
+      <span className={`search__kind search__kind--${hit.kind}`}>{KIND_LABEL[hit.kind]}</span>
+      <span className="mono search__where">
+        {where}
+        {hit.kind !== "chat" && hit.field !== "step" ? ` · ${hit.field}` : ""}
+      </span>
+      <span className="search__snippet">
+        {hit.snippet.before}
+        <mark>{hit.snippet.match}</mark>
+        {hit.snippet.after}
+      </span>
+      {hit.count > 1 ? <span className="muted search__count">×{hit.count}</span> : null}
+    </button>
+  );
+}
+
+/* Search box over every conversation in the model; picking a hit jumps to its bubble or step */
+export default function SearchBox({ model, onJump }) {
+  const [input, setInput] = useState("");
+  const [query, setQuery] = useState("");
+  const [open, setOpen] = useState(false);
+  const boxRef = useRef(null);
+
+  // Search once typing pauses
+  useEffect(() => {
+    const t = setTimeout(() => setQuery(input.trim()), 200);
+    return () => clearTimeout(t);
+  }, [input]);
+
+  useEffect(() => {
+    if (!open) return;
+    const onDown = (e) => {
+      if (boxRef.current && !boxRef.current.contains(e.target)) setOpen(false);
+    };
+    window.addEventListener("mousedown", onDown);
+    return () => window.removeEventListener("mousedown", onDown);
+  }, [open]);
+
+  const index = useMemo(() => (query ? buildSearchIndex(model) : []), [model, query]);
+  const groups = useMemo(() => searchIndex(index, query), [index, query]);
+  const total = groups.reduce((n, g) => n + g.total, 0);
+
+  const pick = (hit) => {
+    onJump(hit, query);
+    setOpen(false);
+  };
+
+  return (
+    <div className="search" ref={boxRef}>
+      <input
+        type="search"
+        placeholder="Search conversations, steps, agents, errors…"
+        value={input}
+        onChange={(e) => {
+          setInput(e.target.value);
+          setOpen(true);
+        }}
+        onFocus={() => setOpen(true)}
+        onKeyDown={(e) => {
+          if (e.key === "Escape") setOpen(false);
+          if (e.key === "Enter" && groups.length) pick(groups[0].hits[0]);
+        }}
+      />
+      {open && query ? (
+        <div className="search__results">
+          {!groups.length ? (
+            <div className="muted search__empty">No matches for “{query}”.</div>
+          ) : (
+            <>
+              <div className="muted search__summary">
+                {total} match{total === 1 ? "" : "es"} in {groups.length} conversation{groups.length === 1 ? "" : "s"}
+              </div>
+              {groups.map((g) => (
+                <div key={g.conversationId} className="search__group">
+                  <div className="search__conv mono">
+                    {g.conversationId}
+                    <span className="muted"> · {g.total}</span>
+                  </div>
+                  {g.hits.map((hit, i) => (
+                    <Hit key={i} hit={hit} onPick={pick} />
+                  ))}
+                  {g.total > g.hits.length ? (
+                    <div className="muted search__more">{g.total - g.hits.length} more in this conversation</div>
+                  ) : null}
+                </div>
+              ))}
+            </>
+          )}
+        </div>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,44 @@
+import { useRef } from "react";
+import { downloadText, parseNdjson, sessionFileName, sessionRecords, toNdjson } from "./sessionFile.js";
+
+// Header controls for the event source: live socket vs. a loaded NDJSON file
+export default function SessionControls({ source, model, onLoad, onGoLive }) {
+  const fileRef = useRef(null);
+
+  const exportSession = () => {
+    downloadText(sessionFileName(), toNdjson(sessionRecords(model)));
+  };
+
+  const openFile = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = ""; // allow re-opening the same file
+    if (!file) return;
+    const { records, skipped } = parseNdjson(await file.text());
+    onLoad({ records, name: file.name, skipped });
+  };
+
+  const isFile = source.kind === "file";
+
+  return (
+    <div className="session">
+      <span
+        className={`session__mode session__mode--${source.kind}`}
+        title={isFile && source.skipped ? `${source.skipped} unreadable line(s) skipped` : ""}
+      >
+        {isFile ? `FILE ${source.name} (${source.count} events)` : "LIVE"}
+      </span>
+      <button onClick={exportSession} disabled={model.received === 0} title="Save received events as NDJSON">
+        Export
+      </button>
+      <button onClick={() => fileRef.current && fileRef.current.click()} title="Load an NDJSON session file">
+        Open…
+      </button>
+      {isFile ? (
+        <button onClick={onGoLive} title="Discard the file and reconnect to the backend">
+          Back to live
+        </button>
+      ) : null}
+      <input ref={fileRef} type="file" accept=".ndjson,.jsonl,.json,application/x-ndjson" hidden onChange={openFile} />
+    </div>
+  );
+}
@@ -0,0 +1,29 @@
+// Tiny inline chart. Line mode skips null points; bars mode draws one bar per value.
+export default function Sparkline({ values, width = 90, height = 22, color = "#60a5fa", bars = false, title }) {
+  const max = Math.max(0, ...values.filter((v) => v != null));
+  const step = values.length > 1 ? width / (values.length - (bars ? 0 : 1)) : width;
+  const yOf = (v) => height - 1 - (max ? (v / max) * (height - 2) : 0);
+
+  let body;
+  if (bars) {
+    body = values.map((v, i) =>
+      v ? <rect key={i} x={i * step + 0.5} y={yOf(v)} width={Math.max(1, step - 1)} height={height - 1 - yOf(v)} fill={color} /> : null
+    );
+  } else {
+    const pts = values.map((v, i) => (v == null ? null : [i * step, yOf(v)])).filter(Boolean);
+    body =
+      pts.length > 1 ? (
+        <polyline points={pts.map(([x, y]) => `${x.toFixed(1)},${y.toFixed(1)}`).join(" ")} fill="none" stroke={color} strokeWidth="1.5" />
+      ) : pts.length === 1 ? (
+        <circle cx={pts[0][0]} cy={pts[0][1]} r="1.5" fill={color} />
+      ) : null;
+  }
+
+  return (
+    <svg className="sparkline" width={width} height={height}>
+      {title ? <title>{title}</title> : null}
+      <line x1="0" x2={width} y1={height - 0.5} y2={height - 0.5} stroke="#1f2937" />
+      {body}
+    </svg>
+  );
+}
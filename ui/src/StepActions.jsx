@@ -0,0 +1,26 @@
+// Operator buttons for one plan step (sent over the /ws control channel).
+// Retry re-dispatches a running or failed step; skip marks an unfinished step as done without a result.
+export default function StepActions({ conversationId, stepId, step, onCommand, disabled }) {
+  const status = step ? step.status : null;
+  const canRetry = status === "dispatched" || status === "failed";
+  const canSkip = status === "ready" || status === "awaiting" || status === "dispatched" || status === "failed";
+
+  return (
+    <span className="stepActions">
+      <button
+        disabled={disabled || !canRetry}
+        title="Dispatch this step again"
+        onClick={() => onCommand("retry", conversationId, stepId)}
+      >
+        Retry
+      </button>
+      <button
+        disabled={disabled || !canSkip}
+        title="Continue without this step's result"
+        onClick={() => onCommand("skip", conversationId, stepId)}
+      >
+        Skip
+      </button>
+    </span>
+  );
+}
@@ -0,0 +1,184 @@
+import { ApprovalForm } from "./ApprovalQueue.jsx";
+import StepActions from "./StepActions.jsx";
+import { approvalLabel } from "./approvals.js";
+
+function formatTime(ms) {
+  if (ms == null) return "-";
+  const d = new Date(ms);
+  return `${d.toLocaleTimeString()}.${String(d.getMilliseconds()).padStart(3, "0")}`;
+}
+
+function formatDuration(from, to) {
+  if (from == null || to == null) return "-";
+  const ms = Math.max(0, to - from);
+  return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(2)} s`;
+}
+
+// Text the agent answered for a run: the final chat message, or the bubble still streaming for it
+function runOutput(conv, run) {
+  if (!run) return null;
+  for (let i = conv.chat.length - 1; i >= 0; i--) {
+    const m = conv.chat[i];
+    if ((run.responseMessageId && m.messageId === run.responseMessageId) || m.streamKey === run.messageId) return m.text;
+  }
+  return null;
+}
+
+function lastRun(step) {
+  return step && step.runs && step.runs.length ? step.runs[step.runs.length - 1] : null;
+}
+
+function RunTimings({ run }) {
+  return (
+    <table className="inspector__timings">
+      <tbody>
+        <tr>
+          <th>Dispatched</th>
+          <td className="mono">{formatTime(run.dispatchedAt)}</td>
+          <td />
+        </tr>
+        <tr>
+          <th>Started</th>
+          <td className="mono">{formatTime(run.startedAt)}</td>
+          <td className="mono muted">queued {formatDuration(run.dispatchedAt, run.startedAt)}</td>
+        </tr>
+        <tr>
+          <th>{run.error ? "Failed" : "Completed"}</th>
+          <td className="mono">{formatTime(run.finishedAt)}</td>
+          <td className="mono muted">ran {formatDuration(run.startedAt, run.finishedAt)}</td>
+        </tr>
+        <tr>
+          <th>Total</th>
+          <td />
+          <td className="mono">{formatDuration(run.dispatchedAt, run.finishedAt)}</td>
+        </tr>
+      </tbody>
+    </table>
+  );
+}
+
+/* Side panel with everything known about one plan step: what it was asked, what it got, what it answered */
+export default function StepInspector({ conversationId, conv, stepId, onClose, onCommand, controlsDisabled }) {
+  const step = conv && conv.steps.get(stepId);
+  if (!step) return null;
+
+  const runs = step.runs || [];
+  const run = lastRun(step);
+  const output = runOutput(conv, run);
+
+  return (
+    <aside className="inspector">
+      <div className="inspector__header">
+        <h3 className="mono">{stepId}</h3>
+        <span className={`status status--${step.status}`}>{step.status}</span>
+        <button className="inspector__close" onClick={onClose} title="Close inspector">
+          ×
+        </button>
+      </div>
+      <div className="inspector__body">
+        <div className="inspector__row">
+          <span className="muted">Capability</span> <span className="mono">{step.capability || "-"}</span>
+        </div>
+        <StepActions
+          conversationId={conversationId}
+          stepId={stepId}
+          step={step}
+          onCommand={onCommand}
+          disabled={controlsDisabled}
+        />
+
+        {step.status === "awaiting" ? (
+          <>
+            <h4>Approval</h4>
+            <ApprovalForm
+              conversationId={conversationId}
+              stepId={stepId}
+              step={step}
+              onCommand={onCommand}
+              disabled={controlsDisabled}
+            />
+          </>
+        ) : (
+          <>
+            <h4>Instruction</h4>
+            <pre className="inspector__text">{step.instruction || "(not in the plan event)"}</pre>
+            {step.requiresApproval ? (
+              <div className="inspector__row">
+                <span className="muted">Review</span> <span>{approvalLabel(step.approval)}</span>
+              </div>
+            ) : null}
+          </>
+        )}
+
+        {step.error ? (
+          <>
+            <h4>Error</h4>
+            <pre className="inspector__text inspector__text--error">{step.error}</pre>
+          </>
+        ) : null}
+
+        <h4>Inputs</h4>
+        {step.dependencies && step.dependencies.length ? (
+          step.dependencies.map((dep) => {
+            const depStep = conv.steps.get(dep);
+            const text = runOutput(conv, lastRun(depStep));
+            return (
+              <details key={dep} className="inspector__dep">
+                <summary>
+                  <span className="mono">{dep}</span>{" "}
+                  <span className={`status status--${depStep ? depStep.status : "ready"}`}>
+                    {depStep ? depStep.status : "unknown"}
+                  </span>
+                </summary>
+                <pre className="inspector__text">
+                  {text ?? (depStep && depStep.status === "skipped" ? "(skipped, no output)" : "(no output received)")}
+                </pre>
+              </details>
+            );
+          })
+        ) : (
+          <div className="muted">No dependencies.</div>
+        )}
+
+        <h4>Latest run</h4>
+        {run ? (
+          <>
+            <div className="inspector__row">
+              <span className="muted">Agent</span> <span className="mono">{run.agent || "-"}</span>
+              {run.refinement ? <span className="pill pill--start">refinement</span> : null}
+              {run.iteration > 1 ? <span className="pill pill--start">loop {run.iteration}</span> : null}
+            </div>
+            <RunTimings run={run} />
+            <h4>Output{run.textLength != null ? ` (${run.textLength} chars)` : ""}</h4>
+            <pre className="inspector__text">{output ?? (run.finishedAt ? "(response not retained)" : "(waiting…)")}</pre>
+          </>
+        ) : (
+          <div className="muted">Not dispatched yet.</div>
+        )}
+
+        {runs.length > 1 ? (
+          <>
+            <h4>Earlier runs</h4>
+            {runs
+              .slice(0, -1)
+              .reverse()
+              .map((r) => (
+                <details key={r.messageId} className="inspector__dep">
+                  <summary>
+                    <span className="mono">{formatTime(r.dispatchedAt)}</span> {r.agent || "-"}
+                    {r.refinement ? " · refinement" : ""}
+                    {r.iteration > 1 ? ` · loop ${r.iteration}` : ""}
+                    {r.error ? " · failed" : ""}
+                  </summary>
+                  <RunTimings run={r} />
+                  <pre className="inspector__text">
+                    {r.error || runOutput(conv, r) || "(no output)"}
+                  </pre>
+                </details>
+              ))}
+          </>
+        ) : null}
+      </div>
+    </aside>
+  );
+}
@@ -0,0 +1,66 @@
+import { useState } from "react";
+import { parseList } from "./subscription.js";
+import { EVENT_TYPES } from "./eventSchema.js";
+
+// Controls for the telemetry subscription; changes apply without reconnecting
+export default function SubscriptionBar({ subscription, knownAgents, onChange, disabled }) {
+  const [agentsText, setAgentsText] = useState(subscription.agents.join(", "));
+  const { mode, followed, types } = subscription;
+
+  const commitAgents = () => {
+    const agents = parseList(agentsText);
+    setAgentsText(agents.join(", "));
+    if (agents.join(",") !== subscription.agents.join(",")) onChange({ ...subscription, agents });
+  };
+
+  const toggleType = (t) => {
+    const next = types.includes(t) ? types.filter((x) => x !== t) : [...types, t];
+    onChange({ ...subscription, types: next });
+  };
+
+  return (
+    <div className={`subscription ${disabled ? "subscription--disabled" : ""}`}>
+      <label>
+        Show
+        <select
+          value={mode}
+          disabled={disabled}
+          onChange={(e) => onChange({ ...subscription, mode: e.target.value })}
+        >
+          <option value="all">all conversations</option>
+          <option value="followed">followed only ({followed.length})</option>
+        </select>
+      </label>
+      <label>
+        Agents
+        <input
+          list="subscription-agents"
+          placeholder="any"
+          value={agentsText}
+          disabled={disabled}
+          onChange={(e) => setAgentsText(e.target.value)}
+          onBlur={commitAgents}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") commitAgents();
+          }}
+        />
+        <datalist id="subscription-agents">
+          {knownAgents.map((a) => (
+            <option key={a} value={a} />
+          ))}
+        </datalist>
+      </label>
+      <details className="subscription__types">
+        <summary>Types: {types.length ? types.length : "any"}</summary>
+        <div className="subscription__typeList">
+          {EVENT_TYPES.map((t) => (
+            <label key={t}>
+              <input type="checkbox" checked={types.includes(t)} disabled={disabled} onChange={() => toggleType(t)} />
+              <span className="mono">{t}</span>
+            </label>
+          ))}
+        </div>
+      </details>
+    </div>
+  );
+}
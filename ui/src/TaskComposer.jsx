@@ -0,0 +1,185 @@
+import { useState } from "react";
+import { submitTask } from "./api.js";
+import CompareSetup from "./CompareSetup.jsx";
+import PlanEditor from "./PlanEditor.jsx";
+import { createComparison, emptyVariant } from "./comparisons.js";
+import { emptyPlan } from "./planDraft.js";
+
+// Form that starts a task on the Coordinator (POST /tasks).
+// Leaving the conversation id empty lets the backend pick a new one.
+// The plan editor sends an authored plan along, which the coordinator runs as-is;
+// the comparison setup starts the task once per variant (see comparisons.js).
+export default function TaskComposer({ conversationIds, capabilities, agents, disabled, onSubmitted, onCompared }) {
+  const [task, setTask] = useState("");
+  const [conversationId, setConversationId] = useState("");
+  const [maxLoops, setMaxLoops] = useState(1);
+  // Capabilities whose steps wait for a reviewer, comma-separated
+  const [approval, setApproval] = useState("");
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState(null);
+  // Panel under the form: null, "plan" or "compare"
+  const [panel, setPanel] = useState(null);
+  const [plan, setPlan] = useState(emptyPlan);
+  const [variants, setVariants] = useState(() => [emptyVariant(1), emptyVariant(2)]);
+
+  const canSend = !disabled && !sending && task.trim().length > 0 && maxLoops >= 1;
+
+  const send = async (e, taskPlan = null) => {
+    if (e) e.preventDefault();
+    if (taskPlan ? disabled || sending : !canSend) return;
+    setSending(true);
+    setError(null);
+    try {
+      const requireApproval = approval
+        .split(",")
+        .map((c) => c.trim())
+        .filter(Boolean);
+      const res = await submitTask({
+        task: task.trim(),
+        conversationId: conversationId.trim(),
+        maxLoops,
+        plan: taskPlan,
+        requireApproval,
+      });
+      setTask("");
+      onSubmitted && onSubmitted(res.conversationId);
+    } catch (err) {
+      setError(err.message || String(err));
+    } finally {
+      setSending(false);
+    }
+  };
+
+  // Variants that could not be started are left out of the comparison
+  const compare = async (drafts) => {
+    if (disabled || sending) return;
+    setSending(true);
+    setError(null);
+    const comparison = createComparison(task, drafts);
+    try {
+      const results = await Promise.allSettled(
+        comparison.variants.map((v) =>
+          submitTask({ task: comparison.task, conversationId: v.conversationId, maxLoops: v.maxLoops, routes: v.routes })
+        )
+      );
+      const failed = comparison.variants
+        .map((v, i) => (results[i].status === "rejected" ? `${v.label}: ${results[i].reason.message || results[i].reason}` : null))
+        .filter(Boolean);
+      if (failed.length) setError(`Not started: ${failed.join("; ")}`);
+      const started = comparison.variants.filter((_, i) => results[i].status === "fulfilled");
+      if (started.length) {
+        setTask("");
+        onCompared && onCompared({ ...comparison, variants: started });
+      }
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const togglePanel = (name) => setPanel(panel === name ? null : name);
+
+  return (
+    <>
+      <form className="composer" onSubmit={send}>
+        <textarea
+          className="composer__task"
+          placeholder={disabled ? "Go back to live mode to submit tasks" : "Describe a task for the coordinator…"}
+          value={task}
+          rows={2}
+          disabled={disabled}
+          onChange={(e) => setTask(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) send(e);
+          }}
+        />
+        <div className="composer__options">
+          <label>
+            Conversation
+            <input
+              list="composer-conversations"
+              placeholder="new"
+              value={conversationId}
+              disabled={disabled}
+              onChange={(e) => setConversationId(e.target.value)}
+            />
+            <datalist id="composer-conversations">
+              {conversationIds.map((cid) => (
+                <option key={cid} value={cid} />
+              ))}
+            </datalist>
+          </label>
+          <label>
+            Max loops
+            <input
+              type="number"
+              min={1}
+              max={10}
+              value={maxLoops}
+              disabled={disabled}
+              onChange={(e) => setMaxLoops(Math.max(1, Number(e.target.value) || 1))}
+            />
+          </label>
+          <label title="Steps of these capabilities wait for a reviewer before they run">
+            Approve
+            <input
+              className="composer__approval"
+              list="composer-capabilities"
+              placeholder="capabilities"
+              value={approval}
+              disabled={disabled}
+              onChange={(e) => setApproval(e.target.value)}
+            />
+            <datalist id="composer-capabilities">
+              {(capabilities || []).map((c) => (
+                <option key={c} value={c} />
+              ))}
+            </datalist>
+          </label>
+          <button
+            type="button"
+            className={`composer__planToggle ${panel === "plan" ? "composer__planToggle--open" : ""}`}
+            onClick={() => togglePanel("plan")}
+            title="Author the plan instead of letting the coordinator decompose the task"
+          >
+            {panel === "plan" ? "Hide plan editor" : "Plan editor"}
+          </button>
+          <button
+            type="button"
+            className={`composer__planToggle ${panel === "compare" ? "composer__planToggle--open" : ""}`}
+            onClick={() => togglePanel("compare")}
+            title="Run the task on several agents or loop budgets side by side"
+          >
+            {panel === "compare" ? "Hide comparison" : "Compare"}
+          </button>
+          <button type="submit" disabled={!canSend} title="Ctrl+Enter">
+            {sending ? "Sending…" : "Run task"}
+          </button>
+        </div>
+        {error ? <div className="composer__error">{error}</div> : null}
+      </form>
+      {/* Outside the form: its buttons and inputs must not submit the task */}
+      {panel === "plan" ? (
+        <PlanEditor
+          plan={plan}
+          onChange={setPlan}
+          capabilities={capabilities}
+          disabled={disabled}
+          sending={sending}
+          onRun={(taskPlan) => send(null, taskPlan)}
+        />
+      ) : null}
+      {panel === "compare" ? (
+        <CompareSetup
+          task={task}
+          drafts={variants}
+          onChange={setVariants}
+          capabilities={capabilities}
+          agents={agents}
+          disabled={disabled}
+          sending={sending}
+          onRun={compare}
+        />
+      ) : null}
+    </>
+  );
+}
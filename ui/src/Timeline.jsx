@@ -0,0 +1,212 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { downloadText } from "./sessionFile.js";
+import { stepStatusColor } from "./stepStatus.js";
+import { tickStep, timelineLayout } from "./timeline.js";
+
+const LABEL_W = 150; // lane names
+const AXIS_H = 24;
+const ROW_H = 24;
+const BAR_H = 14;
+const PAD = 12;
+
+function formatOffset(ms) {
+  return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(ms < 10000 ? 1 : 0)} s`;
+}
+
+// Renders the SVG onto a canvas and downloads it as PNG
+function downloadPng(svg, filename) {
+  const { width, height } = svg.getBoundingClientRect();
+  const url = URL.createObjectURL(new Blob([new XMLSerializer().serializeToString(svg)], { type: "image/svg+xml" }));
+  const img = new Image();
+  img.onload = () => {
+    const scale = window.devicePixelRatio || 1;
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.ceil(width * scale);
+    canvas.height = Math.ceil(height * scale);
+    const ctx = canvas.getContext("2d");
+    ctx.scale(scale, scale);
+    ctx.drawImage(img, 0, 0, width, height);
+    URL.revokeObjectURL(url);
+    canvas.toBlob((blob) => {
+      if (!blob) return;
+      const a = document.createElement("a");
+      a.href = URL.createObjectURL(blob);
+      a.download = filename;
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      setTimeout(() => URL.revokeObjectURL(a.href), 0);
+    }, "image/png");
+  };
+  img.src = url;
+}
+
+/* Gantt view of a conversation: one bar per step run, grouped by agent, with dependency arrows */
+export default function Timeline({ conversationId, conv, live, selectedStepId, onSelectStep, headerExtra }) {
+  const scrollRef = useRef(null);
+  const svgRef = useRef(null);
+  const [width, setWidth] = useState(800);
+  const [now, setNow] = useState(() => Date.now());
+
+  // Running bars grow while the conversation is live
+  const running = live && !conv.finished && !conv.cancelled;
+  useEffect(() => {
+    if (!running) return;
+    const t = setInterval(() => setNow(Date.now()), 500);
+    return () => clearInterval(t);
+  }, [running]);
+
+  useEffect(() => {
+    const node = scrollRef.current;
+    if (!node || typeof ResizeObserver === "undefined") return;
+    const ro = new ResizeObserver(() => setWidth(Math.max(400, node.clientWidth)));
+    ro.observe(node);
+    return () => ro.disconnect();
+  }, []);
+
+  const layout = useMemo(() => timelineLayout(conv, running ? now : null), [conv, running, now]);
+
+  const laneTops = [];
+  let y = AXIS_H;
+  for (const lane of layout.lanes) {
+    laneTops.push(y);
+    y += lane.rows * ROW_H;
+  }
+  const height = y + PAD;
+
+  const span = Math.max(1, layout.end - layout.start);
+  const plotW = width - LABEL_W - PAD;
+  const xOf = (t) => LABEL_W + ((t - layout.start) / span) * plotW;
+  const yOf = (bar) => laneTops[bar.lane] + bar.row * ROW_H + (ROW_H - BAR_H) / 2;
+  const barByKey = new Map(layout.bars.map((b) => [b.key, b]));
+
+  const step = tickStep(span);
+  const ticks = [];
+  for (let t = 0; t <= span; t += step) ticks.push(t);
+
+  const fileBase = `timeline-${conversationId}`;
+
+  return (
+    <div className="graphContainer">
+      <div className="graphHeader">
+        <span className="mono">Conversation:</span> <span className="mono">{conversationId}</span>
+        {headerExtra}
+        <span className="graphHeader__actions">
+          <button
+            disabled={!layout.bars.length}
+            title="Download the timeline as PNG"
+            onClick={() => svgRef.current && downloadPng(svgRef.current, `${fileBase}.png`)}
+          >
+            PNG
+          </button>
+          <button
+            disabled={!layout.bars.length}
+            title="Download the timeline as SVG"
+            onClick={() =>
+              svgRef.current &&
+              downloadText(`${fileBase}.svg`, new XMLSerializer().serializeToString(svgRef.current), "image/svg+xml")
+            }
+          >
+            SVG
+          </button>
+        </span>
+      </div>
+      <div ref={scrollRef} className="graphCanvasScroll timeline">
+        {!layout.bars.length ? (
+          <div className="muted">No step has been dispatched yet.</div>
+        ) : (
+          // Styles are attributes, not CSS classes, so exported images look the same
+          <svg
+            ref={svgRef}
+            xmlns="http://www.w3.org/2000/svg"
+            width={width}
+            height={height}
+            fontFamily="monospace"
+            fontSize="11"
+          >
+            <defs>
+              <marker id="timelineArrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="6" markerHeight="6" orient="auto">
+                <path d="M0,0 L10,5 L0,10 z" fill="#9ca3af" />
+              </marker>
+            </defs>
+            <rect x="0" y="0" width={width} height={height} fill="#0b1220" />
+
+            {ticks.map((t) => (
+              <g key={t}>
+                <line x1={xOf(layout.start + t)} x2={xOf(layout.start + t)} y1={AXIS_H - 4} y2={height - PAD} stroke="#1f2937" />
+                <text x={xOf(layout.start + t) + 2} y={AXIS_H - 8} fill="#9ca3af">
+                  {formatOffset(t)}
+                </text>
+              </g>
+            ))}
+
+            {layout.lanes.map((lane, i) => (
+              <g key={lane.name}>
+                <line x1="0" x2={width} y1={laneTops[i]} y2={laneTops[i]} stroke="#1f2937" />
+                <text x="6" y={laneTops[i] + ROW_H / 2 + 4} fill="#e5e7eb">
+                  {lane.name.length > 20 ? `${lane.name.slice(0, 19)}…` : lane.name}
+                </text>
+              </g>
+            ))}
+
+            {layout.bars.map((bar) => {
+              const x = xOf(bar.start);
+              const w = Math.max(3, xOf(bar.end) - x);
+              const by = yOf(bar);
+              // Time between dispatch and the agent starting is drawn as a faded prefix
+              const queuedW = bar.startedAt != null ? Math.min(w, Math.max(0, xOf(bar.startedAt) - x)) : bar.running ? w : 0;
+              const color = stepStatusColor(bar.status);
+              const selected = bar.stepId === selectedStepId;
+              return (
+                <g key={bar.key} style={{ cursor: "pointer" }} onClick={() => onSelectStep(bar.stepId)}>
+                  <title>
+                    {`${bar.stepId}${bar.refinement ? " (refinement)" : ""} · ${bar.status} · ${formatOffset(bar.end - bar.start)}`}
+                  </title>
+                  <rect x={x} y={by} width={w} height={BAR_H} rx="3" fill={color} opacity={bar.failed && !selected ? 0.6 : 1} />
+                  {queuedW > 0 ? <rect x={x} y={by} width={queuedW} height={BAR_H} rx="3" fill="#0b1220" opacity="0.55" /> : null}
+                  {selected || bar.refinement ? (
+                    <rect
+                      x={x}
+                      y={by}
+                      width={w}
+                      height={BAR_H}
+                      rx="3"
+                      fill="none"
+                      stroke={selected ? "#f9fafb" : "#60a5fa"}
+                      strokeWidth={selected ? 2 : 1}
+                      strokeDasharray={selected ? "" : "3 2"}
+                    />
+                  ) : null}
+                  <text x={x + w + 4} y={by + BAR_H - 3} fill="#e5e7eb">
+                    {bar.stepId}
+                  </text>
+                </g>
+              );
+            })}
+
+            {layout.deps.map(({ from, to }) => {
+              const a = barByKey.get(from);
+              const b = barByKey.get(to);
+              const x1 = xOf(a.end);
+              const y1 = yOf(a) + BAR_H / 2;
+              const x2 = xOf(b.start);
+              const y2 = yOf(b) + BAR_H / 2;
+              const mid = Math.max(x1 + 8, (x1 + x2) / 2);
+              return (
+                <path
+                  key={`${from}>${to}`}
+                  d={`M${x1},${y1} C${mid},${y1} ${mid},${y2} ${x2},${y2}`}
+                  fill="none"
+                  stroke="#9ca3af"
+                  strokeWidth="1"
+                  opacity="0.7"
+                  markerEnd="url(#timelineArrow)"
+                />
+              );
+            })}
+          </svg>
+        )}
+      </div>
+    </div>
+  );
+}
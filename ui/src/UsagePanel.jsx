@@ -0,0 +1,151 @@
+import { useEffect, useMemo, useState } from "react";
+import { DEFAULT_PRICES, USAGE_GROUPS, collectUsage, loadPrices, savePrices, usageTotals } from "./usage.js";
+
+function tokens(n) {
+  return n >= 10000 ? `${(n / 1000).toFixed(1)}k` : String(n);
+}
+
+function usd(v) {
+  return v < 0.01 && v > 0 ? `$${v.toFixed(4)}` : `$${v.toFixed(2)}`;
+}
+
+/* Prices per provider in USD per million tokens; saved in the browser */
+function PriceTable({ prices, providers, onChange }) {
+  const [added, setAdded] = useState("");
+  const names = Array.from(new Set([...Object.keys(prices), ...providers])).sort();
+
+  const setPrice = (name, field, value) => {
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < 0) return;
+    onChange({ ...prices, [name]: { ...(prices[name] || { prompt: 0, completion: 0 }), [field]: n } });
+  };
+
+  return (
+    <details className="usage__prices">
+      <summary>Prices (USD per 1M tokens)</summary>
+      <table>
+        <thead>
+          <tr>
+            <th>Provider</th>
+            <th>Prompt</th>
+            <th>Completion</th>
+          </tr>
+        </thead>
+        <tbody>
+          {names.map((name) => (
+            <tr key={name}>
+              <td className="mono">{name}</td>
+              {["prompt", "completion"].map((field) => (
+                <td key={field}>
+                  <input
+                    type="number"
+                    min="0"
+                    step="any"
+                    placeholder="-"
+                    value={prices[name] ? prices[name][field] : ""}
+                    onChange={(e) => setPrice(name, field, e.target.value)}
+                  />
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="usage__priceActions">
+        <input placeholder="provider" value={added} onChange={(e) => setAdded(e.target.value.trim())} />
+        <button
+          disabled={!added || !!prices[added]}
+          onClick={() => {
+            onChange({ ...prices, [added]: { prompt: 0, completion: 0 } });
+            setAdded("");
+          }}
+        >
+          Add
+        </button>
+        <button onClick={() => onChange({ ...DEFAULT_PRICES })}>Reset</button>
+      </div>
+    </details>
+  );
+}
+
+/* Prompt and completion tokens and their cost per conversation, agent or provider */
+export default function UsagePanel({ model, headerExtra }) {
+  const [groupBy, setGroupBy] = useState("conversation");
+  const [prices, setPrices] = useState(loadPrices);
+  useEffect(() => savePrices(prices), [prices]);
+
+  const runs = useMemo(() => collectUsage(model), [model]);
+  const rows = useMemo(() => usageTotals(runs, prices, groupBy), [runs, prices, groupBy]);
+  const total = useMemo(() => usageTotals(runs, prices, "all")[0], [runs, prices]);
+  const providers = useMemo(() => Array.from(new Set(runs.map((r) => r.provider))), [runs]);
+
+  return (
+    <div className="graphContainer">
+      <div className="graphHeader">
+        <span className="mono">Usage:</span> <span className="mono">all conversations</span>
+        {headerExtra}
+        <span className="graphHeader__actions">
+          <label>
+            by{" "}
+            <select value={groupBy} onChange={(e) => setGroupBy(e.target.value)}>
+              {USAGE_GROUPS.map((g) => (
+                <option key={g} value={g}>
+                  {g}
+                </option>
+              ))}
+            </select>
+          </label>
+        </span>
+      </div>
+      <div className="graphCanvasScroll usage">
+        {total ? (
+          <div className="usage__total">
+            <span className="mono">{tokens(total.promptTokens)}</span> prompt ·{" "}
+            <span className="mono">{tokens(total.completionTokens)}</span> completion tokens over {total.runs} runs ·{" "}
+            <span className="mono">{usd(total.cost)}</span>
+            {total.estimated ? (
+              <span className="pill" title="Some providers did not report usage; their counts are estimated from text length">
+                estimated
+              </span>
+            ) : null}
+          </div>
+        ) : null}
+        {!rows.length ? (
+          <div className="muted">No completed agent runs with token counts yet.</div>
+        ) : (
+          <table>
+            <thead>
+              <tr>
+                <th>{groupBy}</th>
+                <th>Runs</th>
+                <th>Prompt</th>
+                <th>Completion</th>
+                <th>Total</th>
+                <th>Cost</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((r) => (
+                <tr key={r.key}>
+                  <td className="mono">{r.key}</td>
+                  <td className="mono">{r.runs}</td>
+                  <td className="mono">{tokens(r.promptTokens)}</td>
+                  <td className="mono">{tokens(r.completionTokens)}</td>
+                  <td className="mono">
+                    {tokens(r.promptTokens + r.completionTokens)}
+                    {r.estimated ? <span className="muted" title="Includes estimated counts"> ~</span> : null}
+                  </td>
+                  <td className="mono" title={r.unpriced ? "Some runs use a provider without a price" : ""}>
+                    {usd(r.cost)}
+                    {r.unpriced ? <span className="muted"> +?</span> : null}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        <PriceTable prices={prices} providers={providers} onChange={setPrices} />
+      </div>
+    </div>
+  );
+}
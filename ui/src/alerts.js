@@ -0,0 +1,207 @@
+// Alert rules evaluated against the live event model (eventModel.js), and the alerts they raise for
+// the notification centre. Rules and the delivery settings are kept in the browser's local storage.
+
+import { collectRuns } from "./metrics.js";
+
+const STORAGE_KEY = "alertRules";
+const MAX_ALERTS = 200; // notification centre entries, newest kept
+
+// kind -> label and the parameters a new rule starts with (agent "" = any agent)
+export const ALERT_KINDS = {
+  stuckStep: { label: "Step running too long", defaults: { seconds: 120 } },
+  error: { label: "Error event", defaults: { agent: "" } },
+  finished: { label: "Conversation finished", defaults: {} },
+  failureRate: { label: "Agent failure rate", defaults: { agent: "", threshold: 50, minRuns: 5, minutes: 15 } },
+};
+
+export const newRule = (kind) => ({
+  id: `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+  kind,
+  enabled: true,
+  ...ALERT_KINDS[kind].defaults,
+});
+
+const DEFAULT_SETTINGS = { rules: [], desktop: false, sound: false };
+
+export function loadAlertSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (saved && Array.isArray(saved.rules)) {
+      return { ...DEFAULT_SETTINGS, ...saved, rules: saved.rules.filter((r) => ALERT_KINDS[r.kind]) };
+    }
+  } catch {
+    // missing or unreadable; start without rules
+  }
+  return { ...DEFAULT_SETTINGS };
+}
+
+export function saveAlertSettings(settings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch {
+    // storage unavailable; the rules last for this page only
+  }
+}
+
+const eventTime = (entry) => (typeof entry.ev.ts === "number" ? entry.ev.ts : entry.at);
+
+// Only runs dispatched since `since`: stored conversations opened from the history are not live
+function stuckSteps(model, rule, now, since) {
+  const matches = [];
+  const limitMs = Number(rule.seconds) * 1000;
+  for (const [cid, conv] of model.conversations) {
+    if (conv.cancelled) continue;
+    for (const [stepId, step] of conv.steps) {
+      const run = step.runs && step.runs[step.runs.length - 1];
+      if (step.status !== "dispatched" || !run || run.finishedAt != null || run.dispatchedAt < since) continue;
+      const runningMs = now - run.dispatchedAt;
+      if (runningMs < limitMs) continue;
+      matches.push({
+        key: `${rule.id}:${cid}:${stepId}:${run.messageId}`,
+        conversationId: cid,
+        stepId,
+        message: `${stepId} (${step.capability || "step"}) of ${cid} has run ${Math.round(runningMs / 1000)} s without completing`,
+      });
+    }
+  }
+  return matches;
+}
+
+function errorEvents(model, rule, since) {
+  const matches = [];
+  for (const [cid, conv] of model.conversations) {
+    for (const entry of conv.log) {
+      const { ev } = entry;
+      if (ev.type !== "error" || eventTime(entry) < since) continue;
+      if (rule.agent && ev.agent !== rule.agent) continue;
+      matches.push({
+        key: `${rule.id}:${cid}:${entry.n}`,
+        conversationId: cid,
+        stepId: ev.stepId || null,
+        message: `Error in ${cid}${ev.agent ? ` from ${ev.agent}` : ""}: ${ev.message}`,
+      });
+    }
+  }
+  return matches;
+}
+
+function finishedConversations(model, rule, since) {
+  const matches = [];
+  for (const [cid, conv] of model.conversations) {
+    if (!conv.finished) continue;
+    const entry = conv.log.find((e) => e.ev.type === "aggregate");
+    if (!entry || eventTime(entry) < since) continue;
+    matches.push({ key: `${rule.id}:${cid}`, conversationId: cid, stepId: null, message: `${cid} finished` });
+  }
+  return matches;
+}
+
+function failingAgents(model, rule, now) {
+  const from = now - Number(rule.minutes) * 60 * 1000;
+  const byAgent = new Map(); // agent -> { runs, failed }
+  for (const run of collectRuns(model)) {
+    if (run.startedAt < from || (run.finishedAt == null && !run.failed)) continue;
+    if (rule.agent && run.agent !== rule.agent) continue;
+    const stats = byAgent.get(run.agent) || { runs: 0, failed: 0 };
+    stats.runs += 1;
+    if (run.failed) stats.failed += 1;
+    byAgent.set(run.agent, stats);
+  }
+  const matches = [];
+  for (const [agent, { runs, failed }] of byAgent) {
+    const rate = (failed / runs) * 100;
+    if (runs < Number(rule.minRuns) || rate <= Number(rule.threshold)) continue;
+    matches.push({
+      key: `${rule.id}:${agent}`,
+      conversationId: null,
+      stepId: null,
+      message: `${agent}: ${failed} of ${runs} runs failed in the last ${rule.minutes} min (${Math.round(rate)}%)`,
+    });
+  }
+  return matches;
+}
+
+/**
+ * Conditions the enabled rules match in the model now: [{ key, ruleId, kind, message, conversationId, stepId }].
+ * A key stays the same while its condition holds, so callers raise an alert when a key first appears.
+ * Events published before `since` (epoch millis; replayed history, loaded files) raise nothing.
+ */
+export function evaluateAlerts(model, rules, { now = Date.now(), since = 0 } = {}) {
+  const matches = [];
+  for (const rule of rules) {
+    if (!rule.enabled) continue;
+    const found =
+      rule.kind === "stuckStep"
+        ? stuckSteps(model, rule, now, since)
+        : rule.kind === "error"
+          ? errorEvents(model, rule, since)
+          : rule.kind === "finished"
+            ? finishedConversations(model, rule, since)
+            : rule.kind === "failureRate"
+              ? failingAgents(model, rule, now)
+              : [];
+    for (const m of found) matches.push({ ...m, ruleId: rule.id, kind: rule.kind });
+  }
+  return matches;
+}
+
+export const emptyAlerts = () => ({ items: [] }); // items: [{ ...match, at, read }] newest first
+
+export function alertsReducer(state, action) {
+  switch (action.type) {
+    case "raise": {
+      const raised = action.matches.map((m) => ({ ...m, at: action.at, read: false })).reverse();
+      return { items: [...raised, ...state.items].slice(0, MAX_ALERTS) };
+    }
+    case "read":
+      return { items: state.items.map((a) => (a.key === action.key ? { ...a, read: true } : a)) };
+    case "readAll":
+      return { items: state.items.map((a) => (a.read ? a : { ...a, read: true })) };
+    case "clear":
+      return emptyAlerts();
+    default:
+      return state;
+  }
+}
+
+// -------- Delivery --------
+
+// Asks for permission to show desktop notifications; resolves to whether they may be shown
+export async function enableDesktopNotifications() {
+  if (typeof Notification === "undefined") return false;
+  if (Notification.permission === "granted") return true;
+  if (Notification.permission === "denied") return false;
+  return (await Notification.requestPermission()) === "granted";
+}
+
+export function showDesktopNotifications(alerts) {
+  if (typeof Notification === "undefined" || Notification.permission !== "granted") return;
+  for (const a of alerts) {
+    try {
+      new Notification(ALERT_KINDS[a.kind].label, { body: a.message, tag: a.key });
+    } catch {
+      // some browsers only allow notifications from a service worker
+    }
+  }
+}
+
+// Short two-tone chime, synthesized so no audio file is needed
+export function playChime() {
+  try {
+    const ctx = new AudioContext();
+    const gain = ctx.createGain();
+    gain.connect(ctx.destination);
+    gain.gain.setValueAtTime(0.15, ctx.currentTime);
+    gain.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + 0.5);
+    [880, 660].forEach((freq, i) => {
+      const osc = ctx.createOscillator();
+      osc.frequency.value = freq;
+      osc.connect(gain);
+      osc.start(ctx.currentTime + i * 0.15);
+      osc.stop(ctx.currentTime + 0.5);
+    });
+    setTimeout(() => ctx.close(), 800);
+  } catch {
+    // audio unavailable (or blocked until the page was interacted with)
+  }
+}
@@ -0,0 +1,70 @@
+// HTTP calls to the backend (TelemetryRoutes), next to the /ws telemetry feed.
+
+import { telemetryUrl } from "./telemetry.js";
+
+// Base URL for REST calls: VITE_TELEMETRY_HTTP, or the origin of the telemetry socket
+export function apiUrl(path) {
+  let base = import.meta.env.VITE_TELEMETRY_HTTP;
+  if (!base) {
+    const ws = new URL(telemetryUrl());
+    base = `${ws.protocol === "wss:" ? "https:" : "http:"}//${ws.host}`;
+  }
+  return base.replace(/\/+$/, "") + path;
+}
+
+// Body of a JSON response; errors carry the backend's {"error":...} message
+async function readJson(res) {
+  let data = null;
+  try {
+    data = await res.json();
+  } catch {
+    // non-JSON body; reported through the status below
+  }
+  if (!res.ok) throw new Error((data && data.error) || `HTTP ${res.status}`);
+  return data;
+}
+
+async function postJson(path, body) {
+  const res = await fetch(apiUrl(path), {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  return readJson(res);
+}
+
+const getJson = async (path) => readJson(await fetch(apiUrl(path)));
+
+// Starts a task on the Coordinator, running `plan` (a TaskPlan) instead of its own
+// decomposition when given; `routes` ({ capability: capability }) sends a capability's steps to
+// another agent; `requireApproval` lists capabilities whose steps wait for a reviewer.
+// Resolves to { conversationId, maxLoops }
+export function submitTask({ task, conversationId, maxLoops, plan, routes, requireApproval }) {
+  const body = { task, maxLoops };
+  if (conversationId) body.conversationId = conversationId;
+  if (plan) body.plan = plan;
+  if (routes && Object.keys(routes).length) body.routes = routes;
+  if (requireApproval && requireApproval.length) body.requireApproval = requireApproval;
+  return postJson("/tasks", body);
+}
+
+const query = (params) => {
+  const q = new URLSearchParams();
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null && value !== "") q.set(key, String(value));
+  }
+  const text = q.toString();
+  return text ? `?${text}` : "";
+};
+
+// Stored conversations (EventStore), newest first; from / to are epoch millis.
+// Resolves to { total, offset, limit, conversations: [{ id, startedAt, lastEventAt, status, events }] }
+export function fetchHistory({ status, from, to, offset, limit }) {
+  return getJson(`/history/conversations${query({ status, from, to, offset, limit })}`);
+}
+
+// One page of a stored conversation's event frames.
+// Resolves to { conversationId, total, offset, limit, nextOffset, events: [frame] }
+export function fetchHistoryEvents(conversationId, offset = 0, limit) {
+  return getJson(`/history/conversations/${encodeURIComponent(conversationId)}/events${query({ offset, limit })}`);
+}
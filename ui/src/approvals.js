@@ -0,0 +1,37 @@
+// Steps held for a reviewer (approvalRequested) across conversations, oldest request first.
+//
+//   entry = { conversationId, stepId, capability, instruction, requestedAt }
+
+export function pendingApprovals(model) {
+  const entries = [];
+  for (const [conversationId, conv] of model.conversations) {
+    for (const [stepId, step] of conv.steps) {
+      if (step.status !== "awaiting") continue;
+      entries.push({
+        conversationId,
+        stepId,
+        capability: step.capability,
+        instruction: step.instruction,
+        requestedAt: step.approval ? step.approval.requestedAt : null,
+      });
+    }
+  }
+  return entries.sort((a, b) => (a.requestedAt ?? 0) - (b.requestedAt ?? 0));
+}
+
+// What a reviewer decided, as shown next to a step that had to be approved
+export function approvalLabel(approval) {
+  if (!approval) return null;
+  switch (approval.decision) {
+    case "approved":
+      return "approved";
+    case "edited":
+      return "approved with an edited instruction";
+    case "rejected":
+      return approval.text ? `rejected: ${approval.text}` : "rejected";
+    case "answered":
+      return "answered by the reviewer";
+    default:
+      return "waiting for approval";
+  }
+}
@@ -0,0 +1,155 @@
+// Provider comparisons: one task started as several conversations ("variants") that differ in their
+// capability routes (which agent runs a capability's steps, see POST /tasks `routes`) and loop budget,
+// shown side by side with the operator's vote and notes, kept across reloads.
+//
+//   comparison = { id, task, createdAt, variants: [variant], winner: label | null, notes: { label: text } }
+//   variant = { label, conversationId, routes: { capability: capability }, maxLoops }
+
+import { DEFAULT_PREFS, durationOf, summarizeConversation } from "./conversations.js";
+
+const STORAGE_KEY = "comparisons";
+// Oldest comparisons are dropped beyond this
+const MAX_SAVED = 20;
+
+export function loadComparisons() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || "null");
+    if (Array.isArray(saved)) return saved;
+  } catch {
+    // corrupt or unavailable storage
+  }
+  return [];
+}
+
+export function saveComparisons(comparisons) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(comparisons));
+  } catch {
+    // storage unavailable; comparisons last for this page only
+  }
+}
+
+export const addComparison = (comparisons, comparison) => [comparison, ...comparisons].slice(0, MAX_SAVED);
+export const removeComparison = (comparisons, id) => comparisons.filter((c) => c.id !== id);
+const update = (comparisons, id, fn) => comparisons.map((c) => (c.id === id ? fn(c) : c));
+// Voting for the current winner again withdraws the vote
+export const voteWinner = (comparisons, id, label) =>
+  update(comparisons, id, (c) => ({ ...c, winner: c.winner === label ? null : label }));
+export const annotate = (comparisons, id, label, text) =>
+  update(comparisons, id, (c) => ({ ...c, notes: { ...c.notes, [label]: text } }));
+
+// Draft of a variant in the setup form; routes as rows so half-filled ones can be edited
+export const emptyVariant = (n) => ({ label: `variant-${n}`, routes: [{ from: "", to: "" }], maxLoops: 1 });
+
+const slug = (text) =>
+  text
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+// Problems that keep the comparison from starting
+export function draftProblems(task, drafts) {
+  const problems = [];
+  if (!task.trim()) problems.push("Describe the task first");
+  if (drafts.length < 2) problems.push("Compare at least two variants");
+  const labels = drafts.map((d) => slug(d.label));
+  if (labels.some((l) => !l)) problems.push("Every variant needs a label");
+  if (new Set(labels).size !== labels.length) problems.push("Variant labels must differ");
+  for (const d of drafts) {
+    const froms = d.routes.filter((r) => r.from).map((r) => r.from);
+    if (d.routes.some((r) => !r.from !== !r.to)) problems.push(`${d.label}: complete or remove half-filled routes`);
+    if (new Set(froms).size !== froms.length) problems.push(`${d.label}: a capability is routed twice`);
+  }
+  return problems;
+}
+
+// A comparison ready to submit: one conversation per variant, named after the comparison and label
+export function createComparison(task, drafts, now = Date.now()) {
+  const id = `cmp-${now.toString(36)}`;
+  return {
+    id,
+    task: task.trim(),
+    createdAt: now,
+    variants: drafts.map((d) => ({
+      label: slug(d.label),
+      conversationId: `${id}-${slug(d.label)}`,
+      routes: Object.fromEntries(d.routes.filter((r) => r.from && r.to).map((r) => [r.from, r.to])),
+      maxLoops: d.maxLoops,
+    })),
+    winner: null,
+    notes: {},
+  };
+}
+
+// The coordinator's aggregated answer: its last reply once the conversation finished
+function finalAnswer(conv) {
+  if (!conv.finished) return null;
+  for (let i = conv.chat.length - 1; i >= 0; i--) {
+    const m = conv.chat[i];
+    if (m.role === "assistant" && m.agent === "coordinator") return m.text;
+  }
+  return null;
+}
+
+/**
+ * What a variant's conversation produced so far:
+ * { status, durationMs, answer, answerLength, done, steps, meanStepMs, tokens, providers, agents }
+ * or null while none of its events arrived.
+ */
+export function variantMetrics(conversationId, conv, now = Date.now()) {
+  if (!conv) return null;
+  const summary = summarizeConversation(conversationId, conv, null, DEFAULT_PREFS);
+  const answer = finalAnswer(conv);
+  let answerLength = answer != null ? answer.length : null;
+  // Older recordings may lack the chat bubble; the aggregate event still has the length
+  if (answerLength == null) {
+    const aggregate = conv.log.findLast(({ ev }) => ev.type === "aggregate");
+    if (aggregate) answerLength = aggregate.ev.textLength ?? null;
+  }
+
+  let tokens = 0;
+  let stepMs = 0;
+  let timedRuns = 0;
+  const providers = new Set();
+  const agents = new Set();
+  for (const s of conv.steps.values()) {
+    for (const r of s.runs || []) {
+      tokens += (r.promptTokens || 0) + (r.completionTokens || 0);
+      if (r.provider) providers.add(r.provider);
+      if (r.agent) agents.add(r.agent);
+      if (r.finishedAt && r.dispatchedAt) {
+        stepMs += r.finishedAt - r.dispatchedAt;
+        timedRuns += 1;
+      }
+    }
+  }
+
+  return {
+    status: summary.status,
+    durationMs: durationOf(summary, now),
+    answer,
+    answerLength,
+    done: summary.done,
+    steps: summary.steps,
+    meanStepMs: timedRuns ? Math.round(stepMs / timedRuns) : null,
+    tokens,
+    providers: Array.from(providers).sort(),
+    agents: Array.from(agents).sort(),
+  };
+}
+
+// JSON export of a comparison with what each variant produced
+export function exportComparison(comparison, model, now = Date.now()) {
+  return {
+    id: comparison.id,
+    task: comparison.task,
+    createdAt: new Date(comparison.createdAt).toISOString(),
+    winner: comparison.winner,
+    variants: comparison.variants.map((v) => ({
+      ...v,
+      notes: comparison.notes[v.label] || "",
+      result: variantMetrics(v.conversationId, model.conversations.get(v.conversationId), now),
+    })),
+  };
+}
@@ -0,0 +1,150 @@
+// Conversation navigator: a summary per conversation (derived status, timing, step progress,
+// agents) plus the operator's names, pins, closed and archived conversations, kept across reloads.
+//
+//   status: "planning"  started, no plan received yet
+//           "running"   steps dispatched, no final answer yet
+//           "completed" the coordinator sent its aggregated answer
+//           "failed"    a step failed and the conversation did not finish
+//           "cancelled" an operator cancelled it
+
+const STORAGE_KEY = "conversationPrefs";
+
+// names: id -> name; pinned / archived: ids; closed: id -> lastEventAt when closed
+export const DEFAULT_PREFS = { names: {}, pinned: [], archived: [], closed: {} };
+
+export const STATUS_FILTERS = ["all", "active", "completed", "failed", "archived"];
+export const SORTS = ["recent", "oldest", "name", "status", "duration"];
+
+export function loadConversationPrefs() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || "null");
+    if (saved && typeof saved === "object") return { ...DEFAULT_PREFS, ...saved };
+  } catch {
+    // corrupt or unavailable storage
+  }
+  return DEFAULT_PREFS;
+}
+
+export function saveConversationPrefs(prefs) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(prefs));
+  } catch {
+    // storage unavailable
+  }
+}
+
+const toggle = (list, id) => (list.includes(id) ? list.filter((x) => x !== id) : [...list, id]);
+const without = (obj, id) => Object.fromEntries(Object.entries(obj).filter(([k]) => k !== id));
+
+// Blank names remove the custom name
+export const renameConversation = (prefs, id, name) => {
+  const trimmed = (name || "").trim();
+  return { ...prefs, names: trimmed ? { ...prefs.names, [id]: trimmed } : without(prefs.names, id) };
+};
+export const togglePinned = (prefs, id) => ({ ...prefs, pinned: toggle(prefs.pinned, id) });
+export const toggleArchived = (prefs, id) => ({
+  ...prefs,
+  archived: toggle(prefs.archived, id),
+  pinned: prefs.pinned.filter((x) => x !== id),
+});
+// A closed conversation comes back when it receives newer events
+export const closeConversation = (prefs, id, lastEventAt) => ({
+  ...prefs,
+  closed: { ...prefs.closed, [id]: lastEventAt || 0 },
+});
+export const reopenConversation = (prefs, id) => ({ ...prefs, closed: without(prefs.closed, id) });
+
+// Index statuses (UiEventBus.ConversationSummary) in navigator terms
+export const INDEX_STATUS = { running: "running", finished: "completed", failed: "failed", cancelled: "cancelled" };
+
+function deriveStatus(conv, info) {
+  if (conv) {
+    if (conv.cancelled) return "cancelled";
+    if (conv.finished) return "completed";
+    const steps = Array.from(conv.steps.values());
+    if (steps.some((s) => s.status === "failed")) return "failed";
+    if (!steps.length) return info && info.status !== "running" ? INDEX_STATUS[info.status] : "planning";
+    return "running";
+  }
+  return info ? INDEX_STATUS[info.status] || "running" : "planning";
+}
+
+/**
+ * Summary of one conversation from its loaded events (conv) and/or its index entry (info):
+ * { id, name, status, startedAt, lastEventAt, done, steps, agents, loaded, pinned, archived, closed }
+ */
+export function summarizeConversation(id, conv, info, prefs) {
+  let startedAt = info ? info.startedAt : null;
+  let lastEventAt = info ? info.lastEventAt : null;
+  let done = 0;
+  let steps = 0;
+  const agents = new Set();
+
+  if (conv) {
+    const log = conv.log;
+    if (log.length) {
+      startedAt = Math.min(startedAt ?? Infinity, log[0].ev.ts || log[0].at);
+      lastEventAt = Math.max(lastEventAt ?? 0, log[log.length - 1].ev.ts || log[log.length - 1].at);
+    }
+    for (const s of conv.steps.values()) {
+      steps += 1;
+      if (s.status === "completed" || s.status === "skipped") done += 1;
+      for (const r of s.runs || []) if (r.agent) agents.add(r.agent);
+    }
+  }
+
+  const status = deriveStatus(conv, info);
+  return {
+    id,
+    name: prefs.names[id] || null,
+    status,
+    startedAt,
+    lastEventAt,
+    ended: status === "completed" || status === "failed" || status === "cancelled",
+    done,
+    steps,
+    agents: agents.size,
+    loaded: !!conv,
+    pinned: prefs.pinned.includes(id),
+    archived: prefs.archived.includes(id),
+    closed: id in prefs.closed && (lastEventAt || 0) <= prefs.closed[id],
+  };
+}
+
+// Milliseconds from the first to the last event, or to now while the conversation runs
+export function durationOf(summary, now) {
+  if (summary.startedAt == null) return null;
+  const end = summary.ended ? summary.lastEventAt : now;
+  return Math.max(0, (end ?? summary.startedAt) - summary.startedAt);
+}
+
+const STATUS_ORDER = { failed: 0, running: 1, planning: 2, cancelled: 3, completed: 4 };
+const label = (s) => (s.name || s.id).toLowerCase();
+
+const COMPARATORS = {
+  recent: (a, b) => (b.startedAt ?? Infinity) - (a.startedAt ?? Infinity),
+  oldest: (a, b) => (a.startedAt ?? Infinity) - (b.startedAt ?? Infinity),
+  name: (a, b) => label(a).localeCompare(label(b)),
+  status: (a, b) => STATUS_ORDER[a.status] - STATUS_ORDER[b.status],
+};
+
+/**
+ * Summaries to show: filtered by status and text (name or id), closed ones hidden, pinned first,
+ * then in the chosen order.
+ */
+export function arrangeConversations(summaries, { filter = "all", text = "", sort = "recent", now = Date.now() } = {}) {
+  const needle = text.trim().toLowerCase();
+  const visible = summaries.filter((s) => {
+    if (s.closed) return false;
+    if (filter === "archived") {
+      if (!s.archived) return false;
+    } else if (s.archived) return false;
+    if (filter === "active" && s.ended) return false;
+    if ((filter === "completed" || filter === "failed") && s.status !== filter) return false;
+    return !needle || s.id.toLowerCase().includes(needle) || (s.name || "").toLowerCase().includes(needle);
+  });
+
+  const compare =
+    sort === "duration" ? (a, b) => (durationOf(b, now) ?? -1) - (durationOf(a, now) ?? -1) : COMPARATORS[sort] || COMPARATORS.recent;
+  return visible.sort((a, b) => (b.pinned - a.pinned) || compare(a, b) || a.id.localeCompare(b.id));
+}
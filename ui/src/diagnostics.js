@@ -0,0 +1,77 @@
+// Bookkeeping of checkEvent results (eventSchema.js) for the diagnostics panel: how many frames of
+// each schema version arrived, how many had to be upgraded, and the event types and frames the
+// dashboard could not use.
+//
+//   diagnostics = { backendVersion, versions: { [v]: count }, outcomes: { [outcome]: count },
+//                   unknown: { [type]: { count, lastAt, sample } }, rejected: [rejection], rejectedTotal }
+//   rejection = { at, version, type, problems, frame }
+
+import { checkEvent, versionOf } from "./eventSchema.js";
+
+// Newest rejected frames kept for inspection
+const MAX_REJECTED = 50;
+
+export const emptyDiagnostics = () => ({
+  backendVersion: null, // from the socket's hello frame; null for loaded files
+  versions: {},
+  outcomes: {},
+  unknown: {},
+  rejected: [],
+  rejectedTotal: 0,
+});
+
+const bump = (counts, key) => ({ ...counts, [key]: (counts[key] || 0) + 1 });
+
+export function recordCheck(diag, result, frame, at) {
+  const next = {
+    ...diag,
+    versions: result.version != null ? bump(diag.versions, result.version) : diag.versions,
+    outcomes: bump(diag.outcomes, result.outcome),
+  };
+  if (result.outcome === "unknown") {
+    const prev = diag.unknown[result.type];
+    next.unknown = { ...diag.unknown, [result.type]: { count: (prev ? prev.count : 0) + 1, lastAt: at, sample: frame } };
+  } else if (result.outcome === "rejected") {
+    const entry = { at, version: result.version, type: result.type, problems: result.problems, frame };
+    next.rejected = [entry, ...diag.rejected].slice(0, MAX_REJECTED);
+    next.rejectedTotal = diag.rejectedTotal + 1;
+  }
+  return next;
+}
+
+// Hello frames without "v" come from backends that predate the schema
+export const recordHello = (diag, hello) => ({ ...diag, backendVersion: versionOf(hello) });
+
+// Checks recorded [{ ev, at }] (a session file, a stored conversation): the records the model can
+// apply, in the current shape, and `diag` with the records counted in
+export function checkRecords(records, diag = emptyDiagnostics()) {
+  let diagnostics = diag;
+  const accepted = [];
+  for (const r of records) {
+    const result = checkEvent(r.ev);
+    diagnostics = recordCheck(diagnostics, result, r.ev, r.at);
+    if (result.ev) accepted.push({ ev: result.ev, at: r.at });
+  }
+  return { records: accepted, diagnostics };
+}
+
+// useReducer adapter
+export function diagnosticsReducer(diag, action) {
+  switch (action.type) {
+    case "check":
+      return recordCheck(diag, action.result, action.frame, action.at);
+    case "records":
+      return checkRecords(action.records, diag).diagnostics;
+    case "hello":
+      return recordHello(diag, action.hello);
+    case "load":
+      return action.diagnostics;
+    case "clear":
+      // Counts start over; the backend's version stays known
+      return { ...emptyDiagnostics(), backendVersion: diag.backendVersion };
+    case "reset":
+      return emptyDiagnostics();
+    default:
+      return diag;
+  }
+}
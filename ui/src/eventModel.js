@@ -0,0 +1,417 @@
+// Incremental telemetry model.
+//
+// Every UiEventBus frame is applied exactly once, in arrival order, by applyEvent, in the shape
+// of the current event schema (frames of other versions are brought to it by eventSchema.js).
+// Updates are copy-on-write: only the touched conversation / agent entries get new
+// identities, so memoized views of untouched conversations do not re-render.
+// Per-conversation collections are capped so a long-running dashboard stays responsive.
+
+export const RETENTION = {
+  runs: 20, // dispatches remembered per step (retries, refinements)
+  iterations: 20, // refinement loop passes per conversation, with their answers
+  chat: 500, // chat bubbles per conversation
+  edges: 2000, // graph edges per conversation
+  agentEvents: 200, // activity entries per agent
+  log: 5000, // raw events per conversation, used for replay
+};
+
+export function createModel() {
+  return {
+    conversations: new Map(), // id -> { steps: Map, edges: [], chat: [], log: [] }
+    agents: new Map(), // agentName -> { events: [{ at, type, ... }], total, lastStepId, lastMsgId }
+    received: 0, // events applied so far; orders log entries across conversations
+  };
+}
+
+function emptyConversation() {
+  return {
+    // stepId -> { capability, status: 'ready'|'awaiting'|'dispatched'|'completed'|'failed'|'skipped'|'cancelled',
+    //             instruction, dependencies, requiresApproval, messageId?, error?, completedAt?, runs: [run],
+    //             failures?: [failure], approval?: approval }
+    // run = { messageId, dispatchedAt, iteration, startedAt?, agent?, refinement?, finishedAt?, responseMessageId?, textLength?,
+    //         error?, errorClass?, provider?, promptTokens?, completionTokens?, tokensEstimated? }
+    // (iteration: the pass of the coordinator's refinement loop the run belongs to, from 1)
+    // failure = { attempt, maxAttempts, agent, error, errorClass, willRetry, at } as the coordinator reported it
+    // approval = { requestedAt, decision?: 'approved'|'edited'|'rejected'|'answered', text?, resolvedAt? }
+    steps: new Map(),
+    edges: [], // { from, to, label }
+    chat: [], // [{ role, text, messageId, agent, at, stepId?, streamKey?, streaming? }]
+    log: [], // [{ ev, at, n }] every event of this conversation in arrival order
+    iterations: [], // [{ iteration, maxIterations, outcome, text, at }] refinement loop passes that ended
+    cancelled: null, // reason, once an operator cancelled the conversation
+    finished: false, // the coordinator sent its aggregated answer
+  };
+}
+
+const emptyAgent = () => ({ events: [], total: 0, lastStepId: null, lastMsgId: null });
+
+// Pass of the refinement loop running now: the one after the last that ended
+export function currentIteration(conv) {
+  const ended = conv.iterations || [];
+  return ended.length ? ended[ended.length - 1].iteration + 1 : 1;
+}
+
+// Append to a copy of arr, dropping the oldest entries beyond cap
+function appendCapped(arr, items, cap) {
+  const next = arr.concat(items);
+  return next.length > cap ? next.slice(next.length - cap) : next;
+}
+
+function ensureAgents(agents, names) {
+  let next = agents;
+  for (const name of names) {
+    if (!name || next.has(name)) continue;
+    if (next === agents) next = new Map(agents);
+    next.set(name, emptyAgent());
+  }
+  return next;
+}
+
+function addAgentEvent(agents, agent, at, payload) {
+  const prev = agents.get(agent) || emptyAgent();
+  const a = {
+    events: appendCapped(prev.events, [{ at, ...payload }], RETENTION.agentEvents),
+    total: prev.total + 1,
+    lastStepId: payload.stepId || prev.lastStepId,
+    lastMsgId: payload.messageId || prev.lastMsgId,
+  };
+  const next = new Map(agents);
+  next.set(agent, a);
+  return next;
+}
+
+// Copy of chat with the newest entry matching `match` replaced by update(entry); null if none matches
+function updateLastChat(chat, match, update) {
+  for (let i = chat.length - 1; i >= 0; i--) {
+    if (match(chat[i])) {
+      const next = chat.slice();
+      next[i] = update(chat[i]);
+      return next;
+    }
+  }
+  return null;
+}
+
+// Copy of step.runs with the newest run matching `match` updated; unchanged if none matches
+function updateRun(step, match, update) {
+  const runs = (step && step.runs) || [];
+  for (let i = runs.length - 1; i >= 0; i--) {
+    if (match(runs[i])) {
+      const next = runs.slice();
+      next[i] = { ...runs[i], ...update };
+      return next;
+    }
+  }
+  return runs;
+}
+
+function withStep(conv, stepId, update) {
+  const steps = new Map(conv.steps);
+  steps.set(stepId, update(conv.steps.get(stepId)));
+  return steps;
+}
+
+// Apply a single event received at `at` (epoch millis); returns a new model
+export function applyEvent(model, ev, at) {
+  if (!ev || typeof ev !== "object") return model;
+
+  const cid = ev.conversationId || "n/a";
+  // Backend publish time when present (replayed history keeps its real timing)
+  const t = typeof ev.ts === "number" ? ev.ts : at;
+  const conv = model.conversations.get(cid) || emptyConversation();
+  let nextConv = conv;
+  let agents = model.agents;
+
+  switch (ev.type) {
+    case "plan": {
+      // ev.steps: [{id, capability, dependencies:[]}]
+      const steps = new Map(conv.steps);
+      const depEdges = [];
+      for (const s of ev.steps || []) {
+        steps.set(s.id, {
+          capability: s.capability,
+          status: "ready",
+          instruction: s.instruction || "",
+          dependencies: s.dependencies || [],
+          requiresApproval: !!s.requiresApproval,
+          runs: [],
+        });
+        // Record dependencies as edges between steps
+        for (const dep of s.dependencies || []) {
+          depEdges.push({ from: dep, to: s.id, label: "dep" });
+        }
+      }
+      nextConv = { ...conv, steps, edges: appendCapped(conv.edges, depEdges, RETENTION.edges) };
+      agents = ensureAgents(agents, (ev.steps || []).map((s) => s.capability));
+      break;
+    }
+    case "dispatch": {
+      const { stepId, capability, messageId } = ev;
+      nextConv = {
+        ...conv,
+        steps: withStep(conv, stepId, (s) => ({
+          ...(s || { status: "ready" }),
+          capability: capability || (s && s.capability),
+          status: "dispatched",
+          messageId,
+          error: undefined,
+          runs: appendCapped(
+            (s && s.runs) || [],
+            [{ messageId, dispatchedAt: t, iteration: currentIteration(conv) }],
+            RETENTION.runs
+          ),
+        })),
+        // Edge: coordinator -> capability (agent)
+        edges: appendCapped(conv.edges, [{ from: "coordinator", to: capability, label: stepId }], RETENTION.edges),
+      };
+      agents = ensureAgents(agents, [capability]);
+      break;
+    }
+    case "stepCompleted": {
+      const { stepId } = ev;
+      if (conv.steps.has(stepId)) {
+        nextConv = { ...conv, steps: withStep(conv, stepId, (s) => ({ ...s, status: "completed", completedAt: t })) };
+      }
+      break;
+    }
+    case "stepFailed": {
+      const { stepId, error } = ev;
+      nextConv = {
+        ...conv,
+        steps: withStep(conv, stepId, (s) => ({
+          ...(s || {}),
+          status: "failed",
+          error,
+          runs: updateRun(s, (r) => !r.finishedAt, { finishedAt: t, error }),
+        })),
+      };
+      break;
+    }
+    case "attemptFailed": {
+      // The coordinator's view of a failed run: attempt number and whether it dispatches the step again
+      const { stepId, agent, attempt, maxAttempts, error, errorClass, willRetry } = ev;
+      const failure = { attempt, maxAttempts, agent, error, errorClass: errorClass || null, willRetry: !!willRetry, at: t };
+      nextConv = {
+        ...conv,
+        steps: withStep(conv, stepId, (s) => ({
+          ...(s || { status: "ready", runs: [] }),
+          failures: appendCapped((s && s.failures) || [], [failure], RETENTION.runs),
+        })),
+      };
+      break;
+    }
+    case "approvalRequested": {
+      // A gated step waits for a reviewer instead of being dispatched
+      const { stepId, capability, instruction } = ev;
+      nextConv = {
+        ...conv,
+        steps: withStep(conv, stepId, (s) => ({
+          ...(s || { dependencies: [], runs: [] }),
+          capability: capability || (s && s.capability),
+          instruction: instruction ?? (s && s.instruction),
+          requiresApproval: true,
+          status: "awaiting",
+          approval: { requestedAt: t },
+        })),
+      };
+      break;
+    }
+    case "approvalResolved": {
+      // The follow-up event (dispatch, stepFailed or stepCompleted) moves the step on
+      const { stepId, decision, text } = ev;
+      if (conv.steps.has(stepId)) {
+        nextConv = {
+          ...conv,
+          steps: withStep(conv, stepId, (s) => ({
+            ...s,
+            instruction: decision === "edited" && text ? text : s.instruction,
+            approval: { ...s.approval, decision, text: text || "", resolvedAt: t },
+          })),
+        };
+      }
+      break;
+    }
+    case "stepSkipped": {
+      const { stepId } = ev;
+      nextConv = { ...conv, steps: withStep(conv, stepId, (s) => ({ ...(s || {}), status: "skipped" })) };
+      break;
+    }
+    case "cancelled": {
+      // Steps that had not finished will not report back any more
+      const steps = new Map();
+      for (const [id, s] of conv.steps) {
+        steps.set(id, s.status === "completed" || s.status === "skipped" ? s : { ...s, status: "cancelled" });
+      }
+      nextConv = {
+        ...conv,
+        steps,
+        cancelled: ev.reason || "cancelled",
+        chat: conv.chat.some((m) => m.streaming)
+          ? conv.chat.map((m) => (m.streaming ? { ...m, streaming: false, interrupted: true } : m))
+          : conv.chat,
+      };
+      break;
+    }
+    case "aggregate": {
+      // final aggregate done (no graph change)
+      nextConv = { ...conv, finished: true };
+      break;
+    }
+    case "iteration": {
+      const { iteration, maxIterations, outcome, text } = ev;
+      const pass = { iteration, maxIterations, outcome, text, at: t };
+      nextConv = { ...conv, iterations: appendCapped(conv.iterations || [], [pass], RETENTION.iterations) };
+      break;
+    }
+    case "agentStart": {
+      const { agent, stepId, messageId, refinement } = ev;
+      agents = addAgentEvent(agents, agent, at, { type: "start", stepId, messageId, refinement });
+      // agent node emits work (agent -> step)
+      nextConv = {
+        ...conv,
+        steps: conv.steps.has(stepId)
+          ? withStep(conv, stepId, (s) => ({
+              ...s,
+              runs: updateRun(s, (r) => r.messageId === messageId, { startedAt: t, agent, refinement: !!refinement }),
+            }))
+          : conv.steps,
+        edges: appendCapped(conv.edges, [{ from: agent, to: stepId, label: "start" }], RETENTION.edges),
+      };
+      break;
+    }
+    case "agentComplete": {
+      const { agent, stepId, responseMessageId, textLength } = ev;
+      agents = addAgentEvent(agents, agent, at, { type: "complete", stepId, responseMessageId, textLength });
+      // The streamed bubble of this step is final now; it takes the response id so the
+      // following chat event replaces its text instead of adding a duplicate bubble
+      const chat = updateLastChat(
+        conv.chat,
+        (m) => m.streaming && m.agent === agent && m.stepId === stepId,
+        (m) => ({ ...m, streaming: false, messageId: responseMessageId })
+      );
+      // The run this answers is the step's newest unfinished one started by this agent
+      const steps = conv.steps.has(stepId)
+        ? withStep(conv, stepId, (s) => ({
+            ...s,
+            runs: updateRun(s, (r) => !r.finishedAt && (!r.agent || r.agent === agent), {
+              finishedAt: t,
+              responseMessageId,
+              textLength,
+              // Token usage as the provider reported it, or the backend's estimate
+              provider: ev.provider || undefined,
+              promptTokens: ev.promptTokens,
+              completionTokens: ev.completionTokens,
+              tokensEstimated: !!ev.tokensEstimated,
+            }),
+          }))
+        : conv.steps;
+      // step -> coordinator (result)
+      nextConv = {
+        ...conv,
+        steps,
+        chat: chat || conv.chat,
+        edges: appendCapped(conv.edges, [{ from: stepId, to: "coordinator", label: "done" }], RETENTION.edges),
+      };
+      break;
+    }
+    case "agentDelta": {
+      // Partial output; messageId is the request id announced by agentStart
+      const { agent, stepId, messageId, delta } = ev;
+      const chat = updateLastChat(
+        conv.chat,
+        (m) => m.streamKey === messageId,
+        (m) => ({ ...m, text: m.text + (delta || "") })
+      );
+      nextConv = {
+        ...conv,
+        chat:
+          chat ||
+          appendCapped(
+            conv.chat,
+            [{ role: "assistant", messageId: null, text: delta || "", agent, stepId, streamKey: messageId, streaming: true, at }],
+            RETENTION.chat
+          ),
+      };
+      break;
+    }
+    case "chat": {
+      const { role, messageId, text, agent } = ev;
+      const entry = { role, messageId, text, agent: agent || null, at };
+      // Final text of a streamed bubble replaces it in place
+      const chat = messageId
+        ? updateLastChat(conv.chat, (m) => m.streamKey && m.messageId === messageId, (m) => ({ ...m, ...entry, at: m.at }))
+        : null;
+      nextConv = { ...conv, chat: chat || appendCapped(conv.chat, [entry], RETENTION.chat) };
+      break;
+    }
+    case "error": {
+      // agent and stepId are present when the error ends an agent's run of a step; errors of the
+      // coordinator itself are listed in the failures view, not as an agent
+      const { message, agent, stepId, errorClass } = ev;
+      if (agent) agents = addAgentEvent(agents, agent, at, { type: "error", stepId, message });
+      if (agent && stepId && conv.steps.has(stepId)) {
+        nextConv = {
+          ...nextConv,
+          steps: withStep(conv, stepId, (s) => ({
+            ...s,
+            runs: updateRun(s, (r) => !r.finishedAt && (!r.agent || r.agent === agent), {
+              finishedAt: t,
+              error: message,
+              errorClass: errorClass || undefined,
+            }),
+          })),
+        };
+      }
+      // A failed step never sends agentComplete: stop showing its bubble (or all, if the step is unknown) as in progress
+      const hit = (m) => m.streaming && (!stepId || m.stepId === stepId);
+      if (conv.chat.some(hit)) {
+        nextConv = {
+          ...nextConv,
+          chat: conv.chat.map((m) => (hit(m) ? { ...m, streaming: false, interrupted: true } : m)),
+        };
+      }
+      break;
+    }
+    default:
+      break;
+  }
+
+  const n = model.received + 1;
+  nextConv = { ...nextConv, log: appendCapped(conv.log, [{ ev, at, n }], RETENTION.log) };
+
+  const conversations = new Map(model.conversations);
+  conversations.set(cid, nextConv);
+  return { conversations, agents, received: n };
+}
+
+// Rebuild a model from recorded [{ ev, at }] entries (same path as live events)
+export function buildModel(records) {
+  let model = createModel();
+  for (const r of records) model = applyEvent(model, r.ev, r.at);
+  return model;
+}
+
+// A conversation as it looked after its first `count` logged events (time travel)
+export function conversationAt(conversationId, conv, count) {
+  const past = buildModel(conv.log.slice(0, count));
+  return past.conversations.get(conversationId) || emptyConversation();
+}
+
+// useReducer adapter
+export function modelReducer(model, action) {
+  switch (action.type) {
+    case "event":
+      return applyEvent(model, action.ev, action.at);
+    case "reset":
+      return createModel();
+    case "load":
+      return buildModel(action.records);
+    case "merge":
+      // Stored conversations loaded next to the live ones; conversations the model has are kept as they are
+      return action.records
+        .filter((r) => !model.conversations.has(r.ev.conversationId || "n/a"))
+        .reduce((m, r) => applyEvent(m, r.ev, r.at), model);
+    default:
+      return model;
+  }
+}
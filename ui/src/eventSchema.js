@@ -0,0 +1,118 @@
+// Versioned schema of UiEventBus event frames, mirroring EventSchema.scala (served by GET /schema).
+//
+// Every frame carries "v", the schema version it was written with; frames without it come from
+// backends that predate the schema (version 1). checkEvent brings older frames to the current shape,
+// accepts newer ones whose known fields still fit (fields this dashboard does not know are ignored)
+// and rejects frames that lack or mistype a field the model reads, so backends of different versions
+// can feed one dashboard during a rolling upgrade.
+
+export const SCHEMA_VERSION = 2;
+export const OLDEST_VERSION = 1;
+
+// Fields of each event type as name -> JSON type; a trailing "?" marks an optional field.
+// seq, ts, v and type are part of every event frame.
+export const EVENT_FIELDS = {
+  plan: { conversationId: "string", steps: "array" },
+  dispatch: { conversationId: "string", stepId: "string", capability: "string", messageId: "string" },
+  stepCompleted: { conversationId: "string", stepId: "string" },
+  aggregate: { conversationId: "string", textLength: "number" },
+  agentStart: { conversationId: "string", agent: "string", stepId: "string", messageId: "string", refinement: "boolean" },
+  agentComplete: {
+    conversationId: "string",
+    agent: "string",
+    stepId: "string",
+    responseMessageId: "string",
+    textLength: "number",
+    provider: "string",
+    promptTokens: "number?",
+    completionTokens: "number?",
+    tokensEstimated: "boolean?",
+  },
+  agentDelta: { conversationId: "string", agent: "string", stepId: "string", messageId: "string", index: "number", delta: "string" },
+  chat: { conversationId: "string", role: "string", messageId: "string", agent: "string", text: "string" },
+  error: { conversationId: "string", message: "string", agent: "string?", stepId: "string?", errorClass: "string?" },
+  attemptFailed: {
+    conversationId: "string",
+    stepId: "string",
+    agent: "string",
+    attempt: "number",
+    maxAttempts: "number",
+    error: "string",
+    errorClass: "string",
+    willRetry: "boolean",
+  },
+  stepFailed: { conversationId: "string", stepId: "string", error: "string" },
+  stepSkipped: { conversationId: "string", stepId: "string" },
+  cancelled: { conversationId: "string", reason: "string" },
+  iteration: { conversationId: "string", iteration: "number", maxIterations: "number", outcome: "string", text: "string" },
+  approvalRequested: { conversationId: "string", stepId: "string", capability: "string", instruction: "string" },
+  approvalResolved: { conversationId: "string", stepId: "string", decision: "string", text: "string" },
+};
+
+// Event types a subscription can be narrowed to (the "type" of UiEventBus frames)
+export const EVENT_TYPES = Object.keys(EVENT_FIELDS);
+
+// Version n -> n + 1. Applied to copies; upgrading a frame already in the newer shape changes nothing.
+const UPGRADES = {
+  // The output size was sent as "length"; agentComplete had no provider on the oldest backends
+  1: (ev) => {
+    if (ev.type !== "agentComplete" && ev.type !== "aggregate") return ev;
+    const { length, ...rest } = ev;
+    const next = { ...rest, textLength: ev.textLength ?? length };
+    if (ev.type === "agentComplete" && next.provider === undefined) next.provider = "";
+    return next;
+  },
+};
+
+// Schema version a frame was written with; frames without "v" predate the schema
+export const versionOf = (frame) => (frame.v === undefined ? OLDEST_VERSION : frame.v);
+
+function kindOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value === "object" ? "object" : typeof value;
+}
+
+// Missing and mistyped fields of an event in the current shape; undeclared fields are not problems
+function fieldProblems(ev, fields) {
+  const problems = [];
+  for (const [name, kind] of Object.entries(fields)) {
+    const optional = kind.endsWith("?");
+    const expected = optional ? kind.slice(0, -1) : kind;
+    const value = ev[name];
+    if (value === undefined) {
+      if (!optional) problems.push(`${name} is missing`);
+    } else if (kindOf(value) !== expected) {
+      problems.push(`${name} must be a ${expected}, got ${kindOf(value)}`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * Checks one event frame against the schema:
+ * { outcome: 'current'|'upgraded'|'newer'|'unknown'|'rejected', version, type, ev, problems }
+ * where ev is the event in the current shape (null unless the model can apply it).
+ */
+export function checkEvent(frame) {
+  if (!frame || kindOf(frame) !== "object") {
+    return { outcome: "rejected", version: null, type: null, ev: null, problems: ["not a JSON object"] };
+  }
+  const version = versionOf(frame);
+  const type = typeof frame.type === "string" ? frame.type : null;
+  const result = (outcome, ev, problems = []) => ({ outcome, version, type, ev, problems });
+
+  if (!Number.isInteger(version) || version < OLDEST_VERSION) {
+    return { ...result("rejected", null, [`unsupported schema version ${JSON.stringify(frame.v)}`]), version: null };
+  }
+  if (!type) return result("rejected", null, ["type must be a string"]);
+
+  let ev = frame;
+  for (let v = version; v < SCHEMA_VERSION; v++) ev = UPGRADES[v](ev);
+
+  const fields = EVENT_FIELDS[type];
+  if (!fields) return result("unknown", null);
+  const problems = fieldProblems(ev, fields);
+  if (problems.length) return result("rejected", null, problems);
+  return result(version < SCHEMA_VERSION ? "upgraded" : version > SCHEMA_VERSION ? "newer" : "current", ev);
+}
@@ -0,0 +1,112 @@
+// Failures across conversations for the failures view: one entry per step that failed at least once,
+// with its attempts (retry history) and how it ended, plus coordinator errors outside any step.
+//
+//   entry = { conversationId, stepId, capability, agent, attempts: [attempt], outcome, firstAt, lastAt }
+//   attempt = { attempt, maxAttempts?, agent, error, errorClass, willRetry?, at }
+//   outcome: "retrying" | "recovered" | "abandoned" | "skipped" | "cancelled" | "rejected"
+
+export const OUTCOMES = ["retrying", "recovered", "abandoned", "skipped", "cancelled", "rejected"];
+
+// How a step with failed attempts ended up
+function stepOutcome(step, conv) {
+  switch (step.status) {
+    case "completed":
+      return "recovered";
+    case "skipped":
+      return "skipped";
+    case "cancelled":
+      return "cancelled";
+    case "failed":
+      return "abandoned";
+    default:
+      return conv.cancelled ? "cancelled" : "retrying";
+  }
+}
+
+// Attempts as the coordinator reported them (attemptFailed); older recordings only have failed runs
+function stepAttempts(step) {
+  if (step.failures && step.failures.length) return step.failures;
+  return (step.runs || [])
+    .map((r, i) => ({ run: r, attempt: i + 1 }))
+    .filter(({ run }) => run.error)
+    .map(({ run, attempt }) => ({
+      attempt,
+      agent: run.agent || step.capability,
+      error: run.error,
+      errorClass: run.errorClass || null,
+      at: run.finishedAt,
+    }));
+}
+
+export function collectFailures(model) {
+  const entries = [];
+  for (const [conversationId, conv] of model.conversations) {
+    for (const [stepId, step] of conv.steps) {
+      let attempts = stepAttempts(step);
+      // A step failed for good without a recorded run error (e.g. its agent was never found)
+      if (!attempts.length && step.status === "failed") {
+        attempts = [{ attempt: (step.runs || []).length || 1, agent: step.capability, error: step.error, errorClass: null, at: null }];
+      }
+      if (!attempts.length) continue;
+      const times = attempts.map((a) => a.at).filter((at) => at != null);
+      entries.push({
+        conversationId,
+        stepId,
+        capability: step.capability,
+        agent: attempts[attempts.length - 1].agent || step.capability,
+        attempts,
+        outcome: stepOutcome(step, conv),
+        firstAt: times.length ? Math.min(...times) : null,
+        lastAt: times.length ? Math.max(...times) : null,
+      });
+    }
+
+    // Coordinator errors that are not about a step of the plan (e.g. a rejected task)
+    for (const { ev, at } of conv.log) {
+      if (ev.type !== "error" || (ev.stepId && conv.steps.has(ev.stepId))) continue;
+      const t = typeof ev.ts === "number" ? ev.ts : at;
+      entries.push({
+        conversationId,
+        stepId: ev.stepId || null,
+        capability: null,
+        agent: ev.agent || "coordinator",
+        attempts: [{ attempt: 1, agent: ev.agent || "coordinator", error: ev.message, errorClass: ev.errorClass || null, at: t }],
+        outcome: "rejected",
+        firstAt: t,
+        lastAt: t,
+      });
+    }
+  }
+  return entries.sort((a, b) => (b.lastAt ?? 0) - (a.lastAt ?? 0));
+}
+
+// Error class of an attempt for grouping; unclassified errors (older backends) share one bucket
+export const errorClassOf = (attempt) => attempt.errorClass || "unclassified";
+
+// Distinct values to filter by, with how many entries have each
+export function failureFacets(entries) {
+  const count = (values) => {
+    const m = new Map();
+    for (const v of values) m.set(v, (m.get(v) || 0) + 1);
+    return Array.from(m.entries()).sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])));
+  };
+  return {
+    outcome: count(entries.map((e) => e.outcome)),
+    agent: count(entries.map((e) => e.agent)),
+    errorClass: count(entries.map((e) => errorClassOf(e.attempts[e.attempts.length - 1]))),
+  };
+}
+
+export function filterFailures(entries, { outcome = "", agent = "", errorClass = "", text = "" } = {}) {
+  const needle = text.trim().toLowerCase();
+  return entries.filter(
+    (e) =>
+      (!outcome || e.outcome === outcome) &&
+      (!agent || e.agent === agent) &&
+      (!errorClass || e.attempts.some((a) => errorClassOf(a) === errorClass)) &&
+      (!needle ||
+        e.conversationId.toLowerCase().includes(needle) ||
+        (e.stepId || "").toLowerCase().includes(needle) ||
+        e.attempts.some((a) => (a.error || "").toLowerCase().includes(needle)))
+  );
+}
@@ -0,0 +1,259 @@
+// Nodes and edges of the conversation graph (Graph.jsx): steps, optionally collapsed into one node per
+// capability or agent, the runs of later refinement loop passes as nodes of their own, duplicate edges
+// merged into one edge that counts them, and, for the hierarchical layout, fixed left-to-right
+// positions that follow the plan's dependencies.
+
+import { stepStatusColor } from "./stepStatus.js";
+
+export const GRAPH_LAYOUTS = ["hierarchical", "force"];
+export const GRAPH_CLUSTERS = ["none", "capability", "agent"];
+
+const COLUMN_WIDTH = 220;
+const ROW_HEIGHT = 80;
+
+// Status a collapsed group shows: the most pressing one among its steps
+const STATUS_URGENCY = ["failed", "awaiting", "dispatched", "ready", "cancelled", "skipped", "completed"];
+
+/**
+ * Dependency depth of each step: 0 without dependencies, else one more than its deepest dependency.
+ * Dependencies outside the plan and cycles do not add depth.
+ */
+export function stepDepths(steps) {
+  const depths = new Map();
+  const visiting = new Set();
+  const depthOf = (id) => {
+    if (depths.has(id)) return depths.get(id);
+    const step = steps.get(id);
+    if (!step || visiting.has(id)) return -1;
+    visiting.add(id);
+    let depth = 0;
+    for (const dep of step.dependencies || []) depth = Math.max(depth, depthOf(dep) + 1);
+    visiting.delete(id);
+    depths.set(id, depth);
+    return depth;
+  };
+  for (const id of steps.keys()) depthOf(id);
+  return depths;
+}
+
+// Agent that ran the step last; the capability until one started it
+function stepAgent(step) {
+  const runs = step.runs || [];
+  for (let i = runs.length - 1; i >= 0; i--) if (runs[i].agent) return runs[i].agent;
+  return step.capability || "step";
+}
+
+// Id of the group a step collapses into under the given clustering; null for "none"
+function groupOf(step, cluster) {
+  if (cluster === "capability") return `cluster:capability:${step.capability || "step"}`;
+  if (cluster === "agent") return `cluster:agent:${stepAgent(step)}`;
+  return null;
+}
+
+// Status of a step's runs in one loop pass, from the latest of them
+function runStatus(runs) {
+  const run = runs[runs.length - 1];
+  if (run.error) return "failed";
+  return run.finishedAt ? "completed" : "dispatched";
+}
+
+// Steps run again by later passes of the refinement loop: [{ id, stepId, iteration, status }], in pass order
+function loopAttempts(steps) {
+  const attempts = [];
+  for (const [stepId, s] of steps) {
+    const byPass = new Map();
+    for (const run of s.runs || []) {
+      const iteration = run.iteration || 1;
+      if (iteration > 1) byPass.set(iteration, [...(byPass.get(iteration) || []), run]);
+    }
+    for (const [iteration, runs] of byPass) attempts.push({ id: `${stepId}@${iteration}`, stepId, iteration, status: runStatus(runs) });
+  }
+  return attempts.sort((a, b) => a.iteration - b.iteration);
+}
+
+function groupStatus(statuses) {
+  for (const status of STATUS_URGENCY) if (statuses.has(status)) return status;
+  return "ready";
+}
+
+// One edge per (from, to): "start ×3", or the first labels and the count when they differ
+function mergeEdges(edges, nodeOf) {
+  const merged = new Map();
+  for (const e of edges) {
+    const from = nodeOf(e.from);
+    const to = nodeOf(e.to);
+    if (!from || !to || from === to) continue; // within a collapsed group
+    const key = `${from}→${to}`;
+    const m = merged.get(key) || { id: key, from, to, labels: [], count: 0 };
+    m.count += 1;
+    if (e.label && !m.labels.includes(e.label)) m.labels.push(e.label);
+    merged.set(key, m);
+  }
+  return Array.from(merged.values()).map(({ id, from, to, labels, count }) => {
+    const text = labels.length > 2 ? `${labels.slice(0, 2).join(", ")}, …` : labels.join(", ");
+    return {
+      id,
+      from,
+      to,
+      count,
+      label: count > 1 ? `${text} ×${count}`.trim() : text,
+      title: count > 1 ? `${count} edges: ${labels.join(", ")}` : undefined,
+      width: Math.min(1 + Math.log2(count), 5),
+      arrows: { to: { enabled: true, scaleFactor: 0.7 } },
+      font: { align: "horizontal", face: "monospace", size: 10 },
+      color: { color: "#7f8c8d" },
+      smooth: { type: "continuous" },
+    };
+  });
+}
+
+/**
+ * Graph of a conversation: { nodes, edges, nodeOfStep, members, attempts }.
+ * options: { layout: 'hierarchical'|'force', cluster: 'none'|'capability'|'agent', expanded: Set of group ids
+ * shown step by step }. nodeOfStep maps each step to the node it is drawn as (itself or its group);
+ * members maps each group node to its step ids (expanded groups included); attempts maps the node of
+ * each step's run in a later loop pass ("<stepId>@<pass>") to the step. Hierarchical nodes carry x / y:
+ * a step's column is its dependency depth, each later pass adds a layer after the deepest steps, and
+ * rows fill in plan and arrival order, so new events add nodes below the drawn ones instead of moving them.
+ */
+export function buildGraph(conv, { layout = "hierarchical", cluster = "none", expanded = new Set() } = {}) {
+  const empty = { nodes: [], edges: [], nodeOfStep: new Map(), members: new Map(), attempts: new Map() };
+  if (!conv) return empty;
+
+  const steps = conv.steps || new Map();
+  const depths = stepDepths(steps);
+  const nodeOfStep = new Map();
+  const members = new Map();
+  const stepNodes = [];
+  const groups = new Map(); // group id -> { name, statuses, depth }
+  const nodeDepth = new Map(); // step or group node -> dependency depth (of its shallowest step)
+
+  for (const [id, s] of steps) {
+    const group = groupOf(s, cluster);
+    if (!group || expanded.has(group)) {
+      nodeOfStep.set(id, id);
+      stepNodes.push({
+        id,
+        label: `${id}\n(${s.capability || "step"})${s.status === "awaiting" ? "\n⏸ awaiting approval" : ""}`,
+        group: "step",
+        color: { background: stepStatusColor(s.status), border: "#2c3e50" },
+        shape: "box",
+        font: { multi: true, face: "monospace", size: 12 },
+      });
+      nodeDepth.set(id, depths.get(id) || 0);
+      if (group) members.set(group, [...(members.get(group) || []), id]);
+      continue;
+    }
+    nodeOfStep.set(id, group);
+    members.set(group, [...(members.get(group) || []), id]);
+    const g = groups.get(group);
+    if (g) {
+      g.statuses.add(s.status);
+      g.depth = Math.min(g.depth, depths.get(id) || 0);
+    } else {
+      const name = group.slice(`cluster:${cluster}:`.length);
+      groups.set(group, { name, statuses: new Set([s.status]), depth: depths.get(id) || 0 });
+      stepNodes.push({ id: group }); // placeholder keeping plan order; filled in below
+    }
+  }
+  const nodesOfSteps = stepNodes.map((n) => {
+    const g = groups.get(n.id);
+    if (!g) return n;
+    const ids = members.get(n.id);
+    const status = groupStatus(g.statuses);
+    const done = ids.filter((id) => steps.get(id).status === "completed").length;
+    nodeDepth.set(n.id, g.depth);
+    return {
+      id: n.id,
+      label: `${g.name}\n${ids.length} ${ids.length === 1 ? "step" : "steps"} · ${done} done`,
+      title: ids.join(", "),
+      group: "cluster",
+      color: { background: stepStatusColor(status), border: "#f8fafc" },
+      shape: "box",
+      borderWidth: 3,
+      shapeProperties: { borderDashes: [6, 3] },
+      font: { multi: true, face: "monospace", size: 12 },
+    };
+  });
+
+  // Each later pass of the refinement loop runs the final step again: one node per step and pass,
+  // linked from the step's node in the pass before
+  const maxDepth = Math.max(0, ...depths.values());
+  const attempts = new Map();
+  const attemptNodes = [];
+  const attemptEdges = [];
+  for (const a of loopAttempts(steps)) {
+    attempts.set(a.id, a.stepId);
+    nodeDepth.set(a.id, maxDepth + a.iteration - 1);
+    attemptNodes.push({
+      id: a.id,
+      label: `${a.stepId}\nloop ${a.iteration}`,
+      group: "attempt",
+      color: { background: stepStatusColor(a.status), border: "#c084fc" },
+      shape: "box",
+      font: { multi: true, face: "monospace", size: 12 },
+    });
+    const previous = `${a.stepId}@${a.iteration - 1}`;
+    attemptEdges.push({ from: attempts.has(previous) ? previous : a.stepId, to: a.id, label: "refine" });
+  }
+
+  // Agents are the other ends of edges that are neither steps nor the coordinator
+  const agentNames = [];
+  for (const e of conv.edges || []) {
+    for (const end of [e.from, e.to]) {
+      if (end && end !== "coordinator" && !steps.has(end) && !agentNames.includes(end)) agentNames.push(end);
+    }
+  }
+  const agentNodes = agentNames.map((name) => ({
+    id: name,
+    label: name,
+    group: "agent",
+    color: { background: "#3498db", border: "#1f618d" },
+    shape: "ellipse",
+    font: { face: "monospace", size: 12 },
+  }));
+
+  const coordNode = {
+    id: "coordinator",
+    label: "coordinator",
+    group: "coordinator",
+    color: { background: "#9b59b6", border: "#6c3483" },
+    shape: "star",
+    font: { face: "monospace", size: 12 },
+  };
+
+  // Columns: the coordinator, its agents, then one per dependency depth
+  const levelOf = (node) => {
+    if (node.group === "coordinator") return 0;
+    return node.group === "agent" ? 1 : 2 + nodeDepth.get(node.id);
+  };
+  const rows = new Map(); // level -> next free row
+  const nodes = [coordNode, ...agentNodes, ...nodesOfSteps, ...attemptNodes].map((node) => {
+    if (layout !== "hierarchical") return node;
+    const level = levelOf(node);
+    const row = rows.get(level) || 0;
+    rows.set(level, row + 1);
+    return { ...node, x: level * COLUMN_WIDTH, y: row * ROW_HEIGHT };
+  });
+
+  const nodeOf = (id) => nodeOfStep.get(id) || id;
+  const edges = mergeEdges([...(conv.edges || []), ...attemptEdges], nodeOf);
+  return { nodes, edges, nodeOfStep, members, attempts };
+}
+
+/**
+ * Node ids matching a search, in drawing order: node ids and labels, and the steps inside collapsed
+ * groups (which match as their group). Case-insensitive; empty for a blank query.
+ */
+export function searchGraph(graph, query) {
+  const q = (query || "").trim().toLowerCase();
+  if (!q) return [];
+  const hits = new Set();
+  for (const n of graph.nodes) {
+    // groups by their name, the first line of the label
+    const text = n.group === "cluster" ? n.label.split("\n")[0] : `${n.id}\n${n.label}`;
+    if (text.toLowerCase().includes(q)) hits.add(n.id);
+  }
+  for (const [stepId, nodeId] of graph.nodeOfStep) if (stepId.toLowerCase().includes(q)) hits.add(nodeId);
+  return graph.nodes.map((n) => n.id).filter((id) => hits.has(id));
+}
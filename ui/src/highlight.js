@@ -0,0 +1,119 @@
+// Lightweight syntax highlighting for code blocks in agent answers: splits code into
+// comment, string, number and keyword tokens for the languages agents usually answer in.
+// Unknown languages come back as one plain token.
+
+const C_COMMENTS = String.raw`\/\/[^\n]*|\/\*[\s\S]*?\*\/`;
+const HASH_COMMENTS = String.raw`#[^\n]*`;
+const QUOTED = String.raw`"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'`;
+const NUMBER = String.raw`\b(?:0x[\da-fA-F]+|\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)\b`;
+
+const words = (list) => list.split(" ");
+
+const LANGUAGES = {
+  js: {
+    comment: C_COMMENTS,
+    string: String.raw`\x60(?:\\.|[^\x60\\])*\x60|${QUOTED}`,
+    keywords: words(
+      "async await break case catch class const continue default delete do else export extends false finally for from function if import in instanceof let new null of return static super switch this throw true try typeof undefined var void while yield interface type enum implements"
+    ),
+  },
+  python: {
+    comment: HASH_COMMENTS,
+    string: String.raw`"""[\s\S]*?"""|'''[\s\S]*?'''|[rbf]?(?:${QUOTED})`,
+    keywords: words(
+      "and as assert async await break class continue def del elif else except False finally for from global if import in is lambda None nonlocal not or pass raise return self True try while with yield"
+    ),
+  },
+  scala: {
+    comment: C_COMMENTS,
+    string: String.raw`"""[\s\S]*?"""|s?(?:${QUOTED})`,
+    keywords: words(
+      "abstract case catch class def do else enum extends false final finally for given if implicit import lazy match new null object override package private protected return sealed super then this throw trait true try type using val var while with yield"
+    ),
+  },
+  java: {
+    comment: C_COMMENTS,
+    string: QUOTED,
+    keywords: words(
+      "abstract boolean break byte case catch char class continue default do double else enum extends false final finally float for if implements import instanceof int interface long new null package private protected public return short static super switch this throw throws true try var void while"
+    ),
+  },
+  sql: {
+    comment: String.raw`--[^\n]*|\/\*[\s\S]*?\*\/`,
+    string: QUOTED,
+    keywords: words(
+      "select from where and or not insert into values update set delete create table view index drop alter join left right inner outer full on group by order having limit offset as distinct union all case when then else end null is in like between exists count sum avg min max with primary key references"
+    ),
+    ignoreCase: true,
+  },
+  shell: {
+    comment: HASH_COMMENTS,
+    string: QUOTED,
+    keywords: words("if then else elif fi for while do done case esac in function return export local echo cd sudo"),
+  },
+  json: {
+    comment: null,
+    string: QUOTED,
+    keywords: words("true false null"),
+  },
+  yaml: {
+    comment: HASH_COMMENTS,
+    string: QUOTED,
+    keywords: words("true false null yes no"),
+  },
+};
+
+const ALIASES = {
+  javascript: "js",
+  jsx: "js",
+  ts: "js",
+  tsx: "js",
+  typescript: "js",
+  py: "python",
+  sc: "scala",
+  kotlin: "java",
+  kt: "java",
+  bash: "shell",
+  sh: "shell",
+  zsh: "shell",
+  console: "shell",
+  yml: "yaml",
+};
+
+const compiled = new Map();
+
+function tokenizer(lang) {
+  const name = ALIASES[lang] || lang;
+  const def = LANGUAGES[name];
+  if (!def) return null;
+  if (!compiled.has(name)) {
+    const parts = [
+      def.comment ? `(${def.comment})` : "((?!))", // never matches; keeps the group numbers
+      `(${def.string})`,
+      `(${NUMBER})`,
+      `(\\b(?:${def.keywords.join("|")})\\b)`,
+    ];
+    compiled.set(name, new RegExp(parts.join("|"), def.ignoreCase ? "gi" : "g"));
+  }
+  return compiled.get(name);
+}
+
+const TYPES = ["comment", "string", "number", "keyword"];
+
+// [{ type: "plain" | "comment" | "string" | "number" | "keyword", text }]
+export function highlight(code, lang) {
+  const re = tokenizer((lang || "").toLowerCase());
+  if (!re) return [{ type: "plain", text: code }];
+  const tokens = [];
+  let last = 0;
+  re.lastIndex = 0;
+  for (let m = re.exec(code); m; m = re.exec(code)) {
+    if (m.index > last) tokens.push({ type: "plain", text: code.slice(last, m.index) });
+    const group = m.slice(1, 5).findIndex((g) => g != null);
+    tokens.push({ type: TYPES[group], text: m[0] });
+    last = re.lastIndex;
+    if (!m[0]) re.lastIndex += 1; // never loop on an empty match
+  }
+  if (last < code.length) tokens.push({ type: "plain", text: code.slice(last) });
+  return tokens;
+}
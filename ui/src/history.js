@@ -0,0 +1,33 @@
+// Conversation history stored by the backend (EventStore, GET /history/...), browsed page by page
+// and loaded into the model next to live conversations.
+
+import { fetchHistoryEvents } from "./api.js";
+
+export const HISTORY_PAGE_SIZE = 20;
+export const HISTORY_STATUSES = ["running", "finished", "failed", "cancelled", "interrupted"];
+
+// Query of the history browser's filter; from / to are yyyy-mm-dd dates of the date inputs, whole local days
+export function historyQuery(filter, page) {
+  const dayStart = (date) => (date ? new Date(`${date}T00:00:00`).getTime() : undefined);
+  return {
+    status: filter.status || undefined,
+    from: dayStart(filter.from),
+    to: filter.to ? dayStart(filter.to) + 24 * 60 * 60 * 1000 - 1 : undefined,
+    offset: page * HISTORY_PAGE_SIZE,
+    limit: HISTORY_PAGE_SIZE,
+  };
+}
+
+// Every stored event frame of a conversation as session records ([{ ev, at }]), fetched page by page;
+// onProgress(loaded, total) follows along
+export async function fetchStoredConversation(conversationId, onProgress) {
+  const records = [];
+  let offset = 0;
+  for (;;) {
+    const page = await fetchHistoryEvents(conversationId, offset);
+    for (const ev of page.events) records.push({ ev, at: typeof ev.ts === "number" ? ev.ts : Date.now() });
+    onProgress && onProgress(records.length, page.total);
+    if (page.nextOffset == null) return records;
+    offset = page.nextOffset;
+  }
+}
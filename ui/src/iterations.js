@@ -0,0 +1,74 @@
+// Passes of the coordinator's refinement loop ("iteration" events, conv.iterations): how each one
+// ended, and line diffs between the answers of two passes.
+
+// outcome -> what it means, for the pass list and the loop summary
+export const OUTCOME_LABELS = {
+  refining: "not satisfactory, the final step ran again",
+  satisfied: "the answer was marked satisfied",
+  done: "the answer carried the [done] marker",
+  maxAttempts: "no attempts left",
+  skipped: "the final step was skipped",
+};
+
+export const outcomeLabel = (outcome) => OUTCOME_LABELS[outcome] || outcome;
+
+// Above this many line pairs the diff gives up on matching and shows the whole answer as replaced
+const MAX_DIFF_CELLS = 1_000_000;
+
+/**
+ * Line diff of two texts: [{ op: 'same'|'removed'|'added', text }], from a longest common
+ * subsequence of their lines. Removed lines come before the added ones that replace them.
+ */
+export function lineDiff(before, after) {
+  const a = (before || "").split("\n");
+  const b = (after || "").split("\n");
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [...a.map((text) => ({ op: "removed", text })), ...b.map((text) => ({ op: "added", text }))];
+  }
+
+  // lcs[i][j]: length of the longest common subsequence of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const diff = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      diff.push({ op: "same", text: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      diff.push({ op: "removed", text: a[i++] });
+    } else {
+      diff.push({ op: "added", text: b[j++] });
+    }
+  }
+  while (i < a.length) diff.push({ op: "removed", text: a[i++] });
+  while (j < b.length) diff.push({ op: "added", text: b[j++] });
+  return diff;
+}
+
+// { added, removed } line counts of a diff
+export function diffStats(diff) {
+  let added = 0;
+  let removed = 0;
+  for (const line of diff) {
+    if (line.op === "added") added++;
+    else if (line.op === "removed") removed++;
+  }
+  return { added, removed };
+}
+
+// Why the loop ended, once its last pass did; null while it is still refining or no pass ended yet
+export function loopEnd(iterations) {
+  const last = iterations && iterations[iterations.length - 1];
+  if (!last || last.outcome === "refining") return null;
+  const reason =
+    last.outcome === "maxAttempts" ? `${outcomeLabel(last.outcome)} (${last.maxIterations} allowed)` : outcomeLabel(last.outcome);
+  return `Ended after pass ${last.iteration} of ${last.maxIterations}: ${reason}.`;
+}
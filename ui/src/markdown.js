@@ -0,0 +1,283 @@
+// Small Markdown reader for agent answers: the subset LLMs write (headings, paragraphs, lists,
+// block quotes, fenced code, GFM tables, rules, and inline code, emphasis, strike and links).
+// It returns a plain tree that Markdown.jsx turns into React elements, so no HTML from a
+// message ever reaches the DOM; link targets are limited to http(s) and mailto.
+//
+//   block:  { type: "heading", level, children } | { type: "paragraph", children }
+//           { type: "code", lang, text } | { type: "quote", blocks } | { type: "rule" }
+//           { type: "list", ordered, start, items: [[block]] }
+//           { type: "table", align: ["left"|"center"|"right"|null], head: [inline[]], rows: [[inline[]]] }
+//   inline: { type: "text", text } | { type: "code", text } | { type: "br" }
+//           { type: "strong" | "em" | "del", children } | { type: "link", href, children }
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([^\s`]*)/;
+const HEADING = /^ {0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE = /^ {0,3}> ?/;
+const LIST_ITEM = /^( *)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const TABLE_SEP = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+const isBlank = (line) => !line.trim();
+
+export function parseMarkdown(text) {
+  return parseBlocks((text || "").replace(/\r\n?/g, "\n").split("\n"));
+}
+
+function parseBlocks(lines) {
+  const blocks = [];
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    if (isBlank(line)) {
+      i += 1;
+      continue;
+    }
+
+    const fence = FENCE.exec(line);
+    if (fence) {
+      // An unclosed fence (e.g. a reply still streaming) runs to the end
+      const marker = fence[1];
+      const body = [];
+      i += 1;
+      while (i < lines.length && !lines[i].trim().startsWith(marker)) body.push(lines[i++]);
+      i += 1;
+      blocks.push({ type: "code", lang: fence[2].toLowerCase(), text: body.join("\n") });
+      continue;
+    }
+
+    const heading = HEADING.exec(line);
+    if (heading) {
+      blocks.push({ type: "heading", level: heading[1].length, children: parseInline(heading[2]) });
+      i += 1;
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      blocks.push({ type: "rule" });
+      i += 1;
+      continue;
+    }
+
+    if (QUOTE.test(line)) {
+      const body = [];
+      while (i < lines.length && !isBlank(lines[i]) && (QUOTE.test(lines[i]) || body.length)) {
+        body.push(lines[i].replace(QUOTE, ""));
+        i += 1;
+      }
+      blocks.push({ type: "quote", blocks: parseBlocks(body) });
+      continue;
+    }
+
+    if (line.includes("|") && i + 1 < lines.length && TABLE_SEP.test(lines[i + 1])) {
+      const align = splitRow(lines[i + 1]).map((c) => {
+        const left = c.startsWith(":");
+        const right = c.endsWith(":");
+        return left && right ? "center" : right ? "right" : left ? "left" : null;
+      });
+      const head = splitRow(line).map(parseInline);
+      const rows = [];
+      i += 2;
+      while (i < lines.length && !isBlank(lines[i]) && lines[i].includes("|")) {
+        rows.push(splitRow(lines[i]).map(parseInline));
+        i += 1;
+      }
+      blocks.push({ type: "table", align, head, rows });
+      continue;
+    }
+
+    const item = LIST_ITEM.exec(line);
+    if (item) {
+      const [list, next] = parseList(lines, i, item);
+      blocks.push(list);
+      i = next;
+      continue;
+    }
+
+    // Paragraph: up to a blank line or the start of another block
+    const body = [];
+    while (
+      i < lines.length &&
+      !isBlank(lines[i]) &&
+      !(body.length && (FENCE.test(lines[i]) || HEADING.test(lines[i]) || QUOTE.test(lines[i]) || LIST_ITEM.test(lines[i])))
+    ) {
+      body.push(lines[i].trim());
+      i += 1;
+    }
+    blocks.push({ type: "paragraph", children: parseInline(body.join("\n")) });
+  }
+  return blocks;
+}
+
+// Items of one list: lines indented past the marker belong to the item, as do blank lines
+// followed by such lines (loose lists)
+function parseList(lines, start, first) {
+  const indent = first[1].length;
+  const ordered = /\d/.test(first[2]);
+  const items = [];
+  let i = start;
+  while (i < lines.length) {
+    const m = LIST_ITEM.exec(lines[i]);
+    if (!m || m[1].length !== indent || /\d/.test(m[2]) !== ordered) break;
+    const contentIndent = m[1].length + m[2].length + 1;
+    const body = [m[3]];
+    i += 1;
+    while (i < lines.length) {
+      const line = lines[i];
+      if (isBlank(line)) {
+        const nextLine = lines[i + 1];
+        if (nextLine != null && leadingSpaces(nextLine) > indent && !isBlank(nextLine)) {
+          body.push("");
+          i += 1;
+          continue;
+        }
+        break;
+      }
+      if (leadingSpaces(line) > indent) body.push(line.slice(Math.min(leadingSpaces(line), contentIndent)));
+      else if (LIST_ITEM.test(line) || QUOTE.test(line) || FENCE.test(line) || HEADING.test(line)) break;
+      else body.push(line); // lazy continuation of the item's paragraph
+      i += 1;
+    }
+    items.push(parseBlocks(body));
+    // A blank line between items of the same list
+    if (i < lines.length && isBlank(lines[i]) && LIST_ITEM.test(lines[i + 1] || "")) {
+      const m2 = LIST_ITEM.exec(lines[i + 1]);
+      if (m2[1].length === indent && /\d/.test(m2[2]) === ordered) i += 1;
+    }
+  }
+  return [{ type: "list", ordered, start: ordered ? parseInt(first[2], 10) : 1, items }, i];
+}
+
+function leadingSpaces(line) {
+  return line.length - line.trimStart().length;
+}
+
+function splitRow(line) {
+  let s = line.trim();
+  if (s.startsWith("|")) s = s.slice(1);
+  if (s.endsWith("|") && !s.endsWith("\\|")) s = s.slice(0, -1);
+  return s.split(/(?<!\\)\|/).map((c) => c.trim().replace(/\\\|/g, "|"));
+}
+
+// Only these link targets are rendered as links; anything else stays text
+export function safeHref(href) {
+  return /^(https?:\/\/|mailto:)/i.test(href) ? href : null;
+}
+
+const ESCAPABLE = "\\`*_{}[]()#+-.!|~<>";
+const MAX_EMPHASIS = 2000;
+// Sticky: matched at the current position of parseInline
+const TICKS = /`+/y;
+// The target may hold one level of balanced parentheses: https://en.wikipedia.org/wiki/Foo_(bar)
+const LINK = /!?\[([^\]]*)\]\(\s*<?((?:[^()\s>]|\([^()\s>]*\))+)>?(?:\s+"[^"]*")?\s*\)/y;
+const AUTOLINK = /<((?:https?:\/\/|mailto:)[^>\s]+)>/iy;
+// Like LINK, a bare URL may hold balanced parentheses; an unbalanced ")" ends it, as in "(see https://x.y)"
+const BARE_URL = /https?:\/\/(?:[^\s<()]|\([^\s<()]*\))*(?:[^\s<().,;:!?\]'"*_]|\([^\s<()]*\))/y;
+
+export function parseInline(text) {
+  const out = [];
+  let buf = "";
+  const flush = () => {
+    if (buf) out.push({ type: "text", text: buf });
+    buf = "";
+  };
+  const push = (node) => {
+    flush();
+    out.push(node);
+  };
+
+  let i = 0;
+  // A link label runs up to the next "]", so once LINK fails from one "[" it fails from every "[" before that "]"
+  let linkFrom = 0;
+  const matchAt = (re) => {
+    re.lastIndex = i;
+    return re.exec(text);
+  };
+  while (i < text.length) {
+    const c = text[i];
+    const prev = i > 0 ? text[i - 1] : " ";
+    // Emphasis does not span lines (nor more than MAX_EMPHASIS chars), which keeps unmatched markers cheap
+    const lineEnd =
+      c === "*" || c === "_" || c === "~"
+        ? Math.min(i + MAX_EMPHASIS, (text.indexOf("\n", i) + 1 || text.length + 1) - 1)
+        : 0;
+
+    if (c === "\\" && i + 1 < text.length && ESCAPABLE.includes(text[i + 1])) {
+      buf += text[i + 1];
+      i += 2;
+      continue;
+    }
+    if (c === "\n") {
+      push({ type: "br" });
+      i += 1;
+      continue;
+    }
+    if (c === "`") {
+      const run = matchAt(TICKS)[0];
+      const end = text.indexOf(run, i + run.length);
+      if (end > 0) {
+        push({ type: "code", text: text.slice(i + run.length, end).trim() || text.slice(i + run.length, end) });
+        i = end + run.length;
+        continue;
+      }
+      buf += run;
+      i += run.length;
+      continue;
+    }
+    if ((text.startsWith("**", i) || text.startsWith("__", i) || text.startsWith("~~", i)) && !/\s/.test(text[i + 2] || " ")) {
+      const marker = text.slice(i, i + 2);
+      const end = text.indexOf(marker, i + 2);
+      if (end > i + 2 && end < lineEnd && !/\s/.test(text[end - 1]) && !(marker === "__" && /\w/.test(prev))) {
+        push({ type: marker === "~~" ? "del" : "strong", children: parseInline(text.slice(i + 2, end)) });
+        i = end + 2;
+        continue;
+      }
+    }
+    if ((c === "*" || c === "_") && !/\s/.test(text[i + 1] || " ") && !(c === "_" && /\w/.test(prev))) {
+      let end = i + 1;
+      // closing marker: not doubled, not after a space, and for "_" not inside a word
+      while ((end = text.indexOf(c, end)) > 0 && end < lineEnd) {
+        if (text[end + 1] !== c && !/\s/.test(text[end - 1]) && !(c === "_" && /\w/.test(text[end + 1] || " "))) break;
+        end += text[end + 1] === c ? 2 : 1;
+      }
+      if (end > i + 1 && end < lineEnd) {
+        push({ type: "em", children: parseInline(text.slice(i + 1, end)) });
+        i = end + 1;
+        continue;
+      }
+    }
+    if ((c === "[" || (c === "!" && text[i + 1] === "[")) && i >= linkFrom) {
+      const m = matchAt(LINK);
+      if (m) {
+        const href = safeHref(m[2]);
+        const children = parseInline(m[1] || m[2]);
+        // Images are shown as links: answers must not make the browser fetch remote content
+        if (href) push({ type: "link", href, children });
+        else for (const child of children) push(child);
+        i += m[0].length;
+        continue;
+      }
+      const close = text.indexOf("]", i);
+      linkFrom = close < 0 ? text.length : close;
+    }
+    if (c === "<") {
+      const m = matchAt(AUTOLINK);
+      if (m) {
+        push({ type: "link", href: m[1], children: [{ type: "text", text: m[1].replace(/^mailto:/i, "") }] });
+        i += m[0].length;
+        continue;
+      }
+    }
+    if (c === "h" && !/\w/.test(prev)) {
+      const m = matchAt(BARE_URL);
+      if (m) {
+        push({ type: "link", href: m[0], children: [{ type: "text", text: m[0] }] });
+        i += m[0].length;
+        continue;
+      }
+    }
+    buf += c;
+    i += 1;
+  }
+  flush();
+  return out;
+}
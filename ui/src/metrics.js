@@ -0,0 +1,111 @@
+// Per-agent / per-capability / per-provider statistics over the step runs in the model
+// (see eventModel step.runs). Pure functions; MetricsPanel renders the result.
+
+export const METRIC_WINDOWS = [
+  { id: "5m", label: "5 min", ms: 5 * 60 * 1000 },
+  { id: "15m", label: "15 min", ms: 15 * 60 * 1000 },
+  { id: "1h", label: "1 hour", ms: 60 * 60 * 1000 },
+  { id: "all", label: "All", ms: null },
+];
+
+export const METRIC_GROUPS = ["agent", "capability", "provider"];
+
+const BUCKETS = 20; // sparkline resolution
+
+// Every run with an agent start, across conversations:
+// { conversationId, stepId, agent, capability, provider, startedAt, finishedAt, latency, textLength, failed }
+// providerOf maps an agent (capability) name to its provider, from the registry feed.
+export function collectRuns(model, providerOf = () => null) {
+  const runs = [];
+  for (const [conversationId, conv] of model.conversations) {
+    for (const [stepId, step] of conv.steps) {
+      for (const r of step.runs || []) {
+        if (r.startedAt == null || !r.agent) continue;
+        runs.push({
+          conversationId,
+          stepId,
+          agent: r.agent,
+          capability: step.capability || "?",
+          provider: providerOf(r.agent) || "unknown",
+          startedAt: r.startedAt,
+          finishedAt: r.finishedAt ?? null,
+          latency: r.finishedAt != null ? r.finishedAt - r.startedAt : null,
+          textLength: r.textLength ?? null,
+          failed: !!r.error,
+        });
+      }
+    }
+  }
+  return runs;
+}
+
+// Nearest-rank percentile of an ascending array
+export function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+/**
+ * Statistics per group ("agent" | "capability" | "provider") for runs started in
+ * [now - windowMs, now] (all runs when windowMs is null). Each row:
+ * { key, runs, completed, failed, errorRate, running, perMinute,
+ *   latency: { p50, p95, p99 }, size: { p50, max }, latencySeries, throughputSeries, sizeHistogram }
+ */
+export function computeMetrics(runs, { groupBy = "agent", windowMs = null, now = Date.now() } = {}) {
+  const inWindow = windowMs == null ? runs : runs.filter((r) => r.startedAt >= now - windowMs);
+  const from = windowMs == null ? inWindow.reduce((min, r) => Math.min(min, r.startedAt), now) : now - windowMs;
+  const span = Math.max(1, now - from);
+  const bucketOf = (t) => Math.min(BUCKETS - 1, Math.max(0, Math.floor(((t - from) / span) * BUCKETS)));
+
+  const groups = new Map();
+  for (const r of inWindow) {
+    const key = r[groupBy];
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(r);
+  }
+
+  const rows = [];
+  for (const [key, list] of groups) {
+    const done = list.filter((r) => r.finishedAt != null && !r.failed);
+    const failed = list.filter((r) => r.failed).length;
+    const latencies = done.map((r) => r.latency).sort((a, b) => a - b);
+    const sizes = done.map((r) => r.textLength).filter((n) => n != null).sort((a, b) => a - b);
+
+    // Average latency and completed runs per time bucket
+    const latSum = new Array(BUCKETS).fill(0);
+    const latCount = new Array(BUCKETS).fill(0);
+    const throughput = new Array(BUCKETS).fill(0);
+    for (const r of done) {
+      const b = bucketOf(r.finishedAt);
+      latSum[b] += r.latency;
+      latCount[b] += 1;
+      throughput[b] += 1;
+    }
+
+    rows.push({
+      key,
+      runs: list.length,
+      completed: done.length,
+      failed,
+      errorRate: done.length + failed ? failed / (done.length + failed) : 0,
+      running: list.filter((r) => r.finishedAt == null).length,
+      perMinute: done.length / (span / 60000),
+      latency: { p50: percentile(latencies, 50), p95: percentile(latencies, 95), p99: percentile(latencies, 99) },
+      size: { p50: percentile(sizes, 50), max: sizes.length ? sizes[sizes.length - 1] : null },
+      latencySeries: latSum.map((sum, i) => (latCount[i] ? sum / latCount[i] : null)),
+      throughputSeries: throughput,
+      sizeHistogram: histogram(sizes, 10),
+    });
+  }
+  return rows.sort((a, b) => String(a.key).localeCompare(String(b.key)));
+}
+
+// Counts of values in `bins` equal-width bins between 0 and the maximum
+function histogram(sorted, bins) {
+  const counts = new Array(bins).fill(0);
+  if (!sorted.length) return counts;
+  const max = Math.max(1, sorted[sorted.length - 1]);
+  for (const v of sorted) counts[Math.min(bins - 1, Math.floor((v / max) * bins))] += 1;
+  return counts;
+}
@@ -0,0 +1,180 @@
+// Plan drafts for the plan editor: a TaskPlan as POST /tasks takes it ("plan") plus node
+// positions on the canvas, checks, and JSON templates kept in localStorage.
+//
+//   { steps: [{ id, agentCapability, instruction, dependencies: [stepId], requiresApproval?, x?, y? }] }
+
+const TEMPLATES_KEY = "planTemplates";
+
+export function emptyPlan() {
+  return { steps: [] };
+}
+
+// First free "step-N" id
+export function nextStepId(plan) {
+  const ids = new Set(plan.steps.map((s) => s.id));
+  let n = plan.steps.length + 1;
+  while (ids.has(`step-${n}`)) n += 1;
+  return `step-${n}`;
+}
+
+export function addStep(plan, step) {
+  return { steps: [...plan.steps, { agentCapability: "", instruction: "", dependencies: [], ...step }] };
+}
+
+// Applies a change to one step; a new id is carried over to the steps that depend on it
+export function updateStep(plan, id, change) {
+  const renamed = change.id != null && change.id !== id ? change.id : null;
+  return {
+    steps: plan.steps.map((s) => {
+      const next = s.id === id ? { ...s, ...change } : s;
+      return renamed ? { ...next, dependencies: next.dependencies.map((d) => (d === id ? renamed : d)) } : next;
+    }),
+  };
+}
+
+export function removeStep(plan, id) {
+  return {
+    steps: plan.steps.filter((s) => s.id !== id).map((s) => ({ ...s, dependencies: s.dependencies.filter((d) => d !== id) })),
+  };
+}
+
+// `stepId` waits for `dependsOn`
+export function addDependency(plan, stepId, dependsOn) {
+  if (stepId === dependsOn) return plan;
+  return {
+    steps: plan.steps.map((s) =>
+      s.id === stepId && !s.dependencies.includes(dependsOn) ? { ...s, dependencies: [...s.dependencies, dependsOn] } : s
+    ),
+  };
+}
+
+export function removeDependency(plan, stepId, dependsOn) {
+  return {
+    steps: plan.steps.map((s) => (s.id === stepId ? { ...s, dependencies: s.dependencies.filter((d) => d !== dependsOn) } : s)),
+  };
+}
+
+// Step ids along one dependency cycle, first id repeated at the end; null when acyclic
+export function findCycle(plan) {
+  const byId = new Map(plan.steps.map((s) => [s.id, s]));
+  const done = new Set();
+  const visit = (id, path) => {
+    const at = path.indexOf(id);
+    if (at >= 0) return [...path.slice(at), id];
+    if (done.has(id) || !byId.has(id)) return null;
+    for (const dep of byId.get(id).dependencies) {
+      const cycle = visit(dep, [...path, id]);
+      if (cycle) return cycle;
+    }
+    done.add(id);
+    return null;
+  };
+  for (const s of plan.steps) {
+    const cycle = visit(s.id, []);
+    if (cycle) return cycle;
+  }
+  return null;
+}
+
+// Capabilities compare trimmed and case-insensitively, as the backend registry keys them
+const capabilityKey = (name) => name.trim().toLowerCase();
+
+/**
+ * What keeps the draft from running: [{ stepId?, message }]. Mirrors TaskPlan.problems in the
+ * backend, and TaskPlan.unknownCapabilities for capabilities no registered agent offers (when
+ * `capabilities` is known).
+ */
+export function planProblems(plan, capabilities = null) {
+  const problems = [];
+  if (!plan.steps.length) problems.push({ message: "Add at least one step" });
+  const seen = new Set();
+  for (const s of plan.steps) {
+    if (!s.id.trim()) problems.push({ stepId: s.id, message: "A step has no id" });
+    else if (seen.has(s.id)) problems.push({ stepId: s.id, message: `Duplicate step id ${s.id}` });
+    seen.add(s.id);
+    if (!s.agentCapability.trim()) problems.push({ stepId: s.id, message: `${s.id} has no capability` });
+    else if (capabilities && !capabilities.some((c) => capabilityKey(c) === capabilityKey(s.agentCapability)))
+      problems.push({ stepId: s.id, message: `No registered agent offers ${s.agentCapability} (${s.id})` });
+    if (!s.instruction.trim()) problems.push({ stepId: s.id, message: `${s.id} has no instruction` });
+    for (const d of s.dependencies) {
+      if (!plan.steps.some((o) => o.id === d)) problems.push({ stepId: s.id, message: `${s.id} depends on unknown step ${d}` });
+    }
+  }
+  const cycle = findCycle(plan);
+  if (cycle) problems.push({ stepId: cycle[0], message: `Dependency cycle: ${cycle.join(" -> ")}` });
+  return problems;
+}
+
+// Gives steps without a canvas position one: a column per dependency depth
+export function withPositions(plan) {
+  const byId = new Map(plan.steps.map((s) => [s.id, s]));
+  const depth = new Map();
+  const depthOf = (id, seen = new Set()) => {
+    if (depth.has(id)) return depth.get(id);
+    const s = byId.get(id);
+    if (!s || seen.has(id)) return 0; // unknown step or cycle
+    seen.add(id);
+    const d = s.dependencies.reduce((max, dep) => Math.max(max, depthOf(dep, seen) + 1), 0);
+    depth.set(id, d);
+    return d;
+  };
+  const rows = new Map();
+  return {
+    steps: plan.steps.map((s) => {
+      if (Number.isFinite(s.x) && Number.isFinite(s.y)) return s;
+      const col = depthOf(s.id);
+      const row = rows.get(col) || 0;
+      rows.set(col, row + 1);
+      return { ...s, x: col * 200, y: row * 90 };
+    }),
+  };
+}
+
+// The body's "plan" field: steps without canvas positions
+export function toTaskPlan(plan) {
+  return {
+    steps: plan.steps.map(({ id, agentCapability, instruction, dependencies, requiresApproval }) => ({
+      id: id.trim(),
+      agentCapability: agentCapability.trim(),
+      instruction,
+      dependencies,
+      ...(requiresApproval ? { requiresApproval: true } : {}),
+    })),
+  };
+}
+
+// Reads a template (a TaskPlan, with or without positions); throws on anything else
+export function parsePlan(text) {
+  const obj = JSON.parse(text);
+  const steps = obj && Array.isArray(obj.steps) ? obj.steps : null;
+  if (!steps) throw new Error("A plan template needs a steps array");
+  return {
+    steps: steps.map((s, i) => ({
+      id: typeof s.id === "string" ? s.id : `step-${i + 1}`,
+      agentCapability: typeof s.agentCapability === "string" ? s.agentCapability : "",
+      instruction: typeof s.instruction === "string" ? s.instruction : "",
+      dependencies: Array.isArray(s.dependencies) ? s.dependencies.filter((d) => typeof d === "string") : [],
+      ...(s.requiresApproval === true ? { requiresApproval: true } : {}),
+      ...(Number.isFinite(s.x) && Number.isFinite(s.y) ? { x: s.x, y: s.y } : {}),
+    })),
+  };
+}
+
+// Saved templates: { name: plan }
+export function loadTemplates() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(TEMPLATES_KEY));
+    if (saved && typeof saved === "object") return saved;
+  } catch {
+    // missing or unreadable; start without templates
+  }
+  return {};
+}
+
+export function saveTemplates(templates) {
+  try {
+    localStorage.setItem(TEMPLATES_KEY, JSON.stringify(templates));
+  } catch {
+    // storage unavailable; templates last for this page only (Export still works)
+  }
+}
@@ -0,0 +1,86 @@
+// Full-text search over every conversation in the event model: chat text, step ids,
+// capabilities, instructions, the agents that ran a step, and error messages.
+//
+//   entry = { conversationId, kind: "chat" | "step" | "error", field, text, lower,
+//             chatKey?, stepId?, agent? }
+
+// Same key the conversation views give a bubble
+export const chatKey = (m, idx) => m.streamKey || m.messageId || String(idx);
+
+// Flat list of searchable texts; rebuilt when the model changes
+export function buildSearchIndex(model) {
+  const entries = [];
+  const add = (entry) => {
+    if (entry.text) entries.push({ ...entry, lower: entry.text.toLowerCase() });
+  };
+
+  for (const [conversationId, conv] of model.conversations) {
+    conv.chat.forEach((m, idx) => {
+      const base = { conversationId, kind: "chat", chatKey: chatKey(m, idx), stepId: m.stepId, agent: m.agent };
+      add({ ...base, field: "text", text: m.text });
+      if (m.agent) add({ ...base, field: "agent", text: m.agent });
+    });
+
+    for (const [stepId, step] of conv.steps) {
+      const base = { conversationId, kind: "step", stepId };
+      add({ ...base, field: "step", text: stepId });
+      add({ ...base, field: "capability", text: step.capability });
+      add({ ...base, field: "instruction", text: step.instruction });
+      add({ ...base, field: "error", text: step.error });
+      const agents = new Set((step.runs || []).map((r) => r.agent).filter(Boolean));
+      for (const agent of agents) add({ ...base, field: "agent", text: agent, agent });
+    }
+
+    // Errors that did not fail a known step (e.g. a rejected task)
+    for (const { ev } of conv.log) {
+      if (ev.type === "error" && !(ev.stepId && conv.steps.has(ev.stepId))) {
+        add({ conversationId, kind: "error", field: "error", text: ev.message, agent: ev.agent });
+      }
+    }
+  }
+  return entries;
+}
+
+// Text around the first match, for the result list: { before, match, after }
+function snippet(text, at, length, context = 40) {
+  const from = Math.max(0, at - context);
+  const to = Math.min(text.length, at + length + context);
+  return {
+    before: (from > 0 ? "…" : "") + text.slice(from, at).replace(/\s+/g, " "),
+    match: text.slice(at, at + length),
+    after: text.slice(at + length, to).replace(/\s+/g, " ") + (to < text.length ? "…" : ""),
+  };
+}
+
+/**
+ * Case-insensitive search; every word of the query must occur in the entry. Returns
+ * [{ conversationId, hits: [entry + { snippet, count }] }], conversations with the most hits first.
+ */
+export function searchIndex(entries, query, { maxHitsPerConversation = 20 } = {}) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (!words.length) return [];
+
+  const groups = new Map();
+  for (const e of entries) {
+    if (!words.every((w) => e.lower.includes(w))) continue;
+    const at = e.lower.indexOf(words[0]);
+    let count = 0;
+    for (let i = e.lower.indexOf(words[0]); i >= 0; i = e.lower.indexOf(words[0], i + words[0].length)) count += 1;
+    if (!groups.has(e.conversationId)) groups.set(e.conversationId, { conversationId: e.conversationId, total: 0, hits: [] });
+    const g = groups.get(e.conversationId);
+    g.total += 1;
+    if (g.hits.length < maxHitsPerConversation) g.hits.push({ ...e, count, snippet: snippet(e.text, at, words[0].length) });
+  }
+  return Array.from(groups.values()).sort((a, b) => b.total - a.total || a.conversationId.localeCompare(b.conversationId));
+}
+
+// Splits text into [{ text, match }] around case-insensitive occurrences of the query words
+export function markMatches(text, query) {
+  const words = (query || "").toLowerCase().split(/\s+/).filter(Boolean);
+  if (!words.length || !text) return [{ text, match: false }];
+  const escaped = words.map((w) => w.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+  return text
+    .split(new RegExp(`(${escaped.join("|")})`, "gi"))
+    .filter((part) => part !== "")
+    .map((part) => ({ text: part, match: words.includes(part.toLowerCase()) }));
+}
@@ -0,0 +1,67 @@
+// NDJSON session files: one received telemetry event per line.
+//
+//   {"receivedAt":1718000000000,"event":{"type":"dispatch","conversationId":"...",...}}
+//
+// Lines holding a bare UiEventBus event (no wrapper) are accepted too, so raw
+// frames captured from the /ws socket can be loaded as-is.
+
+// Every retained event across conversations, in the order it was received
+export function sessionRecords(model) {
+  const all = [];
+  for (const [, conv] of model.conversations) {
+    for (const entry of conv.log) all.push(entry);
+  }
+  all.sort((a, b) => a.n - b.n);
+  return all.map(({ ev, at }) => ({ ev, at }));
+}
+
+export function toNdjson(records) {
+  return records.map((r) => JSON.stringify({ receivedAt: r.at, event: r.ev })).join("\n") + "\n";
+}
+
+// Returns { records: [{ ev, at }], skipped } where skipped counts unusable lines
+export function parseNdjson(text) {
+  const records = [];
+  let skipped = 0;
+  let lastAt = 0;
+
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line) continue;
+    let obj;
+    try {
+      obj = JSON.parse(line);
+    } catch {
+      skipped += 1;
+      continue;
+    }
+    const wrapped = obj && typeof obj.event === "object" && obj.event !== null;
+    const ev = wrapped ? obj.event : obj;
+    if (!ev || typeof ev.type !== "string" || ev.type === "ping" || ev.type === "hello") {
+      skipped += 1;
+      continue;
+    }
+    // Bare events carry no receive time; they inherit the previous line's
+    const at = wrapped && Number.isFinite(obj.receivedAt) ? obj.receivedAt : lastAt;
+    lastAt = at;
+    records.push({ ev, at });
+  }
+
+  return { records, skipped };
+}
+
+export function sessionFileName(date = new Date()) {
+  const stamp = date.toISOString().replace(/[:.]/g, "-").replace(/Z$/, "");
+  return `telemetry-${stamp}.ndjson`;
+}
+
+export function downloadText(filename, text, type = "application/x-ndjson") {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
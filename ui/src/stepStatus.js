@@ -0,0 +1,19 @@
+// Fill color of a plan step by status, shared by the graph and the timeline
+export function stepStatusColor(status) {
+  switch (status) {
+    case "completed":
+      return "#2ecc71"; // green
+    case "dispatched":
+      return "#f39c12"; // orange
+    case "awaiting":
+      return "#1abc9c"; // teal, held for a reviewer
+    case "failed":
+      return "#e74c3c"; // red
+    case "skipped":
+    case "cancelled":
+      return "#566573"; // dark gray
+    case "ready":
+    default:
+      return "#95a5a6"; // gray
+  }
+}
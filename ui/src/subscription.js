@@ -0,0 +1,48 @@
+// Which telemetry the dashboard subscribes to, persisted across reloads.
+//
+//   mode: "all"      every conversation
+//         "followed" only the conversation ids in `followed`
+//   agents / types:  optional narrowing; empty means no restriction
+
+const STORAGE_KEY = "subscription";
+
+export const DEFAULT_SUBSCRIPTION = { mode: "all", followed: [], agents: [], types: [] };
+
+export function loadSubscription() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || "null");
+    if (saved && typeof saved === "object") return { ...DEFAULT_SUBSCRIPTION, ...saved };
+  } catch {
+    // corrupt or unavailable storage
+  }
+  return DEFAULT_SUBSCRIPTION;
+}
+
+export function saveSubscription(sub) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(sub));
+  } catch {
+    // storage unavailable
+  }
+}
+
+// Filter sent to the backend (see telemetry.js)
+export function toFilter(sub) {
+  return {
+    conversations: sub.mode === "followed" ? sub.followed : [],
+    agents: sub.agents,
+    types: sub.types,
+  };
+}
+
+export function toggleFollow(sub, conversationId) {
+  const followed = sub.followed.includes(conversationId)
+    ? sub.followed.filter((id) => id !== conversationId)
+    : [...sub.followed, conversationId];
+  return { ...sub, followed };
+}
+
+// Comma separated text -> trimmed, de-duplicated list
+export function parseList(text) {
+  return Array.from(new Set(text.split(",").map((s) => s.trim()).filter(Boolean)));
+}
@@ -0,0 +1,248 @@
+// Resilient client for the UiEventBus WebSocket feed (TelemetryRoutes /ws).
+//
+// - Reconnects with exponential backoff and jitter after the socket closes.
+// - Treats missing {"type":"ping"} heartbeats (sent every 10s) as a dead link.
+// - Drops frames the bus replays on Subscribe that were already delivered, using the
+//   per-event "seq" and the "epoch" announced in the initial hello frame.
+// - Sends operator commands (cancel / retry / skip, approval decisions) on the same socket; each one settles
+//   when the backend answers with commandAck or commandRejected.
+// - Subscribes to a filter (conversations / agents / types, empty = all): it is part of the URL
+//   so the history replay on connect is already filtered, and changes are sent as a
+//   {"type":"subscribe"} frame without reconnecting. The backend pushes the list of known
+//   conversations as {"type":"conversations"} frames regardless of the filter, and the agent
+//   registry (AgentDirectory) as {"type":"agents"} frames.
+// - Events are passed on as received; checking them against the schema version they were written
+//   with is up to the caller (eventSchema.js).
+
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 30000;
+const HEARTBEAT_TIMEOUT_MS = 25000; // 2.5x the server ping interval
+const SEEN_SEQ_LIMIT = 5000; // well above the 500 events the bus replays
+const COMMAND_TIMEOUT_MS = 10000;
+
+// Equal jitter: half the exponential delay is fixed, the other half random
+export function backoffDelay(attempt) {
+  const cap = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt);
+  return Math.round(cap / 2 + Math.random() * (cap / 2));
+}
+
+export function telemetryUrl() {
+  return import.meta.env.VITE_TELEMETRY_WS || "ws://localhost:6061/ws";
+}
+
+const FILTER_KEYS = ["conversations", "agents", "types"];
+
+function withFilter(url, filter) {
+  if (!filter) return url;
+  const u = new URL(url);
+  for (const key of FILTER_KEYS) {
+    if (filter[key] && filter[key].length) u.searchParams.set(key, filter[key].join(","));
+  }
+  return u.toString();
+}
+
+// onEvent(ev, receivedAt) is called once per new event; onStatus({ state, attempt, retryAt, reason });
+// onIndex([{ id, startedAt, lastEventAt, status }]) receives the backend's conversation list;
+// onAgents([{ id, name, capability, agentType, skills, provider, status, load, registeredAt, lastSeenAt, leftAt }])
+// receives the registered agents followed by those that left; onHello({ epoch, v }) hears each
+// (re)connect's hello frame, whose v is the schema version of the backend's events
+export function createTelemetryConnection({ url, filter, onEvent, onStatus, onIndex, onAgents, onHello }) {
+  let ws = null;
+  let currentFilter = filter || null;
+  let attempt = 0;
+  let retryTimer = null;
+  let watchdogTimer = null;
+  let stopped = false;
+
+  // De-duplication state, reset when the backend epoch changes (restart => seq restarts)
+  let epoch = null;
+  const seen = new Set();
+  const seenOrder = [];
+
+  // commandId -> { resolve, reject, timer } for commands awaiting an answer
+  const pending = new Map();
+  let commandCounter = 0;
+
+  const settle = (commandId, fn, value) => {
+    const p = pending.get(commandId);
+    if (!p) return;
+    pending.delete(commandId);
+    clearTimeout(p.timer);
+    p[fn](value);
+  };
+
+  const failPending = (reason) => {
+    for (const id of Array.from(pending.keys())) settle(id, "reject", new Error(reason));
+  };
+
+  const report = (state, extra = {}) => {
+    onStatus && onStatus({ state, attempt, retryAt: null, ...extra });
+  };
+
+  const isDuplicate = (ev) => {
+    if (typeof ev.seq !== "number") return false;
+    if (seen.has(ev.seq)) return true;
+    seen.add(ev.seq);
+    seenOrder.push(ev.seq);
+    if (seenOrder.length > SEEN_SEQ_LIMIT) seen.delete(seenOrder.shift());
+    return false;
+  };
+
+  const detach = (socket) => {
+    socket.onopen = socket.onclose = socket.onerror = socket.onmessage = null;
+    try {
+      socket.close();
+    } catch {
+      // already closed
+    }
+  };
+
+  const armWatchdog = (socket) => {
+    clearTimeout(watchdogTimer);
+    watchdogTimer = setTimeout(() => {
+      if (socket !== ws) return;
+      // No frame (not even a ping) for too long: assume the link is dead.
+      // A half-open socket may take minutes to fire onclose, so don't wait for it.
+      ws = null;
+      detach(socket);
+      failPending("Connection lost before the backend answered");
+      scheduleReconnect("heartbeat timeout");
+    }, HEARTBEAT_TIMEOUT_MS);
+  };
+
+  const scheduleReconnect = (reason) => {
+    if (stopped) return;
+    const delay = backoffDelay(attempt);
+    attempt += 1;
+    report("waiting", { retryAt: Date.now() + delay, reason });
+    retryTimer = setTimeout(connect, delay);
+  };
+
+  function connect() {
+    if (stopped) return;
+    clearTimeout(retryTimer);
+    report("connecting");
+
+    let socket;
+    try {
+      socket = new WebSocket(withFilter(url, currentFilter));
+    } catch (e) {
+      scheduleReconnect(e && e.message);
+      return;
+    }
+    ws = socket;
+
+    socket.onopen = () => {
+      if (socket !== ws) return;
+      attempt = 0;
+      armWatchdog(socket);
+      report("open");
+    };
+    socket.onclose = (e) => {
+      if (socket !== ws) return;
+      clearTimeout(watchdogTimer);
+      ws = null;
+      failPending("Connection lost before the backend answered");
+      scheduleReconnect(e.reason || `closed (${e.code})`);
+    };
+    // onclose always follows onerror; reconnect is scheduled there
+    socket.onerror = () => {};
+    socket.onmessage = (msg) => {
+      if (socket !== ws) return;
+      armWatchdog(socket);
+      let ev;
+      try {
+        ev = JSON.parse(msg.data);
+      } catch {
+        return; // Ignore malformed payload
+      }
+      if (!ev || typeof ev !== "object") return;
+      if (ev.type === "ping") return;
+      if (ev.type === "conversations") {
+        onIndex && onIndex(Array.isArray(ev.conversations) ? ev.conversations : []);
+        return;
+      }
+      if (ev.type === "agents") {
+        onAgents && onAgents(Array.isArray(ev.agents) ? ev.agents : []);
+        return;
+      }
+      if (ev.type === "subscribed") return;
+      if (ev.type === "commandAck") {
+        settle(ev.commandId, "resolve", ev.message || "OK");
+        return;
+      }
+      if (ev.type === "commandRejected") {
+        settle(ev.commandId, "reject", new Error(ev.reason || "Rejected"));
+        return;
+      }
+      if (ev.type === "hello") {
+        if (ev.epoch !== epoch) {
+          epoch = ev.epoch;
+          seen.clear();
+          seenOrder.length = 0;
+        }
+        onHello && onHello({ epoch: ev.epoch, v: ev.v });
+        return;
+      }
+      if (isDuplicate(ev)) return;
+      onEvent && onEvent(ev, Date.now());
+    };
+  }
+
+  connect();
+
+  return {
+    // Send { action, conversationId, stepId?, text? }; resolves with the ack message, rejects with the reason
+    command({ action, conversationId, stepId, text }) {
+      if (!ws || ws.readyState !== WebSocket.OPEN) {
+        return Promise.reject(new Error("Not connected"));
+      }
+      commandCounter += 1;
+      const commandId = `cmd-${Date.now().toString(36)}-${commandCounter}`;
+      const frame = { type: "command", commandId, action, conversationId };
+      if (stepId) frame.stepId = stepId;
+      if (text) frame.text = text;
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(
+          () => settle(commandId, "reject", new Error("No answer from the backend")),
+          COMMAND_TIMEOUT_MS
+        );
+        pending.set(commandId, { resolve, reject, timer });
+        ws.send(JSON.stringify(frame));
+      });
+    },
+    // Change the subscription; applied right away when connected, otherwise on the next connect
+    setFilter(next) {
+      currentFilter = next || null;
+      if (ws && ws.readyState === WebSocket.OPEN) {
+        const frame = { type: "subscribe" };
+        for (const key of FILTER_KEYS) frame[key] = (currentFilter && currentFilter[key]) || [];
+        ws.send(JSON.stringify(frame));
+      }
+    },
+    // Skip the remaining backoff and dial again right away
+    reconnectNow() {
+      if (stopped) return;
+      clearTimeout(retryTimer);
+      clearTimeout(watchdogTimer);
+      if (ws) {
+        detach(ws);
+        ws = null;
+      }
+      failPending("Reconnected before the backend answered");
+      attempt = 0;
+      connect();
+    },
+    close() {
+      stopped = true;
+      clearTimeout(retryTimer);
+      clearTimeout(watchdogTimer);
+      failPending("Connection closed");
+      if (ws) {
+        detach(ws);
+        ws = null;
+      }
+      report("closed");
+    },
+  };
+}
@@ -0,0 +1,93 @@
+// Gantt layout of a conversation's step runs (see eventModel step.runs).
+// Pure: the Timeline component only maps the result to SVG.
+
+/**
+ * Lays out one bar per step run, from dispatch to completion (or `now` while it runs; without
+ * `now`, e.g. when replaying, running bars end at the latest time seen in the runs).
+ * Bars are grouped in lanes by the agent that handled them (the capability until an agent
+ * picks the run up); overlapping bars in a lane are stacked in rows, so parallel work shows
+ * up as stacked bars and serialised work as bars end to end.
+ *
+ * Returns { start, end, lanes: [{ name, rows }], bars, deps } where each bar is
+ * { key, stepId, laneName, lane, row, start, startedAt, end, status, running, refinement, failed }
+ * and each dep is { from, to } bar keys (the latest run of the dependency to the latest run
+ * of the dependent step).
+ */
+export function timelineLayout(conv, now) {
+  if (now == null) {
+    now = 0;
+    for (const step of conv.steps.values()) {
+      for (const run of step.runs || []) now = Math.max(now, run.dispatchedAt ?? 0, run.startedAt ?? 0, run.finishedAt ?? 0);
+    }
+  }
+  const bars = [];
+  const latestByStep = new Map();
+  for (const [stepId, step] of conv.steps) {
+    (step.runs || []).forEach((run, i) => {
+      if (run.dispatchedAt == null) return;
+      const running = run.finishedAt == null && step.status === "dispatched" && i === step.runs.length - 1;
+      const end = run.finishedAt ?? (i === step.runs.length - 1 ? step.completedAt : null) ?? (running ? now : run.dispatchedAt);
+      const bar = {
+        key: `${stepId}#${i}`,
+        stepId,
+        laneName: run.agent || step.capability || "?",
+        start: run.dispatchedAt,
+        startedAt: run.startedAt,
+        end: Math.max(end, run.dispatchedAt),
+        status: i === step.runs.length - 1 ? step.status : run.error ? "failed" : "completed",
+        running,
+        refinement: !!run.refinement,
+        failed: !!run.error,
+      };
+      bars.push(bar);
+      latestByStep.set(stepId, bar);
+    });
+  }
+
+  // Lanes in order of first use; each lane stacks overlapping bars into rows
+  bars.sort((a, b) => a.start - b.start);
+  const laneIndex = new Map();
+  const lanes = [];
+  for (const bar of bars) {
+    if (!laneIndex.has(bar.laneName)) {
+      laneIndex.set(bar.laneName, lanes.length);
+      lanes.push({ name: bar.laneName, rowEnds: [] });
+    }
+    bar.lane = laneIndex.get(bar.laneName);
+    const rowEnds = lanes[bar.lane].rowEnds;
+    let row = rowEnds.findIndex((end) => end <= bar.start);
+    if (row < 0) row = rowEnds.length;
+    rowEnds[row] = bar.end;
+    bar.row = row;
+  }
+
+  const deps = [];
+  for (const [stepId, step] of conv.steps) {
+    const to = latestByStep.get(stepId);
+    if (!to) continue;
+    for (const dep of step.dependencies || []) {
+      const from = latestByStep.get(dep);
+      if (from) deps.push({ from: from.key, to: to.key });
+    }
+  }
+
+  const start = bars.length ? Math.min(...bars.map((b) => b.start)) : 0;
+  const end = bars.length ? Math.max(...bars.map((b) => b.end)) : 0;
+  return {
+    start,
+    end,
+    lanes: lanes.map((l) => ({ name: l.name, rows: Math.max(1, l.rowEnds.length) })),
+    bars,
+    deps,
+  };
+}
+
+// A round step for the time axis so that roughly `ticks` labels fit into `spanMs`
+export function tickStep(spanMs, ticks = 8) {
+  const raw = Math.max(1, spanMs / ticks);
+  const pow = 10 ** Math.floor(Math.log10(raw));
+  for (const m of [1, 2, 5, 10]) {
+    if (raw <= m * pow) return m * pow;
+  }
+  return 10 * pow;
+}
@@ -0,0 +1,86 @@
+// Token usage and cost per conversation, agent and provider, from the token counts that
+// agentComplete carries (see eventModel step.runs). Prices are USD per million tokens.
+
+const STORAGE_KEY = "tokenPrices";
+
+// Defaults for the providers the backend ships (config models: gpt-4, claude-3-7-sonnet,
+// gemini-1.5-flash, a local llama3); edit them in the Usage view
+export const DEFAULT_PRICES = {
+  openai: { prompt: 30, completion: 60 },
+  claude: { prompt: 3, completion: 15 },
+  vertex: { prompt: 0.075, completion: 0.3 },
+  ollama: { prompt: 0, completion: 0 },
+};
+
+export const USAGE_GROUPS = ["conversation", "agent", "provider"];
+
+export function loadPrices() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (saved && typeof saved === "object") return { ...DEFAULT_PRICES, ...saved };
+  } catch {
+    // missing or unreadable; use the defaults
+  }
+  return { ...DEFAULT_PRICES };
+}
+
+export function savePrices(prices) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(prices));
+  } catch {
+    // storage unavailable; the prices last for this page only
+  }
+}
+
+export function runCost(run, prices) {
+  const price = prices[run.provider];
+  if (!price) return null;
+  return ((run.promptTokens || 0) * price.prompt + (run.completionTokens || 0) * price.completion) / 1e6;
+}
+
+// Finished runs that carry token counts: { conversationId, stepId, agent, provider, promptTokens, completionTokens, estimated }
+export function collectUsage(model) {
+  const runs = [];
+  for (const [conversationId, conv] of model.conversations) {
+    for (const [stepId, step] of conv.steps) {
+      for (const r of step.runs || []) {
+        if (r.promptTokens == null && r.completionTokens == null) continue;
+        runs.push({
+          conversationId,
+          stepId,
+          agent: r.agent || "?",
+          provider: r.provider || "unknown",
+          promptTokens: r.promptTokens || 0,
+          completionTokens: r.completionTokens || 0,
+          estimated: !!r.tokensEstimated,
+        });
+      }
+    }
+  }
+  return runs;
+}
+
+/**
+ * Totals per group ("conversation" | "agent" | "provider", or "all" for one row), largest cost first. Each row:
+ * { key, runs, promptTokens, completionTokens, cost, estimated, unpriced }
+ * estimated: some counts are the backend's estimate; unpriced: some runs have no price entry.
+ */
+export function usageTotals(runs, prices, groupBy = "conversation") {
+  const groups = new Map();
+  for (const r of runs) {
+    const key = groupBy === "all" ? "all" : groupBy === "conversation" ? r.conversationId : r[groupBy];
+    let row = groups.get(key);
+    if (!row) {
+      row = { key, runs: 0, promptTokens: 0, completionTokens: 0, cost: 0, estimated: false, unpriced: false };
+      groups.set(key, row);
+    }
+    const cost = runCost(r, prices);
+    row.runs += 1;
+    row.promptTokens += r.promptTokens;
+    row.completionTokens += r.completionTokens;
+    row.cost += cost || 0;
+    row.estimated = row.estimated || r.estimated;
+    row.unpriced = row.unpriced || cost == null;
+  }
+  return Array.from(groups.values()).sort((a, b) => b.cost - a.cost || String(a.key).localeCompare(String(b.key)));
+}